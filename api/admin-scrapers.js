@@ -244,22 +244,30 @@ async function loadBlob(store) {
   };
 }
 
-async function loadHistory(store) {
+async function loadScraperDays() {
   const result = await fetchJson(
     `${BLOB_BASE}/scraper-data.json?_=${Date.now()}`
   );
 
   if (!result.ok) return [];
 
-  const days = result.json?.days || [];
+  return result.json?.days || [];
+}
+
+function findScraperRecord(day, store) {
+  return (day.scrapers || []).find(
+    (s) =>
+      s.scraper === store.displayName ||
+      s.scraper === store.id
+  );
+}
+
+async function loadHistory(store) {
+  const days = await loadScraperDays();
 
   return days
     .map((day) => {
-      const match = (day.scrapers || []).find(
-        (s) =>
-          s.scraper === store.displayName ||
-          s.scraper === store.id
-      );
+      const match = findScraperRecord(day, store);
 
       if (!match) return null;
 
@@ -269,12 +277,30 @@ async function loadHistory(store) {
         count: match.count,
         durationMs: match.durationMs,
         via: match.via,
+        structure: match.structure || null,
+        drift: Array.isArray(match.drift) ? match.drift : null,
       };
     })
     .filter(Boolean)
     .slice(0, 30);
 }
 
+// Structural-drift anomalies from the most recent merge (see lib/scraperDrift.js)
+async function attachLatestDrift(stores) {
+  const days = await loadScraperDays();
+  const latest = days.length ? days[days.length - 1] : null;
+
+  return stores.map((store) => {
+    const match = latest ? findScraperRecord(latest, store) : null;
+
+    return {
+      ...store,
+      drift: Array.isArray(match?.drift) ? match.drift : [],
+      driftDayUTC: latest?.dayUTC || null,
+    };
+  });
+}
+
 export default async function handler(req, res) {
   const access = isAllowedIp(req);
 
@@ -292,7 +318,7 @@ export default async function handler(req, res) {
     if (action === "list") {
       return res.json({
         ok: true,
-        stores,
+        stores: await attachLatestDrift(stores),
       });
     }
 
@@ -5,19 +5,83 @@
 // - Listing + managing alerts now requires a signed token `t` (HMAC) that is only sent via email.
 // - This prevents anyone from listing/managing alerts just by knowing an email address.
 //
+// DOUBLE OPT-IN:
+// - A new alert is stored as pending and the email only contains a signed
+//   confirmation link (GET /api/alerts?confirm=TOKEN). The alert's lifetime starts
+//   when that link is clicked; check-alerts ignores pending alerts and deletes
+//   them once the link expires (48h), so nobody can subscribe someone else.
+// - Only confirmed alerts count toward the active-alert limit, so pending ones
+//   created for someone else's address can't lock them out. Pending alerts have
+//   their own limits, per address and per client IP; confirming re-checks the
+//   active limit.
+//
+// CRITERIA:
+// - Besides brand + model + target price, an alert can be limited to stores, a shoe
+//   type and a minimum discount, and can watch any model of a brand (model "") or
+//   any brand (brand "", needs a shoe type or stores). It needs a target price, a
+//   minimum discount or both. See lib/alertCriteria.js.
+// - Brand + model alerts match by canonical shoe identity (lib/shoeIdentity.js):
+//   matchMode "line" (default) is any version of the line, "exact" only the
+//   version in the model ("Ghost 16"), pinned to its sb_shoe_database id when known.
+//
+// LIFETIME:
+// - An alert stays live for lifetimeDays (chosen at creation, 7-90, default 30).
+//   A few days before it expires the cron emails signed one-click renew links
+//   (GET /api/alerts?renew=TOKEN, 30/60/90 days); the manage page can renew too
+//   (action "renew"). Renewing restarts the clock and also revives expired alerts,
+//   within the active-alert limit.
+//
+// EMAIL PREFERENCES:
+// - Per email, not per alert: digestMode "instant" (one email per alert, default),
+//   "daily" or "weekly" (one digest covering every alert with new matches).
+//   Returned with the alert list; changed with POST { action: "preferences", digestMode, t }.
+//
+// UNSUBSCRIBE (RFC 8058):
+// - Every email carries List-Unsubscribe / List-Unsubscribe-Post headers and a
+//   footer link to /api/alerts?unsubscribe=TOKEN. POST there is the one-click
+//   unsubscribe (mail clients send "List-Unsubscribe=One-Click"); GET redirects to
+//   the /pages/unsubscribe.html landing page, which asks before POSTing, so link
+//   scanners can't unsubscribe anyone. Unsubscribing puts the address on the
+//   suppression list (sb_alert_suppressions) and cancels its alerts; new alerts for
+//   a suppressed address are refused until the landing page's "resubscribe".
+//
+// BROWSER NOTIFICATIONS (Web Push):
+// - Instead of an email, a create can carry { channel: "push", t } where t is the
+//   manage token /api/push returned for the browser's push subscription (owner key
+//   "push:<id>"). Such alerts are live at once (the browser permission prompt is the
+//   opt-in) and are delivered by check-alerts as notifications (lib/webPush.js).
+//   Listing and managing them uses the same token model as email alerts; they have
+//   no email preferences or unsubscribe links.
+//
+// STORAGE:
+// - Alerts live in Postgres (sb_price_alerts, see lib/alertsStore.js). Every write
+//   runs in its own transaction, so concurrent creates/cancels no longer overwrite
+//   each other the way the old shared alerts.json blob did.
+//
 // REQUIRED ENV VARS:
-// - SENDGRID_API_KEY
-// - SENDGRID_ALERTS_EMAIL
+// - DATABASE_URL
+// - SENDGRID_API_KEY     (or MAIL_TRANSPORT=smtp|file, see lib/mailer.js)
+// - SENDGRID_ALERTS_EMAIL (falls back to SENDGRID_FROM_EMAIL if present)
 // - ALERTS_LINK_SECRET   (long random string; used to sign email links)
 //
 // OPTIONAL ENV VARS:
 // - SITE_BASE_URL (defaults to https://shoebeagle.com)
+// - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (browser notification alerts, see lib/webPush.js)
 
-const { put, list } = require("@vercel/blob");
-const sgMail = require("@sendgrid/mail");
+const { Pool } = require("pg");
 const crypto = require("crypto");
-
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+const { normalizeSize, normalizeSizeSystem, DEFAULT_SIZE_SYSTEM } = require("../lib/sizes");
+const { normalizeWidth } = require("../lib/modelNameCleaner");
+const alertsStore = require("../lib/alertsStore");
+const alertCriteria = require("../lib/alertCriteria");
+const shoeIdentity = require("../lib/shoeIdentity");
+const { sendMail } = require("../lib/mailer");
+const webPush = require("../lib/webPush");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
 
 const SITE_BASE_URL = (process.env.SITE_BASE_URL || "https://shoebeagle.com").replace(/\/+$/, "");
 const LINK_SECRET = process.env.ALERTS_LINK_SECRET || "";
@@ -33,6 +97,37 @@ function sanitizeInput(str) {
     .slice(0, 100);
 }
 
+function getClientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (typeof forwarded === "string" && forwarded.trim()) {
+    return forwarded.split(",")[0].trim();
+  }
+  return (
+    req.headers["x-real-ip"] ||
+    req.socket?.remoteAddress ||
+    req.connection?.remoteAddress ||
+    "unknown"
+  );
+}
+
+function formatSize(alert) {
+  return alert.size ? `${alert.sizeSystem || DEFAULT_SIZE_SYSTEM} ${alert.size}` : "";
+}
+
+function formatWidth(alert) {
+  if (alert.width === "wide") return "Wide";
+  if (alert.width === "extra-wide") return "Extra wide";
+  if (alert.width === "narrow") return "Narrow";
+  return "";
+}
+
+function formatTarget(alert) {
+  const parts = [];
+  if (alert.targetPrice) parts.push(`$${Math.round(Number(alert.targetPrice))}`);
+  if (alert.minDiscount) parts.push(`${alert.minDiscount}%+ off`);
+  return parts.join(" · ");
+}
+
 function formatDateShort(ms) {
   const d = new Date(ms);
   const day = d.getDate();
@@ -45,7 +140,10 @@ function formatDateShort(ms) {
 // =====================
 // Token helpers (HMAC signed)
 // token format: base64url(jsonPayload) + "." + base64url(hmac(payload))
-// payload: { email, exp }
+// payload: { email, exp }                       manage links
+//          { email, exp, purpose: "confirm", alertId }  confirmation links
+//          { email, exp, purpose: "renew", alertId, days }  renew links (expiry reminder)
+//          { email, exp, purpose: "unsubscribe" }         unsubscribe links (every email)
 // =====================
 function b64urlEncode(str) {
   return Buffer.from(str, "utf8")
@@ -108,6 +206,19 @@ function verifyToken(token) {
   return obj; // { email, exp }
 }
 
+function buildUnsubscribeUrl(email) {
+  const token = signToken({ email, exp: Date.now() + alertsStore.UNSUBSCRIBE_LINK_TTL_MS, purpose: "unsubscribe" });
+  return `${SITE_BASE_URL}/api/alerts?unsubscribe=${encodeURIComponent(token)}`;
+}
+
+// RFC 8058 one-click: mail clients POST "List-Unsubscribe=One-Click" to the URL
+function listUnsubscribeHeaders(unsubscribeUrl) {
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
 // =====================
 // (Light) HTML escaping for output insertion
 // =====================
@@ -119,39 +230,24 @@ function escapeHtml(s) {
     .replace(/"/g, "&quot;")
     .replace(/'/g, "&#39;");
 }
-async function getAlertsBlobUrl() {
-  const { blobs } = await list({ prefix: "alerts" }); // broader than "alerts.json"
-  if (!blobs || blobs.length === 0) return null;
-
-  // Prefer exact alerts.json
-  const exact = blobs.find(b =>
-    b.pathname === "alerts.json" || b.pathname.endsWith("/alerts.json")
-  );
-  if (exact) return exact.url;
-
-  // Fallback: anything that contains alerts.json
-  const any = blobs.find(b => String(b.pathname || "").includes("alerts.json"));
-  return any ? any.url : null;
-}
 // =====================
 // Confirmation email HTML
 // =====================
-function generateConfirmationEmail(newAlert, allUserAlerts, manageUrl) {
-  const daysLeft = 30;
+function generateConfirmationEmail(newAlert, allUserAlerts, manageUrl, confirmUrl, unsubscribeUrl) {
+  const daysLeft = newAlert.lifetimeDays;
+  const confirmHours = Math.round(alertsStore.ALERT_CONFIRM_TTL_MS / (60 * 60 * 1000));
 
   const alertsHtml = allUserAlerts.map(alert => {
     const isCancelled = !!alert.cancelledAt;
-    const days = Math.max(
-      0,
-      30 - Math.floor((Date.now() - Number(alert.setAt || 0)) / (1000 * 60 * 60 * 24))
-    );
+    const isPending = !alert.confirmedAt;
+    const days = alertsStore.alertDaysLeft(alert);
 
     return `
       <tr>
         <td style="padding: 8px; border-bottom: 1px solid #ddd;">${formatDateShort(alert.setAt)}</td>
-        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${escapeHtml(alert.brand)} ${escapeHtml(alert.model)}</td>
-        <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: right;">$${Math.round(Number(alert.targetPrice || 0))}</td>
-        <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: center;">${isCancelled ? "Cancelled" : `${days} days`}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${escapeHtml(alertCriteria.describeShoe(alert))}${alert.stores ? ` at ${escapeHtml(alertCriteria.describeStores(alert.stores))}` : ""}${alert.size ? ` (size ${escapeHtml(formatSize(alert))})` : ""}${alert.width ? ` · ${escapeHtml(formatWidth(alert))}` : ""}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: right;">${escapeHtml(formatTarget(alert))}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: center;">${isCancelled ? "Cancelled" : isPending ? "Pending" : `${days} days`}</td>
       </tr>
     `;
   }).join("");
@@ -170,20 +266,35 @@ function generateConfirmationEmail(newAlert, allUserAlerts, manageUrl) {
         <img src="https://shoebeagle.com/images/email_logo.png" alt="Shoe Beagle" style="max-width: 300px; height: auto;">
       </div>
 
-      <h1 style="color: #214478; margin: 0 0 20px; font-size: 24px;">✅ Alert Confirmed!</h1>
+      <h1 style="color: #214478; margin: 0 0 20px; font-size: 24px;">📩 Please Confirm Your Alert</h1>
 
       <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
-        Your price alert has been successfully created:
+        Someone (hopefully you) asked Shoe Beagle to watch this shoe for this email address:
       </p>
 
       <div style="background: #f9f9f9; border-left: 4px solid #214478; padding: 15px; margin-bottom: 25px;">
-        <p style="margin: 5px 0; font-size: 15px;"><strong>Shoe:</strong> ${escapeHtml(newAlert.brand)} ${escapeHtml(newAlert.model)}</p>
-        <p style="margin: 5px 0; font-size: 15px;"><strong>Target Price:</strong> $${Math.round(Number(newAlert.targetPrice || 0))} or less</p>
-        <p style="margin: 5px 0; font-size: 15px;"><strong>Duration:</strong> ${daysLeft} days (expires ${new Date(newAlert.setAt + 30 * 24 * 60 * 60 * 1000).toLocaleDateString()})</p>
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Shoe:</strong> ${escapeHtml(alertCriteria.describeShoe(newAlert))}</p>
+        ${newAlert.stores ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Stores:</strong> ${escapeHtml(newAlert.stores.join(", "))}</p>` : ""}
+        ${newAlert.size ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Size:</strong> ${escapeHtml(formatSize(newAlert))}</p>` : ""}
+        ${newAlert.width ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Width:</strong> ${escapeHtml(formatWidth(newAlert))}</p>` : ""}
+        ${newAlert.targetPrice ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Target Price:</strong> $${Math.round(Number(newAlert.targetPrice))} or less</p>` : ""}
+        ${newAlert.minDiscount ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Discount:</strong> ${newAlert.minDiscount}% off or more</p>` : ""}
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Duration:</strong> ${daysLeft} days from confirmation</p>
+      </div>
+
+      <div style="text-align: center; margin: 0 0 25px;">
+        <a href="${confirmUrl}"
+           style="display: inline-block; padding: 14px 36px; background: #28a745; color: white; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
+          Confirm Alert
+        </a>
+        <p style="font-size: 13px; color: #666; margin: 12px 0 0;">
+          The alert stays inactive until you confirm. This link expires in ${confirmHours} hours;
+          if you didn't ask for this alert, just ignore this email.
+        </p>
       </div>
 
       <p style="font-size: 15px; line-height: 1.6; color: #333; margin-bottom: 25px;">
-        We'll search daily for deals matching your criteria. When we find your shoes at or below $${Math.round(Number(newAlert.targetPrice || 0))},
+        Once confirmed, we'll search daily for deals matching your criteria. When we find ${escapeHtml(alertCriteria.describeAlert(newAlert))}${newAlert.size ? ` in size ${escapeHtml(formatSize(newAlert))}` : ""},
         you'll be notified immediately!
       </p>
 
@@ -215,10 +326,11 @@ function generateConfirmationEmail(newAlert, allUserAlerts, manageUrl) {
       </div>
 
       <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666;">
-        <p style="margin: 5px 0;">This alert will remain active for 30 days or until cancelled.</p>
-        <p style="margin: 5px 0;">You can have up to 5 active alerts at a time.</p>
+        <p style="margin: 5px 0;">Once confirmed, this alert will remain active for ${daysLeft} days or until cancelled. We'll email you before it expires so you can renew it.</p>
+        <p style="margin: 5px 0;">You can have up to ${alertsStore.MAX_ACTIVE_ALERTS} active alerts at a time.</p>
         <p style="margin: 15px 0 5px;"><strong>Privacy:</strong> Your email is never sold or shared by Shoe Beagle.</p>
         <p style="margin: 5px 0;">Questions? Visit <a href="https://shoebeagle.com" style="color: #214478;">shoebeagle.com</a></p>
+        ${unsubscribeUrl ? `<p style="margin: 5px 0;">Don't want alert emails from Shoe Beagle? <a href="${unsubscribeUrl}" style="color: #214478;">Unsubscribe</a></p>` : ""}
       </div>
     </div>
   </div>
@@ -232,12 +344,23 @@ function generateConfirmationEmail(newAlert, allUserAlerts, manageUrl) {
 // ============================================================================
 module.exports = async (req, res) => {
   try {
-    // GET request = LIST alerts (token-only)
+    // Unsubscribe link (GET landing page redirect, POST one-click) from any alert email
+    if (req.query?.unsubscribe) {
+      return await handleUnsubscribe(req, res);
+    }
+
+    // GET request = CONFIRM / RENEW (links from emails) or LIST alerts (token-only)
     if (req.method === "GET") {
+      if (req.query?.confirm) {
+        return await handleConfirm(req, res);
+      }
+      if (req.query?.renew) {
+        return await handleRenew(req, res);
+      }
       return await handleList(req, res);
     }
 
-    // POST request = CREATE or MANAGE (cancel/update/remove)
+    // POST request = CREATE, PREFERENCES or MANAGE (cancel/update/renew/remove)
     if (req.method === "POST") {
       const { action } = req.body || {};
 
@@ -246,6 +369,10 @@ module.exports = async (req, res) => {
         return await handleCreate(req, res);
       }
 
+      if (action === "preferences") {
+        return await handlePreferences(req, res);
+      }
+
       // Otherwise, handle manage operations
       return await handleManage(req, res);
     }
@@ -266,32 +393,54 @@ async function handleList(req, res) {
   const { t } = req.query || {};
 
   const tok = verifyToken(String(t || ""));
-  if (!tok) {
+  if (!tok || tok.purpose) {
     return res.status(401).json({ error: "Invalid or expired link" });
   }
 
   const cleanEmail = String(tok.email).trim().toLowerCase();
 
-  // Load alerts from blob
-const url = await getAlertsBlobUrl();
-if (!url) {
-  return res.status(200).json({ success: true, alerts: [], count: 0 });
+  // Newest first
+  const userAlerts = await alertsStore.listAlertsByEmail(pool, cleanEmail);
+  const prefs = await alertsStore.getEmailPreferences(pool, cleanEmail);
+
+  return res.status(200).json({
+    success: true,
+    alerts: userAlerts,
+    count: userAlerts.length,
+    channel: alertsStore.isPushOwner(cleanEmail) ? "push" : "email",
+    preferences: { digestMode: prefs.digestMode }
+  });
 }
 
-const response = await fetch(url);
+// ============================================================================
+// EMAIL PREFERENCES (token-only)
+// POST /api/alerts  body: { action: "preferences", digestMode, t }
+// ============================================================================
+async function handlePreferences(req, res) {
+  const { digestMode, t } = req.body || {};
 
-  const data = await response.json();
-  const alerts = Array.isArray(data.alerts) ? data.alerts : [];
+  const tok = verifyToken(String(t || ""));
+  if (!tok || tok.purpose) {
+    return res.status(401).json({ error: "Invalid or expired link" });
+  }
 
-  // Filter by email and sort by date (newest first)
-  const userAlerts = alerts
-    .filter(a => a.email === cleanEmail)
-    .sort((a, b) => Number(b.setAt || 0) - Number(a.setAt || 0));
+  const cleanDigestMode = digestMode ? alertsStore.normalizeDigestMode(digestMode) : undefined;
+  if (!cleanDigestMode) {
+    return res.status(400).json({ error: `Invalid email frequency. Use ${alertsStore.DIGEST_MODES.join(", ")}` });
+  }
+
+  const cleanEmail = String(tok.email).trim().toLowerCase();
+  if (alertsStore.isPushOwner(cleanEmail)) {
+    return res.status(400).json({ error: "Browser notification alerts have no email preferences" });
+  }
+
+  const prefs = await alertsStore.setDigestMode(pool, cleanEmail, cleanDigestMode);
+  console.log(`[ALERT PREFERENCES] ${cleanEmail} set email frequency to ${cleanDigestMode}`);
 
   return res.status(200).json({
     success: true,
-    alerts: userAlerts,
-    count: userAlerts.length
+    preferences: { digestMode: prefs.digestMode },
+    message: "Email preference saved"
   });
 }
 
@@ -299,83 +448,199 @@ const response = await fetch(url);
 // CREATE ALERT
 // ============================================================================
 async function handleCreate(req, res) {
-  const { email, brand, model, targetPrice, gender } = req.body || {};
+  const {
+    email, brand, model, targetPrice, gender, size, sizeSystem, width, stores, shoeType, minDiscount, matchMode, lifetimeDays,
+    channel, t,
+  } = req.body || {};
+
+  // Validation: browser alerts are owned by their push subscription, email alerts by the address
+  const pushSubscription = channel === "push" ? await getPushSubscriptionFromToken(t) : null;
+  if (channel === "push" && !pushSubscription) {
+    return res.status(401).json({ error: "Browser notifications expired for this browser. Please turn them on again." });
+  }
 
-  // Validation
-  if (!email || !String(email).includes("@")) {
+  if (!pushSubscription && (!email || !String(email).includes("@"))) {
     return res.status(400).json({ error: "Valid email address is required" });
   }
 
-  if (!brand || !model) {
-    return res.status(400).json({ error: "Brand and model are required" });
+  const cleanEmail = pushSubscription ? pushSubscription.owner : sanitizeInput(email).toLowerCase();
+  if (!pushSubscription && await alertsStore.isEmailSuppressed(pool, cleanEmail)) {
+    return res.status(403).json({
+      error: "This email address has unsubscribed from Shoe Beagle alerts. Use the unsubscribe link in an earlier alert email to resubscribe."
+    });
+  }
+
+  if (model && !brand) {
+    return res.status(400).json({ error: "Brand is required when a model is given" });
+  }
+
+  // Optional criteria: stores, shoe type, minimum discount
+  const cleanStores = alertCriteria.normalizeStoreList(stores);
+  if (cleanStores && cleanStores.length > alertCriteria.MAX_ALERT_STORES) {
+    return res.status(400).json({ error: `Pick at most ${alertCriteria.MAX_ALERT_STORES} stores` });
+  }
+
+  const cleanShoeType = alertCriteria.normalizeShoeType(shoeType);
+  if (cleanShoeType === undefined) {
+    return res.status(400).json({ error: `Invalid shoe type. Use ${alertCriteria.SHOE_TYPES.join(", ")}` });
+  }
+
+  const cleanMinDiscount = alertCriteria.normalizeMinDiscount(minDiscount);
+  if (cleanMinDiscount === undefined) {
+    return res.status(400).json({ error: "Minimum discount must be between 1 and 95 percent" });
+  }
+
+  const cleanMatchMode = shoeIdentity.normalizeMatchMode(matchMode);
+  if (!cleanMatchMode) {
+    return res.status(400).json({ error: `Invalid match mode. Use ${shoeIdentity.MATCH_MODES.join(" or ")}` });
+  }
+
+  if (cleanMatchMode === "exact" && !(model && shoeIdentity.shoeIdentity(brand, model).version)) {
+    return res.status(400).json({ error: "Exact-version alerts need a model with its version, e.g. Ghost 16" });
+  }
+
+  const cleanLifetimeDays = alertsStore.normalizeLifetimeDays(lifetimeDays);
+  if (!cleanLifetimeDays) {
+    return res.status(400).json({
+      error: `Alert lifetime must be between ${alertsStore.MIN_ALERT_LIFETIME_DAYS} and ${alertsStore.MAX_ALERT_LIFETIME_DAYS} days`
+    });
+  }
+
+  if (!brand && !cleanShoeType && !cleanStores) {
+    return res.status(400).json({ error: "Choose a brand, a shoe type or at least one store" });
   }
 
-  const price = parseInt(targetPrice, 10);
-  if (!price || price <= 0) {
+  // Target price is optional when a minimum discount is set
+  const hasPrice = targetPrice != null && String(targetPrice).trim() !== "";
+  const price = hasPrice ? parseInt(targetPrice, 10) : null;
+  if (hasPrice && (!price || price <= 0)) {
     return res.status(400).json({ error: "Valid target price is required" });
   }
+  if (!price && !cleanMinDiscount) {
+    return res.status(400).json({ error: "Set a target price or a minimum discount" });
+  }
+
+  // Optional size: the alert then only matches deals that list this size as available.
+  const cleanSize = size == null || String(size).trim() === "" ? null : normalizeSize(sanitizeInput(size));
+  if (size != null && String(size).trim() !== "" && !cleanSize) {
+    return res.status(400).json({ error: "Invalid shoe size" });
+  }
+
+  const cleanSizeSystem = sizeSystem ? normalizeSizeSystem(sizeSystem) : DEFAULT_SIZE_SYSTEM;
+  if (!cleanSizeSystem) {
+    return res.status(400).json({ error: "Invalid size system. Use US, UK or EU" });
+  }
+
+  // Optional width: "standard" | "wide" | "extra-wide" | "narrow" (omit for any width)
+  const cleanWidth = width == null || String(width).trim() === "" ? null : normalizeWidth(sanitizeInput(width));
+  if (width != null && String(width).trim() !== "" && !cleanWidth) {
+    return res.status(400).json({ error: "Invalid width. Use standard, wide, extra-wide or narrow" });
+  }
 
-  const cleanEmail = sanitizeInput(email).toLowerCase();
   const cleanBrand = sanitizeInput(brand);
   const cleanModel = sanitizeInput(model);
   const cleanGender = sanitizeInput(gender);
+  const exact = cleanMatchMode === "exact" && !!cleanModel;
 
-  // Load existing alerts
-  let alerts = [];
-  try {
-    const url = await getAlertsBlobUrl();
-if (!url) return res.status(404).json({ error: "No alerts found" });
+  const clientIp = getClientIp(req);
 
-const response = await fetch(url);
-const data = await response.json();
-alerts = Array.isArray(data.alerts) ? data.alerts : [];
+  // Limit checks + insert in one transaction, serialized per IP and per email
+  const created = await alertsStore.withTransaction(pool, async (client) => {
+    if (!pushSubscription) await alertsStore.lockCreatorIp(client, clientIp);
+    await alertsStore.lockEmail(client, cleanEmail);
 
-  } catch (err) {
-    console.log("No existing alerts file, creating new one");
-  }
+    const activeCount = await alertsStore.countActiveAlerts(client, cleanEmail);
+    if (activeCount >= alertsStore.MAX_ACTIVE_ALERTS) {
+      return { limited: true, activeCount };
+    }
 
-  // Check limit: max 5 active alerts per email
-  const TTL_MS = 30 * 24 * 60 * 60 * 1000;
-  const userActiveAlerts = alerts.filter(a =>
-    a.email === cleanEmail &&
-    !a.cancelledAt &&
-    (Number(a.setAt || 0) + TTL_MS) > Date.now()
-  );
+    // Push alerts are confirmed at once; email alerts wait for the link
+    if (!pushSubscription) {
+      const pendingForEmail = await alertsStore.countPendingAlerts(client, { email: cleanEmail });
+      if (pendingForEmail >= alertsStore.MAX_PENDING_ALERTS_PER_EMAIL) {
+        return { pendingLimited: "email" };
+      }
+      const pendingForIp = await alertsStore.countPendingAlerts(client, { ip: clientIp });
+      if (pendingForIp >= alertsStore.MAX_PENDING_ALERTS_PER_IP) {
+        return { pendingLimited: "ip" };
+      }
+    }
+
+    // Pin exact-version alerts to the shoe database row when there is one
+    const shoeId = exact
+      ? await shoeIdentity.resolveShoeId(client, { brand: cleanBrand, model: cleanModel, gender: cleanGender })
+      : null;
+
+    const alert = await alertsStore.insertAlert(client, {
+      id: alertsStore.newAlertId(),
+      email: cleanEmail,
+      brand: cleanBrand,
+      model: cleanModel,
+      gender: cleanGender || "both",
+      size: cleanSize,
+      sizeSystem: cleanSize ? cleanSizeSystem : null,
+      width: cleanWidth,
+      targetPrice: price,
+      stores: cleanStores,
+      shoeType: cleanShoeType,
+      minDiscount: cleanMinDiscount,
+      matchMode: exact ? "exact" : "line",
+      shoeId,
+      lifetimeDays: cleanLifetimeDays,
+      setAt: Date.now(),
+      // The browser's permission prompt was the opt-in
+      confirmedAt: pushSubscription ? Date.now() : null,
+      createdIp: clientIp,
+    });
 
-  if (userActiveAlerts.length >= 7) {
+    const userAlerts = await alertsStore.listAlertsByEmail(client, cleanEmail);
+    return { alert, userAlerts };
+  });
+
+  if (created.limited) {
     return res.status(429).json({
-      error: "Maximum 7 active alerts per email. Please cancel an existing alert first.",
-      currentCount: userActiveAlerts.length
+      error: `Maximum ${alertsStore.MAX_ACTIVE_ALERTS} active alerts per ${pushSubscription ? "browser" : "email"}. Please cancel an existing alert first.`,
+      currentCount: created.activeCount
     });
   }
 
-  // Create new alert
-const newAlert = {
-  id: `alert_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
-  email: cleanEmail,
-  brand: cleanBrand,
-  model: cleanModel,
-  gender: cleanGender || "both",
-  targetPrice: price,
-  setAt: Date.now(),
-  cancelledAt: null,
-  lastNotifiedAt: null
-};
+  if (created.pendingLimited === "email") {
+    return res.status(429).json({
+      error: "This email address already has alerts waiting for confirmation. Please click the links in those emails first."
+    });
+  }
+  if (created.pendingLimited) {
+    return res.status(429).json({ error: "Too many unconfirmed alerts. Please confirm the ones you set first." });
+  }
 
+  const newAlert = created.alert;
 
-  alerts.push(newAlert);
+  if (pushSubscription) {
+    try {
+      await webPush.sendNotification(pushSubscription, {
+        title: "🔔 Price alert set",
+        body: `We'll notify you here when we find ${alertCriteria.describeAlert(newAlert)}.`,
+        url: `${SITE_BASE_URL}/pages/cancel_alert.html?t=${encodeURIComponent(String(t))}`,
+        tag: newAlert.id,
+      });
+      console.log(`[ALERT CREATE] Browser alert created for ${cleanEmail}`);
+    } catch (pushError) {
+      // The alert stays; a dead subscription is revoked by the next cron run
+      console.error("[ALERT CREATE] Push notification failed but alert was saved:", pushError.message);
+    }
 
-  // Save to blob
-  await put(
-    "alerts.json",
-    JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }),
-    { access: "public", addRandomSuffix: false }
-  );
+    return res.status(200).json({
+      success: true,
+      alert: newAlert,
+      pending: false,
+      message: "Alert set! We'll notify this browser when we find a match."
+    });
+  }
 
-  // Build signed manage link (valid for 30 days)
+  // Build signed manage link (valid as long as the longest alert lifetime)
   let manageUrl = `${SITE_BASE_URL}/pages/cancel_alert.html`;
   try {
-    const exp = Date.now() + TTL_MS;
+    const exp = Date.now() + alertsStore.MANAGE_LINK_TTL_MS;
     const token = signToken({ email: cleanEmail, exp });
     manageUrl = `${SITE_BASE_URL}/pages/cancel_alert.html?t=${encodeURIComponent(token)}`;
   } catch (e) {
@@ -383,166 +648,339 @@ const newAlert = {
     console.error("[ALERT CREATE] Failed to sign manage token:", e);
   }
 
+  // Signed confirmation link; the alert stays pending until it is clicked
+  let confirmUrl;
+  try {
+    const confirmToken = signToken({
+      email: cleanEmail,
+      exp: Date.now() + alertsStore.ALERT_CONFIRM_TTL_MS,
+      purpose: "confirm",
+      alertId: newAlert.id,
+    });
+    confirmUrl = `${SITE_BASE_URL}/api/alerts?confirm=${encodeURIComponent(confirmToken)}`;
+  } catch (e) {
+    console.error("[ALERT CREATE] Failed to sign confirmation token:", e);
+    return res.status(500).json({ error: "Could not create confirmation link" });
+  }
+
   // Get all user's alerts for confirmation email (include all not-cancelled; page can show status)
-  const allUserAlerts = alerts.filter(a => a.email === cleanEmail && !a.cancelledAt);
+  const allUserAlerts = created.userAlerts.filter(a => !a.cancelledAt);
 
   // Send confirmation email
   try {
-    const emailHtml = generateConfirmationEmail(newAlert, allUserAlerts, manageUrl);
+    const unsubscribeUrl = buildUnsubscribeUrl(cleanEmail);
+    const emailHtml = generateConfirmationEmail(newAlert, allUserAlerts, manageUrl, confirmUrl, unsubscribeUrl);
 
-    await sgMail.send({
+    const fromEmail = process.env.SENDGRID_ALERTS_EMAIL || process.env.SENDGRID_FROM_EMAIL;
+    if (!fromEmail) {
+      throw new Error("Missing SENDGRID_ALERTS_EMAIL (or SENDGRID_FROM_EMAIL)");
+    }
+
+    await sendMail({
       to: cleanEmail,
-      from: process.env.SENDGRID_ALERTS_EMAIL,
-      subject: `✅ Alert Confirmed: ${cleanBrand} ${cleanModel}`,
-      html: emailHtml
+      from: fromEmail,
+      subject: `📩 Confirm your alert: ${alertCriteria.describeShoe(newAlert)}${cleanSize ? ` (size ${formatSize(newAlert)})` : ""}`,
+      html: emailHtml,
+      headers: listUnsubscribeHeaders(unsubscribeUrl)
     });
 
-    console.log(`[ALERT CREATE] Alert created and confirmation sent to ${cleanEmail}`);
+    console.log(`[ALERT CREATE] Pending alert created and confirmation sent to ${cleanEmail}`);
   } catch (emailError) {
     console.error("[ALERT CREATE] Email failed but alert was saved:", emailError);
-    // Don't fail the request if email fails
+    // Don't fail the request if email fails; the pending alert expires on its own
   }
 
   return res.status(200).json({
     success: true,
     alert: newAlert,
-    message: "Alert created! Check your email for confirmation."
+    pending: true,
+    message: "Almost done! Check your email and click the link to confirm your alert."
   });
 }
 
+/** Live push subscription for a manage token from /api/push, or null. */
+async function getPushSubscriptionFromToken(t) {
+  const tok = verifyToken(String(t || ""));
+  const subscriptionId = tok && !tok.purpose ? alertsStore.pushSubscriptionIdOf(tok.email) : null;
+  if (!subscriptionId) return null;
+
+  const subscription = await alertsStore.getPushSubscription(pool, subscriptionId);
+  return subscription && !subscription.revokedAt ? subscription : null;
+}
+
 // ============================================================================
-// MANAGE ALERTS (Cancel, Update, Remove) - token-only
-// POST /api/alerts  body: { action, alertId, targetPrice?, t }
+// UNSUBSCRIBE (RFC 8058 one-click + landing page)
+// GET  /api/alerts?unsubscribe=TOKEN  -> redirects to /pages/unsubscribe.html
+// POST /api/alerts?unsubscribe=TOKEN  body: "List-Unsubscribe=One-Click" (mail client),
+//                                           {} (landing page) or { resubscribe: true }
 // ============================================================================
-async function handleManage(req, res) {
-  const { action, alertId, targetPrice, t } = req.body || {};
+async function handleUnsubscribe(req, res) {
+  const landingPage = `${SITE_BASE_URL}/pages/unsubscribe.html`;
+  const token = String(req.query.unsubscribe || "");
 
-  // Validation
-  if (!action || !alertId || !t) {
-    return res.status(400).json({ error: "Action, alert ID, and token are required" });
+  const tok = verifyToken(token);
+  const valid = !!tok && tok.purpose === "unsubscribe";
+
+  if (req.method === "GET") {
+    res.setHeader("Location", valid ? `${landingPage}?u=${encodeURIComponent(token)}` : `${landingPage}?status=invalid`);
+    return res.status(302).end();
   }
 
-  const tok = verifyToken(String(t || ""));
-  if (!tok) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!valid) {
     return res.status(401).json({ error: "Invalid or expired link" });
   }
 
   const cleanEmail = String(tok.email).trim().toLowerCase();
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+
+  if (body.resubscribe === true) {
+    await alertsStore.unsuppressEmail(pool, cleanEmail);
+    console.log(`[ALERT UNSUBSCRIBE] ${cleanEmail} resubscribed`);
+    return res.status(200).json({ success: true, unsubscribed: false, message: "You can set price alerts again" });
+  }
+
+  const source = body["List-Unsubscribe"] === "One-Click" ? "one-click" : "link";
+  const alertsCancelled = await alertsStore.suppressEmail(pool, cleanEmail, source);
+  console.log(`[ALERT UNSUBSCRIBE] ${cleanEmail} unsubscribed (${source}), ${alertsCancelled} alerts cancelled`);
+
+  return res.status(200).json({
+    success: true,
+    unsubscribed: true,
+    alertsCancelled,
+    message: "You won't receive any more alert emails"
+  });
+}
+
+// ============================================================================
+// CONFIRM ALERT (double opt-in)
+// GET /api/alerts?confirm=TOKEN  -> redirects to the manage page
+// ============================================================================
+async function handleConfirm(req, res) {
+  const managePage = `${SITE_BASE_URL}/pages/cancel_alert.html`;
+  const redirect = (url) => {
+    res.setHeader("Location", url);
+    return res.status(302).end();
+  };
+
+  const tok = verifyToken(String(req.query.confirm || ""));
+  if (!tok || tok.purpose !== "confirm" || !tok.alertId) {
+    return redirect(`${managePage}?confirm=invalid`);
+  }
+
+  const cleanEmail = String(tok.email).trim().toLowerCase();
+  const alertId = String(tok.alertId);
+
+  // Pending alerts don't count toward the limit, so check it as the alert goes live
+  const result = await alertsStore.withTransaction(pool, async (client) => {
+    await alertsStore.lockEmail(client, cleanEmail);
+    const activeCount = await alertsStore.countActiveAlerts(client, cleanEmail);
+    if (activeCount >= alertsStore.MAX_ACTIVE_ALERTS) return { limited: true };
+    return { confirmed: await alertsStore.confirmAlert(client, alertId, cleanEmail) };
+  });
+
+  let status = "confirmed";
+  if (result.confirmed) {
+    console.log(`[ALERT CONFIRM] Alert ${alertId} confirmed for ${cleanEmail}`);
+  } else {
+    // Clicking the link twice is fine; anything else is gone, cancelled or too late
+    const existing = await alertsStore.getAlert(pool, alertId, cleanEmail);
+    if (existing?.confirmedAt) status = "already";
+    else if (result.limited && existing && !existing.cancelledAt) status = "limit";
+    else status = "expired";
+  }
 
-  // Load existing alerts
-  let alerts = [];
   try {
-    const { blobs } = await list({ prefix: "alerts.json" });
-    if (blobs && blobs.length > 0) {
-      const response = await fetch(blobs[0].url);
-      const data = await response.json();
-      alerts = Array.isArray(data.alerts) ? data.alerts : [];
-    }
-  } catch (err) {
-    return res.status(404).json({ error: "No alerts found" });
+    const manageToken = signToken({ email: cleanEmail, exp: Date.now() + alertsStore.MANAGE_LINK_TTL_MS });
+    return redirect(`${managePage}?t=${encodeURIComponent(manageToken)}&confirm=${status}`);
+  } catch (e) {
+    console.error("[ALERT CONFIRM] Failed to sign manage token:", e);
+    return redirect(`${managePage}?confirm=${status}`);
   }
+}
 
-  // Find the alert
-  const alertIndex = alerts.findIndex(a =>
-    a.id === alertId &&
-    a.email === cleanEmail
-  );
+// ============================================================================
+// RENEW ALERT (one-click link from the expiry reminder email)
+// GET /api/alerts?renew=TOKEN  -> redirects to the manage page
+// ============================================================================
+async function handleRenew(req, res) {
+  const managePage = `${SITE_BASE_URL}/pages/cancel_alert.html`;
+  const redirect = (url) => {
+    res.setHeader("Location", url);
+    return res.status(302).end();
+  };
+
+  const tok = verifyToken(String(req.query.renew || ""));
+  const days = Number(tok?.days);
+  if (!tok || tok.purpose !== "renew" || !tok.alertId || !alertsStore.RENEW_LIFETIME_DAYS.includes(days)) {
+    return redirect(`${managePage}?renew=invalid`);
+  }
+
+  const cleanEmail = String(tok.email).trim().toLowerCase();
+  const alertId = String(tok.alertId);
+
+  const result = await alertsStore.withTransaction(pool, async (client) => {
+    await alertsStore.lockEmail(client, cleanEmail);
+    const alert = await alertsStore.getAlertForUpdate(client, alertId, cleanEmail);
+    if (!alert) return { error: "gone" };
+    return renewLockedAlert(client, alert, days);
+  });
 
-  if (alertIndex === -1) {
-    return res.status(404).json({ error: "Alert not found" });
+  let status = "renewed";
+  if (result.error) {
+    status = result.error === "limit" ? "limit" : "gone";
+  } else {
+    console.log(`[ALERT RENEW] Alert ${alertId} renewed for ${days} days for ${cleanEmail}`);
   }
 
-  const alert = alerts[alertIndex];
+  try {
+    const manageToken = signToken({ email: cleanEmail, exp: Date.now() + alertsStore.MANAGE_LINK_TTL_MS });
+    return redirect(`${managePage}?t=${encodeURIComponent(manageToken)}&renew=${status}&days=${days}`);
+  } catch (e) {
+    console.error("[ALERT RENEW] Failed to sign manage token:", e);
+    return redirect(`${managePage}?renew=${status}&days=${days}`);
+  }
+}
 
-  // Handle different actions
-  switch (action) {
-    case "cancel": {
-      if (alert.cancelledAt) {
-        return res.status(400).json({ error: "Alert is already cancelled" });
-      }
+/**
+ * Renew an alert locked by the caller (who also holds the email lock).
+ * Returns { alert } or { error: "cancelled" | "pending" | "limit" }.
+ */
+async function renewLockedAlert(client, alert, days) {
+  if (alert.cancelledAt) return { error: "cancelled" };
+  if (!alert.confirmedAt) return { error: "pending" };
+
+  // Reviving an expired alert makes it count toward the limit again
+  if (alertsStore.isAlertExpired(alert)) {
+    const activeCount = await alertsStore.countActiveAlerts(client, alert.email);
+    if (activeCount >= alertsStore.MAX_ACTIVE_ALERTS) return { error: "limit" };
+  }
+
+  return { alert: await alertsStore.renewAlert(client, alert.id, days) };
+}
+
+// ============================================================================
+// MANAGE ALERTS (Cancel, Update, Renew, Remove) - token-only
+// POST /api/alerts  body: { action, alertId, targetPrice?, days?, t }
+// ============================================================================
+async function handleManage(req, res) {
+  const { action, alertId, targetPrice, days, t } = req.body || {};
+
+  // Validation
+  if (!action || !alertId || !t) {
+    return res.status(400).json({ error: "Action, alert ID, and token are required" });
+  }
+
+  const tok = verifyToken(String(t || ""));
+  if (!tok || tok.purpose) {
+    return res.status(401).json({ error: "Invalid or expired link" });
+  }
 
-      alerts[alertIndex] = {
-        ...alert,
-        cancelledAt: Date.now()
-      };
+  const cleanEmail = String(tok.email).trim().toLowerCase();
 
-      await put(
-        "alerts.json",
-        JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }),
-        { access: "public", addRandomSuffix: false }
-      );
+  if (!["cancel", "update", "renew", "remove"].includes(action)) {
+    return res.status(400).json({ error: "Invalid action. Use 'cancel', 'update', 'renew', or 'remove'" });
+  }
 
-      console.log(`[ALERT CANCEL] Alert ${alertId} cancelled for ${cleanEmail}`);
+  // The alert row stays locked (FOR UPDATE) until the action commits
+  const result = await alertsStore.withTransaction(pool, async (client) => {
+    // Renewing can revive an expired alert, so it takes the same per-email lock as create
+    if (action === "renew") await alertsStore.lockEmail(client, cleanEmail);
 
-      return res.status(200).json({
-        success: true,
-        message: "Alert cancelled successfully"
-      });
+    const alert = await alertsStore.getAlertForUpdate(client, String(alertId), cleanEmail);
+    if (!alert) {
+      return { status: 404, body: { error: "Alert not found" } };
     }
 
-    case "update": {
-      const price = parseInt(targetPrice, 10);
-      if (!price || price <= 0) {
-        return res.status(400).json({ error: "Valid target price is required" });
-      }
+    switch (action) {
+      case "cancel": {
+        if (alert.cancelledAt) {
+          return { status: 400, body: { error: "Alert is already cancelled" } };
+        }
 
-      if (alert.cancelledAt) {
-        return res.status(400).json({ error: "Cannot update a cancelled alert" });
-      }
+        await alertsStore.cancelAlert(client, alert.id);
+        console.log(`[ALERT CANCEL] Alert ${alertId} cancelled for ${cleanEmail}`);
 
-      const ageDays = Math.floor((Date.now() - Number(alert.setAt || 0)) / (1000 * 60 * 60 * 24));
-      if (ageDays >= 30) {
-        return res.status(400).json({ error: "Cannot update an expired alert" });
+        return { status: 200, body: { success: true, message: "Alert cancelled successfully" } };
       }
 
-      alerts[alertIndex] = {
-        ...alert,
-        targetPrice: price,
-        setAt: Date.now(), // Reset the timer
-        lastNotifiedAt: null
-      };
-
-      await put(
-        "alerts.json",
-        JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }),
-        { access: "public", addRandomSuffix: false }
-      );
-
-      console.log(`[ALERT UPDATE] Alert ${alertId} updated for ${cleanEmail}: $${price}`);
-
-      return res.status(200).json({
-        success: true,
-        alert: alerts[alertIndex],
-        message: "Alert updated and reset to 30 days"
-      });
-    }
+      case "update": {
+        const price = parseInt(targetPrice, 10);
+        if (!price || price <= 0) {
+          return { status: 400, body: { error: "Valid target price is required" } };
+        }
+
+        if (alert.cancelledAt) {
+          return { status: 400, body: { error: "Cannot update a cancelled alert" } };
+        }
 
-    case "remove": {
-      const isCancelled = !!alert.cancelledAt;
-      const ageInDays = Math.floor((Date.now() - Number(alert.setAt || 0)) / (1000 * 60 * 60 * 24));
-      const isExpired = ageInDays >= 30;
+        if (!alert.confirmedAt) {
+          return { status: 400, body: { error: "Confirm this alert from your email first" } };
+        }
 
-      if (!isCancelled && !isExpired) {
-        return res.status(400).json({ error: "Can only remove inactive (cancelled or expired) alerts" });
+        if (alertsStore.isAlertExpired(alert)) {
+          return { status: 400, body: { error: "Cannot update an expired alert" } };
+        }
+
+        // Restarts the alert's lifetime
+        const updated = await alertsStore.updateAlertTarget(client, alert.id, price);
+        console.log(`[ALERT UPDATE] Alert ${alertId} updated for ${cleanEmail}: $${price}`);
+
+        return {
+          status: 200,
+          body: { success: true, alert: updated, message: `Alert updated and reset to ${updated.lifetimeDays} days` }
+        };
       }
 
-      alerts.splice(alertIndex, 1);
+      case "renew": {
+        const renewDays = Number(days);
+        if (!alertsStore.RENEW_LIFETIME_DAYS.includes(renewDays)) {
+          return {
+            status: 400,
+            body: { error: `Renew for ${alertsStore.RENEW_LIFETIME_DAYS.join(", ")} days` }
+          };
+        }
+
+        const renewed = await renewLockedAlert(client, alert, renewDays);
+        if (renewed.error === "cancelled") {
+          return { status: 400, body: { error: "Cannot renew a cancelled alert" } };
+        }
+        if (renewed.error === "pending") {
+          return { status: 400, body: { error: "Confirm this alert from your email first" } };
+        }
+        if (renewed.error === "limit") {
+          return {
+            status: 429,
+            body: { error: `Maximum ${alertsStore.MAX_ACTIVE_ALERTS} active alerts per email. Please cancel an existing alert first.` }
+          };
+        }
+
+        console.log(`[ALERT RENEW] Alert ${alertId} renewed for ${renewDays} days for ${cleanEmail}`);
+
+        return {
+          status: 200,
+          body: { success: true, alert: renewed.alert, message: `Alert renewed for ${renewDays} days` }
+        };
+      }
 
-      await put(
-        "alerts.json",
-        JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }),
-        { access: "public", addRandomSuffix: false }
-      );
+      case "remove": {
+        if (alert.confirmedAt && !alert.cancelledAt && !alertsStore.isAlertExpired(alert)) {
+          return { status: 400, body: { error: "Can only remove inactive (pending, cancelled or expired) alerts" } };
+        }
 
-      console.log(`[ALERT REMOVE] Alert ${alertId} removed for ${cleanEmail}`);
+        await alertsStore.deleteAlert(client, alert.id);
+        console.log(`[ALERT REMOVE] Alert ${alertId} removed for ${cleanEmail}`);
 
-      return res.status(200).json({
-        success: true,
-        message: "Alert removed successfully"
-      });
+        return { status: 200, body: { success: true, message: "Alert removed successfully" } };
+      }
     }
+  });
 
-    default:
-      return res.status(400).json({ error: "Invalid action. Use 'cancel', 'update', or 'remove'" });
-  }
+  return res.status(result.status).json(result.body);
 }
+
+// Email rendering, for test/email
+module.exports.generateConfirmationEmail = generateConfirmationEmail;
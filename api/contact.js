@@ -1,17 +1,13 @@
 // api/contact.js
-// Contact form submission endpoint using SendGrid
+// Contact form submission endpoint (SendGrid by default; see lib/mailer.js for
+// the MAIL_TRANSPORT=smtp|file alternatives)
 
-const sgMail = require("@sendgrid/mail");
+const { sendMail, isMailConfigured } = require("../lib/mailer");
 
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
 const CONTACT_EMAIL = process.env.CONTACT_EMAIL;          // where YOU receive messages
 const FROM_EMAIL =
   process.env.SENDGRID_FROM_EMAIL || CONTACT_EMAIL || "contact@shoebeagle.com";
 
-if (SENDGRID_API_KEY) {
-  sgMail.setApiKey(SENDGRID_API_KEY);
-}
-
 module.exports = async (req, res) => {
   // Only allow POST
   if (req.method !== "POST") {
@@ -19,8 +15,8 @@ module.exports = async (req, res) => {
   }
 
   // Check config
-  if (!SENDGRID_API_KEY || !CONTACT_EMAIL) {
-    console.error("Missing SENDGRID_API_KEY or CONTACT_EMAIL env vars.");
+  if (!isMailConfigured() || !CONTACT_EMAIL) {
+    console.error("Missing mail transport config (SENDGRID_API_KEY / SMTP_HOST) or CONTACT_EMAIL env vars.");
     return res
       .status(500)
       .json({ error: "Email service not configured on the server." });
@@ -65,8 +61,7 @@ ${message}
       `,
     };
 
-    // Send via SendGrid
-    await sgMail.send(mail);
+    await sendMail(mail);
 
     return res.status(200).json({
       success: true,
@@ -1,48 +1,126 @@
 // /api/cron/check-alerts.js
 //
-// Checks active price alerts against cached deals (deals.json) and emails matches.
+// Checks active price alerts (Postgres, sb_price_alerts) against cached deals
+// (deals.json) and emails matches. Every attempted email is logged in
+// sb_alert_notifications (see lib/alertsStore.js).
 //
 // DEAL SCHEMA (per your blob):
 //   brand, model, salePrice, originalPrice, discountPercent, store,
-//   listingURL, imageURL, gender, shoeType
+//   listingURL, imageURL, gender, shoeType, width?, sizesAvailable?, sizeSystem?
 //
 // ALERT SCHEMA (expected):
 //   id, email, brand, model, targetPrice, setAt (ms or ISO),
-//   cancelledAt?, lastNotifiedAt?
+//   size?, sizeSystem?, width?, cancelledAt?, lastNotifiedAt?,
+//   stores?, shoeType?, minDiscount?   (lib/alertCriteria.js)
 //
 // Notes:
-// - Matching is brand/model fuzzy-ish (token prefix + squashed fallback)
-// - Price match uses salePrice <= targetPrice
+// - Brand/model matching uses canonical shoe identity (lib/shoeIdentity.js):
+//   matchMode "line" = same brand + line, any version ("Ghost" is not "Ghost Max");
+//   "exact" = same sb_shoe_database shoe_id (deal ids come from sb_shoe_deals),
+//   falling back to same line + version when either side has no id
+// - Only new listings and further price drops are emailed: each alert remembers the
+//   store + listingURL + price it already sent (sb_alert_notified_listings), and a
+//   listing is sent again only when its price falls below the remembered one
+// - Delivery follows each email's preference (sb_alert_email_preferences):
+//   "instant" sends one email per alert (at most once per 24h per alert);
+//   "daily" / "weekly" send one digest per email covering every alert with new
+//   matches, once a day / week. Listings only count as sent once a digest goes
+//   out, so a weekly digest carries every new listing still live on digest day
+// - An email shows the cheapest MAX_EMAIL_DEALS matches (MAX_DIGEST_DEALS per alert
+//   in a digest); only those count as sent, the rest go out in the next one
+// - ?dryRun=true sends nothing and writes nothing; it reports, per alert, the deals
+//   where the old token-prefix matching and the canonical matching disagree
+// - Price match uses salePrice <= targetPrice (skipped for discount-only alerts)
+// - An empty model matches any model of the brand; an empty brand any brand
+// - Optional criteria: deal.store in stores, deal.shoeType === shoeType,
+//   discountPercent >= minDiscount
+// - Alerts with a size only match deals whose sizesAvailable lists that size
+//   (deals without size data never match a size-specific alert)
+// - Alerts with a width only match deals of that width (deals without one are "standard")
+// - Alerts expire at expiresAt (their own lifetime, see lib/alertsStore.js). Once,
+//   EXPIRY_REMINDER_DAYS before that, the owner gets a reminder with signed
+//   one-click renew links (30/60/90 days, GET /api/alerts?renew=TOKEN)
+// - Pending (unconfirmed, double opt-in) alerts are skipped; pending alerts whose
+//   confirmation link has expired are deleted at the start of each run
 // - Email shows salePrice + strikethrough originalPrice (when original > sale)
-// - Email footer includes: "This is an automated email..." line
+// - Email footer includes: "This is an automated email..." line and an unsubscribe
+//   link; every send carries RFC 8058 List-Unsubscribe headers (see api/alerts.js).
+//   Unsubscribed (suppressed) addresses never get alert emails
 // - Images are displayed in a 4:3 container (240x180) without warping (object-fit: contain)
+// - Browser alerts (owner "push:<id>", see api/push.js) go through the same matching
+//   and listing memory but are delivered as Web Push notifications (lib/webPush.js):
+//   the cheapest new deal opens on click; the expiry reminder opens the manage page
+//   to renew. Always instant (no digests). A subscription the push service reports
+//   gone (404/410) is revoked, which cancels its alerts
 //
 // SECURITY / UX UPDATE:
 // - "Manage Alerts" button now uses a signed token link (no ?email=).
 // - Requires env var ALERTS_LINK_SECRET (same one you already created).
 //
 // REQUIRED ENV VARS:
-// - SENDGRID_API_KEY
+// - DATABASE_URL
+// - SENDGRID_API_KEY (or MAIL_TRANSPORT=smtp|file, see lib/mailer.js)
 // - ALERTS_LINK_SECRET
 // - CRON_SECRET (if you lock down cron)
 // - SENDGRID_ALERTS_EMAIL (recommended; falls back to SENDGRID_FROM_EMAIL if present)
 //
 // OPTIONAL ENV VARS:
 // - SITE_BASE_URL (defaults to https://shoebeagle.com)
+// - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (browser notification alerts)
 
-const { list, put } = require("@vercel/blob");
-const sgMail = require("@sendgrid/mail");
+const { list } = require("@vercel/blob");
+const { Pool } = require("pg");
 const crypto = require("crypto");
-
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+const { dealHasSize } = require("../../lib/sizes");
+const { sendMail } = require("../../lib/mailer");
+const { sendNotification } = require("../../lib/webPush");
+const {
+  listActiveAlerts,
+  recordNotification,
+  expirePendingAlerts,
+  listingKey,
+  getNotifiedListings,
+  markExpiryReminded,
+  isExpiryReminderDue,
+  alertDaysLeft,
+  alertExpiresAtMs,
+  MANAGE_LINK_TTL_MS,
+  UNSUBSCRIBE_LINK_TTL_MS,
+  RENEW_LIFETIME_DAYS,
+  getEmailPreferencesMap,
+  markDigestSent,
+  DEFAULT_DIGEST_MODE,
+  isPushOwner,
+  getPushSubscriptionsMap,
+  revokePushSubscription,
+} = require("../../lib/alertsStore");
+const { dealDiscountPercent, storeMatches, describeAlert } = require("../../lib/alertCriteria");
+const { shoeIdentity, identityMatches } = require("../../lib/shoeIdentity");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
 
 const SITE_BASE_URL = (process.env.SITE_BASE_URL || "https://shoebeagle.com").replace(/\/+$/, "");
 const LINK_SECRET = process.env.ALERTS_LINK_SECRET || "";
 
+// Renew links in the reminder keep working for a week after the alert expires
+const RENEW_LINK_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DIGEST_INTERVAL_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+// A cron run that starts a little earlier than yesterday's shouldn't skip a day
+const DIGEST_SLACK_MS = 60 * 60 * 1000;
+
+const MAX_EMAIL_DEALS = 12;
+const MAX_DIGEST_DEALS = 6;
+
 // -----------------------------
 // Token helpers (HMAC signed)
 // token format: base64url(jsonPayload) + "." + base64url(hmac(payload))
-// payload: { email, exp }
+// payload: { email, exp }                                 manage links
+//          { email, exp, purpose: "renew", alertId, days }  renew links
+//          { email, exp, purpose: "unsubscribe" }         unsubscribe links
 // -----------------------------
 function b64urlEncode(str) {
   return Buffer.from(str, "utf8")
@@ -117,9 +195,12 @@ function safeUrl(u) {
 }
 
 // -----------------------------
-// Matching (brand/model + price)
+// Matching (brand/model + price + optional criteria)
 // -----------------------------
-function dealMatchesAlert(deal, alert) {
+
+// Old token-prefix + squashed-substring matching; only used by the dry run to
+// report where it disagrees with the canonical identity
+function legacyNameMatches(deal, alert) {
   const dealBrandTokens = tokenize(deal.brand || "");
   const dealModelTokens = tokenize(deal.model || "");
   const dealSquashed = squash(`${deal.brand || ""} ${deal.model || ""}`);
@@ -149,13 +230,145 @@ function dealMatchesAlert(deal, alert) {
     }
   }
 
-  // Price matching (salePrice vs targetPrice)
+  return brandMatches && modelMatches;
+}
+
+// Identities are parsed once per run, not once per alert x deal
+const identityCache = new WeakMap();
+
+function cachedIdentity(obj) {
+  if (!identityCache.has(obj)) {
+    identityCache.set(obj, shoeIdentity(obj.brand, obj.model, { version: obj.version }));
+  }
+  return identityCache.get(obj);
+}
+
+function canonicalNameMatches(deal, alert, dealShoeIds) {
+  if (!alert.brand) return true;
+
+  const dealShoeId = dealShoeIds?.get(String(deal.listingURL || "").trim()) ?? null;
+  return identityMatches(cachedIdentity(alert), cachedIdentity(deal), alert.matchMode, {
+    alert: alert.shoeId,
+    deal: dealShoeId,
+  });
+}
+
+function criteriaMatch(deal, alert) {
+  // Price matching (salePrice vs targetPrice; discount-only alerts have no target)
   const dealPrice = toNumber(deal.salePrice);
   const targetPrice = toNumber(alert.targetPrice);
-  const priceMatches =
-    Number.isFinite(dealPrice) && Number.isFinite(targetPrice) && dealPrice <= targetPrice;
+  const priceMatches = alert.targetPrice
+    ? Number.isFinite(dealPrice) && Number.isFinite(targetPrice) && dealPrice <= targetPrice
+    : Number.isFinite(dealPrice);
+
+  // Discount matching (only when the alert asks for a minimum discount)
+  const discount = dealDiscountPercent(deal);
+  const discountMatches = !alert.minDiscount || (discount != null && discount >= alert.minDiscount);
+
+  // Store / shoe type matching (only when the alert limits them)
+  const storesMatch = storeMatches(deal, alert.stores);
+  const typeMatches = !alert.shoeType || normalizeStr(deal.shoeType) === alert.shoeType;
+
+  // Size matching (only when the alert asks for a size)
+  const sizeMatches = !alert.size || dealHasSize(deal, alert.size, alert.sizeSystem);
+
+  // Width matching (only when the alert asks for a width)
+  const widthMatches = !alert.width || String(deal.width || "standard") === alert.width;
+
+  return priceMatches && discountMatches && storesMatch && typeMatches && sizeMatches && widthMatches;
+}
+
+/**
+ * dealShoeIds: Map listingURL -> sb_shoe_database id (from sb_shoe_deals), used by
+ * exact-version alerts. `legacy` switches to the old name matching.
+ */
+function dealMatchesAlert(deal, alert, { dealShoeIds = null, legacy = false } = {}) {
+  const nameMatches = legacy ? legacyNameMatches(deal, alert) : canonicalNameMatches(deal, alert, dealShoeIds);
+  return nameMatches && criteriaMatch(deal, alert);
+}
+
+/** listingURL -> shoe_id for today's imported deals; empty when the import hasn't linked any. */
+async function loadDealShoeIds(db) {
+  try {
+    const { rows } = await db.query(
+      `SELECT listing_url, shoe_id FROM sb_shoe_deals WHERE shoe_id IS NOT NULL AND listing_url <> ''`
+    );
+    return new Map(rows.map((r) => [String(r.listing_url).trim(), Number(r.shoe_id)]));
+  } catch (err) {
+    console.error("[CRON] Could not load deal shoe ids; exact alerts fall back to line + version:", err.message);
+    return new Map();
+  }
+}
+
+/**
+ * Matches the alert hasn't emailed yet, or whose price dropped below the last
+ * emailed price (those get `previousPrice`).
+ */
+function newOrCheaperMatches(matches, notified) {
+  const out = [];
+
+  for (const deal of matches) {
+    const key = listingKey(deal);
+    if (!key || !notified || !notified.has(key)) {
+      out.push(deal);
+      continue;
+    }
+
+    const lastPrice = notified.get(key);
+    const price = toNumber(deal.salePrice);
+    if (lastPrice != null && Number.isFinite(price) && price < lastPrice - 0.005) {
+      out.push({ ...deal, previousPrice: lastPrice });
+    }
+  }
 
-  return brandMatches && modelMatches && priceMatches;
+  return out;
+}
+
+function describeDeal(deal) {
+  return {
+    brand: deal.brand || "",
+    model: deal.model || "",
+    store: deal.store || "",
+    salePrice: deal.salePrice ?? null,
+    listingURL: deal.listingURL || "",
+  };
+}
+
+/** Dry run: old vs canonical matches per alert, only where they differ. */
+function compareMatching(alerts, deals, dealShoeIds) {
+  const mismatches = [];
+
+  for (const alert of alerts) {
+    const legacyOnly = [];
+    const canonicalOnly = [];
+    let legacyCount = 0;
+    let canonicalCount = 0;
+
+    for (const deal of deals) {
+      const before = dealMatchesAlert(deal, alert, { legacy: true });
+      const after = dealMatchesAlert(deal, alert, { dealShoeIds });
+      if (before) legacyCount++;
+      if (after) canonicalCount++;
+      if (before && !after) legacyOnly.push(describeDeal(deal));
+      if (after && !before) canonicalOnly.push(describeDeal(deal));
+    }
+
+    if (legacyOnly.length || canonicalOnly.length) {
+      const identity = cachedIdentity(alert);
+      mismatches.push({
+        alertId: alert.id,
+        alert: describeAlert(alert),
+        matchMode: alert.matchMode || "line",
+        identity: { brand: identity.brand, line: identity.line, version: identity.version, known: identity.known },
+        legacyCount,
+        canonicalCount,
+        legacyOnly: legacyOnly.slice(0, 20),
+        canonicalOnly: canonicalOnly.slice(0, 20),
+      });
+    }
+  }
+
+  return mismatches;
 }
 
 // -----------------------------
@@ -168,13 +381,12 @@ function formatActiveText(daysLeft) {
 }
 
 function buildManageAlertsUrl(email) {
-  // Token valid for 30 days from send time
-  const TTL_MS = 30 * 24 * 60 * 60 * 1000;
+  // Token valid as long as the longest alert lifetime
   const base = `${SITE_BASE_URL}/pages/cancel_alert.html`;
 
   try {
     const cleanEmail = normalizeStr(email);
-    const exp = Date.now() + TTL_MS;
+    const exp = Date.now() + MANAGE_LINK_TTL_MS;
     const token = signToken({ email: cleanEmail, exp });
     return `${base}?t=${encodeURIComponent(token)}`;
   } catch (e) {
@@ -184,86 +396,300 @@ function buildManageAlertsUrl(email) {
   }
 }
 
-function generateMatchEmail(alert, matches, daysLeft) {
-  const sorted = [...matches].sort((a, b) => toNumber(a.salePrice) - toNumber(b.salePrice));
-  const topDeals = sorted.slice(0, 12);
+/** Signed one-click unsubscribe URL; "" when it can't be signed. */
+function buildUnsubscribeUrl(email) {
+  try {
+    const token = signToken({ email: normalizeStr(email), exp: Date.now() + UNSUBSCRIBE_LINK_TTL_MS, purpose: "unsubscribe" });
+    return `${SITE_BASE_URL}/api/alerts?unsubscribe=${encodeURIComponent(token)}`;
+  } catch (e) {
+    console.error("[CRON] Failed to sign unsubscribe token:", e);
+    return "";
+  }
+}
+
+// RFC 8058 one-click: mail clients POST "List-Unsubscribe=One-Click" to the URL
+function listUnsubscribeHeaders(unsubscribeUrl) {
+  if (!unsubscribeUrl) return undefined;
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+function unsubscribeFooterHtml(unsubscribeUrl) {
+  if (!unsubscribeUrl) return "";
+  return `
+        <p style="margin:6px 0 0;">
+          Don’t want alert emails from Shoe Beagle? <a href="${unsubscribeUrl}" style="color:#214478;">Unsubscribe</a>
+        </p>`;
+}
+
+/** { days, url } per renew option; null when links can't be signed. */
+function buildRenewUrls(alert) {
+  try {
+    const exp = alertExpiresAtMs(alert) + RENEW_LINK_GRACE_MS;
+    return RENEW_LIFETIME_DAYS.map((days) => {
+      const token = signToken({ email: normalizeStr(alert.email), exp, purpose: "renew", alertId: alert.id, days });
+      return { days, url: `${SITE_BASE_URL}/api/alerts?renew=${encodeURIComponent(token)}` };
+    });
+  } catch (e) {
+    console.error("[CRON] Failed to sign renew token:", e);
+    return null;
+  }
+}
+
+function generateReminderEmail(alert, renewUrls, daysLeft, unsubscribeUrl) {
+  const alertSummary = escapeHtml(describeAlert(alert));
+  const alertSize = alert.size ? ` in size ${escapeHtml(`${alert.sizeSystem || "US"} ${alert.size}`)}` : "";
+  const manageUrl = buildManageAlertsUrl(alert.email);
+
+  const renewButtons = renewUrls
+    .map(
+      ({ days, url }) => `
+        <a href="${url}"
+           style="display:inline-block; margin:0 4px 8px; padding:12px 22px; background:#28a745; color:#fff;
+                  text-decoration:none; border-radius:8px; font-size:14px; font-weight:bold;">
+          Renew for ${days} days
+        </a>`
+    )
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html>
+<body style="margin:0; padding:0; font-family:Arial,sans-serif; background:#f4ede3;">
+  <div style="max-width:600px; margin:0 auto; padding:20px;">
+    <div style="background:#fff; border-radius:12px; padding:28px;">
+
+      <div style="text-align:center; margin-bottom:22px;">
+        <a href="${SITE_BASE_URL}">
+          <img src="${SITE_BASE_URL}/images/email_logo.png"
+               alt="Shoe Beagle"
+               style="max-width:300px; height:auto; border:0;" />
+        </a>
+      </div>
+
+      <h1 style="color:#214478; font-size:24px; margin:0 0 12px;">
+        Your Alert Is About to Expire
+      </h1>
+
+      <p style="font-size:16px; line-height:1.6; margin:0 0 18px;">
+        Marty will stop watching for <strong>${alertSummary}</strong>${alertSize}
+        in ${daysLeft} day${daysLeft === 1 ? "" : "s"}.
+        Want him to keep looking? Renew with one click:
+      </p>
+
+      <div style="text-align:center; margin:0 0 18px;">
+        ${renewButtons}
+      </div>
+
+      <p style="font-size:13px; color:#666; margin:0 0 18px; text-align:center;">
+        Renewing starts the chosen period from today. If you no longer need this alert, just ignore this email.
+      </p>
+
+      <div style="margin-top:24px; padding-top:18px; border-top:1px solid #ddd; text-align:center;">
+        <a href="${manageUrl}"
+           style="display:inline-block; padding:12px 30px; background:#214478; color:#fff;
+                  text-decoration:none; border-radius:8px; font-size:14px; font-weight:bold;">
+          Manage Alerts
+        </a>
+      </div>
+
+      <div style="margin-top:22px; font-size:12px; color:#666; border-top:1px solid #ddd; padding-top:16px;">
+        <p style="margin:0;">
+          This is an automated email from Shoe Beagle. Replies to this address aren’t monitored.
+        </p>${unsubscribeFooterHtml(unsubscribeUrl)}
+      </div>
+
+    </div>
+  </div>
+</body>
+</html>
+`.trim();
+}
+
+function dealCardHtml(deal) {
+  const sale = toNumber(deal.salePrice);
+  const original = toNumber(deal.originalPrice);
+  const showOriginal =
+    Number.isFinite(original) && Number.isFinite(sale) && original > sale;
+  const previous = toNumber(deal.previousPrice);
+  const dropped = Number.isFinite(previous) && Number.isFinite(sale) && previous > sale;
+
+  const brand = escapeHtml(deal.brand || "");
+  const model = escapeHtml(deal.model || "");
+  const store = escapeHtml(deal.store || "");
+
+  const img = safeUrl(deal.imageURL);
+  const url = safeUrl(deal.listingURL);
+
+  return `
+    <div style="border:1px solid #ddd; border-radius:12px; padding:16px; margin-bottom:16px; background:#f9f9f9;">
+
+      <div style="
+        width:240px;
+        height:180px; /* 4:3 */
+        background:#ffffff;
+        display:flex;
+        align-items:center;
+        justify-content:center;
+        margin:0 0 12px 0;
+        border-radius:8px;
+        overflow:hidden;
+      ">
+        ${
+          img
+            ? `<img src="${img}" alt="${brand} ${model}" style="max-width:100%; max-height:100%; object-fit:contain; display:block; border:0;" />`
+            : ""
+        }
+      </div>
+
+      <h3 style="margin:0 0 8px; color:#214478; font-size:16px;">
+        ${brand} ${model}
+      </h3>
+
+      <p style="margin:4px 0; font-size:14px;">
+        <strong>Store:</strong> ${store}
+      </p>
+
+      <p style="margin:6px 0; font-size:14px;">
+        <strong>Price:</strong>
+        <span style="color:#dc3545; font-size:18px; font-weight:bold;">
+          $${money(sale)}
+        </span>
+        ${
+          showOriginal
+            ? `<span style="text-decoration:line-through; color:#999; margin-left:8px;">
+                 $${money(original)}
+               </span>`
+            : ""
+        }
+      </p>
+
+      ${
+        dropped
+          ? `<p style="margin:4px 0; font-size:14px; color:#1f6a2a; font-weight:bold;">
+               Price dropped from $${money(previous)}
+             </p>`
+          : ""
+      }
+
+      ${
+        url
+          ? `<a href="${url}"
+               style="display:inline-block; margin-top:10px; padding:10px 18px;
+                      background:#214478; color:#fff; text-decoration:none;
+                      border-radius:8px; font-size:14px;">
+              View Deal
+            </a>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+/** The cheapest `limit` matches: what an email shows, and so what counts as sent. */
+function topDeals(matches, limit) {
+  return [...matches].sort((a, b) => toNumber(a.salePrice) - toNumber(b.salePrice)).slice(0, limit);
+}
 
-  const dealsHtml = topDeals
-    .map((deal) => {
-      const sale = toNumber(deal.salePrice);
-      const original = toNumber(deal.originalPrice);
-      const showOriginal =
-        Number.isFinite(original) && Number.isFinite(sale) && original > sale;
+function isDigestDue(prefs, nowMs) {
+  const interval = DIGEST_INTERVAL_MS[prefs?.digestMode];
+  if (!interval) return false;
+  return !prefs.lastDigestAt || nowMs - prefs.lastDigestAt >= interval - DIGEST_SLACK_MS;
+}
 
-      const brand = escapeHtml(deal.brand || "");
-      const model = escapeHtml(deal.model || "");
-      const store = escapeHtml(deal.store || "");
+function generateDigestEmail(email, sections, digestMode, unsubscribeUrl) {
+  const manageUrl = buildManageAlertsUrl(email);
+  const totalMatches = sections.reduce((n, s) => n + s.matches.length, 0);
 
-      const img = safeUrl(deal.imageURL);
-      const url = safeUrl(deal.listingURL);
+  const sectionsHtml = sections
+    .map(({ alert, matches, daysLeft }) => {
+      const shown = topDeals(matches, MAX_DIGEST_DEALS);
+      const alertSize = alert.size ? ` in size ${escapeHtml(`${alert.sizeSystem || "US"} ${alert.size}`)}` : "";
+      const more = matches.length - shown.length;
 
       return `
-        <div style="border:1px solid #ddd; border-radius:12px; padding:16px; margin-bottom:16px; background:#f9f9f9;">
-
-          <div style="
-            width:240px;
-            height:180px; /* 4:3 */
-            background:#ffffff;
-            display:flex;
-            align-items:center;
-            justify-content:center;
-            margin:0 0 12px 0;
-            border-radius:8px;
-            overflow:hidden;
-          ">
-            ${
-              img
-                ? `<img src="${img}" alt="${brand} ${model}" style="max-width:100%; max-height:100%; object-fit:contain; display:block; border:0;" />`
-                : ""
-            }
-          </div>
-
-          <h3 style="margin:0 0 8px; color:#214478; font-size:16px;">
-            ${brand} ${model}
-          </h3>
-
-          <p style="margin:4px 0; font-size:14px;">
-            <strong>Store:</strong> ${store}
-          </p>
-
-          <p style="margin:6px 0; font-size:14px;">
-            <strong>Price:</strong>
-            <span style="color:#dc3545; font-size:18px; font-weight:bold;">
-              $${money(sale)}
-            </span>
-            ${
-              showOriginal
-                ? `<span style="text-decoration:line-through; color:#999; margin-left:8px;">
-                     $${money(original)}
-                   </span>`
-                : ""
-            }
-          </p>
-
-          ${
-            url
-              ? `<a href="${url}"
-                   style="display:inline-block; margin-top:10px; padding:10px 18px;
-                          background:#214478; color:#fff; text-decoration:none;
-                          border-radius:8px; font-size:14px;">
-                  View Deal
-                </a>`
-              : ""
-          }
-        </div>
+      <h2 style="color:#214478; font-size:18px; margin:24px 0 6px;">
+        ${escapeHtml(describeAlert(alert))}${alertSize}
+      </h2>
+      <p style="font-size:13px; color:#666; margin:0 0 12px;">
+        ${matches.length} new deal${matches.length === 1 ? "" : "s"} or price drop${matches.length === 1 ? "" : "s"}
+        · alert active ${formatActiveText(daysLeft)}
+      </p>
+
+      ${shown.map(dealCardHtml).join("")}
+
+      ${more > 0 ? `<p style="font-size:13px; color:#666; margin:0 0 12px;">+${more} more in your next digest, or now on <a href="${SITE_BASE_URL}" style="color:#214478;">shoebeagle.com</a></p>` : ""}
       `;
     })
     .join("");
 
+  return `
+<!DOCTYPE html>
+<html>
+<body style="margin:0; padding:0; font-family:Arial,sans-serif; background:#f4ede3;">
+  <div style="max-width:600px; margin:0 auto; padding:20px;">
+    <div style="background:#fff; border-radius:12px; padding:28px;">
+
+      <div style="text-align:center; margin-bottom:22px;">
+        <a href="${SITE_BASE_URL}">
+          <img src="${SITE_BASE_URL}/images/email_logo.png"
+               alt="Shoe Beagle"
+               style="max-width:300px; height:auto; border:0;" />
+        </a>
+      </div>
+
+      <h1 style="color:#214478; font-size:24px; margin:0 0 12px;">
+        Your ${digestMode === "weekly" ? "Weekly" : "Daily"} Shoe Beagle Digest
+      </h1>
+
+      <p style="font-size:16px; line-height:1.6; margin:0 0 18px;">
+        Marty found <strong>${totalMatches}</strong> new deal${totalMatches === 1 ? "" : "s"} or price drop${totalMatches === 1 ? "" : "s"}
+        across <strong>${sections.length}</strong> of your alerts.
+      </p>
+
+      ${sectionsHtml}
+
+      <div style="margin-top:24px; padding-top:18px; border-top:1px solid #ddd; text-align:center;">
+        <p style="font-size:14px; color:#666; margin:0 0 14px;">
+          <strong>Manage alerts or switch to instant emails using your secure link:</strong>
+        </p>
+
+        <a href="${manageUrl}"
+           style="display:inline-block; padding:12px 30px; background:#214478; color:#fff;
+                  text-decoration:none; border-radius:8px; font-size:14px; font-weight:bold;">
+          Manage Alerts
+        </a>
+      </div>
+
+      <div style="margin-top:22px; font-size:12px; color:#666; border-top:1px solid #ddd; padding-top:16px;">
+        <p style="margin:0 0 6px;">
+          This is an automated email from Shoe Beagle. Replies to this address aren’t monitored.
+        </p>
+        <p style="margin:0;">
+          Shoe Beagle does not sell products directly and is not responsible for retailer pricing or availability.
+        </p>${unsubscribeFooterHtml(unsubscribeUrl)}
+      </div>
+
+    </div>
+  </div>
+</body>
+</html>
+`.trim();
+}
+
+function generateMatchEmail(alert, matches, daysLeft, unsubscribeUrl) {
+  const shown = topDeals(matches, MAX_EMAIL_DEALS);
+  const more = matches.length - shown.length;
+
+  const dealsHtml = shown.map(dealCardHtml).join("");
+
   const activeText = formatActiveText(daysLeft);
 
-  const alertBrand = escapeHtml(alert.brand || "");
-  const alertModel = escapeHtml(alert.model || "");
+  const alertSummary = escapeHtml(describeAlert(alert));
+  const alertSize = alert.size ? ` in size ${escapeHtml(`${alert.sizeSystem || "US"} ${alert.size}`)}` : "";
+  const alertWidth = alert.width && alert.width !== "standard" ? ` (${escapeHtml(alert.width.replace("-", " "))})` : "";
   const manageUrl = buildManageAlertsUrl(alert.email);
 
   return `
@@ -286,8 +712,8 @@ function generateMatchEmail(alert, matches, daysLeft) {
       </h1>
 
       <p style="font-size:16px; line-height:1.6; margin:0 0 18px;">
-        We have <strong>${matches.length}</strong> deal${matches.length === 1 ? "" : "s"} for
-        <strong>${alertBrand} ${alertModel}</strong> at or below your target price.
+        We have <strong>${matches.length}</strong> new deal${matches.length === 1 ? "" : "s"} or price drop${matches.length === 1 ? "" : "s"} for
+        <strong>${alertSummary}</strong>${alertWidth}${alertSize}.
       </p>
 
       <h2 style="color:#214478; font-size:18px; margin:18px 0 12px;">
@@ -296,6 +722,8 @@ function generateMatchEmail(alert, matches, daysLeft) {
 
       ${dealsHtml}
 
+      ${more > 0 ? `<p style="font-size:13px; color:#666; margin:0 0 12px;">+${more} more in our next update, or now on <a href="${SITE_BASE_URL}" style="color:#214478;">shoebeagle.com</a></p>` : ""}
+
       <div style="margin-top:22px; padding:16px; background:#f4ede3; border-radius:10px;">
         <p style="margin:0; font-size:14px;">
           <strong>Your alert will remain active ${activeText}</strong>.
@@ -330,7 +758,7 @@ function generateMatchEmail(alert, matches, daysLeft) {
         </p>
         <p style="margin:0;">
           Shoe Beagle does not sell products directly and is not responsible for retailer pricing or availability.
-        </p>
+        </p>${unsubscribeFooterHtml(unsubscribeUrl)}
       </div>
 
     </div>
@@ -343,6 +771,55 @@ function generateMatchEmail(alert, matches, daysLeft) {
 // -----------------------------
 // Handler
 // -----------------------------
+// -----------------------------
+// Browser (Web Push) notifications
+// -----------------------------
+function buildMatchPush(alert, matches) {
+  const best = [...matches].sort((a, b) => toNumber(a.salePrice) - toNumber(b.salePrice))[0];
+  const price = toNumber(best.salePrice);
+  const more = matches.length - 1;
+
+  return {
+    title: `🎉 ${matches.length} Deal${matches.length === 1 ? "" : "s"} Found: ${describeAlert(alert)}`,
+    body:
+      `$${money(price)} at ${best.store || "a store"}` +
+      (best.previousPrice ? ` (was $${money(best.previousPrice)})` : "") +
+      (more ? ` + ${more} more` : ""),
+    url: safeUrl(best.listingURL) || buildManageAlertsUrl(alert.email),
+    tag: alert.id,
+  };
+}
+
+function buildReminderPush(alert, daysLeft) {
+  return {
+    title: `⏰ Your alert expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`,
+    body: `${describeAlert(alert)}. Tap to renew it.`,
+    url: buildManageAlertsUrl(alert.email),
+    tag: `${alert.id}:expiry`,
+  };
+}
+
+/**
+ * Notify the browser that owns a push alert. A subscription the push service
+ * reports gone is revoked (cancelling its alerts) and dropped from
+ * `subscriptions`, then the error is rethrown like any other send failure.
+ */
+async function sendAlertPush(subscriptions, alert, payload) {
+  const subscription = subscriptions.get(alert.email);
+  if (!subscription) throw new Error("Push subscription revoked");
+
+  try {
+    await sendNotification(subscription, payload);
+  } catch (err) {
+    if (err.gone) {
+      subscriptions.delete(alert.email);
+      const cancelled = await revokePushSubscription(pool, subscription.id).catch(() => 0);
+      console.log(`[CRON] Push subscription ${subscription.id} is gone; revoked, ${cancelled} alerts cancelled`);
+    }
+    throw err;
+  }
+}
+
 module.exports = async (req, res) => {
   // Verify cron secret
   const authHeader = req.headers.authorization;
@@ -373,40 +850,73 @@ module.exports = async (req, res) => {
     const deals = Array.isArray(dealsData.deals) ? dealsData.deals : [];
     console.log(`[CRON] Loaded ${deals.length} deals`);
 
-    // Load alerts.json
-    console.log("[CRON] Loading alerts...");
-    const { blobs: alertBlobs } = await list({ prefix: "alerts.json" });
+    const now = Date.now();
+    const dryRun = String(req.query?.dryRun || "").toLowerCase() === "true";
+    const dealShoeIds = await loadDealShoeIds(pool);
+
+    if (dryRun) {
+      const alerts = await listActiveAlerts(pool, now);
+      const mismatches = compareMatching(alerts, deals, dealShoeIds);
+      console.log(`[CRON] Dry run: ${mismatches.length} of ${alerts.length} alerts match differently`);
 
-    if (!alertBlobs || alertBlobs.length === 0) {
-      console.log("[CRON] No alerts file found");
       return res.status(200).json({
         success: true,
-        message: "No alerts to check",
-        alertsChecked: 0,
-        emailsSent: 0,
+        dryRun: true,
+        alertsChecked: alerts.length,
+        dealsChecked: deals.length,
+        dealsWithShoeId: dealShoeIds.size,
+        alertsWithMismatches: mismatches.length,
+        mismatches,
+        duration: Date.now() - startTime,
       });
     }
 
-    const alertBlob = alertBlobs.find((b) => b.pathname === "alerts.json") || alertBlobs[0];
+    // Drop pending alerts nobody confirmed in time
+    const pendingExpired = await expirePendingAlerts(pool, now);
+    if (pendingExpired) console.log(`[CRON] Deleted ${pendingExpired} unconfirmed alerts`);
 
-    const alertsResponse = await fetch(alertBlob.url);
-    if (!alertsResponse.ok) {
-      throw new Error(`Failed to fetch alerts.json (${alertsResponse.status})`);
-    }
+    // Load active alerts (confirmed, not cancelled, not expired)
+    console.log("[CRON] Loading alerts...");
+    const activeAlerts = await listActiveAlerts(pool, now);
 
-    const alertsData = await alertsResponse.json();
-    let alerts = Array.isArray(alertsData.alerts) ? alertsData.alerts : [];
+    console.log(`[CRON] Found ${activeAlerts.length} active alerts`);
 
-    // Filter active alerts only (not cancelled, not expired)
-    const now = Date.now();
-    const activeAlerts = alerts.filter((a) => {
-      if (a.cancelledAt) return false;
-      const setAtMs = toMs(a.setAt);
-      if (!Number.isFinite(setAtMs)) return false;
-      return setAtMs + 30 * 24 * 60 * 60 * 1000 > now;
-    });
+    const fromEmail =
+      process.env.SENDGRID_ALERTS_EMAIL ||
+      process.env.SENDGRID_FROM_EMAIL;
 
-    console.log(`[CRON] Found ${activeAlerts.length} active alerts`);
+    // Browser alerts' live subscriptions, by owner key
+    const pushSubscriptions = await getPushSubscriptionsMap(pool, [...new Set(activeAlerts.map((a) => a.email))]);
+
+    // One "expires soon" reminder per alert lifetime
+    let remindersSent = 0;
+    for (const alert of activeAlerts.filter((a) => isExpiryReminderDue(a, now))) {
+      try {
+        const daysLeft = alertDaysLeft(alert, now);
+
+        if (isPushOwner(alert.email)) {
+          await sendAlertPush(pushSubscriptions, alert, buildReminderPush(alert, daysLeft));
+        } else {
+          const renewUrls = buildRenewUrls(alert);
+          if (!renewUrls || !fromEmail) continue;
+
+          const unsubscribeUrl = buildUnsubscribeUrl(alert.email);
+          await sendMail({
+            to: alert.email,
+            from: fromEmail,
+            subject: `⏰ Your alert expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}: ${describeAlert(alert)}`,
+            html: generateReminderEmail(alert, renewUrls, daysLeft, unsubscribeUrl),
+            headers: listUnsubscribeHeaders(unsubscribeUrl),
+          });
+        }
+        await markExpiryReminded(pool, alert.id, now);
+        remindersSent++;
+      } catch (err) {
+        // Not marked, so the next run tries again
+        console.error(`[CRON] Failed to send expiry reminder for alert ${alert.id}:`, err.message);
+      }
+    }
+    if (remindersSent) console.log(`[CRON] Sent ${remindersSent} expiry reminders`);
 
     if (activeAlerts.length === 0) {
       return res.status(200).json({
@@ -414,21 +924,52 @@ module.exports = async (req, res) => {
         message: "No active alerts",
         alertsChecked: 0,
         emailsSent: 0,
+        pushSent: 0,
+        remindersSent,
+        pendingExpired,
       });
     }
 
     let emailsSent = 0;
-    let alertsUpdated = false;
+    let emailsFailed = 0;
+    let pushSent = 0;
+    let pushFailed = 0;
+    let alertsUnchanged = 0;
+    let digestsSent = 0;
+
+    // Listings (and prices) each alert has already emailed
+    const notifiedListings = await getNotifiedListings(pool, activeAlerts.map((a) => a.id));
+
+    // Digest emails collect their alerts' new matches here and send after the loop
+    const preferences = await getEmailPreferencesMap(pool, [...new Set(activeAlerts.map((a) => a.email))]);
+    const digests = new Map();
 
     for (const alert of activeAlerts) {
-      const brand = alert.brand || "";
-      const model = alert.model || "";
-      console.log(`[CRON] Checking alert ${alert.id} for ${brand} ${model}`.trim());
+      const prefs = preferences.get(alert.email);
+      const digestMode = prefs?.digestMode || DEFAULT_DIGEST_MODE;
+      if (digestMode !== "instant" && !isDigestDue(prefs, now)) continue;
+
+      const summary = describeAlert(alert);
+      console.log(`[CRON] Checking alert ${alert.id} for ${summary}`);
 
-      const matches = deals.filter((deal) => dealMatchesAlert(deal, alert));
-      if (matches.length === 0) continue;
+      const allMatches = deals.filter((deal) => dealMatchesAlert(deal, alert, { dealShoeIds }));
+      if (allMatches.length === 0) continue;
 
-      console.log(`[CRON] Found ${matches.length} matches for alert ${alert.id}`);
+      // Only listings not emailed before, or cheaper than when they were
+      const matches = newOrCheaperMatches(allMatches, notifiedListings.get(alert.id));
+      if (matches.length === 0) {
+        alertsUnchanged++;
+        console.log(`[CRON] ${allMatches.length} matches for alert ${alert.id}, none new or cheaper`);
+        continue;
+      }
+
+      console.log(`[CRON] Found ${matches.length} new or cheaper of ${allMatches.length} matches for alert ${alert.id}`);
+
+      if (digestMode !== "instant") {
+        if (!digests.has(alert.email)) digests.set(alert.email, { digestMode, sections: [] });
+        digests.get(alert.email).sections.push({ alert, matches, daysLeft: alertDaysLeft(alert, now) });
+        continue;
+      }
 
       // Only email once per 24h per alert
       const lastNotifiedMs = toMs(alert.lastNotifiedAt);
@@ -442,63 +983,117 @@ module.exports = async (req, res) => {
         continue;
       }
 
+      const isPush = isPushOwner(alert.email);
+
       try {
-        const setAtMs = toMs(alert.setAt);
-        const ageDays = Number.isFinite(setAtMs)
-          ? Math.floor((now - setAtMs) / (1000 * 60 * 60 * 24))
-          : 0;
+        if (isPush) {
+          await sendAlertPush(pushSubscriptions, alert, buildMatchPush(alert, matches));
+        } else {
+          const daysLeft = alertDaysLeft(alert, now);
+          const unsubscribeUrl = buildUnsubscribeUrl(alert.email);
+          const emailHtml = generateMatchEmail(alert, matches, daysLeft, unsubscribeUrl);
+
+          if (!fromEmail) {
+            throw new Error("Missing SENDGRID_ALERTS_EMAIL (or SENDGRID_FROM_EMAIL)");
+          }
+
+          await sendMail({
+            to: alert.email,
+            from: fromEmail,
+            subject: `🎉 ${matches.length} Deal${matches.length === 1 ? "" : "s"} Found: ${summary}`,
+            html: emailHtml,
+            headers: listUnsubscribeHeaders(unsubscribeUrl),
+          });
+        }
+      } catch (emailError) {
+        if (isPush) pushFailed++;
+        else emailsFailed++;
+        console.error(`[CRON] Failed to send ${isPush ? "push notification" : "email"} for alert ${alert.id}:`, emailError);
+
+        const msg = emailError?.response?.body?.errors?.[0]?.message || emailError?.message || String(emailError);
+        await recordNotification(pool, { alert, status: "failed", matches, error: msg, nowMs: now }).catch((err) =>
+          console.error(`[CRON] Could not log failed notification for ${alert.id}:`, err.message)
+        );
+        continue;
+      }
 
-        const daysLeft = Math.max(0, 30 - ageDays);
-        const emailHtml = generateMatchEmail(alert, matches, daysLeft);
+      if (isPush) {
+        pushSent++;
+        console.log(`[CRON] Push notification sent for alert ${alert.id}`);
+      } else {
+        emailsSent++;
+        console.log(`[CRON] Email sent to ${alert.email}`);
+      }
 
-        const fromEmail =
-          process.env.SENDGRID_ALERTS_EMAIL ||
-          process.env.SENDGRID_FROM_EMAIL;
+      // Stamps lastNotifiedAt together with the log row. A push names the count and
+      // opens the cheapest deal, so it covers every match; an email only its top ones
+      const notified = isPush ? matches : topDeals(matches, MAX_EMAIL_DEALS);
+      await recordNotification(pool, { alert, status: "sent", matches, notified, nowMs: now }).catch((err) =>
+        console.error(`[CRON] Could not record notification for ${alert.id}:`, err.message)
+      );
+    }
 
+    for (const [email, { digestMode, sections }] of digests) {
+      const matchCount = sections.reduce((n, s) => n + s.matches.length, 0);
+
+      try {
         if (!fromEmail) {
           throw new Error("Missing SENDGRID_ALERTS_EMAIL (or SENDGRID_FROM_EMAIL)");
         }
 
-        await sgMail.send({
-          to: alert.email,
+        const unsubscribeUrl = buildUnsubscribeUrl(email);
+        await sendMail({
+          to: email,
           from: fromEmail,
-          subject: `🎉 ${matches.length} Deal${matches.length === 1 ? "" : "s"} Found: ${brand} ${model}`.trim(),
-          html: emailHtml,
+          subject: `🎉 Your ${digestMode} digest: ${matchCount} deal${matchCount === 1 ? "" : "s"} for ${sections.length} alert${sections.length === 1 ? "" : "s"}`,
+          html: generateDigestEmail(email, sections, digestMode, unsubscribeUrl),
+          headers: listUnsubscribeHeaders(unsubscribeUrl),
         });
-
-        // Update lastNotifiedAt in the full alerts array
-        const idx = alerts.findIndex((a) => a.id === alert.id);
-        if (idx >= 0) {
-          alerts[idx].lastNotifiedAt = now;
-          alertsUpdated = true;
-        }
-
-        emailsSent++;
-        console.log(`[CRON] Email sent to ${alert.email}`);
       } catch (emailError) {
-        console.error(`[CRON] Failed to send email for alert ${alert.id}:`, emailError);
+        emailsFailed++;
+        console.error(`[CRON] Failed to send ${digestMode} digest to ${email}:`, emailError);
+
+        const msg = emailError?.response?.body?.errors?.[0]?.message || emailError?.message || String(emailError);
+        for (const { alert, matches } of sections) {
+          await recordNotification(pool, { alert, status: "failed", matches, error: msg, nowMs: now }).catch((err) =>
+            console.error(`[CRON] Could not log failed notification for ${alert.id}:`, err.message)
+          );
+        }
+        continue;
       }
-    }
 
-    // Save updated alerts if any were notified
-    if (alertsUpdated) {
-      await put(
-        "alerts.json",
-        JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }),
-        { access: "public", addRandomSuffix: false }
+      digestsSent++;
+      console.log(`[CRON] ${digestMode} digest sent to ${email} (${sections.length} alerts)`);
+
+      await markDigestSent(pool, email, now).catch((err) =>
+        console.error(`[CRON] Could not record digest for ${email}:`, err.message)
       );
-      console.log("[CRON] Updated alerts.json with notification timestamps");
+      for (const { alert, matches } of sections) {
+        const notified = topDeals(matches, MAX_DIGEST_DEALS);
+        await recordNotification(pool, { alert, status: "sent", matches, notified, nowMs: now }).catch((err) =>
+          console.error(`[CRON] Could not record notification for ${alert.id}:`, err.message)
+        );
+      }
     }
 
     const duration = Date.now() - startTime;
     console.log(`[CRON] Check complete in ${duration}ms`);
-    console.log(`[CRON] Alerts checked: ${activeAlerts.length}, Emails sent: ${emailsSent}`);
+    console.log(
+      `[CRON] Alerts checked: ${activeAlerts.length}, Emails sent: ${emailsSent}, Digests sent: ${digestsSent}, Push sent: ${pushSent}`
+    );
 
     return res.status(200).json({
       success: true,
       message: "Alert check completed",
       alertsChecked: activeAlerts.length,
       emailsSent,
+      emailsFailed,
+      pushSent,
+      pushFailed,
+      alertsUnchanged,
+      digestsSent,
+      remindersSent,
+      pendingExpired,
       duration,
     });
   } catch (error) {
@@ -509,3 +1104,7 @@ module.exports = async (req, res) => {
     });
   }
 };
+
+// Email rendering, for test/email
+module.exports.generateMatchEmail = generateMatchEmail;
+module.exports.generateDigestEmail = generateDigestEmail;
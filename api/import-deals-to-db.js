@@ -1,6 +1,13 @@
 // /api/import-deals-to-db.js
+//
+// Schema lives in db/migrations; run `npm run db:migrate` (or GET /api/migrate)
+// after deploying a new migration.
 
 const { Pool } = require("pg");
+const { recordPriceObservations, toObservedOn } = require("../lib/priceHistory");
+const { searchAliases } = require("../lib/searchDocument");
+const { DELTA_VERSIONS_KEPT, dealIndexKey } = require("../lib/dealIndex");
+const { normalizeWidth } = require("../lib/modelNameCleaner");
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -27,6 +34,13 @@ function normalizeText(value) {
     .trim();
 }
 
+const SHOE_TYPES = new Set(["road", "trail", "track", "xc"]);
+
+function normalizeShoeType(value) {
+  const s = String(value || "").trim().toLowerCase();
+  return SHOE_TYPES.has(s) ? s : null;
+}
+
 function normalizeGender(value) {
   const s = normalizeText(value);
   if (s === "mens" || s === "men" || s === "mens shoe" || s === "mens shoes") return "mens";
@@ -212,8 +226,14 @@ const COLUMNS = [
   "listing_url",
   "image_url",
   "gender",
+  "width",
+  "colorway",
+  "shoe_type",
+  "search_aliases",
   "scraped_at",
   "shoe_id",
+  "index_key",
+  "index_version",
 ];
 
 function rowValues(row) {
@@ -233,13 +253,19 @@ function rowValues(row) {
     row.listing_url,
     row.image_url,
     row.gender,
+    row.width,
+    row.colorway,
+    row.shoe_type,
+    row.search_aliases,
     row.scraped_at,
     row.shoe_id,
+    row.index_key,
+    row.index_version,
   ];
 }
 
 async function bulkInsert(client, rows) {
-  const colCount = COLUMNS.length; // 17
+  const colCount = COLUMNS.length; // 23
   let totalInserted = 0;
 
   for (let start = 0; start < rows.length; start += BATCH_SIZE) {
@@ -266,6 +292,49 @@ async function bulkInsert(client, rows) {
   return totalInserted;
 }
 
+/**
+ * Records this import in sb_deal_imports and sets index_version on `rows`: the
+ * version an entry was first seen in when the previous import had its key, this
+ * import's otherwise. Keys that are gone go to sb_deal_index_removals for
+ * /api/search-index deltas. Runs before the wipe, inside the import transaction.
+ */
+async function versionIndexEntries(client, rows) {
+  const { rows: imported } = await client.query(
+    "INSERT INTO sb_deal_imports (deals) VALUES ($1) RETURNING version",
+    [rows.length]
+  );
+  const version = Number(imported[0].version);
+
+  const { rows: previous } = await client.query(
+    `SELECT index_key, min(index_version) AS index_version
+       FROM sb_shoe_deals
+      WHERE index_key IS NOT NULL
+      GROUP BY index_key`
+  );
+  const previousVersions = new Map(
+    previous.map((r) => [r.index_key, r.index_version == null ? null : Number(r.index_version)])
+  );
+
+  const keys = new Set();
+  let added = 0;
+  for (const row of rows) {
+    row.index_version = previousVersions.get(row.index_key) ?? version;
+    if (!keys.has(row.index_key) && row.index_version === version) added += 1;
+    keys.add(row.index_key);
+  }
+
+  const removedKeys = Array.from(previousVersions.keys()).filter((key) => !keys.has(key));
+  if (removedKeys.length) {
+    await client.query(
+      "INSERT INTO sb_deal_index_removals (version, index_key) SELECT $1, unnest($2::text[])",
+      [version, removedKeys]
+    );
+  }
+  await client.query("DELETE FROM sb_deal_index_removals WHERE version <= $1", [version - DELTA_VERSIONS_KEPT]);
+
+  return { version, added, removed: removedKeys.length };
+}
+
 // ---------------------------------------------------------------------------
 // Core logic — callable directly (no req/res needed)
 // ---------------------------------------------------------------------------
@@ -292,6 +361,14 @@ async function run({ dryRun = false, dealsUrl = PUBLIC_DEALS_URL } = {}) {
     const preparedRows = [];
     const skippedDeals = [];
 
+    // Colorways and sizes repeat the same brand + model many times
+    const aliasCache = new Map();
+    const aliasesFor = (brand, model) => {
+      const key = `${String(brand || "").trim()}|${String(model || "").trim()}`;
+      if (!aliasCache.has(key)) aliasCache.set(key, searchAliases(brand, model));
+      return aliasCache.get(key);
+    };
+
     for (const raw of deals) {
       const shoeId = resolveShoeId(raw, normalizedKeyToId, fieldToId);
 
@@ -311,10 +388,16 @@ async function run({ dryRun = false, dealsUrl = PUBLIC_DEALS_URL } = {}) {
         listing_url: String(raw.listing_url || raw.listingURL || "").trim(),
         image_url: String(raw.image_url || raw.imageURL || "").trim() || null,
         gender: normalizeGender(raw.gender),
+        width: normalizeWidth(raw.width) || "standard",
+        colorway: String(raw.colorway || "").trim() || null,
+        shoe_type: normalizeShoeType(raw.shoe_type ?? raw.shoeType),
+        search_aliases: aliasesFor(raw.brand, raw.model),
         scraped_at: raw.scraped_at || raw.scrapedAt || payload.lastUpdated || new Date().toISOString(),
         shoe_id: shoeId,
       };
 
+      row.index_key = dealIndexKey(row);
+
       if (!shoeId) {
         skippedDeals.push({ brand: row.brand, model: row.model, version: String(raw.version || "").trim() });
       }
@@ -334,6 +417,7 @@ async function run({ dryRun = false, dealsUrl = PUBLIC_DEALS_URL } = {}) {
         model: r.model,
         store: r.store,
         gender: r.gender,
+        width: r.width,
         shoe_id: r.shoe_id,
       }));
 
@@ -354,10 +438,17 @@ async function run({ dryRun = false, dealsUrl = PUBLIC_DEALS_URL } = {}) {
       };
     }
 
+    // --- Index version: unchanged entries keep theirs, the rest get this import's ---
+    const indexChanges = await versionIndexEntries(client, preparedRows);
+
     // --- Wipe + bulk insert inside the transaction ---
     await client.query('DELETE FROM "sb_shoe_deals"');
     const insertedCount = await bulkInsert(client, preparedRows);
 
+    // --- Append today's prices to the history table (survives the daily wipe) ---
+    const observedOn = toObservedOn(payload.lastUpdated);
+    const priceObservations = await recordPriceObservations(client, preparedRows, observedOn);
+
     await client.query("COMMIT");
 
     return {
@@ -367,6 +458,11 @@ async function run({ dryRun = false, dealsUrl = PUBLIC_DEALS_URL } = {}) {
       totalDealsInJson: deals.length,
       inserted: insertedCount,
       updated: 0,
+      priceObservations,
+      observedOn,
+      indexVersion: indexChanges.version,
+      indexAdded: indexChanges.added,
+      indexRemoved: indexChanges.removed,
       matched,
       unmatched,
       skipped: unmatched,
@@ -379,6 +475,7 @@ async function run({ dryRun = false, dealsUrl = PUBLIC_DEALS_URL } = {}) {
         model: r.model,
         store: r.store,
         gender: r.gender,
+        width: r.width,
         shoe_id: r.shoe_id,
       })),
     };
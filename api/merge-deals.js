@@ -23,6 +23,13 @@
 //   listingURL
 //   imageURL
 //   gender
+//   width             ("standard" | "wide" | "extra-wide" | "narrow"; read from the name before cleaning)
+//   colorway          (optional; the color tail the model cleaner strips, e.g. "Black/White")
+//   sizesAvailable    (optional; null when the scraper has no size data, see lib/sizes.js)
+//   sizeSystem
+//   lowestPriceDays   (price-history annotations, see annotatePriceHistory)
+//   previousPrice
+//   priceTrend
 //
 // HONESTY RULES:
 // - A deal is included if it has sale pricing.
@@ -35,9 +42,20 @@
 // TO ADD A NEW STORE: add it to /lib/canonical-stores.json only. No changes needed here.
 
 const axios = require("axios");
+const { Pool } = require("pg");
 const { put } = require("@vercel/blob");
 const { assertDealSchema } = require("../lib/dealSchema");
-const { cleanModelName } = require("../lib/modelNameCleaner");
+const {
+  cleanModelName,
+  detectWidth,
+  normalizeWidth,
+  extractColorway,
+  normalizeColorway,
+} = require("../lib/modelNameCleaner");
+const { fetchListingPriceStats } = require("../lib/priceHistory");
+const { summarizeDealStructure, detectScraperDrift } = require("../lib/scraperDrift");
+const { sendOperatorDigest } = require("../lib/operatorDigest");
+const { normalizeSizeList, normalizeSizeSystem, DEFAULT_SIZE_SYSTEM } = require("../lib/sizes");
 
 // ✅ Canonical Brand + Models dictionary (single source of truth)
 const { canonicalBrandModelHelper } = require("../lib/canonical-brand-models");
@@ -358,8 +376,23 @@ const brandAliases = Array.isArray(brandEntry?.aliases) ? brandEntry.aliases : [
 const cleanedModel = cleanModelName(modelRaw || listingNameRaw, {
   brand,
   brandAliases,
+  gender: normalizeGender(raw.gender),
 });
 
+// Scraper-provided width wins; otherwise read it from the listing name, then the model
+const width =
+  normalizeWidth(raw.width) ||
+  detectWidth(listingNameRaw, { gender: normalizeGender(raw.gender) }) ||
+  cleanedModel.width ||
+  "standard";
+
+// Same for colorway: scraper value, then the tail stripped from the model, then the listing name
+const colorway =
+  normalizeColorway(raw.colorway) ||
+  cleanedModel.colorway ||
+  (modelRaw ? extractColorway(listingNameRaw, { brand, brandAliases }) : null) ||
+  null;
+
 const model = cleanedModel.modelBase || "";
 
   let listingURL = String(raw.listingURL ?? raw.listingUrl ?? raw.url ?? raw.href ?? "").trim();
@@ -402,6 +435,8 @@ const model = cleanedModel.modelBase || "";
     listingURL: listingURL || "",
     imageURL: imageURL || null,
     gender,
+    width,
+    colorway,
   };
 
   const anySaleRange =
@@ -699,6 +734,20 @@ function normalizeDeal(d) {
     listingURL: typeof c.listingURL === "string" ? c.listingURL.trim() : "",
     imageURL: typeof c.imageURL === "string" ? c.imageURL.trim() : c.imageURL ?? null,
     gender: normalizeGender(c.gender),
+    width: c.width,
+    colorway: c.colorway,
+
+    ...normalizeDealSizes(d),
+  };
+}
+
+// [] is kept (scraper saw the size list and nothing was available); missing -> null (unknown)
+function normalizeDealSizes(d) {
+  if (!Array.isArray(d?.sizesAvailable)) return { sizesAvailable: null, sizeSystem: null };
+
+  return {
+    sizesAvailable: normalizeSizeList(d.sizesAvailable) || [],
+    sizeSystem: normalizeSizeSystem(d.sizeSystem) || DEFAULT_SIZE_SYSTEM,
   };
 }
 
@@ -817,6 +866,111 @@ async function loadDealsFromBlobOnly({ name, blobUrl }) {
   }
 }
 
+/** ------------ Price history annotations ------------ **/
+
+// A "lowest in N days" claim is only made when the listing has at least N days
+// of history; otherwise a listing first seen yesterday would be an "all-time low".
+const LOWEST_PRICE_WINDOWS_DAYS = [90, 30];
+const PRICE_TREND_EPSILON = 0.5;
+
+let priceHistoryPool = null;
+
+function getPriceHistoryPool() {
+  if (!process.env.DATABASE_URL) return null;
+  if (!priceHistoryPool) {
+    priceHistoryPool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+    });
+  }
+  return priceHistoryPool;
+}
+
+/** Whole days between two YYYY-MM-DD days, both read as UTC dates. */
+function dayDiff(fromDay, toDay) {
+  const from = Date.parse(`${fromDay}T00:00:00Z`);
+  const to = Date.parse(`${toDay}T00:00:00Z`);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+  return Math.floor((to - from) / (24 * 60 * 60 * 1000));
+}
+
+function computePriceHistoryFields(deal, history, todayDayUTC) {
+  const price = toNumber(deal.salePrice) ?? toNumber(deal.salePriceLow);
+
+  if (!history || !Number.isFinite(price)) {
+    return { lowestPriceDays: null, previousPrice: null, priceTrend: history ? null : "new" };
+  }
+
+  const previousPrice = Number.isFinite(history.lastPrice) ? history.lastPrice : null;
+
+  let priceTrend = "flat";
+  if (previousPrice == null) priceTrend = "new";
+  else if (price < previousPrice - PRICE_TREND_EPSILON) priceTrend = "down";
+  else if (price > previousPrice + PRICE_TREND_EPSILON) priceTrend = "up";
+
+  const historyDays = dayDiff(history.firstDay, todayDayUTC);
+  let lowestPriceDays = null;
+
+  if (historyDays != null) {
+    // All-time low across everything we've seen (longest honest claim first).
+    const longest = LOWEST_PRICE_WINDOWS_DAYS[0];
+    if (historyDays > longest && Number.isFinite(history.lowAll) && price <= history.lowAll) {
+      lowestPriceDays = historyDays;
+    } else {
+      const lowByWindow = { 90: history.low90, 30: history.low30 };
+      for (const window of LOWEST_PRICE_WINDOWS_DAYS) {
+        const low = lowByWindow[window];
+        if (historyDays >= window && Number.isFinite(low) && price <= low) {
+          lowestPriceDays = window;
+          break;
+        }
+      }
+    }
+  }
+
+  return { lowestPriceDays, previousPrice, priceTrend };
+}
+
+/**
+ * Adds lowestPriceDays / previousPrice / priceTrend to each deal in place,
+ * using sb_price_observations. If the history store is unavailable every field
+ * stays null (we never claim "new" or "lowest" without data).
+ */
+async function annotatePriceHistory(deals, todayDayUTC) {
+  const summary = { ok: false, listingsWithHistory: 0, error: null };
+
+  const pool = getPriceHistoryPool();
+  let historyByKey = null;
+
+  if (!pool) {
+    summary.error = "DATABASE_URL not set";
+  } else {
+    try {
+      historyByKey = await fetchListingPriceStats(pool, deals, todayDayUTC);
+      summary.ok = true;
+    } catch (e) {
+      summary.error = e?.message || String(e);
+      console.log("[MERGE] Price history unavailable:", summary.error);
+    }
+  }
+
+  for (const d of safeArray(deals)) {
+    if (!historyByKey) {
+      d.lowestPriceDays = null;
+      d.previousPrice = null;
+      d.priceTrend = null;
+      continue;
+    }
+
+    const history = historyByKey.get(`${String(d.store || "").trim()}|${String(d.listingURL || "").trim()}`) || null;
+    if (history) summary.listingsWithHistory += 1;
+
+    Object.assign(d, computePriceHistoryFields(d, history, todayDayUTC));
+  }
+
+  return summary;
+}
+
 /** ------------ Stats / Daily Deals / scraper-data ------------ **/
 
 function bucketLabel(salePrice) {
@@ -858,6 +1012,10 @@ function dealSummary(deal) {
 
     dollarSavings: computeDollarSavings(deal),
     gender: deal.gender || "unknown",
+
+    lowestPriceDays: Number.isFinite(toNumber(deal.lowestPriceDays)) ? toNumber(deal.lowestPriceDays) : null,
+    previousPrice: toNumber(deal.previousPrice),
+    priceTrend: deal.priceTrend || null,
   };
 }
 
@@ -876,6 +1034,13 @@ function computeStats(deals, storeMetadata, mergeExclusions) {
   let topDollar = null;
   let lowestPrice = null;
   let bestValue = null;
+  let longestLow = null;
+
+  const priceHistory = {
+    atLowest30Days: 0,
+    atLowest90Days: 0,
+    trends: { down: 0, up: 0, flat: 0, new: 0 },
+  };
 
   const priceBuckets = {
     "$0-50": 0,
@@ -952,6 +1117,14 @@ function computeStats(deals, storeMetadata, mergeExclusions) {
       if (!bestValue || valueScore > bestValue.valueScore) bestValue = { deal: d, valueScore };
     }
 
+    const lowestDays = toNumber(d.lowestPriceDays);
+    if (Number.isFinite(lowestDays)) {
+      if (lowestDays >= 30) priceHistory.atLowest30Days += 1;
+      if (lowestDays >= 90) priceHistory.atLowest90Days += 1;
+      if (!longestLow || lowestDays > longestLow.lowestDays) longestLow = { deal: d, lowestDays };
+    }
+    if (d.priceTrend && priceHistory.trends[d.priceTrend] != null) priceHistory.trends[d.priceTrend] += 1;
+
     if (Number.isFinite(saleLow) && saleLow > 0) {
       const label = bucketLabel(saleLow);
       if (label) priceBuckets[label] += 1;
@@ -1088,8 +1261,11 @@ function computeStats(deals, storeMetadata, mergeExclusions) {
       topDollar: topDollar ? dealSummary(topDollar.deal) : null,
       lowestPrice: lowestPrice ? dealSummary(lowestPrice.deal) : null,
       bestValue: bestValue ? dealSummary(bestValue.deal) : null,
+      longestLow: longestLow ? dealSummary(longestLow.deal) : null,
     },
 
+    priceHistory,
+
     storesTable,
     brandsTop,
     unknownByStore,
@@ -1225,6 +1401,10 @@ function toDailyDealShape(deal) {
     listingURL: deal.listingURL || "#",
     imageURL: deal.imageURL || "",
     gender: normalizeGender(deal.gender),
+
+    lowestPriceDays: Number.isFinite(toNumber(deal.lowestPriceDays)) ? toNumber(deal.lowestPriceDays) : null,
+    previousPrice: toNumber(deal.previousPrice),
+    priceTrend: deal.priceTrend || null,
   };
 }
 function computeTwelveDailyDeals(allDeals, seedStr) {
@@ -1246,7 +1426,21 @@ function computeTwelveDailyDeals(allDeals, seedStr) {
     return Number.isFinite(exact) ? exact : Number.isFinite(upTo) ? upTo : 0;
   };
 
-  const top20ByPercent = [...workingPool].sort((a, b) => discountForSort(b) - discountForSort(a)).slice(0, 20);
+  // A listing at its lowest price in 30/90+ days outranks a bigger "% off" that
+  // may just be an inflated MSRP. Within the same tier (lowest in 90+ days, in
+  // 30 days, neither), discount still decides; a 400-day low doesn't beat a
+  // 120-day low with a bigger discount.
+  // A price that went UP since the last run is pushed behind everything else.
+  const historyTier = (d) => {
+    if (d.priceTrend === "up") return -1;
+    const days = toNumber(d.lowestPriceDays);
+    if (!Number.isFinite(days)) return 0;
+    return LOWEST_PRICE_WINDOWS_DAYS.filter((window) => days >= window).length;
+  };
+
+  const top20ByPercent = [...workingPool]
+    .sort((a, b) => historyTier(b) - historyTier(a) || discountForSort(b) - discountForSort(a))
+    .slice(0, 20);
 
   const byPercent = getRandomSample(top20ByPercent, Math.min(4, top20ByPercent.length), dateStr);
   const pickedUrls = new Set(byPercent.map((d) => d.listingURL).filter(Boolean));
@@ -1299,6 +1493,10 @@ function buildTodayScraperRecord({ sourceId, sourceDisplayName, meta, perSource
     ? (Number.isFinite(perSource?.count) ? perSource.count : safeArray(meta?.deals).length)
     : 0;
 
+  // Structural profile of the raw blob output, compared against prior days by
+  // detectScraperDrift. Stale sources are re-reading an old blob, so skip them.
+  const structure = ok && !perSource?.staleExcluded ? summarizeDealStructure(meta?.deals) : null;
+
   return {
     storeId: sourceId,
     scraper: sourceDisplayName,
@@ -1309,6 +1507,8 @@ function buildTodayScraperRecord({ sourceId, sourceDisplayName, meta, perSource
     via,
     blobUrl,
     error: ok ? null : (meta?.error || perSource?.error || "Unknown error"),
+    structure,
+    drift: null,
   };
 }
 
@@ -1566,6 +1766,10 @@ module.exports = async (req, res) => {
 
     const mergeExclusions = finalizeExclusionTracker(exclusionTracker);
 
+    // Price-history annotations (lowestPriceDays / previousPrice / priceTrend)
+    const priceHistorySummary = await annotatePriceHistory(unique, getDateSeedStringUTC());
+    console.log("[MERGE] Price history:", priceHistorySummary);
+
     // Schema validation warnings (do not fail build; only log)
     let schemaWarnings = 0;
     for (const d of unique) {
@@ -1672,6 +1876,7 @@ module.exports = async (req, res) => {
     // Derived payloads
     const stats = computeStats(unique, storeMetadata, mergeExclusions);
     stats.lastUpdated = output.lastUpdated;
+    stats.priceHistory.source = priceHistorySummary;
 
     const dailySeedUTC = getDateSeedStringUTC();
     const twelveDailyDeals = computeTwelveDailyDeals(unique, dailySeedUTC);
@@ -1712,6 +1917,19 @@ module.exports = async (req, res) => {
       }
     }
 
+    // Structural drift: today's output vs. the rolling baseline (sets record.drift)
+    const priorDays = safeArray(existingScraperData?.days).filter((d) => d?.dayUTC !== todayDayUTC);
+    const scraperDrift = detectScraperDrift(priorDays, todayRecords);
+    scraperDrift.dayUTC = todayDayUTC;
+    scraperDrift.baselineDays = priorDays.length;
+    stats.scraperDrift = scraperDrift;
+
+    for (const flagged of scraperDrift.stores) {
+      console.log(
+        `[MERGE] DRIFT: ${flagged.scraper} | ${flagged.anomalies.map((a) => a.message).join(" | ")}`
+      );
+    }
+
     const scraperData = mergeRollingScraperHistory(existingScraperData, todayDayUTC, todayRecords, 30);
 
     // Write blobs (public, stable filenames)
@@ -1742,6 +1960,19 @@ module.exports = async (req, res) => {
       importResult = { success: false, error: importErr.message };
     }
 
+    // --- Operator digest (failed / stale / drifted scrapers), see lib/operatorDigest.js ---
+    const operatorDigest = await sendOperatorDigest({
+      dayUTC: todayDayUTC,
+      totalDeals: unique.length,
+      perSource,
+      storeMetadata,
+      sourceNames: Object.fromEntries(sources.map((s) => [s.id || s.name, s.name || s.id])),
+      mergeExclusions,
+      scraperDrift,
+      importResult,
+    });
+    console.log("[MERGE] Operator digest:", operatorDigest);
+
     const durationMs = Date.now() - start;
 
     return res.status(200).json({
@@ -1755,6 +1986,7 @@ module.exports = async (req, res) => {
       sourceFreshness,
       storeCoverage,
       mergeExclusions,
+      scraperDrift,
 
       dealsBlobUrl: dealsBlob.url,
       unalteredBlobUrl: unalteredBlob.url,
@@ -1763,6 +1995,7 @@ module.exports = async (req, res) => {
       scraperDataBlobUrl: scraperDataBlob.url,
 
       importResult,
+      operatorDigest,
 
       duration: `${durationMs}ms`,
       timestamp: output.lastUpdated,
@@ -0,0 +1,41 @@
+// /api/migrate.js
+//
+// Applies pending SQL migrations from db/migrations (see lib/migrations.js).
+// Run once after a deploy that adds a migration, before the next import.
+//
+// GET /api/migrate               apply pending migrations
+// GET /api/migrate?dryRun=true   only list what would be applied
+//
+// REQUIRED ENV VARS:
+// - DATABASE_URL
+// - CRON_SECRET (if set, requires Authorization: Bearer <CRON_SECRET>)
+
+const { Pool } = require("pg");
+const { runMigrations } = require("../lib/migrations");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
+
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+  }
+
+  const auth = req.headers.authorization;
+  if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const dryRun = String(req.query.dryRun || "").toLowerCase() === "true";
+  const startMs = Date.now();
+
+  try {
+    const result = await runMigrations(pool, { dryRun });
+    return res.status(200).json({ success: true, dryRun, ...result, elapsed_ms: Date.now() - startMs });
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err.message);
+    return res.status(500).json({ success: false, error: err.message, elapsed_ms: Date.now() - startMs });
+  }
+};
@@ -0,0 +1,211 @@
+// /api/price-history.js
+//
+// Daily low / median / high sale price for one shoe, read from the append-only
+// sb_price_observations table that import-deals-to-db fills on every import.
+//
+// GET /api/price-history?shoe_id=123
+// GET /api/price-history?brand=Hoka&model=Clifton 10&gender=mens
+//
+// Optional: days (default 90, max 365)
+
+const { Pool } = require("pg");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX = 60;
+const rateLimitMap = new Map();
+
+function cleanupRateLimitMap() {
+  const now = Date.now();
+  for (const [key, entry] of rateLimitMap.entries()) {
+    if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
+      rateLimitMap.delete(key);
+    }
+  }
+}
+
+function getClientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (typeof forwarded === "string" && forwarded.trim()) {
+    return forwarded.split(",")[0].trim();
+  }
+  return (
+    req.headers["x-real-ip"] ||
+    req.socket?.remoteAddress ||
+    req.connection?.remoteAddress ||
+    "unknown"
+  );
+}
+
+function rateLimit(req, res) {
+  cleanupRateLimitMap();
+
+  const ip = getClientIp(req);
+  const now = Date.now();
+  const entry = rateLimitMap.get(ip);
+
+  if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
+    rateLimitMap.set(ip, { count: 1, windowStart: now });
+    return true;
+  }
+
+  if (entry.count >= RATE_LIMIT_MAX) {
+    res.status(429).json({ error: "Too many requests" });
+    return false;
+  }
+
+  entry.count += 1;
+  return true;
+}
+
+function sanitizeInput(str) {
+  return String(str || "")
+    .replace(/[<>]/g, "")
+    .trim()
+    .slice(0, 100);
+}
+
+function normalizeGender(value) {
+  const g = String(value || "").trim().toLowerCase();
+  if (!g) return "";
+
+  if (["men", "mens", "man's", "mans", "male"].includes(g)) return "mens";
+  if (["women", "womens", "woman's", "womans", "female"].includes(g)) return "womens";
+  if (["unisex"].includes(g)) return "unisex";
+
+  return "";
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
+}
+
+function parseDays(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_DAYS;
+  return Math.min(n, MAX_DAYS);
+}
+
+function mapRowToDay(row) {
+  return {
+    day: String(row.observed_on || ""),
+    low: toNumberOrNull(row.low),
+    median: toNumberOrNull(row.median),
+    high: toNumberOrNull(row.high),
+    observations: Number(row.observations) || 0,
+    stores: Number(row.stores) || 0,
+  };
+}
+
+function summarize(series) {
+  let low = null;
+  let high = null;
+  let lowDay = null;
+
+  for (const d of series) {
+    if (d.low != null && (low == null || d.low < low)) {
+      low = d.low;
+      lowDay = d.day;
+    }
+    if (d.high != null && (high == null || d.high > high)) high = d.high;
+  }
+
+  const latest = series.length ? series[series.length - 1] : null;
+
+  return {
+    daysWithData: series.length,
+    lowestPrice: low,
+    lowestPriceDay: lowDay,
+    highestPrice: high,
+    latestDay: latest ? latest.day : null,
+    latestLow: latest ? latest.low : null,
+  };
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!rateLimit(req, res)) return;
+
+  const shoeIdRaw = String(req.query?.shoe_id || "").trim();
+  const brand = sanitizeInput(req.query?.brand);
+  const model = sanitizeInput(req.query?.model);
+  const gender = normalizeGender(req.query?.gender);
+  const days = parseDays(req.query?.days);
+
+  const whereParts = ["observed_on >= CURRENT_DATE - $1::int"];
+  const params = [days];
+
+  if (shoeIdRaw) {
+    if (!/^\d+$/.test(shoeIdRaw)) {
+      return res.status(400).json({ error: "Invalid shoe_id" });
+    }
+    params.push(shoeIdRaw);
+    whereParts.push(`shoe_id = $${params.length}`);
+  } else if (brand && model) {
+    params.push(brand);
+    whereParts.push(`lower(brand) = lower($${params.length})`);
+    params.push(model);
+    whereParts.push(`lower(model) = lower($${params.length})`);
+
+    if (gender) {
+      params.push(gender);
+      whereParts.push(`(gender = $${params.length} OR gender = 'unisex')`);
+    }
+  } else {
+    return res.status(400).json({ error: "Provide shoe_id or brand and model" });
+  }
+
+  try {
+    const sql = `
+      SELECT
+        observed_on::text AS observed_on,
+        MIN(sale_price) AS low,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY sale_price) AS median,
+        MAX(sale_price) AS high,
+        COUNT(*) AS observations,
+        COUNT(DISTINCT store) AS stores
+      FROM sb_price_observations
+      WHERE ${whereParts.join(" AND ")}
+      GROUP BY observed_on
+      ORDER BY observed_on ASC
+    `;
+
+    const { rows } = await pool.query(sql, params);
+    const series = rows.map(mapRowToDay);
+
+    return res.status(200).json({
+      query: {
+        shoeId: shoeIdRaw ? Number(shoeIdRaw) : null,
+        brand: shoeIdRaw ? null : brand,
+        model: shoeIdRaw ? null : model,
+        gender: shoeIdRaw ? null : gender || null,
+        days,
+      },
+      summary: summarize(series),
+      series,
+    });
+  } catch (error) {
+    console.error("api/price-history error:", error);
+    return res.status(500).json({ error: "Price history failed" });
+  }
+};
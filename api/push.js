@@ -0,0 +1,261 @@
+// /api/push.js
+// Web Push subscriptions for browser-notification alerts (no email address needed).
+//
+// FLOW:
+// - The alert modal registers /sw.js, fetches the VAPID key (GET /api/push), calls
+//   PushManager.subscribe() and POSTs the subscription here. The response carries a
+//   signed manage token for the subscription's owner key ("push:<id>", see
+//   lib/alertsStore.js), the same { email, exp } token email alerts get by email.
+// - The modal then creates the alert with POST /api/alerts
+//   { channel: "push", t: TOKEN, ...criteria }. Push alerts skip double opt-in: the
+//   browser's permission prompt is the opt-in. The manage page works with the same
+//   token (cancel_alert.html?t=TOKEN).
+// - The browser keeps the token (web-push.js stores it where /sw.js can read it).
+//   Posting a subscription the server already knows needs that token, and returns a
+//   fresh one; without it the browser must subscribe again for a new endpoint. So
+//   knowing someone's endpoint gets you neither their alerts nor their subscription.
+// - Subscribing is rate limited per IP, like the other public endpoints.
+//
+// ROUTES:
+// - GET  /api/push                                  -> { publicKey } (503 when not configured)
+// - POST /api/push  { subscription, oldEndpoint?, t? }  -> { subscriptionId, token, manageUrl }
+//     t: the subscription's manage token; required when the endpoint is already known
+//     (401 otherwise) and with oldEndpoint
+//     oldEndpoint: sent by the service worker on pushsubscriptionchange; moves the
+//     existing subscription (and its alerts) to the new endpoint
+// - POST /api/push  { action: "unsubscribe", t }    -> revokes the subscription and
+//     cancels its alerts
+//
+// REQUIRED ENV VARS:
+// - DATABASE_URL
+// - ALERTS_LINK_SECRET
+// - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (see lib/webPush.js)
+//
+// OPTIONAL ENV VARS:
+// - SITE_BASE_URL (defaults to https://shoebeagle.com)
+
+const { Pool } = require("pg");
+const crypto = require("crypto");
+const alertsStore = require("../lib/alertsStore");
+const { isPushConfigured, vapidPublicKey } = require("../lib/webPush");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
+
+const SITE_BASE_URL = (process.env.SITE_BASE_URL || "https://shoebeagle.com").replace(/\/+$/, "");
+const LINK_SECRET = process.env.ALERTS_LINK_SECRET || "";
+
+const MAX_ENDPOINT_LENGTH = 1000;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX = 10;
+const rateLimitMap = new Map();
+
+function cleanupRateLimitMap() {
+  const now = Date.now();
+  for (const [key, entry] of rateLimitMap.entries()) {
+    if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
+      rateLimitMap.delete(key);
+    }
+  }
+}
+
+function getClientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (typeof forwarded === "string" && forwarded.trim()) {
+    return forwarded.split(",")[0].trim();
+  }
+  return (
+    req.headers["x-real-ip"] ||
+    req.socket?.remoteAddress ||
+    req.connection?.remoteAddress ||
+    "unknown"
+  );
+}
+
+function rateLimit(req, res) {
+  cleanupRateLimitMap();
+
+  const ip = getClientIp(req);
+  const now = Date.now();
+  const entry = rateLimitMap.get(ip);
+
+  if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
+    rateLimitMap.set(ip, { count: 1, windowStart: now });
+    return true;
+  }
+
+  if (entry.count >= RATE_LIMIT_MAX) {
+    res.status(429).json({ error: "Too many requests" });
+    return false;
+  }
+
+  entry.count += 1;
+  return true;
+}
+
+// =====================
+// Token helpers (HMAC signed, same format and secret as api/alerts.js)
+// payload: { email: "push:<subscription id>", exp }   manage tokens
+// =====================
+function b64urlEncode(str) {
+  return Buffer.from(str, "utf8")
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/g, "");
+}
+
+function b64urlDecode(str) {
+  const pad = (4 - (str.length % 4)) % 4;
+  const b64 = (str + "=".repeat(pad)).replace(/-/g, "+").replace(/_/g, "/");
+  return Buffer.from(b64, "base64").toString("utf8");
+}
+
+function hmac(payload) {
+  return crypto
+    .createHmac("sha256", LINK_SECRET)
+    .update(payload)
+    .digest("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/g, "");
+}
+
+function signToken(payloadObj) {
+  if (!LINK_SECRET) throw new Error("Missing ALERTS_LINK_SECRET");
+  const payload = b64urlEncode(JSON.stringify(payloadObj));
+  return `${payload}.${hmac(payload)}`;
+}
+
+function verifyToken(token) {
+  if (!LINK_SECRET) throw new Error("Missing ALERTS_LINK_SECRET");
+  if (!token || typeof token !== "string" || !token.includes(".")) return null;
+
+  const [payload, sig] = token.split(".");
+  if (!payload || !sig) return null;
+
+  const a = Buffer.from(sig);
+  const b = Buffer.from(hmac(payload));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  let obj;
+  try {
+    obj = JSON.parse(b64urlDecode(payload));
+  } catch {
+    return null;
+  }
+
+  if (!obj || !obj.email || !obj.exp) return null;
+  if (Date.now() > Number(obj.exp)) return null;
+
+  return obj;
+}
+
+/** { endpoint, p256dh, auth } from a PushSubscription.toJSON(), or null when malformed. */
+function parseSubscription(subscription) {
+  const endpoint = String(subscription?.endpoint || "").trim();
+  const p256dh = String(subscription?.keys?.p256dh || "").trim();
+  const auth = String(subscription?.keys?.auth || "").trim();
+
+  if (!/^https:\/\//i.test(endpoint) || endpoint.length > MAX_ENDPOINT_LENGTH) return null;
+  if (!/^[A-Za-z0-9_-]{80,100}$/.test(p256dh) || !/^[A-Za-z0-9_-]{16,64}$/.test(auth)) return null;
+
+  return { endpoint, p256dh, auth };
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+module.exports = async (req, res) => {
+  try {
+    if (req.method === "GET") {
+      if (!isPushConfigured()) {
+        return res.status(503).json({ error: "Browser notifications are not available right now" });
+      }
+      res.setHeader("Cache-Control", "public, max-age=3600");
+      return res.status(200).json({ publicKey: vapidPublicKey() });
+    }
+
+    if (req.method === "POST") {
+      const { action } = req.body || {};
+      if (action === "unsubscribe") {
+        return await handleUnsubscribe(req, res);
+      }
+      return await handleSubscribe(req, res);
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    console.error("[PUSH API] Error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// ============================================================================
+// SUBSCRIBE
+// POST /api/push  body: { subscription, oldEndpoint?, t? }
+// ============================================================================
+async function handleSubscribe(req, res) {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: "Browser notifications are not available right now" });
+  }
+
+  if (!rateLimit(req, res)) return;
+
+  const { subscription, oldEndpoint, t } = req.body || {};
+  const parsed = parseSubscription(subscription);
+  if (!parsed) {
+    return res.status(400).json({ error: "Invalid push subscription" });
+  }
+
+  // Only the holder of the subscription's manage token can refresh or move it
+  const tok = t ? verifyToken(String(t)) : null;
+  const subscriptionId = tok && !tok.purpose ? alertsStore.pushSubscriptionIdOf(tok.email) : null;
+  if (oldEndpoint && !subscriptionId) {
+    return res.status(401).json({ error: "Invalid or expired link" });
+  }
+
+  const saved = await alertsStore.savePushSubscription(pool, {
+    ...parsed,
+    userAgent: String(req.headers?.["user-agent"] || "").slice(0, 200) || null,
+    oldEndpoint: oldEndpoint ? String(oldEndpoint).trim() : null,
+    subscriptionId,
+  });
+  if (!saved) {
+    return res.status(401).json({ error: "This browser is already subscribed. Subscribe again to get a new link." });
+  }
+
+  const token = signToken({ email: saved.owner, exp: Date.now() + alertsStore.MANAGE_LINK_TTL_MS });
+  console.log(`[PUSH SUBSCRIBE] Subscription ${saved.id} saved`);
+
+  return res.status(200).json({
+    success: true,
+    subscriptionId: saved.id,
+    token,
+    manageUrl: `${SITE_BASE_URL}/pages/cancel_alert.html?t=${encodeURIComponent(token)}`
+  });
+}
+
+// ============================================================================
+// UNSUBSCRIBE (browser turned notifications off)
+// POST /api/push  body: { action: "unsubscribe", t }
+// ============================================================================
+async function handleUnsubscribe(req, res) {
+  const tok = verifyToken(String(req.body?.t || ""));
+  const subscriptionId = tok && !tok.purpose ? alertsStore.pushSubscriptionIdOf(tok.email) : null;
+  if (!subscriptionId) {
+    return res.status(401).json({ error: "Invalid or expired link" });
+  }
+
+  const alertsCancelled = await alertsStore.revokePushSubscription(pool, subscriptionId);
+  console.log(`[PUSH UNSUBSCRIBE] Subscription ${subscriptionId} revoked, ${alertsCancelled} alerts cancelled`);
+
+  return res.status(200).json({
+    success: true,
+    alertsCancelled,
+    message: "This browser won't receive any more alert notifications"
+  });
+}
@@ -1,27 +1,6 @@
 // api/scrapers/als-sale.js
 // Scrapes ALS Men's + Women's running shoes (all pages)
 //
-// Canonical deal schema in deals[]:
-// {
-//   schemaVersion,
-//   listingName,
-//   brand,
-//   model,
-//   salePrice,
-//   originalPrice,
-//   discountPercent,
-//   salePriceLow,
-//   salePriceHigh,
-//   originalPriceLow,
-//   originalPriceHigh,
-//   discountPercentUpTo,
-//   store,
-//   listingURL,
-//   imageURL,
-//   gender,
-//   shoeType
-// }
-//
 // NOTES:
 // - Gender is determined FROM THE TILE TEXT, not from the page/category
 // - Brand is taken from the bold brand line
@@ -31,12 +10,18 @@
 //    * sale: red price node
 // - Exact prices populate salePrice/originalPrice/discountPercent
 // - Ranges populate *Low/*High and discountPercentUpTo
+// - The same shoe can be listed under both men's and women's; it is kept once
 //
 // Blob: als-sale.json (stable)
 
-const axios = require("axios");
-const cheerio = require("cheerio");
-const { put } = require("@vercel/blob");
+const {
+  defineScraper,
+  detectGender,
+  detectShoeType,
+  computeDiscountPercent,
+  buildDeal,
+  fetchTextWithTimeout,
+} = require("../../lib/scraper-runtime");
 
 const STORE = "ALS";
 const BASE = "https://www.als.com";
@@ -47,14 +32,20 @@ const MEN_URL =
 const WOMEN_URL =
   "https://www.als.com/footwear/women-s-footwear/women-s-running-shoes?filter.category-1=footwear&filter.category-2=women-s-footwear&filter.category-3=women-s-running-shoes&sort=discount%3Adesc";
 
+const MAX_PAGES_PER_CATEGORY = 50;
+
+// The headers this scraper has always sent (a bare UA, no Accept)
+const FETCH_HEADERS = {
+  "User-Agent": "Mozilla/5.0",
+  "Accept-Language": "en-US,en;q=0.9",
+  "Cache-Control": "no-cache",
+  Pragma: "no-cache",
+};
+
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 /** -------------------- helpers -------------------- **/
 
-function nowIso() {
-  return new Date().toISOString();
-}
-
 function round2(n) {
   return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
 }
@@ -96,13 +87,6 @@ function uniqNumbers(arr) {
   return [...new Set((arr || []).filter((n) => Number.isFinite(n)).map((n) => round2(n)))];
 }
 
-function computeDiscountPercent(originalPrice, salePrice) {
-  if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice)) return null;
-  if (originalPrice <= 0 || salePrice <= 0) return null;
-  if (salePrice >= originalPrice) return 0;
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
-}
-
 function computeDiscountPercentUpTo(originalHigh, saleLow) {
   if (!Number.isFinite(originalHigh) || !Number.isFinite(saleLow)) return null;
   if (originalHigh <= 0 || saleLow <= 0) return null;
@@ -201,37 +185,6 @@ function normalizePriceBundle(originalParsed, saleParsed) {
   return out;
 }
 
-function detectGenderFromTileText(text) {
-  const t = cleanText(text).toLowerCase();
-
-  if (/\bunisex\b/.test(t)) return "unisex";
-  if (/\bmen'?s\b/.test(t) || /\bmens\b/.test(t)) return "mens";
-  if (/\bwomen'?s\b/.test(t) || /\bwomens\b/.test(t)) return "womens";
-  return "unknown";
-}
-
-function detectShoeTypeFromTileText(text) {
-  const t = cleanText(text).toLowerCase();
-
-  if (/\btrack\b/.test(t) || /\bspike\b/.test(t) || /\bspikes\b/.test(t)) {
-    return "track";
-  }
-
-  if (/\btrail\b/.test(t) && /\brunning shoe\b/.test(t)) {
-    return "trail";
-  }
-
-  if (/\btrail\b/.test(t) && /\bshoe\b/.test(t)) {
-    return "trail";
-  }
-
-  if (/\brunning shoe\b/.test(t)) {
-    return "road";
-  }
-
-  return "unknown";
-}
-
 function extractBrandAndModel($card) {
   const brand = cleanText(
     $card.find("p.font-bold").first().text()
@@ -283,30 +236,54 @@ function extractPriceNodes($card) {
   };
 }
 
-/** -------------------- extraction -------------------- **/
+/** -------------------- fetch + parse -------------------- **/
+
+async function* fetchPages(ctx) {
+  for (const [i, baseUrl] of [MEN_URL, WOMEN_URL].entries()) {
+    if (i > 0) await sleep(1200);
+
+    for (let page = 1; page <= MAX_PAGES_PER_CATEGORY; page++) {
+      const url = `${baseUrl}&page=${page}`;
+      const html = await fetchTextWithTimeout(url, { headers: FETCH_HEADERS }, 45000);
+
+      yield { url, html, pageNum: page };
+
+      // Empty page, or nothing new past page 1: this category is exhausted.
+      if (ctx.state.lastPageTileCount === 0) break;
+      if (ctx.lastPage.dealsExtracted === 0 && page > 1) break;
+
+      await sleep(800);
+    }
+  }
+}
 
-function extractDeals(html) {
-  const $ = cheerio.load(html);
+function parseListing(page, ctx) {
+  const { $ } = page;
   const deals = [];
 
   const tiles = $("li").filter((_, li) => {
     const $li = $(li);
-    const href = $li.find('a[href$="/p"]').first().attr("href");
-    const hasBrand = $li.find("p.font-bold").length > 0;
-    const hasModel = $li.find("p.line-clamp-2").length > 0;
-    const hasSale = $li.find("p.text-als-price-red").length > 0;
-    return !!href && hasBrand && hasModel && hasSale;
+    return (
+      $li.find('a[href$="/p"]').length > 0 &&
+      $li.find("p.font-bold").length > 0 &&
+      $li.find("p.line-clamp-2").length > 0
+    );
   });
+  ctx.state.lastPageTileCount = tiles.length;
 
   tiles.each((_, li) => {
     const $tile = $(li);
+    ctx.found();
+
+    // Full-price tiles have no red sale price
+    if (!$tile.find("p.text-als-price-red").length) return ctx.drop("notOnSale");
 
     const productLink = $tile.find('a[href$="/p"]').filter((_, a) => {
       return !!$(a).find("img").length || !!cleanText($(a).text());
     }).first();
 
     const listingURL = absolutize(productLink.attr("href"));
-    if (!listingURL) return;
+    if (!listingURL) return ctx.drop("missingListingURL");
 
     const imageURL = absolutize(
       $tile.find("img").first().attr("src") ||
@@ -315,202 +292,50 @@ function extractDeals(html) {
     );
 
     const { brand, model } = extractBrandAndModel($tile);
-    if (!brand || !model) return;
+    if (!brand || !model) return ctx.drop("missingBrandOrModel", { listingURL });
 
     const listingName = extractListingName(brand, model);
-    if (!listingName) return;
-
-    const tileText = cleanText($tile.text());
-    const gender = detectGenderFromTileText(tileText);
-    const shoeType = detectShoeTypeFromTileText(tileText);
+    if (!listingName) return ctx.drop("missingListingName", { listingURL });
 
     const { originalText, saleText } = extractPriceNodes($tile);
-    if (!saleText || !originalText) return;
+    if (!saleText || !originalText) {
+      return ctx.drop("missingPrice", { listingName, listingURL, saleText, originalText });
+    }
 
     const originalParsed = parseSingleOrRangePrice(originalText);
     const saleParsed = parseSingleOrRangePrice(saleText);
-    if (!originalParsed || !saleParsed) return;
-
-    const priceBundle = normalizePriceBundle(originalParsed, saleParsed);
-    if (!priceBundle) return;
-
-    deals.push({
-      schemaVersion: 1,
-
-      listingName,
-
-      brand,
-      model,
-
-      salePrice: priceBundle.salePrice,
-      originalPrice: priceBundle.originalPrice,
-      discountPercent: priceBundle.discountPercent,
-
-      salePriceLow: priceBundle.salePriceLow,
-      salePriceHigh: priceBundle.salePriceHigh,
-      originalPriceLow: priceBundle.originalPriceLow,
-      originalPriceHigh: priceBundle.originalPriceHigh,
-      discountPercentUpTo: priceBundle.discountPercentUpTo,
-
-      store: STORE,
+    const priceBundle = originalParsed && saleParsed ? normalizePriceBundle(originalParsed, saleParsed) : null;
+    if (!priceBundle) {
+      return ctx.drop("invalidPrice", { listingName, listingURL, saleText, originalText });
+    }
 
-      listingURL,
-      imageURL: imageURL || null,
+    if (!ctx.markSeen(listingURL)) return ctx.drop("duplicateUrl", { listingName, listingURL });
 
-      gender,
-      shoeType,
-    });
-  });
+    // Gender and type from the tile text, not the category
+    const tileText = cleanText($tile.text());
 
-  const seen = new Set();
-  return deals.filter((d) => {
-    if (!d.listingURL) return false;
-    if (seen.has(d.listingURL)) return false;
-    seen.add(d.listingURL);
-    return true;
+    deals.push(
+      buildDeal({
+        listingName,
+        brand,
+        model,
+        ...priceBundle,
+        store: STORE,
+        listingURL,
+        imageURL: imageURL || null,
+        gender: detectGender("", listingName, tileText),
+        shoeType: detectShoeType(listingName, tileText),
+      })
+    );
   });
-}
 
-async function fetchHtml(url) {
-  const { data } = await axios.get(url, {
-    headers: {
-      "User-Agent": "Mozilla/5.0",
-      "Accept-Language": "en-US,en;q=0.9",
-      "Cache-Control": "no-cache",
-      Pragma: "no-cache",
-    },
-    timeout: 45000,
-  });
-  return data;
+  return deals;
 }
 
-async function scrapeCategory(baseUrl) {
-  const all = [];
-  const seen = new Set();
-
-  let pagesFetched = 0;
-  let tilesFound = 0;
-
-  for (let page = 1; page <= 50; page++) {
-    const url = `${baseUrl}&page=${page}`;
-    const html = await fetchHtml(url);
-    pagesFetched += 1;
-
-    const $ = cheerio.load(html);
-
-    const pageTiles = $("li").filter((_, li) => {
-      const $li = $(li);
-      return (
-        $li.find('a[href$="/p"]').length > 0 &&
-        $li.find("p.font-bold").length > 0 &&
-        $li.find("p.line-clamp-2").length > 0
-      );
-    });
-
-    tilesFound += pageTiles.length;
-
-    const pageDeals = extractDeals(html);
-
-    let added = 0;
-    for (const d of pageDeals) {
-      if (d.listingURL && !seen.has(d.listingURL)) {
-        seen.add(d.listingURL);
-        all.push(d);
-        added++;
-      }
-    }
-
-    if (pageTiles.length === 0) break;
-    if (pageDeals.length === 0 && page > 1) break;
-
-    await sleep(800);
-  }
-
-  return { deals: all, pagesFetched, tilesFound };
-}
-
-/** -------------------- handler -------------------- **/
-
-module.exports = async (req, res) => {
-  if (req.method !== "GET") {
-    return res.status(405).json({ ok: false, error: "Method not allowed" });
-  }
-
-  // CRON_SECRET
-  // const auth = req.headers.authorization;
-  // if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
-  //   return res.status(401).json({ success: false, error: "Unauthorized" });
-  // }
-
-  const t0 = Date.now();
-
-  const out = {
-    store: STORE,
-    schemaVersion: 1,
-
-    lastUpdated: nowIso(),
-    via: "cheerio",
-
-    sourceUrls: [MEN_URL, WOMEN_URL],
-    pagesFetched: 0,
-
-    dealsFound: 0,
-    dealsExtracted: 0,
-
-    scrapeDurationMs: 0,
-
-    ok: false,
-    error: null,
-
-    deals: [],
-  };
-
-  try {
-    const mens = await scrapeCategory(MEN_URL);
-    await sleep(1200);
-    const womens = await scrapeCategory(WOMEN_URL);
-
-    const deals = [...mens.deals, ...womens.deals];
-
-    out.pagesFetched = (mens.pagesFetched || 0) + (womens.pagesFetched || 0);
-    out.dealsFound = (mens.tilesFound || 0) + (womens.tilesFound || 0);
-    out.dealsExtracted = deals.length;
-    out.deals = deals;
-
-    out.ok = true;
-    out.error = null;
-    out.scrapeDurationMs = Date.now() - t0;
-    out.lastUpdated = nowIso();
-
-    const blob = await put("als-sale.json", JSON.stringify(out, null, 2), {
-      access: "public",
-      contentType: "application/json",
-      addRandomSuffix: false,
-    });
-
-    res.setHeader("Cache-Control", "no-store, max-age=0");
-    return res.status(200).json({
-      ok: true,
-      store: out.store,
-      pagesFetched: out.pagesFetched,
-      dealsFound: out.dealsFound,
-      dealsExtracted: out.dealsExtracted,
-      scrapeDurationMs: out.scrapeDurationMs,
-      blobUrl: blob.url,
-      lastUpdated: out.lastUpdated,
-    });
-  } catch (err) {
-    out.ok = false;
-    out.error = err?.stack || err?.message || String(err) || "Unknown error";
-    out.scrapeDurationMs = Date.now() - t0;
-    out.lastUpdated = nowIso();
-
-    res.setHeader("Cache-Control", "no-store, max-age=0");
-    return res.status(500).json({
-      ok: false,
-      error: out.error,
-      scrapeDurationMs: out.scrapeDurationMs,
-      lastUpdated: out.lastUpdated,
-    });
-  }
-};
+module.exports = defineScraper({
+  store: STORE,
+  via: "cheerio",
+  blobName: "als-sale.json",
+  fetchPages,
+  parseListing,
+});
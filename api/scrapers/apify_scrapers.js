@@ -1,5 +1,7 @@
 // /api/scrapers/apify_scrapers.js
-// Trigger-only runner for Apify Actors (does NOT wait for completion, does NOT write blobs)
+// Trigger-only runner for Apify Actors (does NOT wait for completion, does NOT write deal blobs)
+
+const { saveRunnerResult } = require("../../lib/runnerResults");
 
 function nowIso() {
   return new Date().toISOString();
@@ -207,6 +209,9 @@ module.exports = async (req, res) => {
 
   const durationMs = Date.now() - overallStart;
 
+  // Only records whether each actor run was STARTED; actor failures surface as stale blobs.
+  await saveRunnerResult("apify_scrapers", { startedAt: startedAtIso, results });
+
   const keys = Object.keys(results);
   const okCount = keys.filter((k) => results[k]?.ok).length;
   const skippedCount = keys.filter((k) => results[k]?.skipped).length;
@@ -10,6 +10,7 @@
 // - Single request with limit=250
 // - Hard-codes gender = "mens"
 // - Hard-codes shoeType = "unknown"
+// - sizesAvailable from in-stock variants[].size (fallback custom_fields.size); US sizes
 //
 // OUTPUT TOP LEVEL:
 // {
@@ -36,6 +37,7 @@
 // }
 
 import { put } from "@vercel/blob";
+import { normalizeSizeList } from "../../lib/sizes";
 
 export const config = { maxDuration: 60 };
 
@@ -129,6 +131,26 @@ function getOriginalPrices(item) {
   return uniqNumbers(out).sort((a, b) => a - b);
 }
 
+function getSizes(item) {
+  const raw = [];
+
+  if (Array.isArray(item?.variants)) {
+    for (const v of item.variants) {
+      if (v?.size == null) continue;
+      if (v.availability === false) continue;
+      if (toNumber(v.quantity) != null && toNumber(v.quantity) <= 0) continue;
+      raw.push(v.size);
+    }
+  }
+
+  if (!raw.length && Array.isArray(item?.custom_fields?.size)) {
+    raw.push(...item.custom_fields.size);
+  }
+
+  if (!raw.length) return { sizesAvailable: null, sizeSystem: null };
+  return { sizesAvailable: normalizeSizeList(raw) || [], sizeSystem: "US" };
+}
+
 function chooseImage(item) {
   return absUrl(item?.image_url || item?.image_2_url);
 }
@@ -202,6 +224,8 @@ function buildDeal(item) {
 
     gender: "mens",
     shoeType: "unknown",
+
+    ...getSizes(item),
   };
 }
 
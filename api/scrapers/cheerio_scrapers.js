@@ -13,6 +13,8 @@
 // - it uses the Shopify Algolia product search API directly from its own Vercel scraper endpoint.
 // Each scraper runs in its own file and writes its own blob.
 
+const { saveRunnerResult } = require("../../lib/runnerResults");
+
 export const config = { maxDuration: 60 };
 
 const REQUEST_TOGGLES = {
@@ -246,6 +248,8 @@ export default async function handler(req, res) {
       };
     }
 
+    await saveRunnerResult("cheerio_scrapers", { startedAt: runTimestamp, results });
+
     return res.status(200).json({
       success: true,
       timestamp: runTimestamp,
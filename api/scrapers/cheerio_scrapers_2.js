@@ -29,6 +29,8 @@
 // - Default is sequential to reduce load and avoid accidental parallel overlap.
 // - You can toggle RUN_CONCURRENTLY if you want, but sequential is safest.
 
+const { saveRunnerResult } = require("../../lib/runnerResults");
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -151,6 +153,8 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    await saveRunnerResult("cheerio_scrapers_2", { startedAt, results });
+
     const okCount = results.filter((r) => r.ok).length;
     const totalMs = results.reduce((sum, r) => sum + (r.elapsedMs || 0), 0);
 
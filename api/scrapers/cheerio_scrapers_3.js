@@ -7,6 +7,8 @@
 // - Sequential by default.
 // - Passes cron auth through if provided.
 
+const { saveRunnerResult } = require("../../lib/runnerResults");
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -138,6 +140,8 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    await saveRunnerResult("cheerio_scrapers_3", { startedAt, results });
+
     const okCount = results.filter((r) => r.ok).length;
     const totalMs = results.reduce((sum, r) => sum + (r.elapsedMs || 0), 0);
 
@@ -21,6 +21,7 @@
 // - CRON_SECRET (left commented out for testing)
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 const STORE = "Commonwealth Running Co";
 const SCHEMA_VERSION = 1;
@@ -389,6 +390,8 @@ function parseProductToDeal(product, dropCounts) {
 
     gender,
     shoeType,
+
+    ...shopifySizes(product),
   };
 }
 
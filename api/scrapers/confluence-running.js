@@ -26,6 +26,7 @@
 // - CRON_SECRET (left commented out for testing)
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 const STORE = "Confluence Running";
 const SCHEMA_VERSION = 1;
@@ -417,6 +418,8 @@ function parseProductToDeal(product, dropCounts) {
 
     gender,
     shoeType,
+
+    ...shopifySizes(product),
   };
 }
 
@@ -10,6 +10,7 @@
 // IMPORTANT RULES (per your requirement):
 // - listingName is preserved EXACTLY as returned
 // - shoeType is always "unknown"
+// - sizesAvailable comes from in-stock variant children (or additionalFields.sizes); US sizes
 // - gender is mens / womens / unisex / unknown
 // - skip all "See Price in Cart" / MAP-policy items
 // - skip anything without valid sale + original pricing
@@ -24,6 +25,7 @@
 // - famous-footwear.json
 
 import { put } from "@vercel/blob";
+import { normalizeSizeList } from "../../lib/sizes";
 
 export const config = { maxDuration: 60 };
 
@@ -292,6 +294,23 @@ async function fetchPage(page, token) {
   return json;
 }
 
+function parseSizes(result) {
+  const children = Array.isArray(result?.children) ? result.children : [];
+  const childSizes = children
+    .filter((child) => child && child.ec_in_stock !== false)
+    .map((child) => child?.additionalFields?.size ?? child?.size)
+    .filter((size) => size != null);
+
+  const raw = childSizes.length
+    ? childSizes
+    : Array.isArray(result?.additionalFields?.sizes)
+      ? result.additionalFields.sizes
+      : null;
+
+  if (!raw) return { sizesAvailable: null, sizeSystem: null };
+  return { sizesAvailable: normalizeSizeList(raw) || [], sizeSystem: "US" };
+}
+
 function mapResultToDeal(result) {
   const listingName = String(result?.ec_name || "").trim();
   const brand = String(result?.ec_brand || "").trim();
@@ -304,6 +323,7 @@ function mapResultToDeal(result) {
   const discountPercent = computeDiscountPercent(originalPrice, salePrice);
 
   return {
+    schemaVersion: SCHEMA_VERSION,
     listingName,
     brand,
     model,
@@ -315,6 +335,7 @@ function mapResultToDeal(result) {
     imageURL,
     gender,
     shoeType: "unknown",
+    ...parseSizes(result),
   };
 }
 
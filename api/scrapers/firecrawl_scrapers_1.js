@@ -14,6 +14,8 @@
 //   add to vercel.json like:
 //   { "path": "/api/scrapers/firecrawl_scrapers_1", "schedule": "10 9 * * *" }
 
+const { saveRunnerResult } = require("../../lib/runnerResults");
+
 const DEFAULT_TIMEOUT_MS = 6 * 60 * 1000; // 6 min per scraper request
 const RUN_CONCURRENTLY = true; // set false to run one-after-another (safer)
 
@@ -223,6 +225,11 @@ module.exports = async function handler(req, res) {
 
   console.log(`[${runId}] FIRECRAWL runner end okAll=${okAll} time=${elapsedMs}ms`);
 
+  await saveRunnerResult("firecrawl_scrapers_1", {
+    startedAt: new Date(startedAt).toISOString(),
+    results,
+  });
+
   res.status(okAll ? 200 : 207).json({
     ok: okAll,
     runId,
@@ -1,129 +1,28 @@
 // /api/scrapers/fleet-feet-cheerio.js
 
-const cheerio = require("cheerio");
-const { put } = require("@vercel/blob");
-const { canonicalBrandModelHelper } = require("../../lib/canonical-brand-models");
+const {
+  defineScraper,
+  HTML_HEADERS,
+  normalizeWhitespace,
+  absolutizeUrl,
+  parseBrandModelFromCanonical,
+  detectGender,
+  detectShoeType,
+  computeDiscountPercent,
+  buildDeal,
+  fetchTextWithTimeout,
+} = require("../../lib/scraper-runtime");
 
 export const config = { maxDuration: 60 };
 
 const STORE = "Fleet Feet";
-const VIA = "cheerio-json-in-script";
-const SCHEMA_VERSION = 1;
 const BASE = "https://www.fleetfeet.com";
 const MAX_PAGES_PER_SEED = 8;
 
-function nowIso() {
-  return new Date().toISOString();
-}
-
-function normalizeWhitespace(s) {
-  return String(s || "").replace(/\s+/g, " ").trim();
-}
-
-function absolutizeUrl(u, base) {
-  let url = String(u || "").trim();
-  if (!url) return "";
-  if (/^https?:\/\//i.test(url)) return url;
-  if (url.startsWith("//")) return "https:" + url;
-  if (url.startsWith("/")) return base.replace(/\/+$/, "") + url;
-  return base.replace(/\/+$/, "") + "/" + url.replace(/^\/+/, "");
-}
-
-function parseBrandModelFromCanonical(listingName, rawBrandHint = "") {
-  return canonicalBrandModelHelper.parseBrandModelFromText(listingName, rawBrandHint);
-}
-
-function detectGender(listingURL, listingName, extraText = "") {
-  const urlLower = (listingURL || "").toLowerCase();
-  const combined = `${urlLower} ${listingName || ""} ${extraText || ""}`.toLowerCase();
-
-  if (/\/mens?[\/-]|\/men\/|men-/.test(urlLower)) return "mens";
-  if (/\/womens?[\/-]|\/women\/|women-/.test(urlLower)) return "womens";
-
-  if (/\bmen'?s\b|\bmens\b|\bmale\b/.test(combined)) return "mens";
-  if (/\bwomen'?s\b|\bwomens\b|\bfemale\b|\bladies\b/.test(combined)) return "womens";
-  if (/\bunisex\b/.test(combined)) return "unisex";
-
-  return "unknown";
-}
-
-function detectShoeType(listingName, extraText = "") {
-  const combined = `${listingName || ""} ${extraText || ""}`.toLowerCase();
-
-  if (/\b(track|spike|spikes)\b/.test(combined)) return "track";
-  if (/\b(trail|trail running|off[- ]road)\b/.test(combined)) return "trail";
-  if (/\b(road|running shoe|running shoes)\b/.test(combined)) return "road";
-
-  return "unknown";
-}
-
-function computeDiscountPercent(originalPrice, salePrice) {
-  if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice)) return null;
-  if (originalPrice <= 0 || salePrice <= 0) return null;
-  if (salePrice >= originalPrice) return 0;
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
-}
-
-function buildDeal({
-  listingName,
-  brand,
-  model,
-  salePrice,
-  originalPrice,
-  discountPercent,
-  store,
-  listingURL,
-  imageURL,
-  gender,
-  shoeType,
-}) {
-  return {
-    schemaVersion: 1,
-
-    listingName: listingName || "",
-
-    brand: brand || "Unknown",
-    model: model || "",
-
-    salePrice: Number.isFinite(salePrice) ? salePrice : null,
-    originalPrice: Number.isFinite(originalPrice) ? originalPrice : null,
-    discountPercent: Number.isFinite(discountPercent) ? discountPercent : null,
-
-    salePriceLow: null,
-    salePriceHigh: null,
-    originalPriceLow: null,
-    originalPriceHigh: null,
-    discountPercentUpTo: null,
-
-    store: store || "",
-
-    listingURL: listingURL || "",
-    imageURL: imageURL || null,
-
-    gender: gender || "unknown",
-    shoeType: shoeType || "unknown",
-  };
-}
-
-async function fetchTextWithTimeout(url, options = {}, timeoutMs = 30000) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const resp = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-    });
-
-    if (!resp.ok) {
-      throw new Error(`HTTP ${resp.status} for ${url}`);
-    }
-
-    return await resp.text();
-  } finally {
-    clearTimeout(timer);
-  }
-}
+const SEED_URLS = [
+  "https://www.fleetfeet.com/browse/shoes/mens?clearance=on",
+  "https://www.fleetfeet.com/browse/shoes/womens?clearance=on",
+];
 
 function buildPagedUrl(seedUrl, pageNum) {
   if (pageNum <= 1) return seedUrl;
@@ -163,221 +62,116 @@ function getArrayField(obj, key) {
   return Array.isArray(obj?.[key]) ? obj[key] : [];
 }
 
-async function scrapeFleetFeet() {
-  const seedUrls = [
-    "https://www.fleetfeet.com/browse/shoes/mens?clearance=on",
-    "https://www.fleetfeet.com/browse/shoes/womens?clearance=on",
-  ];
-
-  const sourceUrls = [];
-  let pagesFetched = 0;
-  let dealsFound = 0;
-
-  const deals = [];
-  const seenUrls = new Set();
-
-  for (const seedUrl of seedUrls) {
+async function* fetchPages(ctx) {
+  for (const seedUrl of SEED_URLS) {
     for (let page = 1; page <= MAX_PAGES_PER_SEED; page++) {
       const url = buildPagedUrl(seedUrl, page);
-      sourceUrls.push(url);
 
       const html = await fetchTextWithTimeout(
         url,
-        {
-          headers: {
-            "User-Agent":
-              "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-            Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-            "Accept-Language": "en-US,en;q=0.9",
-            "Cache-Control": "no-cache",
-            Pragma: "no-cache",
-          },
-        },
+        { headers: { ...HTML_HEADERS, "Cache-Control": "no-cache", Pragma: "no-cache" } },
         30000
       );
 
-      const $ = cheerio.load(html);
-      pagesFetched++;
-
-      const $tiles = $(".product-tile");
-      if ($tiles.length === 0) break;
-
-      let acceptedOnPage = 0;
-
-      $tiles.each((_, el) => {
-        const $tile = $(el);
-        const data = extractTileData($tile);
-        if (!data) return;
-
-        const rawTitle =
-          getStringField(data, "product.title")
-            .replace(/\|/g, " ")
-            .replace(/\s+/g, " ")
-            .trim() || "";
-
-        const listingName = normalizeWhitespace(rawTitle);
-        if (!listingName) return;
-
-        const slug = getStringField(data, "product.slug");
-        if (!slug) return;
-
-        const listingURL = absolutizeUrl(`/products/${slug}`, BASE);
-        if (!listingURL || seenUrls.has(listingURL)) return;
-        seenUrls.add(listingURL);
-
-        const originalPrice = getNumberField(data, "computed.originalPrice");
-        const salePrice = getNumberField(data, "computed.price");
-
-        if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice)) return;
-        if (!(originalPrice > salePrice && salePrice > 0)) return;
-
-        const discountPercent = computeDiscountPercent(originalPrice, salePrice);
-        if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice) || salePrice >= originalPrice) return;
-
-        const flags = getArrayField(data, "product.flags")
-          .map((x) => normalizeWhitespace(x))
-          .filter(Boolean);
-        const flagText = flags.join(" ");
-
-        const genderArray = getArrayField(data, "product.gender")
-          .map((x) => normalizeWhitespace(x))
-          .filter(Boolean);
-
-        const explicitGender = genderArray.join(" ").toLowerCase();
-        let gender = "unknown";
-        if (/\bmen\b|\bmens\b/.test(explicitGender)) gender = "mens";
-        else if (/\bwomen\b|\bwomens\b/.test(explicitGender)) gender = "womens";
-        else if (/\bunisex\b/.test(explicitGender)) gender = "unisex";
-        else gender = detectGender(listingURL, listingName, flagText);
-
-        const imageRaw =
-          getStringField(data, "sku.bestPhoto") ||
-          getStringField(data, "sku.photo");
-
-        const imageURL = absolutizeUrl(imageRaw, BASE) || null;
-
-        const brandHint = "";
-        const { brand, model } = parseBrandModelFromCanonical(listingName, brandHint);
-
-        deals.push(
-          buildDeal({
-            listingName,
-            brand,
-            model,
-            salePrice,
-            originalPrice,
-            discountPercent,
-            store: STORE,
-            listingURL,
-            imageURL,
-            gender,
-            shoeType: detectShoeType(listingName, flagText),
-          })
-        );
-
-        dealsFound++;
-        acceptedOnPage++;
-      });
-
-      if (acceptedOnPage === 0 && page > 1) {
-        break;
-      }
+      yield { url, html, pageNum: page };
+
+      // Empty page, or nothing new past page 1: this seed is exhausted.
+      if (ctx.state.lastPageTileCount === 0) break;
+      if (ctx.lastPage.dealsExtracted === 0 && page > 1) break;
     }
   }
-
-  return {
-    deals,
-    sourceUrls,
-    pagesFetched,
-    dealsFound,
-    dealsExtracted: deals.length,
-  };
 }
 
-export default async function handler(req, res) {
-  if (req.method !== "GET") {
-    return res.status(405).json({ success: false, error: "Method not allowed" });
-  }
-
-  const auth = req.headers.authorization;
-  if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
-    return res.status(401).json({ success: false, error: "Unauthorized" });
-  }
-
-  const start = Date.now();
-  const timestamp = nowIso();
-
-  try {
-    const result = await scrapeFleetFeet();
-    const durationMs = Date.now() - start;
-
-    const output = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-
-      lastUpdated: timestamp,
-      via: VIA,
-
-      sourceUrls: result.sourceUrls,
-      pagesFetched: result.pagesFetched,
-
-      dealsFound: result.dealsFound,
-      dealsExtracted: result.dealsExtracted,
-
-      scrapeDurationMs: durationMs,
-
-      ok: true,
-      error: null,
-
-      deals: result.deals,
-    };
-
-    const blob = await put("fleet-feet.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
-
-    return res.status(200).json({
-      success: true,
-      store: STORE,
-      blobUrl: blob.url,
-      dealsExtracted: output.dealsExtracted,
-      scrapeDurationMs: durationMs,
-    });
-  } catch (err) {
-    const durationMs = Date.now() - start;
+function parseListing(page, ctx) {
+  const { $ } = page;
+  const deals = [];
 
-    const output = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
+  const $tiles = $(".product-tile");
+  ctx.state.lastPageTileCount = $tiles.length;
 
-      lastUpdated: timestamp,
-      via: VIA,
+  $tiles.each((_, el) => {
+    const $tile = $(el);
+    const data = extractTileData($tile);
+    if (!data) return ctx.drop("missingTileData");
 
-      sourceUrls: [],
-      pagesFetched: null,
+    const rawTitle =
+      getStringField(data, "product.title")
+        .replace(/\|/g, " ")
+        .replace(/\s+/g, " ")
+        .trim() || "";
 
-      dealsFound: null,
-      dealsExtracted: 0,
+    const listingName = normalizeWhitespace(rawTitle);
+    if (!listingName) return ctx.drop("missingListingName");
 
-      scrapeDurationMs: durationMs,
+    const slug = getStringField(data, "product.slug");
+    if (!slug) return ctx.drop("missingHref", { listingName });
 
-      ok: false,
-      error: err?.message || "Unknown error",
+    const listingURL = absolutizeUrl(`/products/${slug}`, BASE);
+    if (!listingURL) return ctx.drop("missingListingURL", { listingName });
+    if (!ctx.markSeen(listingURL)) return ctx.drop("duplicateUrl", { listingName, listingURL });
 
-      deals: [],
-    };
+    const originalPrice = getNumberField(data, "computed.originalPrice");
+    const salePrice = getNumberField(data, "computed.price");
 
-    const blob = await put("fleet-feet.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
+    if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice)) {
+      return ctx.drop("missingPrice", { listingName, listingURL, salePrice, originalPrice });
+    }
+    if (!(originalPrice > salePrice && salePrice > 0)) {
+      return ctx.drop("invalidPriceRelation", { listingName, listingURL, salePrice, originalPrice });
+    }
 
-    return res.status(500).json({
-      success: false,
-      store: STORE,
-      blobUrl: blob.url,
-      error: output.error,
-    });
-  }
-}
+    const discountPercent = computeDiscountPercent(originalPrice, salePrice);
+
+    const flags = getArrayField(data, "product.flags")
+      .map((x) => normalizeWhitespace(x))
+      .filter(Boolean);
+    const flagText = flags.join(" ");
+
+    const genderArray = getArrayField(data, "product.gender")
+      .map((x) => normalizeWhitespace(x))
+      .filter(Boolean);
+
+    const explicitGender = genderArray.join(" ").toLowerCase();
+    let gender = "unknown";
+    if (/\bmen\b|\bmens\b/.test(explicitGender)) gender = "mens";
+    else if (/\bwomen\b|\bwomens\b/.test(explicitGender)) gender = "womens";
+    else if (/\bunisex\b/.test(explicitGender)) gender = "unisex";
+    else gender = detectGender(listingURL, listingName, flagText);
+
+    const imageRaw =
+      getStringField(data, "sku.bestPhoto") ||
+      getStringField(data, "sku.photo");
+
+    const imageURL = absolutizeUrl(imageRaw, BASE) || null;
+
+    const { brand, model } = parseBrandModelFromCanonical(listingName, "");
+
+    deals.push(
+      buildDeal({
+        listingName,
+        brand,
+        model,
+        salePrice,
+        originalPrice,
+        discountPercent,
+        store: STORE,
+        listingURL,
+        imageURL,
+        gender,
+        shoeType: detectShoeType(listingName, flagText),
+      })
+    );
+
+    ctx.found();
+  });
+
+  return deals;
+}
+
+export default defineScraper({
+  store: STORE,
+  via: "cheerio-json-in-script",
+  blobName: "fleet-feet.json",
+  fetchPages,
+  parseListing,
+});
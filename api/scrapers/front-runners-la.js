@@ -21,6 +21,7 @@
 // - CRON_SECRET (left commented out for testing)
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 const STORE = "Front Runners LA";
 const SCHEMA_VERSION = 1;
@@ -281,6 +282,8 @@ function parseProductToDeal(product, source, dropCounts) {
 
     gender: source.gender,
     shoeType: source.shoeType,
+
+    ...shopifySizes(product),
   };
 }
 
@@ -17,6 +17,7 @@
 //   GAZELLESPORTS_DEALS_BLOB_URL = https://.../gazelle-sports.json
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 // -----------------------------
 // tiny helpers
@@ -180,6 +181,8 @@ function buildDealFromProduct(product, baseSiteUrl, defaultGender) {
 
     gender,
     shoeType: "unknown",
+
+    ...shopifySizes(product),
   };
 }
 
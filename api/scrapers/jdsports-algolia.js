@@ -17,6 +17,7 @@
 // - CRON_SECRET
 
 import { put } from "@vercel/blob";
+import { normalizeSizeList } from "../../lib/sizes";
 
 function nowIso() {
   return new Date().toISOString();
@@ -135,6 +136,13 @@ function extractListingURL(hit) {
   );
 }
 
+function extractSizes(hit) {
+  // ✅ facet_size lists the in-stock US sizes for the style
+  const raw = Array.isArray(hit?.facet_size) ? hit.facet_size : Array.isArray(hit?.sizes) ? hit.sizes : null;
+  if (!raw) return { sizesAvailable: null, sizeSystem: null };
+  return { sizesAvailable: normalizeSizeList(raw) || [], sizeSystem: "US" };
+}
+
 function extractImageURL(hit) {
   // ✅ JD has prod_image_url + app_* image urls
   const raw = pickFirstTruthy(
@@ -311,6 +319,7 @@ export default async function handler(req, res) {
       "facet_activity",
       "facet_category",
       "facet_surface",
+      "facet_size",
 
       "brand",
       "sales_text",
@@ -419,6 +428,7 @@ export default async function handler(req, res) {
           imageURL,
           gender,
           shoeType,
+          ...extractSizes(hit),
         });
 
         drop.bump("kept");
@@ -9,24 +9,26 @@
 // - Keeps only discounted product cards
 // - Drops full-price items, gift cards, non-shoe/apparel items, etc.
 // - Sets shoeType = "unknown" for all extracted shoes
-// - Writes ONLY top-level structure + deals array to karhu-sale.json in Vercel Blob
-// - Returns ONLY metadata/debug info in API response (no deals array)
-//
-// ENV:
-//   - BLOB_READ_WRITE_TOKEN
-//   - CRON_SECRET
+// - Gender from the card title, else the root's gender
+// - HTTP 429 stops the run early with what it has (rateLimited in the blob);
+//   it only fails when nothing was extracted yet
 //
 // TEST:
 //   /api/scrapers/karhu-sale
 
-import * as cheerio from "cheerio";
-import { put } from "@vercel/blob";
+const {
+  defineScraper,
+  HTML_HEADERS,
+  absolutizeUrl,
+  detectGender,
+  computeDiscountPercent,
+  buildDeal,
+  fetchTextWithTimeout,
+} = require("../../lib/scraper-runtime");
 
 export const config = { maxDuration: 60 };
 
 const STORE = "Karhu";
-const SCHEMA_VERSION = 1;
-const VIA = "fetch-html";
 const BASE = "https://us.karhu.com";
 
 const SEARCH_ROOTS = [
@@ -45,10 +47,9 @@ const SEARCH_ROOTS = [
 ];
 
 const MAX_PAGES_PER_ROOT = 2;
-const MAX_DROPPED_SAMPLE = 75;
 
-function nowIso() {
-  return new Date().toISOString();
+function absUrl(url) {
+  return absolutizeUrl(url, BASE) || null;
 }
 
 function cleanText(value) {
@@ -58,16 +59,6 @@ function cleanText(value) {
     .trim();
 }
 
-function absUrl(url) {
-  if (!url) return null;
-  const s = String(url).trim();
-  if (!s) return null;
-  if (s.startsWith("//")) return `https:${s}`;
-  if (s.startsWith("http://") || s.startsWith("https://")) return s;
-  if (s.startsWith("/")) return `${BASE}${s}`;
-  return `${BASE}/${s.replace(/^\/+/, "")}`;
-}
-
 function parseMoney(text) {
   if (!text) return null;
   const m = String(text).match(/([0-9]+(?:\.[0-9]{1,2})?)/);
@@ -135,28 +126,6 @@ function extractPricesFromCard($card, $) {
   };
 }
 
-function computeDiscountPercent(salePrice, originalPrice) {
-  if (
-    !Number.isFinite(salePrice) ||
-    !Number.isFinite(originalPrice) ||
-    originalPrice <= 0 ||
-    salePrice >= originalPrice
-  ) {
-    return null;
-  }
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
-}
-
-function inferGender(text, fallback = "unknown") {
-  const s = cleanText(text).toLowerCase();
-
-  if (/\bmen'?s\b|\bmens\b/.test(s)) return "mens";
-  if (/\bwomen'?s\b|\bwomens\b/.test(s)) return "womens";
-  if (/\bunisex\b/.test(s)) return "unisex";
-
-  return fallback;
-}
-
 function inferModel(rawTitle) {
   let s = cleanText(rawTitle);
 
@@ -204,498 +173,144 @@ function isLikelyShoe(text) {
   return false;
 }
 
-function safeSlice(arr, n) {
-  return Array.isArray(arr) ? arr.slice(0, n) : [];
-}
-
 function makePageUrl(rootUrl, page) {
   if (page <= 1) return rootUrl;
   const joiner = rootUrl.includes("?") ? "&" : "?";
   return `${rootUrl}${joiner}page=${page}`;
 }
 
-function buildGenderCounts(deals) {
-  const counts = {
-    mens: 0,
-    womens: 0,
-    unisex: 0,
-    unknown: 0,
-  };
+async function* fetchPages(ctx) {
+  for (const root of SEARCH_ROOTS) {
+    for (let page = 1; page <= MAX_PAGES_PER_ROOT; page += 1) {
+      const url = makePageUrl(root.url, page);
+
+      let html;
+      try {
+        html = await fetchTextWithTimeout(url, { headers: HTML_HEADERS });
+      } catch (err) {
+        if (err?.status !== 429 || !ctx.seenUrls.size) throw err;
+        ctx.state.rateLimited = err.message;
+        return;
+      }
+
+      yield { url, html, root };
 
-  for (const deal of deals) {
-    const g = deal?.gender;
-    if (g === "mens" || g === "womens" || g === "unisex" || g === "unknown") {
-      counts[g] += 1;
-    } else {
-      counts.unknown += 1;
+      // Nothing on the page, or nothing new on it: this root is exhausted.
+      if (ctx.state.lastPageCardCount === 0) break;
+      if (ctx.lastPage.dealsExtracted === 0) break;
     }
   }
-
-  return counts;
 }
 
-function buildBlobPayload({
-  store,
-  schemaVersion,
-  lastUpdated,
-  via,
-  sourceUrls,
-  pagesFetched,
-  dealsFound,
-  dealsExtracted,
-  scrapeDurationMs,
-  ok,
-  error,
-  deals,
-}) {
-  return {
-    store,
-    schemaVersion,
-    lastUpdated,
-    via,
-    sourceUrls,
-    pagesFetched,
-    dealsFound,
-    dealsExtracted,
-    scrapeDurationMs,
-    ok,
-    error,
-    deals,
-  };
-}
+function parseListing(page, ctx) {
+  const { $, root } = page;
+  const deals = [];
 
-function buildResponsePayload({
-  store,
-  schemaVersion,
-  lastUpdated,
-  via,
-  sourceUrls,
-  pagesFetched,
-  dealsFound,
-  dealsExtracted,
-  scrapeDurationMs,
-  ok,
-  error,
-  dropCounts,
-  droppedDeals,
-  pageSummaries,
-  deals,
-  blobUrl,
-}) {
-  return {
-    store,
-    schemaVersion,
-    lastUpdated,
-    via,
-    sourceUrls,
-    pagesFetched,
-    dealsFound,
-    dealsExtracted,
-    scrapeDurationMs,
-    ok,
-    error,
-    genderCounts: buildGenderCounts(deals),
-    dropCounts,
-    droppedDealsLogged: droppedDeals.length,
-    droppedDealsSample: safeSlice(droppedDeals, MAX_DROPPED_SAMPLE),
-    pageSummaries,
-    blobUrl,
-  };
-}
+  // A card has several product links (image, title); take each URL once per page
+  const pageSeenUrls = new Set();
+  let cardsFound = 0;
 
-export default async function handler(req, res) {
-  const startedAt = Date.now();
+  $("a[href*='/products/']").each((_, a) => {
+    const $a = $(a);
+    const href = cleanText($a.attr("href"));
+    if (!href || !href.includes("/products/")) return;
 
-  /*
-  const auth = req.headers.authorization;
-  if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
-    return res.status(401).json({ success: false, error: "Unauthorized" });
-  }
-  */
+    const listingURL = absUrl(href);
+    if (!listingURL || pageSeenUrls.has(listingURL)) return;
+    pageSeenUrls.add(listingURL);
 
-  const sourceUrls = [];
-  const pageSummaries = [];
-  const droppedDeals = [];
-  const deals = [];
+    let $card = $a.closest("div.tw-relative.tw-max-w-full.tw-h-full.tw-flex.tw-flex-col");
+    if (!$card.length) $card = $a.closest("div.tw-relative");
+    if (!$card.length) $card = $a.parent();
 
-  const seenListingUrls = new Set();
-
-  const dropCounts = {
-    totalCards: 0,
-    dropped_duplicateListingURL: 0,
-    dropped_giftCard: 0,
-    dropped_missingListingURL: 0,
-    dropped_missingListingName: 0,
-    dropped_missingImageURL: 0,
-    dropped_notShoe: 0,
-    dropped_missingSalePrice: 0,
-    dropped_missingOriginalPrice: 0,
-    dropped_fullPriceNotOnSale: 0,
-    dropped_saleNotLessThanOriginal: 0,
-    dropped_invalidDiscountPercent: 0,
-    dropped_missingBrand: 0,
-    dropped_missingModel: 0,
-  };
+    cardsFound += 1;
+    ctx.found();
+
+    const h3s = $card.find("h3");
+    const rawTitle = cleanText(h3s.first().text());
+    const rawColor = cleanText(h3s.eq(1).text());
+
+    const firstImgAlt = cleanText($card.find("img").first().attr("alt"));
+    const allImgAlt = cleanText(
+      $card
+        .find("img")
+        .map((__, img) => $(img).attr("alt"))
+        .get()
+        .join(" ")
+    );
+
+    const listingName = buildListingName(rawTitle, rawColor);
+
+    const imageURL =
+      absUrl($card.find("img").first().attr("src")) ||
+      absUrl($a.find("img").first().attr("src"));
+
+    const { priceText, salePrice, originalPrice, moneyMatches } = extractPricesFromCard($card, $);
 
-  function logDropped(reason, context = {}) {
-    if (Object.prototype.hasOwnProperty.call(dropCounts, reason)) {
-      dropCounts[reason] += 1;
+    const combinedText = cleanText(
+      [listingURL, rawTitle, rawColor, listingName, firstImgAlt, allImgAlt, priceText, cleanText($card.text())].join(" ")
+    );
+
+    if (ctx.seenUrls.has(listingURL)) return ctx.drop("duplicateUrl", { listingURL, listingName });
+
+    if (isGiftCard(listingURL) || isGiftCard(combinedText)) {
+      return ctx.drop("giftCard", { listingURL, listingName });
     }
 
-    if (droppedDeals.length < MAX_DROPPED_SAMPLE) {
-      droppedDeals.push({ reason, ...context });
+    if (!listingName) return ctx.drop("missingListingName", { listingURL });
+    if (!imageURL) return ctx.drop("missingImageURL", { listingURL, listingName });
+    if (!isLikelyShoe(combinedText)) return ctx.drop("notShoe", { listingURL, listingName });
+
+    if (!Number.isFinite(salePrice)) return ctx.drop("missingSalePrice", { listingURL, listingName, priceText });
+    if (!Number.isFinite(originalPrice)) {
+      const reason = moneyMatches.length === 1 ? "fullPriceNotOnSale" : "missingOriginalPrice";
+      return ctx.drop(reason, { listingURL, listingName, priceText });
     }
-  }
 
-  let partialError = null;
-  let hitRateLimit = false;
-
-  try {
-    for (const root of SEARCH_ROOTS) {
-      if (hitRateLimit) break;
-
-      let priorUniqueCount = seenListingUrls.size;
-
-      for (let page = 1; page <= MAX_PAGES_PER_ROOT; page += 1) {
-        const pageUrl = makePageUrl(root.url, page);
-        sourceUrls.push(pageUrl);
-
-        const resp = await fetch(pageUrl, {
-          headers: {
-            "user-agent":
-              "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/145.0.0.0 Safari/537.36",
-            accept: "text/html,application/xhtml+xml",
-          },
-        });
-
-        if (resp.status === 429) {
-          partialError = `HTTP 429 for ${pageUrl}`;
-          hitRateLimit = true;
-          break;
-        }
-
-        if (!resp.ok) {
-          throw new Error(`HTTP ${resp.status} for ${pageUrl}`);
-        }
-
-        const html = await resp.text();
-        const $ = cheerio.load(html);
-
-        const candidateAnchors = $("a[href*='/products/']");
-        const pageSeenUrls = new Set();
-
-        let cardsFound = 0;
-        let newDealsExtracted = 0;
-        let droppedOnPage = 0;
-
-        candidateAnchors.each((_, a) => {
-          const $a = $(a);
-          const href = cleanText($a.attr("href"));
-          if (!href || !href.includes("/products/")) return;
-
-          const listingURL = absUrl(href);
-          if (!listingURL || pageSeenUrls.has(listingURL)) return;
-          pageSeenUrls.add(listingURL);
-
-          let $card =
-            $a.closest("div.tw-relative.tw-max-w-full.tw-h-full.tw-flex.tw-flex-col");
-          if (!$card.length) $card = $a.closest("div.tw-relative");
-          if (!$card.length) $card = $a.parent();
-
-          cardsFound += 1;
-          dropCounts.totalCards += 1;
-
-          const h3s = $card.find("h3");
-          const rawTitle = cleanText(h3s.first().text());
-          const rawColor = cleanText(h3s.eq(1).text());
-
-          const firstImgAlt = cleanText($card.find("img").first().attr("alt"));
-          const allImgAlt = cleanText(
-            $card
-              .find("img")
-              .map((__, img) => $(img).attr("alt"))
-              .get()
-              .join(" ")
-          );
-
-          const listingName = buildListingName(rawTitle, rawColor);
-
-          const imageURL =
-            absUrl($card.find("img").first().attr("src")) ||
-            absUrl($a.find("img").first().attr("src"));
-
-          const {
-            priceText,
-            salePrice,
-            originalPrice,
-            moneyMatches,
-          } = extractPricesFromCard($card, $);
-
-          const combinedText = cleanText(
-            [
-              listingURL,
-              rawTitle,
-              rawColor,
-              listingName,
-              firstImgAlt,
-              allImgAlt,
-              priceText,
-              cleanText($card.text()),
-            ].join(" ")
-          );
-
-          if (!listingURL) {
-            droppedOnPage += 1;
-            logDropped("dropped_missingListingURL", { pageUrl, href });
-            return;
-          }
-
-          if (seenListingUrls.has(listingURL)) {
-            droppedOnPage += 1;
-            logDropped("dropped_duplicateListingURL", {
-              pageUrl,
-              listingURL,
-              listingName,
-            });
-            return;
-          }
-
-          if (isGiftCard(listingURL) || isGiftCard(combinedText)) {
-            droppedOnPage += 1;
-            logDropped("dropped_giftCard", {
-              pageUrl,
-              listingURL,
-              listingName,
-            });
-            return;
-          }
-
-          if (!listingName) {
-            droppedOnPage += 1;
-            logDropped("dropped_missingListingName", {
-              pageUrl,
-              listingURL,
-            });
-            return;
-          }
-
-          if (!imageURL) {
-            droppedOnPage += 1;
-            logDropped("dropped_missingImageURL", {
-              pageUrl,
-              listingURL,
-              listingName,
-            });
-            return;
-          }
-
-          if (!isLikelyShoe(combinedText)) {
-            droppedOnPage += 1;
-            logDropped("dropped_notShoe", {
-              pageUrl,
-              listingURL,
-              listingName,
-            });
-            return;
-          }
-
-          if (!Number.isFinite(salePrice)) {
-            droppedOnPage += 1;
-            logDropped("dropped_missingSalePrice", {
-              pageUrl,
-              listingURL,
-              listingName,
-              priceText,
-            });
-            return;
-          }
-
-          if (!Number.isFinite(originalPrice)) {
-            droppedOnPage += 1;
-
-            if (moneyMatches.length === 1) {
-              logDropped("dropped_fullPriceNotOnSale", {
-                pageUrl,
-                listingURL,
-                listingName,
-                priceText,
-              });
-            } else {
-              logDropped("dropped_missingOriginalPrice", {
-                pageUrl,
-                listingURL,
-                listingName,
-                priceText,
-              });
-            }
-            return;
-          }
-
-          if (!(salePrice < originalPrice)) {
-            droppedOnPage += 1;
-            logDropped("dropped_saleNotLessThanOriginal", {
-              pageUrl,
-              listingURL,
-              listingName,
-              salePrice,
-              originalPrice,
-            });
-            return;
-          }
-
-          const discountPercent = computeDiscountPercent(salePrice, originalPrice);
-          if (!Number.isFinite(discountPercent) || discountPercent <= 0) {
-            droppedOnPage += 1;
-            logDropped("dropped_invalidDiscountPercent", {
-              pageUrl,
-              listingURL,
-              listingName,
-              salePrice,
-              originalPrice,
-              discountPercent,
-            });
-            return;
-          }
-
-          const brand = "Karhu";
-          const model = inferModel(rawTitle);
-          const gender = inferGender(
-            rawTitle || firstImgAlt || listingName,
-            root.defaultGender
-          );
-
-          if (!brand) {
-            droppedOnPage += 1;
-            logDropped("dropped_missingBrand", {
-              pageUrl,
-              listingURL,
-              listingName,
-            });
-            return;
-          }
-
-          if (!model) {
-            droppedOnPage += 1;
-            logDropped("dropped_missingModel", {
-              pageUrl,
-              listingURL,
-              listingName,
-              rawTitle,
-            });
-            return;
-          }
-
-          seenListingUrls.add(listingURL);
-
-          deals.push({
-            schemaVersion: SCHEMA_VERSION,
-            listingName,
-            brand,
-            model,
-            salePrice,
-            originalPrice,
-            discountPercent,
-            salePriceLow: null,
-            salePriceHigh: null,
-            originalPriceLow: null,
-            originalPriceHigh: null,
-            discountPercentUpTo: null,
-            store: STORE,
-            listingURL,
-            imageURL,
-            gender,
-            shoeType: "unknown",
-          });
-
-          newDealsExtracted += 1;
-        });
-
-        pageSummaries.push({
-          root: root.label,
-          page,
-          pageUrl,
-          cardsFound,
-          newDealsExtracted,
-          droppedOnPage,
-          cumulativeDeals: deals.length,
-        });
-
-        if (cardsFound === 0) break;
-        if (seenListingUrls.size === priorUniqueCount) break;
-        if (newDealsExtracted === 0 && cardsFound <= 2) break;
-
-        priorUniqueCount = seenListingUrls.size;
-      }
+    if (!(salePrice < originalPrice)) {
+      return ctx.drop("invalidPriceRelation", { listingURL, listingName, salePrice, originalPrice });
     }
 
-    const finishedAt = nowIso();
-    const scrapeDurationMs = Date.now() - startedAt;
-
-    const finalOk = deals.length > 0 || !partialError;
-    const finalError = partialError;
-
-    const blobPayload = buildBlobPayload({
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-      lastUpdated: finishedAt,
-      via: VIA,
-      sourceUrls,
-      pagesFetched: pageSummaries.length,
-      dealsFound: dropCounts.totalCards,
-      dealsExtracted: deals.length,
-      scrapeDurationMs,
-      ok: finalOk,
-      error: finalError,
-      deals,
-    });
-
-    const blob = await put("karhu-sale.json", JSON.stringify(blobPayload, null, 2), {
-      access: "public",
-      contentType: "application/json",
-      addRandomSuffix: false,
-    });
-
-    const responsePayload = buildResponsePayload({
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-      lastUpdated: finishedAt,
-      via: VIA,
-      sourceUrls,
-      pagesFetched: pageSummaries.length,
-      dealsFound: dropCounts.totalCards,
-      dealsExtracted: deals.length,
-      scrapeDurationMs,
-      ok: finalOk,
-      error: finalError,
-      dropCounts,
-      droppedDeals,
-      pageSummaries,
-      deals,
-      blobUrl: blob.url,
-    });
-
-    return res.status(200).json(responsePayload);
-  } catch (error) {
-    const failedAt = nowIso();
-    const scrapeDurationMs = Date.now() - startedAt;
-
-    return res.status(500).json({
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-      lastUpdated: failedAt,
-      via: VIA,
-      sourceUrls,
-      pagesFetched: pageSummaries.length,
-      dealsFound: dropCounts.totalCards,
-      dealsExtracted: deals.length,
-      scrapeDurationMs,
-      ok: false,
-      error: error?.message || "Unknown error",
-      genderCounts: buildGenderCounts(deals),
-      dropCounts,
-      droppedDealsLogged: droppedDeals.length,
-      droppedDealsSample: safeSlice(droppedDeals, MAX_DROPPED_SAMPLE),
-      pageSummaries,
-    });
-  }
+    const discountPercent = computeDiscountPercent(originalPrice, salePrice);
+    if (!Number.isFinite(discountPercent) || discountPercent <= 0) {
+      return ctx.drop("invalidDiscountPercent", { listingURL, listingName, salePrice, originalPrice, discountPercent });
+    }
+
+    const model = inferModel(rawTitle);
+    if (!model) return ctx.drop("missingModel", { listingURL, listingName, rawTitle });
+
+    const detected = detectGender("", rawTitle || firstImgAlt || listingName);
+
+    ctx.markSeen(listingURL);
+
+    deals.push(
+      buildDeal({
+        listingName,
+        brand: "Karhu",
+        model,
+        salePrice,
+        originalPrice,
+        discountPercent,
+        store: STORE,
+        listingURL,
+        imageURL,
+        gender: detected === "unknown" ? root.defaultGender : detected,
+        shoeType: "unknown",
+      })
+    );
+  });
+
+  ctx.state.lastPageCardCount = cardsFound;
+  return deals;
 }
+
+export default defineScraper({
+  store: STORE,
+  via: "fetch-html",
+  blobName: "karhu-sale.json",
+  fetchPages,
+  parseListing,
+  summarize(ctx) {
+    return { rateLimited: ctx.state.rateLimited || null };
+  },
+});
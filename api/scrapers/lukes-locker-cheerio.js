@@ -1,118 +1,30 @@
 // /api/scrapers/lukes-locker-cheerio.js
-
-const { put } = require("@vercel/blob");
-const { canonicalBrandModelHelper } = require("../../lib/canonical-brand-models");
+//
+// Shopify collection JSON (/collections/closeout/products.json), no HTML parsing.
+
+const {
+  defineScraper,
+  JSON_HEADERS,
+  normalizeWhitespace,
+  absolutizeUrl,
+  parseBrandModelFromCanonical,
+  detectGender,
+  detectShoeType,
+  computeDiscountPercent,
+  parseMoneyLike,
+  randomDelay,
+  buildDeal,
+  fetchJsonWithTimeout,
+} = require("../../lib/scraper-runtime");
+const { shopifySizes } = require("../../lib/sizes");
 
 export const config = { maxDuration: 60 };
 
 const STORE = "Luke's Locker";
-const VIA = "cheerio";
-const SCHEMA_VERSION = 1;
-
-function nowIso() {
-  return new Date().toISOString();
-}
-
-function normalizeWhitespace(s) {
-  return String(s || "").replace(/\s+/g, " ").trim();
-}
-
-function absolutizeUrl(u, base) {
-  let url = String(u || "").trim();
-  if (!url) return "";
-  if (/^https?:\/\//i.test(url)) return url;
-  if (url.startsWith("//")) return "https:" + url;
-  if (url.startsWith("/")) return base.replace(/\/+$/, "") + url;
-  return base.replace(/\/+$/, "") + "/" + url.replace(/^\/+/, "");
-}
-
-function parseBrandModelFromCanonical(listingName, rawBrandHint = "") {
-  return canonicalBrandModelHelper.parseBrandModelFromText(listingName, rawBrandHint);
-}
-
-function detectGender(listingURL, listingName, extraText = "") {
-  const urlLower = (listingURL || "").toLowerCase();
-  const nameLower = (listingName || "").toLowerCase();
-  const extraLower = (extraText || "").toLowerCase();
-  const combined = `${urlLower} ${nameLower} ${extraLower}`;
-
-  if (/\/mens?[\/-]|\/men\/|men-/.test(urlLower)) return "mens";
-  if (/\/womens?[\/-]|\/women\/|women-/.test(urlLower)) return "womens";
-
-  if (/\b(men'?s?|mens|male)\b/i.test(combined)) return "mens";
-  if (/\b(women'?s?|womens|female|ladies)\b/i.test(combined)) return "womens";
-  if (/\bunisex\b/i.test(combined)) return "unisex";
-
-  return "unknown";
-}
-
-function detectShoeType(listingName, extraText = "") {
-  const combined = `${listingName || ""} ${extraText || ""}`.toLowerCase();
-
-  if (/\b(track|spike|spikes)\b/.test(combined)) return "track";
-  if (/\b(trail|trail running|off[- ]road)\b/.test(combined)) return "trail";
-  if (/\b(road|running shoe|running shoes)\b/.test(combined)) return "road";
-
-  return "unknown";
-}
-
-function computeDiscountPercent(originalPrice, salePrice) {
-  if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice)) return null;
-  if (originalPrice <= 0 || salePrice <= 0) return null;
-  if (salePrice >= originalPrice) return 0;
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
-}
-
-function randomDelay(min = 800, max = 1400) {
-  const wait = Math.floor(Math.random() * (max - min + 1)) + min;
-  return new Promise((resolve) => setTimeout(resolve, wait));
-}
-
-function parseMoneyLike(value) {
-  const n = parseFloat(String(value ?? "").replace(/[^0-9.]/g, ""));
-  return Number.isFinite(n) ? n : null;
-}
-
-function buildDeal({
-  listingName,
-  brand,
-  model,
-  salePrice,
-  originalPrice,
-  discountPercent,
-  store,
-  listingURL,
-  imageURL,
-  gender,
-  shoeType,
-}) {
-  return {
-    schemaVersion: 1,
-
-    listingName: listingName || "",
-
-    brand: brand || "Unknown",
-    model: model || "",
-
-    salePrice: Number.isFinite(salePrice) ? salePrice : null,
-    originalPrice: Number.isFinite(originalPrice) ? originalPrice : null,
-    discountPercent: Number.isFinite(discountPercent) ? discountPercent : null,
-
-    salePriceLow: null,
-    salePriceHigh: null,
-    originalPriceLow: null,
-    originalPriceHigh: null,
-    discountPercentUpTo: null,
-
-    store: store || "",
-
-    listingURL: listingURL || "",
-    imageURL: imageURL || null,
-
-    gender: gender || "unknown",
-    shoeType: shoeType || "unknown",
-  };
-}
+const BASE = "https://lukeslocker.com";
+const COLLECTION_HANDLE = "closeout";
+const PAGE_LIMIT = 250;
+const MAX_PAGES = 10;
 
 function pickImageUrl(product, base) {
   const pickSrc = (img) => {
@@ -137,225 +49,121 @@ function pickImageUrl(product, base) {
   return absolutizeUrl(src, base);
 }
 
-async function fetchJsonWithTimeout(url, options = {}, timeoutMs = 30000) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
+async function* fetchPages() {
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const url = `${BASE}/collections/${COLLECTION_HANDLE}/products.json?limit=${PAGE_LIMIT}&page=${page}`;
 
-  try {
-    const resp = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-    });
+    const json = await fetchJsonWithTimeout(url, { headers: JSON_HEADERS }, 30000);
+    const products = json?.products;
+    if (!Array.isArray(products) || products.length === 0) break;
 
-    if (!resp.ok) {
-      throw new Error(`HTTP ${resp.status} for ${url}`);
-    }
+    yield { url, json };
 
-    return await resp.json();
-  } finally {
-    clearTimeout(timer);
+    if (products.length < PAGE_LIMIT) break;
+    await randomDelay();
   }
 }
 
-async function scrapeLukesLocker() {
-  const base = "https://lukeslocker.com";
-  const handle = "closeout";
-  const limit = 250;
-
-  const sourceUrls = [];
-  let pagesFetched = 0;
-  let dealsFound = 0;
-
+function parseListing(page, ctx) {
+  const products = Array.isArray(page.json?.products) ? page.json.products : [];
   const deals = [];
-  const seenUrls = new Set();
-
-  for (let page = 1; page <= 10; page++) {
-    const url = `${base}/collections/${handle}/products.json?limit=${limit}&page=${page}`;
-    sourceUrls.push(url);
-
-    const data = await fetchJsonWithTimeout(
-      url,
-      {
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-          Accept: "application/json,text/plain,*/*",
-          "Accept-Language": "en-US,en;q=0.9",
-        },
-      },
-      30000
-    );
-
-    const products = data?.products;
-    if (!Array.isArray(products) || products.length === 0) break;
 
-    pagesFetched++;
-    dealsFound += products.length;
+  ctx.found(products.length);
 
-    for (const p of products) {
-      const listingName = String(p?.title ?? "");
-      if (!listingName) continue;
+  for (const p of products) {
+    const listingName = String(p?.title ?? "");
+    if (!listingName) {
+      ctx.drop("missingListingName");
+      continue;
+    }
 
-      const handleValue = String(p?.handle || "").trim();
-      if (!handleValue) continue;
+    const handleValue = String(p?.handle || "").trim();
+    if (!handleValue) {
+      ctx.drop("missingHref", { listingName });
+      continue;
+    }
 
-      const listingURL = absolutizeUrl(`/products/${handleValue}`, base);
-      if (!listingURL) continue;
-      if (seenUrls.has(listingURL)) continue;
-      seenUrls.add(listingURL);
+    const listingURL = absolutizeUrl(`/products/${handleValue}`, BASE);
+    if (!listingURL) {
+      ctx.drop("missingListingURL", { listingName });
+      continue;
+    }
+    if (!ctx.markSeen(listingURL)) {
+      ctx.drop("duplicateUrl", { listingName, listingURL });
+      continue;
+    }
 
-      const imageURL = pickImageUrl(p, base);
+    const imageURL = pickImageUrl(p, BASE);
 
-      let bestSale = null;
-      let bestOriginal = null;
+    let bestSale = null;
+    let bestOriginal = null;
 
-      const variants = Array.isArray(p?.variants) ? p.variants : [];
-      for (const v of variants) {
-        const sale = parseMoneyLike(v?.price);
-        const orig = parseMoneyLike(v?.compare_at_price);
+    const variants = Array.isArray(p?.variants) ? p.variants : [];
+    for (const v of variants) {
+      const sale = parseMoneyLike(v?.price);
+      const orig = parseMoneyLike(v?.compare_at_price);
 
-        if (!Number.isFinite(sale) || !Number.isFinite(orig)) continue;
-        if (!(orig > sale && sale > 0)) continue;
+      if (!Number.isFinite(sale) || !Number.isFinite(orig)) continue;
+      if (!(orig > sale && sale > 0)) continue;
 
-        if (bestSale == null || sale < bestSale) {
-          bestSale = sale;
-          bestOriginal = orig;
-        }
+      if (bestSale == null || sale < bestSale) {
+        bestSale = sale;
+        bestOriginal = orig;
       }
+    }
 
-      if (!Number.isFinite(bestSale) || !Number.isFinite(bestOriginal)) continue;
-
-      const discountPercent = computeDiscountPercent(bestOriginal, bestSale);
-      if (!Number.isFinite(discountPercent) || discountPercent < 5 || discountPercent > 90) continue;
-
-      const brandHint =
-        normalizeWhitespace(p?.vendor || "") ||
-        normalizeWhitespace(p?.product_type || "") ||
-        normalizeWhitespace(p?.type || "");
-
-      const extraText = [p?.tags, p?.product_type, p?.type, p?.vendor]
-        .flat()
-        .filter(Boolean)
-        .map((x) => String(x))
-        .join(" ");
-
-      const { brand, model } = parseBrandModelFromCanonical(listingName, brandHint);
+    if (!Number.isFinite(bestSale) || !Number.isFinite(bestOriginal)) {
+      ctx.drop("missingPrice", { listingName, listingURL });
+      continue;
+    }
 
-      deals.push(
-        buildDeal({
-          listingName,
-          brand,
-          model,
-          salePrice: bestSale,
-          originalPrice: bestOriginal,
-          discountPercent,
-          store: STORE,
-          listingURL,
-          imageURL,
-          gender: detectGender(listingURL, listingName, extraText),
-          shoeType: detectShoeType(listingName, extraText),
-        })
-      );
+    const discountPercent = computeDiscountPercent(bestOriginal, bestSale);
+    if (!Number.isFinite(discountPercent) || discountPercent < 5 || discountPercent > 90) {
+      ctx.drop("invalidDiscountPercent", { listingName, listingURL, discountPercent });
+      continue;
     }
 
-    if (products.length < limit) break;
-    await randomDelay();
+    const brandHint =
+      normalizeWhitespace(p?.vendor || "") ||
+      normalizeWhitespace(p?.product_type || "") ||
+      normalizeWhitespace(p?.type || "");
+
+    const extraText = [p?.tags, p?.product_type, p?.type, p?.vendor]
+      .flat()
+      .filter(Boolean)
+      .map((x) => String(x))
+      .join(" ");
+
+    const { brand, model } = parseBrandModelFromCanonical(listingName, brandHint);
+
+    const { sizesAvailable, sizeSystem } = shopifySizes(p);
+
+    deals.push(
+      buildDeal({
+        listingName,
+        brand,
+        model,
+        salePrice: bestSale,
+        originalPrice: bestOriginal,
+        discountPercent,
+        store: STORE,
+        listingURL,
+        imageURL,
+        gender: detectGender(listingURL, listingName, extraText),
+        shoeType: detectShoeType(listingName, extraText),
+        sizesAvailable,
+        sizeSystem,
+      })
+    );
   }
 
-  return {
-    deals,
-    sourceUrls,
-    pagesFetched,
-    dealsFound,
-    dealsExtracted: deals.length,
-  };
+  return deals;
 }
 
-export default async function handler(req, res) {
-  if (req.method !== "GET") {
-    return res.status(405).json({ success: false, error: "Method not allowed" });
-  }
-
-  // CRON_SECRET
-  const auth = req.headers.authorization;
-  if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
-    return res.status(401).json({ success: false, error: "Unauthorized" });
-  }
-
-  const start = Date.now();
-  const timestamp = nowIso();
-
-  try {
-    const result = await scrapeLukesLocker();
-    const durationMs = Date.now() - start;
-
-    const output = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-
-      lastUpdated: timestamp,
-      via: VIA,
-
-      sourceUrls: result.sourceUrls,
-      pagesFetched: result.pagesFetched,
-
-      dealsFound: result.dealsFound,
-      dealsExtracted: result.dealsExtracted,
-
-      scrapeDurationMs: durationMs,
-
-      ok: true,
-      error: null,
-
-      deals: result.deals,
-    };
-
-    const blob = await put("lukes-locker.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
-
-    return res.status(200).json({
-      success: true,
-      store: STORE,
-      blobUrl: blob.url,
-      dealsExtracted: output.dealsExtracted,
-      scrapeDurationMs: durationMs,
-    });
-  } catch (err) {
-    const durationMs = Date.now() - start;
-
-    const output = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-
-      lastUpdated: timestamp,
-      via: VIA,
-
-      sourceUrls: [],
-      pagesFetched: null,
-
-      dealsFound: null,
-      dealsExtracted: 0,
-
-      scrapeDurationMs: durationMs,
-
-      ok: false,
-      error: err?.message || "Unknown error",
-
-      deals: [],
-    };
-
-    const blob = await put("lukes-locker.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
-
-    return res.status(500).json({
-      success: false,
-      store: STORE,
-      blobUrl: blob.url,
-      error: output.error,
-    });
-  }
-}
+export default defineScraper({
+  store: STORE,
+  via: "cheerio",
+  blobName: "lukes-locker.json",
+  fetchPages,
+  parseListing,
+});
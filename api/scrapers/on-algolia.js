@@ -9,6 +9,7 @@
 // - listingName is preserved exactly from Algolia `name`.
 // - gender is ONLY: mens, womens, unisex, unknown
 // - shoeType is ONLY: road, trail, track, unknown
+// - sizesAvailable comes from the hit's sizesShoesMen / sizesShoesWomen (US sizes)
 // - do not include the full deals array in the API response metadata
 // - keep a capped dropped-shoes log so you can inspect what was dropped and why
 //
@@ -22,6 +23,7 @@
 // - Current query returns nbPages=1, but pagination support is included anyway
 
 import { put } from "@vercel/blob";
+import { normalizeSizeList } from "../../lib/sizes";
 
 export const config = { maxDuration: 60 };
 
@@ -251,6 +253,15 @@ function summarizeHit(hit) {
   };
 }
 
+// On lists in-stock sizes per gender; unisex styles can carry both lists.
+function pickSizes(hit) {
+  const men = Array.isArray(hit?.sizesShoesMen) ? hit.sizesShoesMen : null;
+  const women = Array.isArray(hit?.sizesShoesWomen) ? hit.sizesShoesWomen : null;
+  if (!men && !women) return { sizesAvailable: null, sizeSystem: null };
+
+  return { sizesAvailable: normalizeSizeList([...(men || []), ...(women || [])]) || [], sizeSystem: "US" };
+}
+
 function normalizeDeal(hit, dropCounts, droppedDealsSample) {
   const listingName = hit?.name ?? null;
   const brand = "On";
@@ -329,6 +340,7 @@ function normalizeDeal(hit, dropCounts, droppedDealsSample) {
 
   // Keep exact schema. No range fields here because this API gives single prices.
   return {
+    schemaVersion: SCHEMA_VERSION,
     listingName,
     brand,
     model,
@@ -340,6 +352,7 @@ function normalizeDeal(hit, dropCounts, droppedDealsSample) {
     imageURL,
     gender,
     shoeType,
+    ...pickSizes(hit),
   };
 }
 
@@ -1,6 +1,7 @@
 // /api/scrapers/performance-running-outfitters.js
 
 import { put } from "@vercel/blob";
+import { shopifySizes } from "../../lib/sizes";
 
 export const config = { maxDuration: 60 };
 
@@ -197,6 +198,8 @@ export default async function handler(req, res) {
 
             gender,
             shoeType: "unknown",
+
+            ...shopifySizes(p),
           });
 
           seen.add(listingURL);
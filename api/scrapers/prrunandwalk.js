@@ -33,6 +33,7 @@
 //   anything else              → unknown
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 export const config = { maxDuration: 60 };
 
@@ -356,6 +357,8 @@ function extractDeal(product, collectionGender, summary) {
 
     gender,
     shoeType,
+
+    ...shopifySizes(product),
   };
 }
 
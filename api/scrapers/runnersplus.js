@@ -16,6 +16,7 @@
 // CRON auth included but commented out for testing.
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 const STORE = "Runners Plus";
 const SCHEMA_VERSION = 1;
@@ -414,6 +415,8 @@ function buildDealFromProduct(product, fallbackGender, dropCounts) {
 
     gender: gender || fallbackGender || "unknown",
     shoeType,
+
+    ...shopifySizes(product),
   };
 }
 
@@ -1,356 +1,123 @@
 // /api/scrapers/running-warehouse-cheerio.js
 
-const cheerio = require("cheerio");
-const { put } = require("@vercel/blob");
-const { canonicalBrandModelHelper } = require("../../lib/canonical-brand-models");
+const {
+  defineScraper,
+  HTML_HEADERS,
+  normalizeWhitespace,
+  absolutizeUrl,
+  pickBestImgUrl,
+  parseBrandModelFromCanonical,
+  detectGender,
+  computeDiscountPercent,
+  parseDollar,
+  randomDelay,
+  buildDeal,
+  fetchTextWithTimeout,
+} = require("../../lib/scraper-runtime");
 
 export const config = { maxDuration: 60 };
 
 const STORE = "Running Warehouse";
-const VIA = "cheerio";
-const SCHEMA_VERSION = 1;
-
-function nowIso() {
-  return new Date().toISOString();
-}
-
-function normalizeWhitespace(s) {
-  return String(s || "").replace(/\s+/g, " ").trim();
-}
-
-function absolutizeUrl(u, base) {
-  let url = String(u || "").trim();
-  if (!url) return "";
-  if (/^https?:\/\//i.test(url)) return url;
-  if (url.startsWith("//")) return "https:" + url;
-  if (url.startsWith("/")) return base.replace(/\/+$/, "") + url;
-  return base.replace(/\/+$/, "") + "/" + url.replace(/^\/+/, "");
-}
-
-function pickBestImgUrl($, $img, base) {
-  if (!$img || !$img.length) return null;
-
-  const direct =
-    $img.attr("data-src") ||
-    $img.attr("data-original") ||
-    $img.attr("data-lazy") ||
-    $img.attr("src");
-
-  const srcset = $img.attr("data-srcset") || $img.attr("srcset");
-
-  let candidate = (direct || "").trim();
-
-  if (!candidate && srcset) {
-    const parts = srcset
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean);
-    const last = parts[parts.length - 1] || "";
-    candidate = (last.split(" ")[0] || "").trim();
+const BASE = "https://www.runningwarehouse.com";
+
+const PAGES = [
+  { url: "https://www.runningwarehouse.com/catpage-WRSSALERONU.html", shoeType: "road" },
+  { url: "https://www.runningwarehouse.com/catpage-WRSSALETR.html", shoeType: "trail" },
+  { url: "https://www.runningwarehouse.com/catpage-MRSSALENEU.html", shoeType: "road" },
+  { url: "https://www.runningwarehouse.com/catpage-MRSSALETR.html", shoeType: "trail" },
+];
+
+async function* fetchPages() {
+  for (const page of PAGES) {
+    const html = await fetchTextWithTimeout(page.url, { headers: HTML_HEADERS }, 30000);
+    yield { url: page.url, html, shoeType: page.shoeType };
+    await randomDelay(1200, 2200);
   }
-
-  if (!candidate || candidate.startsWith("data:") || candidate === "#") return null;
-  return absolutizeUrl(candidate, base);
-}
-
-function parseBrandModelFromCanonical(listingName, rawBrandHint = "") {
-  return canonicalBrandModelHelper.parseBrandModelFromText(listingName, rawBrandHint);
-}
-
-function detectGender(listingURL, listingName, extraText = "") {
-  const urlLower = (listingURL || "").toLowerCase();
-  const nameLower = (listingName || "").toLowerCase();
-  const extraLower = (extraText || "").toLowerCase();
-  const combined = `${urlLower} ${nameLower} ${extraLower}`;
-
-  if (/\/mens?[\/-]|\/men\/|men-/.test(urlLower)) return "mens";
-  if (/\/womens?[\/-]|\/women\/|women-/.test(urlLower)) return "womens";
-
-  if (/\b(men'?s?|male)\b/i.test(combined)) return "mens";
-  if (/\b(women'?s?|female|ladies)\b/i.test(combined)) return "womens";
-  if (/\bunisex\b/i.test(combined)) return "unisex";
-
-  return "unknown";
 }
 
-function computeDiscountPercent(originalPrice, salePrice) {
-  if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice)) return null;
-  if (originalPrice <= 0 || salePrice <= 0) return null;
-  if (salePrice >= originalPrice) return 0;
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
-}
+function parseListing(page, ctx) {
+  const { $ } = page;
+  const deals = [];
 
-function randomDelay(min = 1200, max = 2200) {
-  const wait = Math.floor(Math.random() * (max - min + 1)) + min;
-  return new Promise((resolve) => setTimeout(resolve, wait));
-}
+  $(".cattable-wrap-cell.gtm_impression").each((_, el) => {
+    const $cell = $(el);
+    if (!$cell.length) return;
 
-function buildDeal({
-  listingName,
-  brand,
-  model,
-  salePrice,
-  originalPrice,
-  discountPercent,
-  store,
-  listingURL,
-  imageURL,
-  gender,
-  shoeType,
-}) {
-  return {
-    schemaVersion: 1,
+    ctx.found();
 
-    listingName: listingName || "",
+    const siteBrandHint = normalizeWhitespace($cell.attr("data-gtm_impression_brand") || "");
+    const categoryHint = normalizeWhitespace($cell.attr("data-gtm_impression_category") || "");
+    const gtmPrice = parseFloat(String($cell.attr("data-gtm_impression_price") || "").replace(/,/g, ""));
 
-    brand: brand || "Unknown",
-    model: model || "",
+    const $infoLink = $cell.find("a.cattable-wrap-cell-info").first();
+    const href =
+      $infoLink.attr("href") ||
+      $cell.find("a.cattable-wrap-cell-imgwrap-inner").first().attr("href") ||
+      "";
+    if (!href) return ctx.drop("missingHref");
 
-    salePrice: Number.isFinite(salePrice) ? salePrice : null,
-    originalPrice: Number.isFinite(originalPrice) ? originalPrice : null,
-    discountPercent: Number.isFinite(discountPercent) ? discountPercent : null,
+    const listingURL = absolutizeUrl(href, BASE);
+    if (!listingURL) return ctx.drop("missingListingURL");
 
-    salePriceLow: null,
-    salePriceHigh: null,
-    originalPriceLow: null,
-    originalPriceHigh: null,
-    discountPercentUpTo: null,
+    if (!ctx.markSeen(listingURL)) return ctx.drop("duplicateUrl", { listingURL });
 
-    store: store || "",
+    const listingName = String($cell.find(".cattable-wrap-cell-info-name").first().text() || "");
+    if (!listingName) return ctx.drop("missingListingName", { listingURL });
 
-    listingURL: listingURL || "",
-    imageURL: imageURL || null,
+    const subLine = String($cell.find(".cattable-wrap-cell-info-sub").first().text() || "");
 
-    gender: gender || "unknown",
-    shoeType: shoeType || "unknown",
-  };
-}
-
-function parseDollar(txt) {
-  const m = String(txt || "").match(/\$\s*([\d,]+(?:\.\d{1,2})?)/);
-  if (!m) return null;
-  const n = parseFloat(m[1].replace(/,/g, ""));
-  return Number.isFinite(n) ? n : null;
-}
+    const $img = $cell.find("img").first();
+    const imageURL = pickBestImgUrl($, $img, BASE);
 
-async function fetchTextWithTimeout(url, options = {}, timeoutMs = 30000) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const saleText = $cell.find(".cattable-wrap-cell-info-price.is-sale").first().text();
+    const msrpText = $cell.find(".cattable-wrap-cell-info-price-msrp").first().text();
 
-  try {
-    const resp = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-    });
+    let salePrice = parseDollar(saleText);
+    const originalPrice = parseDollar(msrpText);
 
-    if (!resp.ok) {
-      throw new Error(`HTTP ${resp.status} for ${url}`);
+    if (!Number.isFinite(salePrice) && Number.isFinite(gtmPrice)) {
+      salePrice = gtmPrice;
     }
 
-    return await resp.text();
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-async function scrapeRunningWarehouse() {
-  const base = "https://www.runningwarehouse.com";
-
-  const pages = [
-    { url: "https://www.runningwarehouse.com/catpage-WRSSALERONU.html", shoeType: "road" },
-    { url: "https://www.runningwarehouse.com/catpage-WRSSALETR.html", shoeType: "trail" },
-    { url: "https://www.runningwarehouse.com/catpage-MRSSALENEU.html", shoeType: "road" },
-    { url: "https://www.runningwarehouse.com/catpage-MRSSALETR.html", shoeType: "trail" },
-  ];
-
-  const sourceUrls = pages.map((p) => p.url);
-  let pagesFetched = 0;
-  let dealsFound = 0;
+    if (!Number.isFinite(salePrice) || !Number.isFinite(originalPrice)) {
+      return ctx.drop("missingPrice", { listingName, listingURL, salePrice, originalPrice });
+    }
+    if (!(originalPrice > salePrice && salePrice > 0)) {
+      return ctx.drop("invalidPriceRelation", { listingName, listingURL, salePrice, originalPrice });
+    }
 
-  const deals = [];
-  const seenUrls = new Set();
+    const discountPercent = computeDiscountPercent(originalPrice, salePrice);
+    if (!Number.isFinite(discountPercent) || discountPercent < 5 || discountPercent > 90) {
+      return ctx.drop("invalidDiscountPercent", { listingName, listingURL, discountPercent });
+    }
 
-  for (const page of pages) {
-    const html = await fetchTextWithTimeout(
-      page.url,
-      {
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-          Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-          "Accept-Language": "en-US,en;q=0.9",
-        },
-      },
-      30000
+    const { brand, model } = parseBrandModelFromCanonical(listingName, siteBrandHint);
+    const gender = detectGender(listingURL, `${listingName} ${subLine}`, categoryHint);
+
+    deals.push(
+      buildDeal({
+        listingName,
+        brand,
+        model,
+        salePrice,
+        originalPrice,
+        discountPercent,
+        store: STORE,
+        listingURL,
+        imageURL,
+        gender,
+        shoeType: page.shoeType,
+      })
     );
+  });
 
-    const $ = cheerio.load(html);
-    pagesFetched++;
-
-    $(".cattable-wrap-cell.gtm_impression").each((_, el) => {
-      const $cell = $(el);
-      if (!$cell.length) return;
-
-      dealsFound++;
-
-      const siteBrandHint = normalizeWhitespace($cell.attr("data-gtm_impression_brand") || "");
-      const categoryHint = normalizeWhitespace($cell.attr("data-gtm_impression_category") || "");
-      const gtmPrice = parseFloat(String($cell.attr("data-gtm_impression_price") || "").replace(/,/g, ""));
-
-      const $infoLink = $cell.find("a.cattable-wrap-cell-info").first();
-      const href =
-        $infoLink.attr("href") ||
-        $cell.find("a.cattable-wrap-cell-imgwrap-inner").first().attr("href") ||
-        "";
-      if (!href) return;
-
-      const listingURL = absolutizeUrl(href, base);
-      if (!listingURL) return;
-
-      if (seenUrls.has(listingURL)) return;
-      seenUrls.add(listingURL);
-
-      const listingName = String($cell.find(".cattable-wrap-cell-info-name").first().text() || "");
-      if (!listingName) return;
-
-      const subLine = String($cell.find(".cattable-wrap-cell-info-sub").first().text() || "");
-
-      const $img = $cell.find("img").first();
-      const imageURL = pickBestImgUrl($, $img, base);
-
-      const saleText = $cell.find(".cattable-wrap-cell-info-price.is-sale").first().text();
-      const msrpText = $cell.find(".cattable-wrap-cell-info-price-msrp").first().text();
-
-      let salePrice = parseDollar(saleText);
-      const originalPrice = parseDollar(msrpText);
-
-      if (!Number.isFinite(salePrice) && Number.isFinite(gtmPrice)) {
-        salePrice = gtmPrice;
-      }
-
-      if (!Number.isFinite(salePrice) || !Number.isFinite(originalPrice)) return;
-      if (!(originalPrice > salePrice && salePrice > 0)) return;
-
-      const discountPercent = computeDiscountPercent(originalPrice, salePrice);
-      if (!Number.isFinite(discountPercent) || discountPercent < 5 || discountPercent > 90) return;
-
-      const { brand, model } = parseBrandModelFromCanonical(listingName, siteBrandHint);
-      const gender = detectGender(listingURL, `${listingName} ${subLine}`, categoryHint);
-
-      deals.push(
-        buildDeal({
-          listingName,
-          brand,
-          model,
-          salePrice,
-          originalPrice,
-          discountPercent,
-          store: STORE,
-          listingURL,
-          imageURL,
-          gender,
-          shoeType: page.shoeType,
-        })
-      );
-    });
-
-    await randomDelay();
-  }
-
-  return {
-    deals,
-    sourceUrls,
-    pagesFetched,
-    dealsFound,
-    dealsExtracted: deals.length,
-  };
+  return deals;
 }
 
-export default async function handler(req, res) {
-  if (req.method !== "GET") {
-    return res.status(405).json({ success: false, error: "Method not allowed" });
-  }
-
-  // CRON_SECRET
-  const auth = req.headers.authorization;
-  if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
-    return res.status(401).json({ success: false, error: "Unauthorized" });
-  }
-
-  const start = Date.now();
-  const timestamp = nowIso();
-
-  try {
-    const result = await scrapeRunningWarehouse();
-    const durationMs = Date.now() - start;
-
-    const output = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-
-      lastUpdated: timestamp,
-      via: VIA,
-
-      sourceUrls: result.sourceUrls,
-      pagesFetched: result.pagesFetched,
-
-      dealsFound: result.dealsFound,
-      dealsExtracted: result.dealsExtracted,
-
-      scrapeDurationMs: durationMs,
-
-      ok: true,
-      error: null,
-
-      deals: result.deals,
-    };
-
-    const blob = await put("running-warehouse.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
-
-    return res.status(200).json({
-      success: true,
-      store: STORE,
-      blobUrl: blob.url,
-      dealsExtracted: output.dealsExtracted,
-      scrapeDurationMs: durationMs,
-    });
-  } catch (err) {
-    const durationMs = Date.now() - start;
-
-    const output = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-
-      lastUpdated: timestamp,
-      via: VIA,
-
-      sourceUrls: [],
-      pagesFetched: null,
-
-      dealsFound: null,
-      dealsExtracted: 0,
-
-      scrapeDurationMs: durationMs,
-
-      ok: false,
-      error: err?.message || "Unknown error",
-
-      deals: [],
-    };
-
-    const blob = await put("running-warehouse.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
-
-    return res.status(500).json({
-      success: false,
-      store: STORE,
-      blobUrl: blob.url,
-      error: output.error,
-    });
-  }
-}
+export default defineScraper({
+  store: STORE,
+  via: "cheerio",
+  blobName: "running-warehouse.json",
+  fetchPages,
+  parseListing,
+});
@@ -1,13 +1,23 @@
 // /api/scrapers/skechers-sale.js
-
-import * as cheerio from "cheerio";
-import { put } from "@vercel/blob";
+//
+// Skechers sale running shoes, read PAGE_SIZE tiles at a time through the
+// start= offset. Pagination stops on a short page or a page with nothing new.
+//   - gender comes from the tile's gender label; tiles without one are dropped
+//   - "Skechers Slip-ins:" and "Skechers" are stripped from the model
+
+const {
+  defineScraper,
+  HTML_HEADERS,
+  absolutizeUrl,
+  detectGender,
+  computeDiscountPercent,
+  buildDeal,
+  fetchTextWithTimeout,
+} = require("../../lib/scraper-runtime");
 
 export const config = { maxDuration: 60 };
 
 const STORE = "Skechers";
-const SCHEMA_VERSION = 1;
-const VIA = "fetch-html";
 
 const BASE_URL = "https://www.skechers.com";
 const PAGE_SIZE = 12;
@@ -16,10 +26,6 @@ const MAX_PAGES = 40;
 const START_URL =
   "https://www.skechers.com/sale/?prefn1=productLine&prefn2=gender&prefn3=cattype&prefn4=categorySport&prefv1=FOOTWEAR&prefv2=W%7CU%7CM&prefv3=Athletic&prefv4=Running&start=0&sz=12";
 
-function nowIso() {
-  return new Date().toISOString();
-}
-
 function cleanText(value) {
   return String(value || "")
     .replace(/\u00a0/g, " ")
@@ -27,15 +33,6 @@ function cleanText(value) {
     .trim();
 }
 
-function toAbsoluteUrl(url) {
-  if (!url) return null;
-  try {
-    return new URL(url, BASE_URL).toString();
-  } catch {
-    return null;
-  }
-}
-
 function parsePrice(value) {
   const s = String(value || "").replace(/,/g, "").trim();
   if (!s) return null;
@@ -45,26 +42,6 @@ function parsePrice(value) {
   return Number.isFinite(n) ? n : null;
 }
 
-function computeDiscountPercent(salePrice, originalPrice) {
-  if (
-    !Number.isFinite(salePrice) ||
-    !Number.isFinite(originalPrice) ||
-    originalPrice <= 0 ||
-    salePrice >= originalPrice
-  ) {
-    return null;
-  }
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
-}
-
-function parseGender(raw) {
-  const s = cleanText(raw).toLowerCase();
-  if (s === "men's" || s === "mens" || s === "men") return "mens";
-  if (s === "women's" || s === "womens" || s === "women") return "womens";
-  if (s === "unisex") return "unisex";
-  return "unknown";
-}
-
 function parseModelFromListingName(listingName) {
   let s = cleanText(listingName);
 
@@ -83,19 +60,6 @@ function parseModelFromListingName(listingName) {
   return s || "Unknown";
 }
 
-function buildHeaders() {
-  return {
-    "user-agent":
-      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/145.0.0.0 Safari/537.36",
-    accept:
-      "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
-    "accept-language": "en-US,en;q=0.9",
-    referer: "https://www.skechers.com/",
-    pragma: "no-cache",
-    "cache-control": "no-cache",
-  };
-}
-
 function buildPageUrl(start) {
   const url = new URL(START_URL);
   url.searchParams.set("start", String(start));
@@ -103,290 +67,90 @@ function buildPageUrl(start) {
   return url.toString();
 }
 
-async function fetchHtml(url) {
-  const resp = await fetch(url, {
-    method: "GET",
-    headers: buildHeaders(),
-  });
-
-  if (!resp.ok) {
-    throw new Error(`Fetch failed ${resp.status} for ${url}`);
-  }
-
-  return await resp.text();
+// Sale and compare prices: the content attribute first, then the visible text
+function readPrice($tile, selector) {
+  const $value = $tile.find(selector).first();
+  return parsePrice($value.attr("content")) || parsePrice($value.text());
 }
 
-export default async function handler(req, res) {
-  const startedAt = Date.now();
-
-  // CRON_SECRET
- //  const auth = req.headers.authorization;
- //  if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
- //    return res.status(401).json({ success: false, error: "Unauthorized" });
-//   }
-
-  const sourceUrls = [];
-  const seenPageUrls = new Set();
-  const seenDealUrls = new Set();
-  const deals = [];
-
-  const dropCounts = {
-    totalTiles: 0,
-    dropped_missingListingName: 0,
-    dropped_missingListingURL: 0,
-    dropped_missingImageURL: 0,
-    dropped_missingGender: 0,
-    dropped_missingSalePrice: 0,
-    dropped_missingOriginalPrice: 0,
-    dropped_saleNotLessThanOriginal: 0,
-    dropped_duplicateAfterMerge: 0,
-  };
-
-  let pagesFetched = 0;
-  let dealsFound = 0;
-  let ok = true;
-  let error = null;
-
-  try {
-    for (let pageIndex = 0; pageIndex < MAX_PAGES; pageIndex += 1) {
-      const start = pageIndex * PAGE_SIZE;
-      const pageUrl = buildPageUrl(start);
-
-      if (seenPageUrls.has(pageUrl)) break;
-      seenPageUrls.add(pageUrl);
-      sourceUrls.push(pageUrl);
-
-      const html = await fetchHtml(pageUrl);
-      const $ = cheerio.load(html);
-
-      const $tiles = $("div.product-V2");
-
-      // stop if infinite-load endpoint returns no more tiles
-      if (!$tiles.length) {
-        sourceUrls.pop();
-        break;
-      }
-
-      pagesFetched += 1;
-      dealsFound += $tiles.length;
-      dropCounts.totalTiles += $tiles.length;
-
-      let newUniqueDealsOnPage = 0;
-
-      $tiles.each((_, el) => {
-        const $tile = $(el);
-
-        const listingName = cleanText(
-          $tile.find("a.c-product-tile-V2__title").first().text()
-        );
-        if (!listingName) {
-          dropCounts.dropped_missingListingName += 1;
-          return;
-        }
-
-        const listingURL = toAbsoluteUrl(
-          $tile.find("a.c-product-tile-V2__title").first().attr("href") ||
-            $tile.find(".image-container-V2 a").first().attr("href")
-        );
-        if (!listingURL) {
-          dropCounts.dropped_missingListingURL += 1;
-          return;
-        }
-
-        const imageURL = toAbsoluteUrl(
-          $tile.find("img.tile-image").first().attr("src")
-        );
-        if (!imageURL) {
-          dropCounts.dropped_missingImageURL += 1;
-          return;
-        }
-
-        const genderRaw = cleanText(
-          $tile.find(".c-product-V2-tile__gender").first().text()
-        );
-        const gender = parseGender(genderRaw);
-        if (gender === "unknown") {
-          dropCounts.dropped_missingGender += 1;
-          return;
-        }
-
-        const salePrice =
-          parsePrice($tile.find(".price-V2 .sales .value").first().attr("content")) ||
-          parsePrice($tile.find(".price-V2 .sales .value").first().text());
-
-        if (!Number.isFinite(salePrice)) {
-          dropCounts.dropped_missingSalePrice += 1;
-          return;
-        }
-
-        const originalPrice =
-          parsePrice($tile.find(".price-V2 del .value").first().attr("content")) ||
-          parsePrice($tile.find(".price-V2 del .value").first().text());
-
-        if (!Number.isFinite(originalPrice)) {
-          dropCounts.dropped_missingOriginalPrice += 1;
-          return;
-        }
-
-        if (!(salePrice < originalPrice)) {
-          dropCounts.dropped_saleNotLessThanOriginal += 1;
-          return;
-        }
+async function* fetchPages(ctx) {
+  for (let pageIndex = 0; pageIndex < MAX_PAGES; pageIndex++) {
+    const url = buildPageUrl(pageIndex * PAGE_SIZE);
+    const html = await fetchTextWithTimeout(url, {
+      headers: { ...HTML_HEADERS, Referer: "https://www.skechers.com/", "Cache-Control": "no-cache", Pragma: "no-cache" },
+    });
 
-        if (seenDealUrls.has(listingURL)) {
-          dropCounts.dropped_duplicateAfterMerge += 1;
-          return;
-        }
+    yield { url, html };
 
-        seenDealUrls.add(listingURL);
-        newUniqueDealsOnPage += 1;
+    if (ctx.lastPage.dealsExtracted === 0) break;
+    if (ctx.state.lastPageTileCount < PAGE_SIZE) break;
+  }
+}
 
-        deals.push({
-          schemaVersion: SCHEMA_VERSION,
+function parseListing(page, ctx) {
+  const { $ } = page;
+  const deals = [];
+  const $tiles = $("div.product-V2");
 
-          listingName,
+  $tiles.each((_, el) => {
+    const $tile = $(el);
+    ctx.found();
 
-          brand: "Skechers",
-          model: parseModelFromListingName(listingName),
+    const $title = $tile.find("a.c-product-tile-V2__title").first();
 
-          salePrice,
-          originalPrice,
-          discountPercent: computeDiscountPercent(salePrice, originalPrice),
+    const listingName = cleanText($title.text());
+    if (!listingName) return ctx.drop("missingListingName");
 
-          salePriceLow: null,
-          salePriceHigh: null,
-          originalPriceLow: null,
-          originalPriceHigh: null,
-          discountPercentUpTo: null,
+    const listingURL = absolutizeUrl(
+      $title.attr("href") || $tile.find(".image-container-V2 a").first().attr("href"),
+      BASE_URL
+    );
+    if (!listingURL) return ctx.drop("missingListingURL", { listingName });
 
-          store: STORE,
+    const imageURL = absolutizeUrl($tile.find("img.tile-image").first().attr("src"), BASE_URL);
+    if (!imageURL) return ctx.drop("missingImageURL", { listingName, listingURL });
 
-          listingURL,
-          imageURL,
+    const gender = detectGender("", "", cleanText($tile.find(".c-product-V2-tile__gender").first().text()));
+    if (gender === "unknown") return ctx.drop("missingGender", { listingName, listingURL });
 
-          gender,
-          shoeType: "unknown",
-        });
-      });
+    const salePrice = readPrice($tile, ".price-V2 .sales .value");
+    if (!Number.isFinite(salePrice)) return ctx.drop("missingSalePrice", { listingName, listingURL });
 
-      // stop if this offset page produced nothing new
-      if (newUniqueDealsOnPage === 0) break;
+    const originalPrice = readPrice($tile, ".price-V2 del .value");
+    if (!Number.isFinite(originalPrice)) return ctx.drop("missingOriginalPrice", { listingName, listingURL });
 
-      // stop if returned fewer than page size
-      if ($tiles.length < PAGE_SIZE) break;
+    if (!(salePrice < originalPrice)) {
+      return ctx.drop("saleNotLessThanOriginal", { listingName, listingURL, salePrice, originalPrice });
     }
 
-    const payload = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-
-      lastUpdated: nowIso(),
-      via: VIA,
-
-      sourceUrls,
-      pagesFetched,
-
-      dealsFound,
-      dealsExtracted: deals.length,
-
-      scrapeDurationMs: Date.now() - startedAt,
-
-      ok: true,
-      error: null,
-
-      dropCounts,
-
-      deals,
-    };
-
-    const blob = await put("skechers-sale.json", JSON.stringify(payload, null, 2), {
-      access: "public",
-      contentType: "application/json",
-      addRandomSuffix: false,
-    });
-
-    return res.status(200).json({
-      success: true,
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-      lastUpdated: payload.lastUpdated,
-      via: VIA,
-      sourceUrls,
-      pagesFetched,
-      dealsFound,
-      dealsExtracted: deals.length,
-      scrapeDurationMs: payload.scrapeDurationMs,
-      ok: true,
-      error: null,
-      dropCounts,
-      blobUrl: blob.url,
-    });
-  } catch (err) {
-    ok = false;
-    error = err?.message || "Unknown error";
-
-    const payload = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-
-      lastUpdated: nowIso(),
-      via: VIA,
-
-      sourceUrls,
-      pagesFetched,
-
-      dealsFound,
-      dealsExtracted: deals.length,
-
-      scrapeDurationMs: Date.now() - startedAt,
-
-      ok,
-      error,
-
-      dropCounts,
-
-      deals,
-    };
-
-    try {
-      const blob = await put("skechers-sale.json", JSON.stringify(payload, null, 2), {
-        access: "public",
-        contentType: "application/json",
-        addRandomSuffix: false,
-      });
-
-      return res.status(500).json({
-        success: false,
+    // Offsets overlap when the catalog shifts between requests
+    if (!ctx.markSeen(listingURL)) return ctx.drop("duplicateUrl", { listingName, listingURL });
+
+    deals.push(
+      buildDeal({
+        listingName,
+        brand: "Skechers",
+        model: parseModelFromListingName(listingName),
+        salePrice,
+        originalPrice,
+        discountPercent: computeDiscountPercent(originalPrice, salePrice),
         store: STORE,
-        schemaVersion: SCHEMA_VERSION,
-        lastUpdated: payload.lastUpdated,
-        via: VIA,
-        sourceUrls,
-        pagesFetched,
-        dealsFound,
-        dealsExtracted: deals.length,
-        scrapeDurationMs: payload.scrapeDurationMs,
-        ok,
-        error,
-        dropCounts,
-        blobUrl: blob.url,
-      });
-    } catch (blobErr) {
-      return res.status(500).json({
-        success: false,
-        store: STORE,
-        schemaVersion: SCHEMA_VERSION,
-        lastUpdated: nowIso(),
-        via: VIA,
-        sourceUrls,
-        pagesFetched,
-        dealsFound,
-        dealsExtracted: deals.length,
-        scrapeDurationMs: Date.now() - startedAt,
-        ok,
-        error: `${error}; blob upload failed: ${blobErr?.message || "unknown blob error"}`,
-        dropCounts,
-      });
-    }
-  }
+        listingURL,
+        imageURL,
+        gender,
+        shoeType: "unknown",
+      })
+    );
+  });
+
+  ctx.state.lastPageTileCount = $tiles.length;
+  return deals;
 }
+
+export default defineScraper({
+  store: STORE,
+  via: "fetch-html",
+  blobName: "skechers-sale.json",
+  fetchPages,
+  parseListing,
+});
@@ -21,6 +21,7 @@
 // Strategy: products.json only (collection HTML is JS-rendered, not scrapeable with Cheerio)
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 const config = { maxDuration: 60 };
 module.exports.config = config;
@@ -277,6 +278,8 @@ function extractDealFromProduct(product, dropCounts, genderCounts) {
 
     gender,
     shoeType,
+
+    ...shopifySizes(product),
   };
 }
 
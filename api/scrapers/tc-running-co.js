@@ -3,6 +3,7 @@
 // Writes only products that match the store-style filters in code before blob save.
 
 const { put } = require("@vercel/blob");
+const { shopifySizes } = require("../../lib/sizes");
 
 export const config = { maxDuration: 60 };
 
@@ -542,6 +543,8 @@ module.exports = async function handler(req, res) {
 
           gender,
           shoeType,
+
+          ...shopifySizes(product),
         };
 
         allDeals.push(deal);
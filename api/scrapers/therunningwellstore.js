@@ -20,6 +20,7 @@
 // - shoeType defaults to "unknown" unless tags/categories clearly indicate road/trail/track
 
 import { put } from "@vercel/blob";
+import { shopifySizes } from "../../lib/sizes";
 
 export const config = { maxDuration: 60 };
 
@@ -263,6 +264,8 @@ function buildDeal(product) {
 
     gender,
     shoeType,
+
+    ...shopifySizes(product),
   };
 }
 
@@ -2,33 +2,27 @@
 //
 // Track Shack clearance shoes scraper (Cheerio, no Apify)
 // - Paginates via "next" link if present; else tries ?page=2..N
-// - Handles cases where "Next" click doesn't change URL by using ?page=
-// - Writes results to blob: /trackshack.json (via env var URL)
-//
-// REQUIRED ENV:
-//   BLOB_READ_WRITE_TOKEN
-//   TRACKSHACK_CLEARANCE_BLOB_URL   (FULL public blob URL ending with /trackshack.json)
+// - Handles cases where "Next" click doesn't change URL by using ?page=,
+//   stopping when a page repeats the previous first product
+// - Writes to the path of TRACKSHACK_CLEARANCE_BLOB_URL (default trackshack.json)
 //
 // Optional ENV:
+//   TRACKSHACK_CLEARANCE_BLOB_URL   (FULL public blob URL ending with /trackshack.json)
 //   TRACKSHACK_MAX_PAGES (default 20)
-//   CRON_SECRET (if set, requires Authorization: Bearer <CRON_SECRET>)
 
-const cheerio = require("cheerio");
-const { put } = require("@vercel/blob");
+const {
+  defineScraper,
+  HTML_HEADERS,
+  absolutizeUrl,
+  detectGender,
+  buildDeal,
+  fetchTextWithTimeout,
+} = require("../../lib/scraper-runtime");
 
+const STORE = "Track Shack";
 const BASE = "https://shop.trackshack.com";
 const START_URL = `${BASE}/collections/track-shack-clearance-shoes`;
 
-function nowIso() {
-  return new Date().toISOString();
-}
-
-function requireEnv(name) {
-  const v = String(process.env[name] || "").trim();
-  if (!v) throw new Error(`Missing env var: ${name}`);
-  return v;
-}
-
 function blobPathFromPublicUrl(u) {
   const url = String(u || "").trim();
   if (!url) return null;
@@ -45,15 +39,6 @@ function cleanText(s) {
   return String(s || "").replace(/\s+/g, " ").trim();
 }
 
-function toAbsUrl(maybeRelative) {
-  if (!maybeRelative) return null;
-  const s = String(maybeRelative).trim();
-  if (!s) return null;
-  if (/^https?:\/\//i.test(s)) return s;
-  if (s.startsWith("//")) return "https:" + s;
-  return BASE + (s.startsWith("/") ? s : "/" + s);
-}
-
 function parseMoney(s) {
   if (!s) return null;
   const m = String(s).replace(/,/g, "").match(/\$?\s*([0-9]+(\.[0-9]{1,2})?)/);
@@ -66,31 +51,6 @@ function extractBgUrl(style) {
   return m ? m[2] : null;
 }
 
-// gender: mens | womens | unisex | unknown
-function inferGender(listingName) {
-  const t = (listingName || "").toLowerCase();
-
-  const hasMen =
-    /\bmen'?s\b/.test(t) ||
-    /\bmens\b/.test(t) ||
-    /\(m\)/.test(t) ||
-    /\bmen\b/.test(t);
-
-  const hasWomen =
-    /\bwomen'?s\b/.test(t) ||
-    /\bwomens\b/.test(t) ||
-    /\(w\)/.test(t) ||
-    /\bwomen\b/.test(t);
-
-  const hasUnisex = /\bunisex\b/.test(t);
-
-  if (hasUnisex) return "unisex";
-  if (hasMen && !hasWomen) return "mens";
-  if (hasWomen && !hasMen) return "womens";
-  if (hasMen && hasWomen) return "unisex";
-  return "unknown";
-}
-
 function computeDiscountPercent(sale, original) {
   if (sale == null || original == null) return null;
   if (!Number.isFinite(sale) || !Number.isFinite(original)) return null;
@@ -102,20 +62,15 @@ function computeDiscountPercent(sale, original) {
   return pct;
 }
 
-async function fetchHtml(url) {
-  const res = await fetch(url, {
-    headers: {
-      "user-agent":
-        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari",
-      accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-      "cache-control": "no-cache",
-      pragma: "no-cache",
-    },
-    redirect: "follow",
-  });
+// Title words first, then Track Shack's "(M)" / "(W)" suffix
+function inferGender(listingName) {
+  const detected = detectGender("", listingName);
+  if (detected !== "unknown") return detected;
 
-  if (!res.ok) throw new Error(`Fetch failed ${res.status} ${res.statusText} for ${url}`);
-  return await res.text();
+  const t = String(listingName || "").toLowerCase();
+  if (/\(m\)/.test(t)) return "mens";
+  if (/\(w\)/.test(t)) return "womens";
+  return "unknown";
 }
 
 function findNextUrl($) {
@@ -126,14 +81,14 @@ function findNextUrl($) {
     $(".pagination__next a").attr("href") ||
     $('a[aria-label*="Next"]').attr("href");
 
-  if (href) return toAbsUrl(href);
+  if (href) return absolutizeUrl(href, BASE);
 
   const nextA = $("a")
     .filter((_, a) => /next/i.test(cleanText($(a).text())) && $(a).attr("href"))
     .first();
 
   href = nextA.attr("href");
-  return href ? toAbsUrl(href) : null;
+  return href ? absolutizeUrl(href, BASE) : null;
 }
 
 function buildPageUrl(pageNum) {
@@ -152,185 +107,106 @@ function deriveModel(listingName, brand) {
   return cleanText(ln.replace(re, "")) || ln;
 }
 
-function parseProductsFromHtml(html, pageUrl) {
-  const $ = cheerio.load(html);
-  const products = [];
+async function* fetchPages(ctx) {
+  const maxPages = Math.max(1, parseInt(process.env.TRACKSHACK_MAX_PAGES || "20", 10));
+  let nextUrl = null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const url = page === 1 ? START_URL : nextUrl || buildPageUrl(page);
+
+    // The storefront caches collection pages aggressively
+    const cacheBusted = `${url}${url.includes("?") ? "&" : "?"}cb=${Date.now()}`;
+    const html = await fetchTextWithTimeout(cacheBusted, {
+      headers: { ...HTML_HEADERS, "Cache-Control": "no-cache", Pragma: "no-cache" },
+    });
+
+    yield { url, html };
+
+    if (ctx.state.done) break;
 
-  const nodes = $("#CollectionGrid .product.featureditem.clickable");
+    const candidateNext = ctx.state.nextUrl ? String(ctx.state.nextUrl).trim() : null;
+    nextUrl = candidateNext && candidateNext !== url ? candidateNext : null;
+  }
+}
 
-  nodes.each((_, el) => {
+function parseListing(page, ctx) {
+  const { $ } = page;
+  const seenFirstUrls = (ctx.state.seenFirstUrls ||= new Set());
+  const candidates = [];
+
+  $("#CollectionGrid .product.featureditem.clickable").each((_, el) => {
     const $el = $(el);
+    ctx.found();
 
     const listingName = cleanText($el.find(".name").first().text());
-    const brand = cleanText($el.find(".brand").first().text()) || "Unknown";
+    if (!listingName) return ctx.drop("missingListingName");
 
     const href =
       $el.find('a[href^="/product/"]').first().attr("href") ||
       $el.find("a[href]").first().attr("href");
-    const listingURL = href ? toAbsUrl(href) : null;
-
-    const style = $el.find(".image").first().attr("style");
-    const bg = extractBgUrl(style);
-    const imageURL = bg ? toAbsUrl(bg) : null;
+    const listingURL = absolutizeUrl(href, BASE);
+    if (!listingURL) return ctx.drop("missingListingURL", { listingName });
 
     const struckText = cleanText($el.find(".price .struck").first().text());
-    const priceTextAll = cleanText($el.find(".price").first().text());
-
     const originalPrice = parseMoney(struckText);
+    const salePrice = parseMoney(cleanText(cleanText($el.find(".price").first().text()).replace(struckText, "")));
 
-    const saleText = cleanText(priceTextAll.replace(struckText, ""));
-    const salePrice = parseMoney(saleText);
-
-    const discountPercent = computeDiscountPercent(salePrice, originalPrice);
-
-    const store = "Track Shack";
-    const gender = inferGender(listingName);
-    const shoeType = "unknown";
-
-    const deal = {
-      listingName: listingName || "",
-      brand,
-      model: deriveModel(listingName, brand),
-      salePrice: Number.isFinite(salePrice) ? salePrice : null,
-      originalPrice: Number.isFinite(originalPrice) ? originalPrice : null,
-      discountPercent: Number.isFinite(discountPercent) ? discountPercent : null,
-      store,
-      listingURL: listingURL || "",
-      imageURL: imageURL || null,
-      gender,
-      shoeType,
-    };
-
-    if (deal.listingName && deal.listingURL && deal.salePrice != null && deal.originalPrice != null) {
-      products.push(deal);
+    if (!Number.isFinite(salePrice) || !Number.isFinite(originalPrice)) {
+      return ctx.drop("missingPrice", { listingName, listingURL, salePrice, originalPrice });
     }
+
+    candidates.push({ $el, listingName, listingURL, salePrice, originalPrice });
   });
 
-  const nextUrl = findNextUrl($);
-  return { products, nextUrl, countOnPage: nodes.length, pageUrl };
-}
+  ctx.state.nextUrl = findNextUrl($);
 
-function dedupeByUrl(deals) {
-  const out = [];
-  const seen = new Set();
-  for (const d of deals) {
-    const key = (d.listingURL || "").trim();
-    if (!key) continue;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push(d);
+  // No priced products, or ?page=N served a page we already read
+  if (!candidates.length) {
+    ctx.state.done = true;
+    return [];
   }
-  return out;
-}
-
-module.exports = async (req, res) => {
-  try {
-    const CRON_SECRET = String(process.env.CRON_SECRET || "").trim();
-if (CRON_SECRET) {
-  const auth = String(req.headers.authorization || "").trim();
-  if (auth !== `Bearer ${CRON_SECRET}`) {
-    return res.status(401).json({ success: false, error: "Unauthorized" });
+  if (seenFirstUrls.has(candidates[0].listingURL)) {
+    ctx.state.done = true;
+    for (const { listingName, listingURL } of candidates) ctx.drop("repeatedPage", { listingName, listingURL });
+    return [];
   }
-}
-
-    const startMs = Date.now();
-
-    const blobPublicUrl = requireEnv("TRACKSHACK_CLEARANCE_BLOB_URL");
-    const blobPath = blobPathFromPublicUrl(blobPublicUrl);
-    if (!blobPath) throw new Error("TRACKSHACK_CLEARANCE_BLOB_URL invalid (no pathname)");
-
-    const maxPages = Math.max(1, parseInt(process.env.TRACKSHACK_MAX_PAGES || "20", 10));
-
-    const sourceUrls = [];
-    let pagesFetched = 0;
-
-    let dealsFound = 0;
-    let dealsExtracted = 0;
-
-    const allDeals = [];
-    const seenFirstUrls = new Set();
-
-    let nextUrl = null;
-
-    for (let page = 1; page <= maxPages; page++) {
-      let url = START_URL;
-
-      if (page === 1) {
-        url = START_URL;
-      } else if (nextUrl) {
-        url = nextUrl;
-      } else {
-        url = buildPageUrl(page);
-      }
-
-      sourceUrls.push(url);
+  seenFirstUrls.add(candidates[0].listingURL);
 
-      const cacheBusted = `${url}${url.includes("?") ? "&" : "?"}cb=${Date.now()}`;
+  const deals = [];
 
-      const html = await fetchHtml(cacheBusted);
-      const parsed = parseProductsFromHtml(html, url);
-
-      pagesFetched += 1;
-
-      const pageDeals = parsed.products || [];
-      dealsFound += pageDeals.length;
-
-      if (!pageDeals.length) break;
-
-      const firstUrl = (pageDeals[0]?.listingURL || "").trim();
-      if (firstUrl) {
-        if (seenFirstUrls.has(firstUrl)) break;
-        seenFirstUrls.add(firstUrl);
-      }
-
-      allDeals.push(...pageDeals);
-
-      const candidateNext = parsed.nextUrl ? String(parsed.nextUrl).trim() : null;
-      if (candidateNext && candidateNext !== url) {
-        nextUrl = candidateNext;
-      } else {
-        nextUrl = null;
-      }
+  for (const { $el, listingName, listingURL, salePrice, originalPrice } of candidates) {
+    if (!ctx.markSeen(listingURL)) {
+      ctx.drop("duplicateUrl", { listingName, listingURL });
+      continue;
     }
 
-    const uniqueDeals = dedupeByUrl(allDeals);
-    dealsExtracted = uniqueDeals.length;
-
-    const scrapeDurationMs = Date.now() - startMs;
-
-    const payload = {
-      store: "Track Shack",
-      schemaVersion: 1,
-      lastUpdated: nowIso(),
-      via: "cheerio",
-      sourceUrls,
-      pagesFetched,
-      dealsFound,
-      dealsExtracted,
-      scrapeDurationMs,
-      ok: true,
-      error: null,
-      deals: uniqueDeals,
-    };
-
-    const blobResult = await put(blobPath, JSON.stringify(payload, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
-
-    return res.status(200).json({
-      success: true,
-      store: payload.store,
-      pagesFetched,
-      dealsFound,
-      dealsExtracted,
-      blobUrl: blobResult.url,
-      scrapeDurationMs,
-    });
-  } catch (err) {
-    return res.status(500).json({
-      success: false,
-      error: err?.message || String(err),
-    });
+    const brand = cleanText($el.find(".brand").first().text()) || "Unknown";
+    const bg = extractBgUrl($el.find(".image").first().attr("style"));
+
+    deals.push(
+      buildDeal({
+        listingName,
+        brand,
+        model: deriveModel(listingName, brand),
+        salePrice,
+        originalPrice,
+        discountPercent: computeDiscountPercent(salePrice, originalPrice),
+        store: STORE,
+        listingURL,
+        imageURL: bg ? absolutizeUrl(bg, BASE) : null,
+        gender: inferGender(listingName),
+        shoeType: "unknown",
+      })
+    );
   }
-};
+
+  return deals;
+}
+
+module.exports = defineScraper({
+  store: STORE,
+  via: "cheerio",
+  blobName: blobPathFromPublicUrl(process.env.TRACKSHACK_CLEARANCE_BLOB_URL) || "trackshack.json",
+  fetchPages,
+  parseListing,
+});
@@ -22,6 +22,7 @@
 // - CRON_SECRET block is included but temporarily commented out for testing.
 
 import { put } from "@vercel/blob";
+import { shopifySizes } from "../../lib/sizes";
 
 export const config = { maxDuration: 60 };
 
@@ -450,6 +451,8 @@ export default async function handler(req, res) {
 
           gender,
           shoeType: inferShoeType(product),
+
+          ...shopifySizes(product),
         });
 
         seen.add(key);
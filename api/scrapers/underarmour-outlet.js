@@ -1,13 +1,25 @@
 // /api/scrapers/underarmour-outlet.js
-
-import { put } from "@vercel/blob";
-import * as cheerio from "cheerio";
+//
+// Under Armour outlet running shoes: mens and womens categories, pages 1-2.
+//   - a category that fails to fetch is recorded in categoryErrors; the other
+//     still runs
+//   - a page 2 whose page selector shows a different page ends its category
+//     (dropCounts.wrongReturnedPage)
+//   - gender from the tile sub-header, then the URL, then the category
+
+const {
+  defineScraper,
+  HTML_HEADERS,
+  absolutizeUrl,
+  detectGender,
+  computeDiscountPercent,
+  buildDeal,
+  fetchTextWithTimeout,
+} = require("../../lib/scraper-runtime");
 
 export const config = { maxDuration: 60 };
 
 const STORE = "Under Armour";
-const SCHEMA_VERSION = 1;
-const VIA = "fetch-html";
 const BASE_URL = "https://www.underarmour.com";
 
 const CATEGORY_URLS = [
@@ -23,17 +35,8 @@ const CATEGORY_URLS = [
 
 const PAGE_NUMBERS = [1, 2];
 
-function nowIso() {
-  return new Date().toISOString();
-}
-
 function absoluteUrl(url) {
-  if (!url) return null;
-  try {
-    return new URL(url, BASE_URL).toString();
-  } catch {
-    return null;
-  }
+  return absolutizeUrl(url, BASE_URL) || null;
 }
 
 function cleanText(value) {
@@ -55,26 +58,9 @@ function parsePrice(text) {
   return m ? Number(m[1]) : null;
 }
 
-function computeDiscountPercent(originalPrice, salePrice) {
-  if (
-    typeof originalPrice !== "number" ||
-    typeof salePrice !== "number" ||
-    !isFinite(originalPrice) ||
-    !isFinite(salePrice) ||
-    originalPrice <= 0 ||
-    salePrice >= originalPrice
-  ) {
-    return null;
-  }
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
-}
-
-function inferGender(subHeader, listingURL = "", fallbackGender = "unknown") {
-  const s = normalizeApostrophes(subHeader).toLowerCase();
-
-  if (s.includes("women's") || s.includes("womens")) return "womens";
-  if (s.includes("men's") || s.includes("mens")) return "mens";
-  if (s.includes("unisex")) return "unisex";
+function inferGender(subHeader, listingURL, fallbackGender) {
+  const detected = detectGender("", "", normalizeApostrophes(subHeader));
+  if (detected !== "unknown") return detected;
 
   const url = String(listingURL || "").toLowerCase();
   if (url.includes("_womens_") || url.includes("/womens/")) return "womens";
@@ -98,58 +84,10 @@ function modelFromListingName(listingName) {
   return raw.replace(/^UA\s+/i, "").trim() || raw;
 }
 
-function incrementCounter(obj, key, by = 1) {
-  obj[key] = (obj[key] || 0) + by;
-}
-
-function initDropCounts() {
-  return {
-    totalTiles: 0,
-    dropped_missingListingName: 0,
-    dropped_missingListingURL: 0,
-    dropped_missingImageURL: 0,
-    dropped_missingOriginalPrice: 0,
-    dropped_missingSalePrice: 0,
-    dropped_saleNotLessThanOriginal: 0,
-    dropped_duplicateWithinCategory: 0,
-    dropped_duplicateAfterMerge: 0,
-    dropped_wrongReturnedPage: 0,
-  };
-}
-
-function mergeDropCounts(target, source) {
-  for (const [key, value] of Object.entries(source || {})) {
-    target[key] = (target[key] || 0) + (value || 0);
-  }
-  return target;
-}
-
 function buildPageUrl(baseUrl, pageNumber) {
   return pageNumber === 1 ? baseUrl : `${baseUrl}?page=${pageNumber}`;
 }
 
-async function fetchHtml(url) {
-  const resp = await fetch(url, {
-    headers: {
-      "user-agent":
-        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/145.0.0.0 Safari/537.36",
-      accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-      "accept-language": "en-US,en;q=0.9",
-      "cache-control": "no-cache",
-      pragma: "no-cache",
-    },
-    redirect: "follow",
-  });
-
-  if (!resp.ok) {
-    const err = new Error(`HTTP ${resp.status} for ${url}`);
-    err.status = resp.status;
-    throw err;
-  }
-
-  return await resp.text();
-}
-
 function detectCurrentPageFromHtml($) {
   const selected = $('li[role="option"][aria-selected="true"][data-value]').first();
   const selectedValue = cleanText(selected.attr("data-value"));
@@ -168,41 +106,7 @@ function detectCurrentPageFromHtml($) {
   return null;
 }
 
-function extractTiles($) {
-  const tiles = [];
-  $('div[id^="product-"][data-testid="product-tile-container"]').each((_, el) => {
-    tiles.push(el);
-  });
-  return tiles;
-}
-
-function extractDealFromTile($, el, dropCounts, fallbackGender) {
-  incrementCounter(dropCounts, "totalTiles");
-
-  const $tile = $(el);
-
-  const listingURL = absoluteUrl(
-    $tile.find('a.ProductTile-module-scss-module__YG6sUW__product-item-link').first().attr("href") ||
-      $tile.find('a.ProductTile-module-scss-module__YG6sUW__product-image-link').first().attr("href") ||
-      $tile.find('a[href*="/p/"]').first().attr("href")
-  );
-
-  const imageURL = absoluteUrl(
-    $tile.find('img[data-testid="tile-image"]').first().attr("src") ||
-      $tile.find("img").first().attr("src")
-  );
-
-  const listingName = cleanText(
-    $tile.find('a.ProductTile-module-scss-module__YG6sUW__product-item-link').first().text() ||
-      $tile.find('img[data-testid="tile-image"]').first().attr("alt") ||
-      $tile.find("h3").first().text() ||
-      ""
-  ) || null;
-
-  const subHeader = cleanText(
-    $tile.find('span[class*="product-sub-header"]').first().text() || ""
-  );
-
+function extractPrices($tile) {
   const srPriceText = cleanText(
     $tile.find('div[class*="sr-price"]').first().text() || ""
   );
@@ -234,302 +138,123 @@ function extractDealFromTile($, el, dropCounts, fallbackGender) {
     );
   }
 
-  if (!listingName) {
-    incrementCounter(dropCounts, "dropped_missingListingName");
-    return null;
-  }
-
-  if (!listingURL) {
-    incrementCounter(dropCounts, "dropped_missingListingURL");
-    return null;
-  }
-
-  if (!imageURL) {
-    incrementCounter(dropCounts, "dropped_missingImageURL");
-    return null;
-  }
-
-  if (originalPrice == null) {
-    incrementCounter(dropCounts, "dropped_missingOriginalPrice");
-    return null;
-  }
-
-  if (salePrice == null) {
-    incrementCounter(dropCounts, "dropped_missingSalePrice");
-    return null;
-  }
-
-  if (!(salePrice < originalPrice)) {
-    incrementCounter(dropCounts, "dropped_saleNotLessThanOriginal");
-    return null;
-  }
-
-  return {
-    schemaVersion: SCHEMA_VERSION,
-
-    listingName,
+  return { originalPrice, salePrice };
+}
 
-    brand: "Under Armour",
-    model: modelFromListingName(listingName),
+async function* fetchPages(ctx) {
+  const categoryErrors = (ctx.state.categoryErrors = []);
 
-    salePrice,
-    originalPrice,
-    discountPercent: computeDiscountPercent(originalPrice, salePrice),
+  for (const category of CATEGORY_URLS) {
+    ctx.state.categoryUrls = new Set();
 
-    salePriceLow: null,
-    salePriceHigh: null,
-    originalPriceLow: null,
-    originalPriceHigh: null,
-    discountPercentUpTo: null,
+    for (const pageNumber of PAGE_NUMBERS) {
+      const url = buildPageUrl(category.baseUrl, pageNumber);
 
-    store: STORE,
+      let html;
+      try {
+        html = await fetchTextWithTimeout(url, {
+          headers: { ...HTML_HEADERS, "Cache-Control": "no-cache", Pragma: "no-cache" },
+        });
+      } catch (err) {
+        categoryErrors.push({ genderHint: category.genderHint, url, error: err?.message || String(err) });
+        break;
+      }
 
-    listingURL,
-    imageURL,
+      yield { url, html, category, pageNumber };
 
-    gender: inferGender(subHeader, listingURL, fallbackGender),
-    shoeType: inferShoeType(subHeader),
-  };
-}
-
-function makePageSummary({
-  genderHint,
-  pageNumber,
-  url,
-  ok,
-  error,
-  tiles,
-  extracted,
-  returnedPage,
-  dropCounts,
-}) {
-  return {
-    genderHint,
-    page: pageNumber,
-    returnedPage: returnedPage ?? null,
-    url,
-    ok,
-    error: error || null,
-    tilesFound: tiles,
-    dealsExtracted: extracted,
-    droppedDeals:
-      (dropCounts?.dropped_missingListingName || 0) +
-      (dropCounts?.dropped_missingListingURL || 0) +
-      (dropCounts?.dropped_missingImageURL || 0) +
-      (dropCounts?.dropped_missingOriginalPrice || 0) +
-      (dropCounts?.dropped_missingSalePrice || 0) +
-      (dropCounts?.dropped_saleNotLessThanOriginal || 0) +
-      (dropCounts?.dropped_duplicateWithinCategory || 0) +
-      (dropCounts?.dropped_wrongReturnedPage || 0),
-  };
+      if (ctx.state.stopCategory) {
+        ctx.state.stopCategory = false;
+        break;
+      }
+    }
+  }
 }
 
-async function scrapeCategory({ baseUrl, genderHint }) {
-  const sourceUrls = [];
+function parseListing(page, ctx) {
+  const { $, category, pageNumber } = page;
   const deals = [];
-  const pageSummaries = [];
-  const dropCounts = initDropCounts();
-
-  let pagesFetched = 0;
-  const seenListingUrls = new Set();
-
-  for (const pageNumber of PAGE_NUMBERS) {
-    const url = buildPageUrl(baseUrl, pageNumber);
-
-    let html;
-    try {
-      html = await fetchHtml(url);
-      pagesFetched += 1;
-      sourceUrls.push(url);
-    } catch (err) {
-      pageSummaries.push(
-        makePageSummary({
-          genderHint,
-          pageNumber,
-          url,
-          ok: false,
-          error: err?.message || "Unknown fetch error",
-          tiles: 0,
-          extracted: 0,
-          returnedPage: null,
-          dropCounts: initDropCounts(),
-        })
-      );
-      break;
-    }
-
-    const $ = cheerio.load(html);
-    const returnedPage = detectCurrentPageFromHtml($);
-
-    if (pageNumber > 1 && returnedPage != null && returnedPage !== pageNumber) {
-      incrementCounter(dropCounts, "dropped_wrongReturnedPage");
-      pageSummaries.push(
-        makePageSummary({
-          genderHint,
-          pageNumber,
-          url,
-          ok: true,
-          error: `Requested page ${pageNumber} but HTML indicates page ${returnedPage}`,
-          tiles: 0,
-          extracted: 0,
-          returnedPage,
-          dropCounts: { dropped_wrongReturnedPage: 1 },
-        })
-      );
-      break;
-    }
-
-    const beforeCount = deals.length;
-    const beforeDrops = { ...dropCounts };
-
-    const tiles = extractTiles($);
-
-    for (const el of tiles) {
-      const deal = extractDealFromTile($, el, dropCounts, genderHint);
-      if (!deal) continue;
 
-      if (seenListingUrls.has(deal.listingURL)) {
-        incrementCounter(dropCounts, "dropped_duplicateWithinCategory");
-        continue;
-      }
-
-      seenListingUrls.add(deal.listingURL);
-      deals.push(deal);
-    }
+  const returnedPage = detectCurrentPageFromHtml($);
+  if (pageNumber > 1 && returnedPage != null && returnedPage !== pageNumber) {
+    ctx.drop("wrongReturnedPage", { url: page.url, requestedPage: pageNumber, returnedPage });
+    ctx.state.stopCategory = true;
+    return deals;
+  }
 
-    const extractedThisPage = deals.length - beforeCount;
+  const $tiles = $('div[id^="product-"][data-testid="product-tile-container"]');
+  if (!$tiles.length) ctx.state.stopCategory = true;
 
-    const deltaDropCounts = {};
-    for (const key of Object.keys(dropCounts)) {
-      deltaDropCounts[key] = (dropCounts[key] || 0) - (beforeDrops[key] || 0);
-    }
+  $tiles.each((_, el) => {
+    const $tile = $(el);
+    ctx.found();
 
-    pageSummaries.push(
-      makePageSummary({
-        genderHint,
-        pageNumber,
-        url,
-        ok: true,
-        error: null,
-        tiles: tiles.length,
-        extracted: extractedThisPage,
-        returnedPage,
-        dropCounts: deltaDropCounts,
-      })
+    const listingURL = absoluteUrl(
+      $tile.find("a.ProductTile-module-scss-module__YG6sUW__product-item-link").first().attr("href") ||
+        $tile.find("a.ProductTile-module-scss-module__YG6sUW__product-image-link").first().attr("href") ||
+        $tile.find('a[href*="/p/"]').first().attr("href")
     );
 
-    if (tiles.length === 0) break;
-  }
+    const imageURL = absoluteUrl(
+      $tile.find('img[data-testid="tile-image"]').first().attr("src") ||
+        $tile.find("img").first().attr("src")
+    );
 
-  return {
-    sourceUrls,
-    pagesFetched,
-    deals,
-    dropCounts,
-    pageSummaries,
-  };
-}
+    const listingName = cleanText(
+      $tile.find("a.ProductTile-module-scss-module__YG6sUW__product-item-link").first().text() ||
+        $tile.find('img[data-testid="tile-image"]').first().attr("alt") ||
+        $tile.find("h3").first().text()
+    );
 
-export default async function handler(req, res) {
-  const startedAt = Date.now();
+    const subHeader = cleanText($tile.find('span[class*="product-sub-header"]').first().text());
+    const { originalPrice, salePrice } = extractPrices($tile);
 
-  try {
-    /*
-    const auth = req.headers.authorization;
-    if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
-      return res.status(401).json({ success: false, error: "Unauthorized" });
+    if (!listingName) return ctx.drop("missingListingName", { listingURL });
+    if (!listingURL) return ctx.drop("missingListingURL", { listingName });
+    if (!imageURL) return ctx.drop("missingImageURL", { listingName, listingURL });
+    if (originalPrice == null) return ctx.drop("missingOriginalPrice", { listingName, listingURL });
+    if (salePrice == null) return ctx.drop("missingSalePrice", { listingName, listingURL });
+    if (!(salePrice < originalPrice)) {
+      return ctx.drop("saleNotLessThanOriginal", { listingName, listingURL, salePrice, originalPrice });
     }
-    */
 
-    const perCategory = [];
-    for (const category of CATEGORY_URLS) {
-      const result = await scrapeCategory(category);
-      perCategory.push(result);
+    if (ctx.state.categoryUrls.has(listingURL)) {
+      return ctx.drop("duplicateWithinCategory", { listingName, listingURL });
     }
+    ctx.state.categoryUrls.add(listingURL);
 
-    const sourceUrls = perCategory.flatMap((x) => x.sourceUrls);
-    const pagesFetched = perCategory.reduce((sum, x) => sum + x.pagesFetched, 0);
-    const rawDeals = perCategory.flatMap((x) => x.deals);
-    const pageSummaries = perCategory.flatMap((x) => x.pageSummaries);
-    const dealsFound = rawDeals.length;
-
-    const combinedDropCounts = initDropCounts();
-    for (const result of perCategory) {
-      mergeDropCounts(combinedDropCounts, result.dropCounts);
+    // Unisex shoes are listed in both categories; the same URL at a different
+    // price is kept
+    if (!ctx.markSeen(`${listingURL}__${salePrice}__${originalPrice}`)) {
+      return ctx.drop("duplicateAfterMerge", { listingName, listingURL });
     }
 
-    const seen = new Set();
-    const deals = [];
-
-    for (const deal of rawDeals) {
-      const key = `${deal.listingURL}__${deal.salePrice}__${deal.originalPrice}`;
-      if (seen.has(key)) {
-        incrementCounter(combinedDropCounts, "dropped_duplicateAfterMerge");
-        continue;
-      }
-      seen.add(key);
-      deals.push(deal);
-    }
+    deals.push(
+      buildDeal({
+        listingName,
+        brand: "Under Armour",
+        model: modelFromListingName(listingName),
+        salePrice,
+        originalPrice,
+        discountPercent: computeDiscountPercent(originalPrice, salePrice),
+        store: STORE,
+        listingURL,
+        imageURL,
+        gender: inferGender(subHeader, listingURL, category.genderHint),
+        shoeType: inferShoeType(subHeader),
+      })
+    );
+  });
 
-    const dealsExtracted = deals.length;
-
-    const payload = {
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-      lastUpdated: nowIso(),
-      via: VIA,
-      sourceUrls,
-      pagesFetched,
-      dealsFound,
-      dealsExtracted,
-      scrapeDurationMs: Date.now() - startedAt,
-      ok: true,
-      error: null,
-      dropCounts: combinedDropCounts,
-      pageSummaries,
-      deals,
-    };
-
-    const blob = await put("underarmour-outlet.json", JSON.stringify(payload, null, 2), {
-      access: "public",
-      contentType: "application/json",
-      addRandomSuffix: false,
-      allowOverwrite: true,
-    });
-
-    return res.status(200).json({
-      success: true,
-      store: payload.store,
-      schemaVersion: payload.schemaVersion,
-      lastUpdated: payload.lastUpdated,
-      via: payload.via,
-      sourceUrls: payload.sourceUrls,
-      pagesFetched: payload.pagesFetched,
-      dealsFound: payload.dealsFound,
-      dealsExtracted: payload.dealsExtracted,
-      scrapeDurationMs: payload.scrapeDurationMs,
-      ok: payload.ok,
-      error: payload.error,
-      dropCounts: payload.dropCounts,
-      pageSummaries: payload.pageSummaries,
-      blobUrl: blob.url,
-    });
-  } catch (err) {
-    return res.status(500).json({
-      success: false,
-      store: STORE,
-      schemaVersion: SCHEMA_VERSION,
-      lastUpdated: nowIso(),
-      via: VIA,
-      sourceUrls: [],
-      pagesFetched: 0,
-      dealsFound: 0,
-      dealsExtracted: 0,
-      scrapeDurationMs: Date.now() - startedAt,
-      ok: false,
-      error: err?.message || "Unknown error",
-      dropCounts: initDropCounts(),
-      pageSummaries: [],
-    });
-  }
+  return deals;
 }
+
+export default defineScraper({
+  store: STORE,
+  via: "fetch-html",
+  blobName: "underarmour-outlet.json",
+  fetchPages,
+  parseListing,
+  summarize(ctx) {
+    return { categoryErrors: ctx.state.categoryErrors || [] };
+  },
+});
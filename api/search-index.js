@@ -1,10 +1,51 @@
+// /api/search-index.js
+//
+// Every deal the browser needs for its suggestion index and "all deals" view.
+//
+// GET /api/search-index                    { version, deals: [...], nextCursor }
+// GET /api/search-index?format=compact     { version, full, deals: [compact entries],
+//                                            removed: [keys], nextCursor }
+//
+// Optional:
+//   brand, gender, shoeType, store/stores  filters, same values as /api/search
+//   limit, cursor                          pages of at most `limit` entries in key
+//                                          order; a cursor from an older version
+//                                          answers 409 (start again)
+//   since=N (compact only)                 entries added after version N and the
+//                                          keys removed since; apply `removed` first.
+//                                          When N is too old to diff, the whole index
+//                                          comes back with full: true
+//
+// The version is the last import (sb_deal_imports). ETag is the version plus the
+// request's params, Last-Modified the import time; If-None-Match or
+// If-Modified-Since answer 304 until the next import. Compact entries and their
+// keys: lib/dealIndex.js.
+
+const crypto = require("crypto");
 const { Pool } = require("pg");
+const { DELTA_VERSIONS_KEPT, toCompactEntry } = require("../lib/dealIndex");
+const {
+  SHOE_TYPES,
+  normalizeShoeType,
+  normalizeStoreList,
+  storeKeys,
+} = require("../lib/alertCriteria");
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
 });
 
+const FORMATS = ["full", "compact"];
+const GENDERS = ["mens", "womens", "unisex"];
+const MAX_PAGE_SIZE = 5000;
+const MAX_STORE_FILTERS = 10;
+
+const CACHE_CONTROL = "public, max-age=0, s-maxage=300, stale-while-revalidate=600";
+
+// Rows imported before migration 018 have no index_key
+const KEY_SQL = "COALESCE(index_key, 'id:' || id)";
+
 const RATE_LIMIT_WINDOW_MS = 60 * 1000;
 const RATE_LIMIT_MAX = 60;
 const rateLimitMap = new Map();
@@ -52,6 +93,13 @@ function rateLimit(req, res) {
   return true;
 }
 
+function sanitizeInput(str) {
+  return String(str || "")
+    .replace(/[<>]/g, "")
+    .trim()
+    .slice(0, 100);
+}
+
 function normalizeStr(value) {
   return String(value || "").trim().toLowerCase();
 }
@@ -94,14 +142,200 @@ function mapRowToDeal(row) {
     listingURL: String(row.listing_url || "").trim(),
     imageURL: String(row.image_url || "").trim(),
     gender: normalizeGender(row.gender || ""),
-    shoeType: "",
+    width: String(row.width || "standard").trim(),
+    shoeType: String(row.shoe_type || "").trim(),
+  };
+}
+
+function toCompact(row) {
+  return toCompactEntry({ key: row.key, ...mapRowToDeal(row) });
+}
+
+function binder(params) {
+  return (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+}
+
+/** Non-negative integer param: null when absent, undefined when invalid. */
+function parseCount(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  return /^\d+$/.test(s) ? Number(s) : undefined;
+}
+
+function encodeCursor(obj) {
+  return Buffer.from(JSON.stringify(obj), "utf8").toString("base64url");
+}
+
+/** null when absent, { v, k } when valid, undefined otherwise. */
+function decodeCursor(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+  } catch {
+    return undefined;
+  }
+
+  return c && Number.isInteger(c.v) && typeof c.k === "string" && c.k ? { v: c.v, k: c.k } : undefined;
+}
+
+/** { params } or { error } from the query string. */
+function readParams(q) {
+  const format = normalizeStr(q.format) || "full";
+  if (!FORMATS.includes(format)) {
+    return { error: `Invalid format. Use ${FORMATS.join(" or ")}` };
+  }
+
+  const brand = sanitizeInput(q.brand) || null;
+
+  const gender = normalizeGender(sanitizeInput(q.gender));
+  if (gender && !GENDERS.includes(gender)) {
+    return { error: "Invalid gender. Use mens, womens or unisex" };
+  }
+
+  const shoeType = normalizeShoeType(sanitizeInput(q.shoeType));
+  if (shoeType === undefined) {
+    return { error: `Invalid shoeType. Use ${SHOE_TYPES.join(", ")}` };
+  }
+
+  const stores = normalizeStoreList(q.store ?? q.stores);
+  if (stores && stores.length > MAX_STORE_FILTERS) {
+    return { error: `At most ${MAX_STORE_FILTERS} stores` };
+  }
+
+  const limit = parseCount(q.limit);
+  if (limit === undefined || limit === 0) {
+    return { error: "Invalid limit" };
+  }
+
+  const cursor = decodeCursor(q.cursor);
+  if (cursor === undefined) {
+    return { error: "Invalid cursor" };
+  }
+
+  const since = parseCount(q.since);
+  if (since === undefined) {
+    return { error: "Invalid since. Use a version number" };
+  }
+  if (since !== null && format !== "compact") {
+    return { error: "since needs format=compact" };
+  }
+
+  return {
+    params: {
+      format,
+      brand,
+      gender: gender || null,
+      shoeType,
+      stores,
+      limit: limit === null ? null : Math.min(limit, MAX_PAGE_SIZE),
+      cursor,
+      since,
+    },
   };
 }
 
+/** Latest import: { version, importedAt }; version 0 before the first versioned import. */
+async function currentVersion() {
+  const { rows } = await pool.query(
+    "SELECT version, imported_at FROM sb_deal_imports ORDER BY version DESC LIMIT 1"
+  );
+  if (!rows.length) return { version: 0, importedAt: null };
+  return { version: Number(rows[0].version), importedAt: new Date(rows[0].imported_at) };
+}
+
+function etagFor(version, params) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(params)).digest("base64url").slice(0, 12);
+  return `W/"${version}-${hash}"`;
+}
+
+function isNotModified(req, etag, importedAt) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return String(ifNoneMatch)
+      .split(",")
+      .map((t) => t.trim())
+      .some((t) => t === "*" || t === etag || `W/${t}` === etag);
+  }
+
+  const ifModifiedSince = Date.parse(String(req.headers["if-modified-since"] || ""));
+  if (!importedAt || !Number.isFinite(ifModifiedSince)) return false;
+  return Math.floor(importedAt.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * The requested entries (one page when paged) and, for deltas, the removed keys.
+ * `since` is null for the whole index.
+ */
+async function fetchEntries(params, since) {
+  const sqlParams = [];
+  const bind = binder(sqlParams);
+  const where = ["(COALESCE(brand, '') <> '' OR COALESCE(model, '') <> '')"];
+
+  if (params.brand) where.push(`lower(brand) = lower(${bind(params.brand)})`);
+  if (params.gender) where.push(`lower(gender) = ${bind(params.gender)}`);
+  if (params.shoeType) where.push(`shoe_type = ${bind(params.shoeType)}`);
+  if (params.stores) {
+    const keys = [...new Set(params.stores.flatMap(storeKeys))];
+    where.push(`regexp_replace(lower(store), '[^a-z0-9]', '', 'g') = ANY(${bind(keys)}::text[])`);
+  }
+  if (since !== null) where.push(`COALESCE(index_version, 0) > ${bind(since)}`);
+
+  // Pages and compact entries go in key order (the cursor); the unpaged full
+  // list keeps its brand/model order
+  const keyOrder = params.limit !== null || params.format === "compact";
+  const after = params.cursor ? `WHERE key > ${bind(params.cursor.k)}` : "";
+  const limit = params.limit !== null ? `LIMIT ${bind(params.limit + 1)}` : "";
+
+  const { rows } = await pool.query(
+    `
+    SELECT * FROM (
+      SELECT DISTINCT ON (${KEY_SQL})
+        ${KEY_SQL} AS key,
+        brand,
+        model,
+        gender,
+        width,
+        shoe_type,
+        store,
+        sale_price,
+        original_price,
+        discount_percent,
+        listing_url,
+        image_url,
+        listing_name
+      FROM sb_shoe_deals
+      WHERE ${where.join(" AND ")}
+      ORDER BY ${KEY_SQL}
+    ) entries
+    ${after}
+    ORDER BY ${keyOrder ? "key" : "brand ASC, model ASC, sale_price ASC NULLS LAST, key"}
+    ${limit}
+    `,
+    sqlParams
+  );
+
+  let removed = [];
+  if (since !== null && !params.cursor) {
+    const { rows: gone } = await pool.query(
+      "SELECT DISTINCT index_key FROM sb_deal_index_removals WHERE version > $1 ORDER BY index_key",
+      [since]
+    );
+    removed = gone.map((r) => r.index_key);
+  }
+
+  return { rows, removed };
+}
+
 module.exports = async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, If-None-Match, If-Modified-Since");
 
   if (req.method === "OPTIONS") {
     return res.status(200).end();
@@ -113,30 +347,55 @@ module.exports = async function handler(req, res) {
 
   if (!rateLimit(req, res)) return;
 
+  const parsed = readParams(req.query || {});
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { params } = parsed;
+
   try {
-const sql = `
-  SELECT DISTINCT
-    brand,
-    model,
-    gender,
-    store,
-    sale_price,
-    original_price,
-    discount_percent,
-    listing_url,
-    image_url,
-    listing_name
-  FROM sb_shoe_deals
-  WHERE COALESCE(brand, '') <> ''
-     OR COALESCE(model, '') <> ''
-  ORDER BY brand ASC, model ASC, sale_price ASC NULLS LAST
-`;
-
-    const { rows } = await pool.query(sql);
-    const deals = rows.map(mapRowToDeal);
+    const { version, importedAt } = await currentVersion();
+    const etag = etagFor(version, params);
+
+    res.setHeader("Cache-Control", CACHE_CONTROL);
+    res.setHeader("ETag", etag);
+    if (importedAt) res.setHeader("Last-Modified", importedAt.toUTCString());
+
+    if (isNotModified(req, etag, importedAt)) {
+      return res.status(304).end();
+    }
+
+    if (params.cursor && params.cursor.v !== version) {
+      return res.status(409).json({ error: "The index changed; start again without a cursor", version });
+    }
+
+    // A delta needs the removals since `since`; older (or unknown) versions get everything
+    const canDiff =
+      params.since !== null && params.since <= version && params.since >= version - DELTA_VERSIONS_KEPT;
+    const since = canDiff ? params.since : null;
+
+    const { rows, removed } = await fetchEntries(params, since);
+
+    const page = params.limit !== null ? rows.slice(0, params.limit) : rows;
+    const nextCursor =
+      params.limit !== null && rows.length > params.limit
+        ? encodeCursor({ v: version, k: page[page.length - 1].key })
+        : null;
+
+    if (params.format === "compact") {
+      return res.status(200).json({
+        version,
+        full: since === null,
+        deals: page.map(toCompact),
+        removed,
+        nextCursor,
+      });
+    }
 
     return res.status(200).json({
-      deals,
+      version,
+      deals: page.map(mapRowToDeal),
+      nextCursor,
     });
   } catch (error) {
     console.error("api/search-index error:", error);
@@ -0,0 +1,24 @@
+// api/search-synonyms.js
+//
+// GET the query expansion dictionary (lib/searchSynonyms.js) for the search box,
+// so its suggestions expand "peg 41" the same way /api/search does.
+// Changes only with a deploy, so browsers and the edge may cache it.
+
+const { synonymDictionary } = require("../lib/searchSynonyms");
+
+module.exports = async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "public, max-age=3600, s-maxage=86400");
+  return res.status(200).json(synonymDictionary());
+};
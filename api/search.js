@@ -1,10 +1,25 @@
 const { Pool } = require("pg");
+const { groupColorways } = require("../lib/colorways");
+const {
+  SHOE_TYPES,
+  normalizeShoeType,
+  normalizeStoreList,
+  normalizeMinDiscount,
+  storeKeys,
+} = require("../lib/alertCriteria");
+const { expandQuery } = require("../lib/searchSynonyms");
+const { normalizeWidth } = require("../lib/modelNameCleaner");
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
 });
 
+// Word similarity a query token needs to match a word it doesn't spell out
+// (pg_trgm's default is 0.6). Typos of a short model name score ~0.5
+// ("clfton" / "clifton" 0.54), so searches lower it for their own transaction.
+const TYPO_WORD_SIMILARITY = 0.4;
+
 const RATE_LIMIT_WINDOW_MS = 60 * 1000;
 const RATE_LIMIT_MAX = 60;
 const rateLimitMap = new Map();
@@ -89,6 +104,11 @@ function normalizeGender(value) {
   return g;
 }
 
+function normalizeWidthFilter(value) {
+  if (!normalizeStr(value)) return "";
+  return normalizeWidth(value);
+}
+
 function scoreField(fieldValue, query) {
   const field = String(fieldValue || "");
   if (!field) return 0;
@@ -223,10 +243,450 @@ function mapRowToDeal(row) {
     listingURL: String(row.listing_url || "").trim(),
     imageURL: String(row.image_url || "").trim(),
     gender: normalizeGender(row.gender || ""),
-    shoeType: "",
+    width: String(row.width || "standard").trim(),
+    colorway: String(row.colorway || "").trim() || null,
+    shoeType: String(row.shoe_type || "").trim(),
+  };
+}
+
+// =====================
+// Filters, sorting, facets
+// =====================
+
+const GENDERS = ["mens", "womens", "unisex"];
+const SORTS = ["relevance", "price", "discount", "savings"];
+
+const DEFAULT_PAGE_SIZE = 120;
+const MAX_PAGE_SIZE = 200;
+const MAX_STORE_FILTERS = 10;
+
+// Price facet buckets: under $50, $50-75, ..., $150 and up
+const PRICE_BUCKET_EDGES = [50, 75, 100, 125, 150];
+const PRICE_BUCKETS = [0, ...PRICE_BUCKET_EDGES].map((min, i) => {
+  const max = PRICE_BUCKET_EDGES[i] ?? null;
+  return { value: max === null ? `${min}+` : `${min}-${max}`, min, max };
+});
+
+const DEAL_COLUMNS = `
+  id,
+  brand,
+  model,
+  gender,
+  width,
+  colorway,
+  shoe_type,
+  store,
+  sale_price,
+  original_price,
+  discount_percent,
+  listing_url,
+  image_url,
+  listing_name
+`;
+
+// Same as lib/alertCriteria.js dealDiscountPercent
+const DISCOUNT_SQL = `COALESCE(discount_percent, CASE WHEN original_price > 0 AND sale_price < original_price THEN round((original_price - sale_price) * 100 / original_price) END)`;
+
+// Same key as lib/colorways.js colorwayGroupKey; deals without a model are never grouped
+const GROUP_KEY_SQL = `CASE WHEN trim(model) = '' THEN 'id:' || id ELSE concat_ws('|', lower(trim(store)), lower(trim(brand)), lower(trim(model)), lower(trim(gender)), COALESCE(NULLIF(lower(trim(width)), ''), 'standard')) END`;
+
+function groupKeySql(groupByColorway) {
+  return groupByColorway ? GROUP_KEY_SQL : "'id:' || id";
+}
+
+// Sort keys are never NULL so they can be keyset cursors; deals missing the
+// value sort last. Ties break on id. `key` binds its own parameters: the
+// relevance rank needs the query, which the facet query must not be sent.
+const SORT_KEYS = {
+  // Match tier first (see relevanceTierSql), then the full-text rank
+  // (brand/model weighted over aliases over listing name) plus how closely the
+  // whole query resembles some run of words, so "clfton" still ranks the
+  // Clifton first. scoreDeal breaks ties within a page.
+  relevance: {
+    key: (where, bind) => {
+      const any = bind(where.tokens.map((t) => `${t}:*`).join(" | "));
+      const phrase = bind(where.tokens.join(" "));
+      return `round((${relevanceTierSql(where, bind)} + ts_rank_cd(search_tsv, to_tsquery('simple', ${any}), 32) + word_similarity(${phrase}, search_text))::numeric, 6)`;
+    },
+    dir: "DESC",
+  },
+  price: { key: () => "COALESCE(sale_price, 1000000)", dir: "ASC" },
+  discount: { key: () => `COALESCE(${DISCOUNT_SQL}, -1)`, dir: "DESC" },
+  savings: { key: () => "GREATEST(original_price - sale_price, 0)", dir: "DESC" },
+};
+
+// The model without a trailing version ("Pegasus 41" -> "Pegasus", "1080 v14" -> "1080")
+const MODEL_LINE_SQL = `regexp_replace(trim(model), '\\s+v?\\d+(\\.\\d+)?$', '', 'i')`;
+const SHOE_NAME_KEYS_SQL = [
+  "model",
+  "brand || model",
+  MODEL_LINE_SQL,
+  `brand || ${MODEL_LINE_SQL}`,
+]
+  .map((name) => `regexp_replace(lower(${name}), '[^a-z0-9]', '', 'g')`)
+  .join(", ");
+
+/**
+ * Relevance tier, worth more than the rank and similarity added to it can sum
+ * to (each is below 1), so a fuzzy match never outranks a spelled-out name:
+ *   30  the query is the shoe's name, with or without brand and version
+ *       ("pegasus", "nike pegasus 5", "gelnimbus")
+ *   20  every word starts a word of the brand or model ("pegasus" in Pegasus Plus)
+ *   10  every word matches somewhere (aliases, listing name)
+ *    0  typo matches only
+ * Gender words are left out; they filter, they don't rank.
+ */
+function relevanceTierSql(where, bind) {
+  const words = where.nameTokens.length ? where.nameTokens : where.tokens;
+  const name = bind(words.join(""));
+  const brandModel = bind(words.map((t) => `${t}:*A`).join(" & "));
+  const anywhere = bind(words.map((t) => `${t}:*`).join(" & "));
+
+  return `CASE
+      WHEN ${name} IN (${SHOE_NAME_KEYS_SQL}) THEN 30
+      WHEN search_tsv @@ to_tsquery('simple', ${brandModel}) THEN 20
+      WHEN search_tsv @@ to_tsquery('simple', ${anywhere}) THEN 10
+      ELSE 0
+    END`;
+}
+
+function binder(params) {
+  return (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+}
+
+/** "" -> null; a price in dollars -> number; anything else -> undefined (invalid). */
+function parsePrice(value) {
+  const s = String(value ?? "").replace(/[$,\s]/g, "");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) && n >= 0 && n <= 10000 ? n : undefined;
+}
+
+/** Structured filters from the query string: { filters } or { error }. */
+function readFilters(q) {
+  const gender = normalizeGender(sanitizeInput(q.gender));
+  if (gender && !GENDERS.includes(gender)) {
+    return { error: "Invalid gender. Use mens, womens or unisex" };
+  }
+
+  const shoeType = normalizeShoeType(sanitizeInput(q.shoeType));
+  if (shoeType === undefined) {
+    return { error: `Invalid shoeType. Use ${SHOE_TYPES.join(", ")}` };
+  }
+
+  const stores = normalizeStoreList(q.store ?? q.stores);
+  if (stores && stores.length > MAX_STORE_FILTERS) {
+    return { error: `At most ${MAX_STORE_FILTERS} stores` };
+  }
+
+  const minPrice = parsePrice(q.minPrice);
+  const maxPrice = parsePrice(q.maxPrice);
+  if (minPrice === undefined || maxPrice === undefined) {
+    return { error: "Invalid minPrice or maxPrice" };
+  }
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: "minPrice is above maxPrice" };
+  }
+
+  const minDiscount = normalizeMinDiscount(q.minDiscount);
+  if (minDiscount === undefined) {
+    return { error: "Invalid minDiscount. Use a percentage from 1 to 95" };
+  }
+
+  return { filters: { gender: gender || null, shoeType, stores, minPrice, maxPrice, minDiscount } };
+}
+
+/**
+ * WHERE clauses for the text query and filters. Filters that have a facet are
+ * kept apart so each facet can be counted without its own filter: picking one
+ * store still shows how many results the other stores have.
+ */
+function buildWhere(queryTokens, width, filters) {
+  const params = [];
+  const bind = binder(params);
+  const base = [];
+
+  // Every token must match: as a word prefix in the full-text vector, as a
+  // word close enough to one in search_text (pg_trgm word similarity of at
+  // least TYPO_WORD_SIMILARITY, see withSearchSession, so "novoblast" finds
+  // Novablast), or as the gender
+  for (const token of queryTokens) {
+    const genderToken = normalizeGender(token);
+
+    const tokenConditions = [
+      `search_tsv @@ to_tsquery('simple', ${bind(`${token}:*`)})`,
+      `${bind(token)} <% search_text`,
+    ];
+
+    // Only for gender words: the gender column has no index, so this branch
+    // makes the planner scan every row
+    if (GENDERS.includes(genderToken)) {
+      tokenConditions.push(`LOWER(COALESCE(gender, '')) = LOWER(${bind(genderToken)})`);
+    }
+
+    base.push(`(${tokenConditions.join(" OR ")})`);
+  }
+
+  if (width) base.push(`width = ${bind(width)}`);
+
+  const facet = { gender: [], store: [], price: [], other: [] };
+
+  if (filters.gender) {
+    facet.gender.push(`LOWER(COALESCE(gender, '')) = ${bind(filters.gender)}`);
+  }
+  if (filters.stores) {
+    const keys = [...new Set(filters.stores.flatMap(storeKeys))];
+    facet.store.push(`regexp_replace(lower(store), '[^a-z0-9]', '', 'g') = ANY(${bind(keys)}::text[])`);
+  }
+  if (filters.minPrice !== null) facet.price.push(`sale_price >= ${bind(filters.minPrice)}`);
+  if (filters.maxPrice !== null) facet.price.push(`sale_price <= ${bind(filters.maxPrice)}`);
+  if (filters.shoeType) facet.other.push(`shoe_type = ${bind(filters.shoeType)}`);
+  if (filters.minDiscount) facet.other.push(`${DISCOUNT_SQL} >= ${bind(filters.minDiscount)}`);
+
+  const join = (parts) => (parts.length ? parts.join(" AND ") : "TRUE");
+
+  return {
+    params,
+    tokens: queryTokens,
+    nameTokens: queryTokens.filter((t) => !GENDERS.includes(normalizeGender(t))),
+    base: join(base),
+    gender: join(facet.gender),
+    store: join(facet.store),
+    price: join(facet.price),
+    other: join(facet.other),
+    all: join([...base, ...facet.gender, ...facet.store, ...facet.price, ...facet.other]),
+  };
+}
+
+/**
+ * Runs `fn(client)` in a transaction with the typo threshold set, so the `<%`
+ * matches in buildWhere accept words TYPO_WORD_SIMILARITY alike. Its only write
+ * is the search count, which may be lost in a crash, so the commit doesn't
+ * wait for the disk.
+ */
+async function withSearchSession(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `BEGIN; SET LOCAL pg_trgm.word_similarity_threshold = ${TYPO_WORD_SIMILARITY}; SET LOCAL synchronous_commit = off`
+    );
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** { total, facets } for the matching results, counted the way results are returned (groups or listings). */
+async function fetchFacets(db, where, groupByColorway) {
+  const params = [...where.params];
+  const edges = binder(params)(PRICE_BUCKET_EDGES);
+
+  const { rows } = await db.query(
+    `
+    WITH matched AS (
+      SELECT
+        trim(store) AS store,
+        trim(brand) AS brand,
+        lower(trim(gender)) AS gender,
+        width_bucket(sale_price, ${edges}::numeric[]) AS price_bucket,
+        ${groupKeySql(groupByColorway)} AS group_key,
+        (${where.gender}) AS f_gender,
+        (${where.store}) AS f_store,
+        (${where.price}) AS f_price,
+        (${where.other}) AS f_other
+      FROM sb_shoe_deals
+      WHERE ${where.base}
+    )
+    SELECT 'total' AS facet, NULL::text AS value, count(DISTINCT group_key)::int AS n
+      FROM matched WHERE f_gender AND f_store AND f_price AND f_other
+    UNION ALL
+    SELECT 'store', store, count(DISTINCT group_key)::int
+      FROM matched WHERE store <> '' AND f_gender AND f_price AND f_other
+      GROUP BY store
+    UNION ALL
+    SELECT 'brand', brand, count(DISTINCT group_key)::int
+      FROM matched WHERE brand <> '' AND f_gender AND f_store AND f_price AND f_other
+      GROUP BY brand
+    UNION ALL
+    SELECT 'gender', gender, count(DISTINCT group_key)::int
+      FROM matched WHERE gender NOT IN ('', 'unknown') AND f_store AND f_price AND f_other
+      GROUP BY gender
+    UNION ALL
+    SELECT 'price', price_bucket::text, count(DISTINCT group_key)::int
+      FROM matched WHERE price_bucket IS NOT NULL AND f_gender AND f_store AND f_other
+      GROUP BY price_bucket
+    `,
+    params
+  );
+
+  let total = 0;
+  const facets = {
+    store: [],
+    brand: [],
+    gender: [],
+    price: PRICE_BUCKETS.map((b) => ({ ...b, count: 0 })),
   };
+
+  for (const row of rows) {
+    if (row.facet === "total") total = row.n;
+    else if (row.facet === "price") facets.price[Number(row.value)].count = row.n;
+    else facets[row.facet].push({ value: row.value, count: row.n });
+  }
+
+  for (const name of ["store", "brand", "gender"]) {
+    facets[name].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  return { total, facets };
+}
+
+function encodeCursor(obj) {
+  return Buffer.from(JSON.stringify(obj), "utf8").toString("base64url");
+}
+
+/** null when absent, { k, id } for a cursor of this sort, undefined when invalid. */
+function decodeCursor(value, sort) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+  } catch {
+    return undefined;
+  }
+
+  if (!c || c.s !== sort) return undefined;
+  return /^-?\d+(\.\d+)?$/.test(String(c.k)) && /^\d+$/.test(String(c.id)) ? { k: String(c.k), id: String(c.id) } : undefined;
 }
 
+/**
+ * One page of results, sorted and keyset-paged in SQL. With colorway grouping
+ * each group is ranked by its cheapest listing (the one groupColorways leads
+ * with), then the page's groups are filled in.
+ */
+async function fetchPage(db, where, sort, rawQuery, { groupByColorway, cursor, limit }) {
+  const params = [...where.params];
+  const bind = binder(params);
+  const { dir } = SORT_KEYS[sort];
+  const key = SORT_KEYS[sort].key(where, bind);
+
+  let after = "";
+  if (cursor) {
+    const k = `${bind(cursor.k)}::numeric`;
+    const id = `${bind(cursor.id)}::bigint`;
+    after =
+      dir === "ASC"
+        ? `WHERE (sort_key, id) > (${k}, ${id})`
+        : `WHERE sort_key < ${k} OR (sort_key = ${k} AND id > ${id})`;
+  }
+
+  const { rows } = await db.query(
+    `
+    WITH matched AS (
+      SELECT ${DEAL_COLUMNS}, ${groupKeySql(groupByColorway)} AS group_key, ${key} AS sort_key
+      FROM sb_shoe_deals
+      WHERE ${where.all}
+    ),
+    leads AS (
+      SELECT DISTINCT ON (group_key) *
+      FROM matched
+      ORDER BY group_key, CASE WHEN sale_price > 0 THEN sale_price END ASC NULLS LAST, id
+    )
+    SELECT * FROM leads
+    ${after}
+    ORDER BY sort_key ${dir}, id
+    LIMIT ${bind(limit + 1)}
+    `,
+    params
+  );
+
+  let page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit ? encodeCursor({ s: sort, k: String(last.sort_key), id: String(last.id) }) : null;
+
+  if (sort === "relevance") {
+    page = page
+      .map((row, i) => ({ row, i, score: scoreDeal(mapRowToDeal(row), rawQuery) }))
+      .sort((a, b) => Number(b.row.sort_key) - Number(a.row.sort_key) || b.score - a.score || a.i - b.i)
+      .map(({ row }) => row);
+  }
+
+  if (!groupByColorway || !page.length) {
+    return { results: page.map(mapRowToDeal), nextCursor };
+  }
+
+  const memberParams = [...where.params];
+  const { rows: members } = await db.query(
+    `
+    SELECT * FROM (
+      SELECT ${DEAL_COLUMNS}, ${GROUP_KEY_SQL} AS group_key
+      FROM sb_shoe_deals
+      WHERE ${where.all}
+    ) m
+    WHERE group_key = ANY(${binder(memberParams)(page.map((r) => r.group_key))}::text[])
+    ORDER BY id
+    `,
+    memberParams
+  );
+
+  const byGroup = new Map();
+  for (const row of members) {
+    if (!byGroup.has(row.group_key)) byGroup.set(row.group_key, []);
+    byGroup.get(row.group_key).push(mapRowToDeal(row));
+  }
+
+  return {
+    results: page.map((lead) => groupColorways(byGroup.get(lead.group_key) || [mapRowToDeal(lead)])[0]),
+    nextCursor,
+  };
+}
+
+/**
+ * Counts a search towards /api/suggest popularity (sb_search_terms), under the
+ * expanded query without gender words. A failure is logged, never returned.
+ * Last statement of the search transaction: a failure here rolls back nothing else.
+ */
+async function recordSearchTerm(db, queryTokens) {
+  const words = queryTokens.filter((t) => !GENDERS.includes(normalizeGender(t)));
+  const termKey = words.join("");
+  if (termKey.length < 3) return;
+
+  try {
+    await db.query(
+      `INSERT INTO sb_search_terms (term_key, term)
+       VALUES ($1, $2)
+       ON CONFLICT (term_key) DO UPDATE
+         SET term = EXCLUDED.term,
+             searches = sb_search_terms.searches + 1,
+             last_searched_at = now()`,
+      [termKey, words.join(" ")]
+    );
+  } catch (error) {
+    console.error("api/search term count failed:", error.message);
+  }
+}
+
+// GET /api/search?query=...
+//   width        standard | wide | extra-wide | narrow
+//   gender       mens | womens | unisex
+//   shoeType     road | trail | track | xc
+//   store        one or more store names (repeat or comma-separate); aliases match
+//   minPrice, maxPrice, minDiscount (percent)
+//   sort         relevance (default) | price (low first) | discount | savings (high first)
+//   limit        page size (default 120, max 200); cursor from the previous page's nextCursor
+//   group=none   one result per listing instead of per shoe + store
+// -> { query, width, filters, sort, total, facets: { store, brand, gender, price }, results, nextCursor }
+// Facet counts apply every filter except their own, so they read as "how many
+// results picking this value would give".
 module.exports = async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
@@ -242,94 +702,81 @@ module.exports = async function handler(req, res) {
 
   if (!rateLimit(req, res)) return;
 
-  const rawQuery = sanitizeInput(req.query?.query || "");
+  const q = req.query || {};
+  const rawQuery = sanitizeInput(q.query || "");
 
   if (!rawQuery) {
     return res.status(400).json({ error: "Missing query" });
   }
 
-  const normalizedQuery = normalizeStr(rawQuery);
+  // "peg 41" -> "pegasus 41", "nb 1080" -> "new balance fresh foam 1080"
+  const expandedQuery = expandQuery(rawQuery);
+  const normalizedQuery = normalizeStr(expandedQuery);
   const queryTokens = tokenize(normalizedQuery);
 
   if (!queryTokens.length) {
     return res.status(400).json({ error: "Invalid query" });
   }
 
+  // Optional ?width=standard|wide|extra-wide|narrow
+  const width = normalizeWidthFilter(sanitizeInput(q.width || ""));
+  if (width === null) {
+    return res.status(400).json({ error: "Invalid width. Use standard, wide, extra-wide or narrow" });
+  }
+
+  const parsed = readFilters(q);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { filters } = parsed;
+
+  const sort = normalizeStr(q.sort) || "relevance";
+  if (!SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Use ${SORTS.join(", ")}` });
+  }
+
+  const cursor = decodeCursor(q.cursor, sort);
+  if (cursor === undefined) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  const requestedLimit = parseInt(String(q.limit ?? ""), 10);
+  const limit = Number.isFinite(requestedLimit)
+    ? Math.min(Math.max(requestedLimit, 1), MAX_PAGE_SIZE)
+    : DEFAULT_PAGE_SIZE;
+
+  // Same shoe + store in several colorways is one result unless ?group=none
+  const groupByColorway = normalizeStr(q.group) !== "none";
+
   try {
-    const whereParts = [];
-    const params = [];
-    let paramIndex = 1;
-
-    for (const token of queryTokens) {
-      const likeValue = `%${token}%`;
-      const genderToken = normalizeGender(token);
-
-      const tokenConditions = [
-        `LOWER(COALESCE(brand, '')) LIKE LOWER($${paramIndex})`,
-        `LOWER(COALESCE(model, '')) LIKE LOWER($${paramIndex})`,
-        `LOWER(COALESCE(CONCAT(COALESCE(brand, ''), ' ', COALESCE(model, '')), '')) LIKE LOWER($${paramIndex})`,
-      ];
-
-      params.push(likeValue);
-      paramIndex += 1;
-
-      if (genderToken) {
-        tokenConditions.push(`LOWER(COALESCE(gender, '')) = LOWER($${paramIndex})`);
-        params.push(genderToken);
-        paramIndex += 1;
-      }
-
-      whereParts.push(`(${tokenConditions.join(" OR ")})`);
-    }
+    const where = buildWhere(queryTokens, width, filters);
 
-    const sql = `
-      SELECT
-        brand,
-        model,
-        gender,
-        store,
-        sale_price,
-        original_price,
-        discount_percent,
-        listing_url,
-        image_url,
-        listing_name
-      FROM sb_shoe_deals
-      WHERE ${whereParts.join(" AND ")}
-      LIMIT 500
-    `;
-
-    const { rows } = await pool.query(sql, params);
-
-    const results = rows
-      .map(mapRowToDeal)
-      .map((deal) => ({
-        ...deal,
-        _score: scoreDeal(deal, rawQuery),
-      }))
-      .filter((deal) => deal._score > 0)
-      .sort((a, b) => {
-        if (b._score !== a._score) return b._score - a._score;
-
-        const aDiscount = Number.isFinite(a.discountPercent) ? a.discountPercent : -1;
-        const bDiscount = Number.isFinite(b.discountPercent) ? b.discountPercent : -1;
-        if (bDiscount !== aDiscount) return bDiscount - aDiscount;
-
-        const aPrice = Number.isFinite(a.salePrice) ? a.salePrice : Infinity;
-        const bPrice = Number.isFinite(b.salePrice) ? b.salePrice : Infinity;
-        if (aPrice !== bPrice) return aPrice - bPrice;
-
-        return `${a.brand} ${a.model}`.localeCompare(`${b.brand} ${b.model}`);
-      })
-      .slice(0, 120)
-      .map(({ _score, ...deal }) => deal);
+    const { total, facets, page } = await withSearchSession(async (db) => {
+      const counted = await fetchFacets(db, where, groupByColorway);
+      const pageResult = await fetchPage(db, where, sort, expandedQuery, { groupByColorway, cursor, limit });
+
+      // First pages only; paging through results isn't another search
+      if (!cursor && counted.total > 0) await recordSearchTerm(db, queryTokens);
+
+      return { ...counted, page: pageResult };
+    });
 
     return res.status(200).json({
       query: rawQuery,
-      results,
+      expandedQuery: expandedQuery === rawQuery ? null : expandedQuery,
+      width: width || null,
+      filters,
+      sort,
+      total,
+      facets,
+      results: page.results,
+      nextCursor: page.nextCursor,
     });
   } catch (error) {
     console.error("api/search error:", error);
     return res.status(500).json({ error: "Search failed" });
   }
 };
+
+module.exports.scoreDeal = scoreDeal;
+module.exports.buildWhere = buildWhere;
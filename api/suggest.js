@@ -0,0 +1,292 @@
+// /api/suggest.js
+//
+// Search-as-you-type completions for the search box: brands, models and stores
+// whose names start with (a word of) the typed text, each with its live deal
+// count and lowest price from sb_shoe_deals.
+//
+// GET /api/suggest?q=peg
+//
+// Optional: limit (default 8, max 20)
+//
+// Names match the typed text as is (its last word may be half typed) or expanded
+// like /api/search does it (lib/searchSynonyms.js), so "vf" completes to ZoomX
+// Vaporfly and "nb" to New Balance. Ranking: how well the name
+// matches first (prefix of the whole name, then of a word), then popularity,
+// the log of the active deal count plus the log of how often it was searched
+// (sb_search_terms, counted by api/search.js).
+//
+// Responses are the same for everyone; the edge caches them for a few minutes.
+
+const { Pool } = require("pg");
+const { expandQuery } = require("../lib/searchSynonyms");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+// Candidates per type read from the database before ranking
+const CANDIDATES_PER_TYPE = 50;
+
+// Searches older than this stop counting towards popularity
+const SEARCH_WINDOW_DAYS = 90;
+
+// Ranking: match tier, then ln(1 + deals) + SEARCH_WEIGHT * ln(1 + searches).
+// A whole-name prefix beats a word prefix unless the word match is far more popular.
+const MATCH_WEIGHTS = { prefix: 10, word: 5, other: 0 };
+const SEARCH_WEIGHT = 1.5;
+
+const CACHE_CONTROL = "public, max-age=60, s-maxage=300, stale-while-revalidate=600";
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX = 180; // one request per keystroke
+const rateLimitMap = new Map();
+
+function cleanupRateLimitMap() {
+  const now = Date.now();
+  for (const [key, entry] of rateLimitMap.entries()) {
+    if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
+      rateLimitMap.delete(key);
+    }
+  }
+}
+
+function getClientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (typeof forwarded === "string" && forwarded.trim()) {
+    return forwarded.split(",")[0].trim();
+  }
+  return (
+    req.headers["x-real-ip"] ||
+    req.socket?.remoteAddress ||
+    req.connection?.remoteAddress ||
+    "unknown"
+  );
+}
+
+function rateLimit(req, res) {
+  cleanupRateLimitMap();
+
+  const ip = getClientIp(req);
+  const now = Date.now();
+  const entry = rateLimitMap.get(ip);
+
+  if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
+    rateLimitMap.set(ip, { count: 1, windowStart: now });
+    return true;
+  }
+
+  if (entry.count >= RATE_LIMIT_MAX) {
+    res.status(429).json({ error: "Too many requests" });
+    return false;
+  }
+
+  entry.count += 1;
+  return true;
+}
+
+function sanitizeInput(str) {
+  return String(str || "")
+    .replace(/[<>]/g, "")
+    .trim()
+    .slice(0, 100);
+}
+
+function squash(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function tokenize(value) {
+  return String(value || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
+}
+
+function parseLimit(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(n, MAX_LIMIT);
+}
+
+/** "prefix" when a name starts with one of the queries, "word" when one of its words does. */
+function matchTier(names, queries) {
+  const keys = queries.map((tokens) => tokens.join(""));
+  if (names.some((name) => keys.some((key) => squash(name).startsWith(key)))) return "prefix";
+
+  const phrases = queries.map((tokens) => ` ${tokens.join(" ")}`);
+  if (names.some((name) => phrases.some((phrase) => ` ${tokenize(name).join(" ")}`.includes(phrase)))) return "word";
+  return "other";
+}
+
+function mapRowToSuggestion(row) {
+  return {
+    type: row.type,
+    label: String(row.label || "").trim(),
+    brand: row.brand ? String(row.brand).trim() : null,
+    model: row.model ? String(row.model).trim() : null,
+    store: row.store ? String(row.store).trim() : null,
+    dealCount: Number(row.deal_count) || 0,
+    lowestPrice: toNumberOrNull(row.lowest_price),
+    searches: Number(row.searches) || 0,
+  };
+}
+
+/** Same name in different casing ("Pegasus 41" / "PEGASUS 41") is one suggestion. */
+function mergeDuplicates(suggestions) {
+  const byKey = new Map();
+
+  for (const s of suggestions) {
+    const key = `${s.type}|${squash(s.label)}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, s);
+      continue;
+    }
+    existing.dealCount += s.dealCount;
+    existing.searches = Math.max(existing.searches, s.searches);
+    if (s.lowestPrice != null && (existing.lowestPrice == null || s.lowestPrice < existing.lowestPrice)) {
+      existing.lowestPrice = s.lowestPrice;
+    }
+  }
+
+  return Array.from(byKey.values());
+}
+
+function rank(suggestions, queries) {
+  return suggestions
+    .map((s) => {
+      const tier = matchTier([s.label, s.model].filter(Boolean), queries);
+      const score = MATCH_WEIGHTS[tier] + Math.log1p(s.dealCount) + SEARCH_WEIGHT * Math.log1p(s.searches);
+      return { s, score };
+    })
+    .sort((a, b) => b.score - a.score || b.s.dealCount - a.s.dealCount || a.s.label.localeCompare(b.s.label))
+    .map(({ s }) => s);
+}
+
+/**
+ * Brand, model and store candidates with deal counts, lowest price and searches,
+ * for any of `queries` (token lists). Models match every token as a word prefix
+ * in the full-text vector (the index /api/search uses); brands and stores as a
+ * prefix of the name or of a word in it.
+ * A search counts for a model when the model's name starts with it ("pegasus"
+ * counts for Pegasus 41), for a brand or store when it starts with their name.
+ */
+async function fetchCandidates(queries) {
+  const tsquery = queries.map((tokens) => `(${tokens.map((t) => `${t}:*`).join(" & ")})`).join(" | ");
+  const keyPatterns = queries.map((tokens) => `${tokens.join("")}%`);
+  const wordPatterns = queries.map((tokens) => `% ${tokens.join(" ")}%`);
+
+  const { rows } = await pool.query(
+    `
+    WITH terms AS (
+      SELECT term_key, searches
+      FROM sb_search_terms
+      WHERE last_searched_at > now() - make_interval(days => $5)
+        AND length(term_key) >= 3
+    ),
+    candidates AS (
+      (SELECT 'brand' AS type, brand AS label, brand, NULL AS model, NULL AS store,
+              count(*) AS deal_count, min(sale_price) FILTER (WHERE sale_price > 0) AS lowest_price,
+              regexp_replace(lower(brand), '[^a-z0-9]', '', 'g') AS key, NULL AS model_key
+         FROM sb_shoe_deals
+        WHERE trim(brand) <> ''
+          AND (regexp_replace(lower(brand), '[^a-z0-9]', '', 'g') LIKE ANY($2::text[])
+               OR ' ' || lower(brand) LIKE ANY($3::text[]))
+        GROUP BY brand
+        ORDER BY count(*) DESC
+        LIMIT $4)
+      UNION ALL
+      (SELECT 'model', brand || ' ' || model, brand, model, NULL,
+              count(*), min(sale_price) FILTER (WHERE sale_price > 0),
+              regexp_replace(lower(brand || model), '[^a-z0-9]', '', 'g'),
+              regexp_replace(lower(model), '[^a-z0-9]', '', 'g')
+         FROM sb_shoe_deals
+        WHERE trim(model) <> ''
+          AND search_tsv @@ to_tsquery('simple', $1)
+        GROUP BY brand, model
+        ORDER BY count(*) DESC
+        LIMIT $4)
+      UNION ALL
+      (SELECT 'store', store, NULL, NULL, store,
+              count(*), min(sale_price) FILTER (WHERE sale_price > 0),
+              regexp_replace(lower(store), '[^a-z0-9]', '', 'g'), NULL
+         FROM sb_shoe_deals
+        WHERE trim(store) <> ''
+          AND (regexp_replace(lower(store), '[^a-z0-9]', '', 'g') LIKE ANY($2::text[])
+               OR ' ' || lower(store) LIKE ANY($3::text[]))
+        GROUP BY store
+        ORDER BY count(*) DESC
+        LIMIT $4)
+    )
+    SELECT c.*, COALESCE(p.searches, 0) AS searches
+    FROM candidates c
+    LEFT JOIN LATERAL (
+      SELECT sum(t.searches) AS searches
+      FROM terms t
+      WHERE CASE WHEN c.type = 'model'
+              THEN c.key LIKE t.term_key || '%' OR c.model_key LIKE t.term_key || '%'
+              ELSE t.term_key LIKE c.key || '%'
+            END
+    ) p ON TRUE
+    `,
+    [tsquery, keyPatterns, wordPatterns, CANDIDATES_PER_TYPE, SEARCH_WINDOW_DAYS]
+  );
+
+  return rows.map(mapRowToSuggestion);
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!rateLimit(req, res)) return;
+
+  const rawQuery = sanitizeInput(req.query?.q);
+  if (!rawQuery) {
+    return res.status(400).json({ error: "Missing q" });
+  }
+
+  const expandedQuery = expandQuery(rawQuery);
+  const queries = [tokenize(rawQuery), tokenize(expandedQuery)].filter(
+    (tokens, i, all) => tokens.length && (i === 0 || tokens.join(" ") !== all[0].join(" "))
+  );
+  if (!queries.length) {
+    return res.status(400).json({ error: "Invalid q" });
+  }
+
+  const limit = parseLimit(req.query?.limit);
+
+  try {
+    const candidates = await fetchCandidates(queries);
+    const suggestions = rank(mergeDuplicates(candidates), queries).slice(0, limit);
+
+    res.setHeader("Cache-Control", CACHE_CONTROL);
+    return res.status(200).json({
+      query: rawQuery,
+      expandedQuery: expandedQuery === rawQuery ? null : expandedQuery,
+      suggestions,
+    });
+  } catch (error) {
+    console.error("api/suggest error:", error);
+    return res.status(500).json({ error: "Suggestions failed" });
+  }
+};
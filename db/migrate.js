@@ -0,0 +1,44 @@
+// db/migrate.js
+//
+// CLI for lib/migrations.js.
+//
+//   DATABASE_URL=postgres://... npm run db:migrate
+//   DATABASE_URL=postgres://... npm run db:migrate -- --dry-run
+//
+// Set PGSSLMODE=disable for a local database without TLS.
+
+require("dotenv").config();
+
+const { Pool } = require("pg");
+const { runMigrations } = require("../lib/migrations");
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error("DATABASE_URL is not set");
+    process.exit(1);
+  }
+
+  const dryRun = process.argv.includes("--dry-run");
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+  });
+
+  try {
+    const result = await runMigrations(pool, { dryRun });
+
+    if (dryRun) {
+      console.log(`${result.alreadyApplied} applied, ${result.pending.length} pending`);
+      for (const name of result.pending) console.log(`  pending: ${name}`);
+    } else {
+      console.log(`${result.alreadyApplied} already applied, ${result.applied.length} applied now`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
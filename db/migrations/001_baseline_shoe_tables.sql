@@ -0,0 +1,95 @@
+-- 001_baseline_shoe_tables.sql
+--
+-- Baseline for the two tables that existed before migrations were tracked.
+-- IF NOT EXISTS so this is a no-op on the production database, which already
+-- has them, and creates them from scratch everywhere else.
+
+CREATE TABLE IF NOT EXISTS sb_shoe_database (
+  id                              bigserial PRIMARY KEY,
+  normalized_key                  text        NOT NULL UNIQUE,
+
+  display_name                    text,
+  brand                           text        NOT NULL,
+  model                           text        NOT NULL,
+  version                         text,
+  gender                          text        NOT NULL DEFAULT 'unknown',
+  manufacturer_model_id           text,
+  aliases                         text[]      NOT NULL DEFAULT '{}',
+  release_year                    integer,
+  msrp_usd                        numeric(10,2),
+
+  weight_oz                       numeric(6,2),
+  weight_oz_source_url            text,
+  weight_oz_retrieved_at          timestamptz,
+
+  heel_stack_mm                   numeric(5,1),
+  heel_stack_mm_source_url        text,
+  heel_stack_mm_retrieved_at      timestamptz,
+
+  forefoot_stack_mm               numeric(5,1),
+  forefoot_stack_mm_source_url    text,
+  forefoot_stack_mm_retrieved_at  timestamptz,
+
+  offset_mm                       numeric(5,1),
+  offset_mm_source_url            text,
+  offset_mm_retrieved_at          timestamptz,
+
+  surface                         text,
+  surface_source_url              text,
+  surface_retrieved_at            timestamptz,
+
+  support                         text,
+  support_source_url              text,
+  support_retrieved_at            timestamptz,
+
+  best_use                        text[]      NOT NULL DEFAULT '{}',
+  best_use_source_url             text,
+  best_use_retrieved_at           timestamptz,
+
+  plated                          boolean,
+  plated_source_url               text,
+  plated_retrieved_at             timestamptz,
+
+  plate_type                      text,
+  plate_type_source_url           text,
+  plate_type_retrieved_at         timestamptz,
+
+  foam                            text,
+  foam_source_url                 text,
+  foam_retrieved_at               timestamptz,
+
+  cushioning                      text,
+  cushioning_source_url           text,
+  cushioning_retrieved_at         timestamptz,
+
+  upper                           text,
+  upper_source_url                text,
+  upper_retrieved_at              timestamptz,
+
+  review_status                   text        NOT NULL DEFAULT 'unreviewed',
+  created_at                      timestamptz NOT NULL DEFAULT now(),
+  updated_at                      timestamptz NOT NULL DEFAULT now()
+);
+
+-- Wiped and re-imported by /api/import-deals-to-db on every merge.
+CREATE TABLE IF NOT EXISTS sb_shoe_deals (
+  id                      bigserial PRIMARY KEY,
+  listing_name            text        NOT NULL DEFAULT '',
+  brand                   text        NOT NULL DEFAULT '',
+  model                   text        NOT NULL DEFAULT '',
+  sale_price              numeric(10,2),
+  original_price          numeric(10,2),
+  discount_percent        integer,
+  sale_price_low          numeric(10,2),
+  sale_price_high         numeric(10,2),
+  original_price_low      numeric(10,2),
+  original_price_high     numeric(10,2),
+  discount_percent_up_to  integer,
+  store                   text        NOT NULL DEFAULT '',
+  listing_url             text        NOT NULL DEFAULT '',
+  image_url               text,
+  gender                  text        NOT NULL DEFAULT 'unknown',
+  scraped_at              timestamptz,
+  shoe_id                 bigint      REFERENCES sb_shoe_database (id) ON DELETE SET NULL,
+  created_at              timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,27 @@
+-- 002_price_observations.sql
+--
+-- Append-only price history (see lib/priceHistory.js). Previously created at
+-- runtime by import-deals-to-db; IF NOT EXISTS keeps this safe where it already exists.
+
+CREATE TABLE IF NOT EXISTS sb_price_observations (
+  id               bigserial PRIMARY KEY,
+  observed_on      date        NOT NULL,
+  store            text        NOT NULL,
+  listing_url      text        NOT NULL,
+  brand            text        NOT NULL DEFAULT '',
+  model            text        NOT NULL DEFAULT '',
+  gender           text        NOT NULL DEFAULT 'unknown',
+  shoe_id          bigint,
+  sale_price       numeric(10,2) NOT NULL,
+  original_price   numeric(10,2),
+  discount_percent integer,
+  scraped_at       timestamptz,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (store, listing_url, observed_on)
+);
+
+CREATE INDEX IF NOT EXISTS sb_price_observations_shoe_day_idx
+  ON sb_price_observations (shoe_id, observed_on);
+
+CREATE INDEX IF NOT EXISTS sb_price_observations_brand_model_day_idx
+  ON sb_price_observations (lower(brand), lower(model), observed_on);
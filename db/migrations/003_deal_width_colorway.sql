@@ -0,0 +1,7 @@
+-- 003_deal_width_colorway.sql
+--
+-- Deal attributes added by merge-deals: width (standard|wide|extra-wide|narrow)
+-- and the colorway stripped from the listing name.
+
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS width text NOT NULL DEFAULT 'standard';
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS colorway text;
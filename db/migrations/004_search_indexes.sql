@@ -0,0 +1,32 @@
+-- 004_search_indexes.sql
+--
+-- Indexes for the predicates used by /api/search, /api/search-index,
+-- import-deals-to-db and shoe_database_builder.
+--
+-- /api/search matches every query token with LIKE '%token%' against brand,
+-- model and "brand model"; only trigram GIN indexes can serve a leading
+-- wildcard. The indexed expressions must match the SQL in api/search.js exactly.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_brand_trgm_idx
+  ON sb_shoe_deals USING gin (lower(coalesce(brand, '')) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_model_trgm_idx
+  ON sb_shoe_deals USING gin (lower(coalesce(model, '')) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_brand_model_trgm_idx
+  ON sb_shoe_deals USING gin (lower(coalesce(brand, '') || ' ' || coalesce(model, '')) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_gender_idx
+  ON sb_shoe_deals (lower(coalesce(gender, '')));
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_width_idx
+  ON sb_shoe_deals (width);
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_shoe_id_idx
+  ON sb_shoe_deals (shoe_id);
+
+-- import-deals-to-db resolves shoe ids by lower(trim(brand)) / lower(trim(model))
+CREATE INDEX IF NOT EXISTS sb_shoe_database_brand_model_idx
+  ON sb_shoe_database (lower(trim(brand)), lower(trim(model)));
@@ -0,0 +1,46 @@
+-- 005_price_alerts.sql
+--
+-- Price alerts (api/alerts.js, api/cron/check-alerts.js), previously one shared
+-- alerts.json blob. Ids keep the existing "alert_<ms>_<rand>" format so links
+-- and the manage page keep working after 006 imports the blob.
+--
+-- sb_alert_notifications logs every match email the cron attempted.
+
+CREATE TABLE IF NOT EXISTS sb_price_alerts (
+  id                text        PRIMARY KEY,
+  email             text        NOT NULL,
+  brand             text        NOT NULL,
+  model             text        NOT NULL,
+  gender            text        NOT NULL DEFAULT 'both',
+  size              text,
+  size_system       text,
+  width             text,
+  target_price      integer     NOT NULL CHECK (target_price > 0),
+  set_at            timestamptz NOT NULL DEFAULT now(),
+  cancelled_at      timestamptz,
+  last_notified_at  timestamptz,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at        timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sb_price_alerts_email_idx
+  ON sb_price_alerts (email, set_at DESC);
+
+-- The cron only scans alerts that have not been cancelled
+CREATE INDEX IF NOT EXISTS sb_price_alerts_active_idx
+  ON sb_price_alerts (set_at)
+  WHERE cancelled_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS sb_alert_notifications (
+  id           bigserial   PRIMARY KEY,
+  alert_id     text        NOT NULL REFERENCES sb_price_alerts (id) ON DELETE CASCADE,
+  email        text        NOT NULL,
+  status       text        NOT NULL CHECK (status IN ('sent', 'failed')),
+  match_count  integer     NOT NULL DEFAULT 0,
+  deal_urls    text[]      NOT NULL DEFAULT '{}',
+  error        text,
+  sent_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sb_alert_notifications_alert_idx
+  ON sb_alert_notifications (alert_id, sent_at DESC);
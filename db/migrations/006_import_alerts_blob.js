@@ -0,0 +1,37 @@
+// 006_import_alerts_blob.js
+//
+// One-time import of the legacy alerts.json blob into sb_price_alerts (005).
+// The blob itself is left in place as a backup.
+//
+// Without BLOB_READ_WRITE_TOKEN (local databases, the schema check) there is
+// no blob to read and the import is a no-op.
+
+const { list } = require("@vercel/blob");
+const { importLegacyAlerts } = require("../../lib/alertsStore");
+
+async function loadLegacyAlerts() {
+  const { blobs } = await list({ prefix: "alerts" });
+  const blob =
+    (blobs || []).find((b) => b.pathname === "alerts.json") ||
+    (blobs || []).find((b) => String(b.pathname || "").endsWith("/alerts.json"));
+  if (!blob) return [];
+
+  const resp = await fetch(`${blob.url}?_=${Date.now()}`);
+  if (!resp.ok) throw new Error(`Failed to fetch alerts.json (${resp.status})`);
+
+  const data = await resp.json();
+  return Array.isArray(data?.alerts) ? data.alerts : [];
+}
+
+async function up(client, { log = console.log } = {}) {
+  if (!process.env.BLOB_READ_WRITE_TOKEN) {
+    log("[MIGRATE] 006: BLOB_READ_WRITE_TOKEN not set, no alerts.json to import");
+    return;
+  }
+
+  const alerts = await loadLegacyAlerts();
+  const { inserted, skipped } = await importLegacyAlerts(client, alerts);
+  log(`[MIGRATE] 006: imported ${inserted} alerts from alerts.json (${skipped} skipped)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+-- 007_alert_confirmation.sql
+--
+-- Double opt-in for price alerts. New alerts are pending (confirmed_at NULL)
+-- until the owner clicks the signed link in the confirmation email; the cron
+-- ignores pending alerts and deletes them once the link has expired.
+--
+-- Alerts that existed before this migration were already live, so they are
+-- treated as confirmed when they were set.
+
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS confirmed_at timestamptz;
+
+UPDATE sb_price_alerts SET confirmed_at = set_at WHERE confirmed_at IS NULL;
+
+DROP INDEX IF EXISTS sb_price_alerts_active_idx;
+
+CREATE INDEX IF NOT EXISTS sb_price_alerts_active_idx
+  ON sb_price_alerts (set_at)
+  WHERE cancelled_at IS NULL AND confirmed_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS sb_price_alerts_pending_idx
+  ON sb_price_alerts (created_at)
+  WHERE confirmed_at IS NULL;
@@ -0,0 +1,29 @@
+-- 008_alert_criteria.sql
+--
+-- Optional alert criteria beyond brand + model + target price (see
+-- lib/alertCriteria.js):
+--   model = ''     any model of the brand
+--   brand = ''     any brand (the API then requires shoe_type or stores)
+--   stores         only deals from these stores (display names)
+--   shoe_type      road | trail | track | xc
+--   min_discount   only deals at least this many percent off
+--
+-- target_price becomes optional, but an alert needs a price or a discount.
+
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS stores text[];
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS shoe_type text;
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS min_discount integer;
+
+ALTER TABLE sb_price_alerts ALTER COLUMN target_price DROP NOT NULL;
+
+ALTER TABLE sb_price_alerts
+  ADD CONSTRAINT sb_price_alerts_shoe_type_check
+  CHECK (shoe_type IS NULL OR shoe_type IN ('road', 'trail', 'track', 'xc'));
+
+ALTER TABLE sb_price_alerts
+  ADD CONSTRAINT sb_price_alerts_min_discount_check
+  CHECK (min_discount IS NULL OR min_discount BETWEEN 1 AND 95);
+
+ALTER TABLE sb_price_alerts
+  ADD CONSTRAINT sb_price_alerts_price_or_discount_check
+  CHECK (target_price IS NOT NULL OR min_discount IS NOT NULL);
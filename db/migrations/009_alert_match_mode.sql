@@ -0,0 +1,16 @@
+-- 009_alert_match_mode.sql
+--
+-- Alerts resolve to a canonical shoe identity (lib/shoeIdentity.js) instead of
+-- token-prefix matching:
+--   match_mode 'line'    any version of the line ("Ghost" matches Ghost 16, not Ghost Max)
+--   match_mode 'exact'   only this version; shoe_id is its sb_shoe_database row
+--                        when the shoe is already in the database
+--
+-- Existing alerts keep matching every version, which is what they did before.
+
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS match_mode text NOT NULL DEFAULT 'line';
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS shoe_id bigint REFERENCES sb_shoe_database (id) ON DELETE SET NULL;
+
+ALTER TABLE sb_price_alerts
+  ADD CONSTRAINT sb_price_alerts_match_mode_check
+  CHECK (match_mode IN ('line', 'exact'));
@@ -0,0 +1,16 @@
+-- 010_alert_notified_listings.sql
+--
+-- Per-alert memory of which listings were already emailed and at what price,
+-- so check-alerts only emails new listings and further price drops instead of
+-- re-sending the same deals every day. listing_key is lower(store) || '|' || listingURL.
+
+CREATE TABLE IF NOT EXISTS sb_alert_notified_listings (
+  alert_id           text          NOT NULL REFERENCES sb_price_alerts (id) ON DELETE CASCADE,
+  listing_key        text          NOT NULL,
+  store              text,
+  listing_url        text          NOT NULL,
+  last_price         numeric(10,2),
+  first_notified_at  timestamptz   NOT NULL DEFAULT now(),
+  last_notified_at   timestamptz   NOT NULL DEFAULT now(),
+  PRIMARY KEY (alert_id, listing_key)
+);
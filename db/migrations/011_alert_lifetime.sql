@@ -0,0 +1,27 @@
+-- 011_alert_lifetime.sql
+--
+-- Alerts used to expire a fixed 30 days after set_at. Each alert now has its own
+-- lifetime (chosen at creation, changed by renewing) and an explicit expires_at,
+-- and remembers when the "your alert expires soon" reminder was emailed so the
+-- cron sends it once per expiry.
+--
+-- Existing alerts keep their 30 days from set_at.
+
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS lifetime_days integer NOT NULL DEFAULT 30;
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS expires_at timestamptz;
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS expiry_reminded_at timestamptz;
+
+UPDATE sb_price_alerts SET expires_at = set_at + interval '30 days' WHERE expires_at IS NULL;
+
+ALTER TABLE sb_price_alerts ALTER COLUMN expires_at SET DEFAULT now() + interval '30 days';
+ALTER TABLE sb_price_alerts ALTER COLUMN expires_at SET NOT NULL;
+
+ALTER TABLE sb_price_alerts
+  ADD CONSTRAINT sb_price_alerts_lifetime_days_check
+  CHECK (lifetime_days BETWEEN 1 AND 365);
+
+DROP INDEX IF EXISTS sb_price_alerts_active_idx;
+
+CREATE INDEX IF NOT EXISTS sb_price_alerts_active_idx
+  ON sb_price_alerts (expires_at)
+  WHERE cancelled_at IS NULL AND confirmed_at IS NOT NULL;
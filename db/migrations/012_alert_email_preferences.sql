@@ -0,0 +1,18 @@
+-- 012_alert_email_preferences.sql
+--
+-- Per-email delivery preference for alert emails (lib/alertsStore.js):
+--   digest_mode 'instant'  one email per alert with new matches (at most daily)
+--               'daily'    one email a day covering every alert with new matches
+--               'weekly'   the same, once a week
+-- last_digest_at is when the last digest went out, for the daily/weekly spacing.
+-- Emails without a row are 'instant', which is how alerts were sent before.
+
+CREATE TABLE IF NOT EXISTS sb_alert_email_preferences (
+  email           text        PRIMARY KEY,
+  digest_mode     text        NOT NULL DEFAULT 'instant',
+  last_digest_at  timestamptz,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT sb_alert_email_preferences_digest_mode_check
+    CHECK (digest_mode IN ('instant', 'daily', 'weekly'))
+);
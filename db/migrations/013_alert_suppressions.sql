@@ -0,0 +1,13 @@
+-- 013_alert_suppressions.sql
+--
+-- Global suppression list for alert emails. An address lands here when its
+-- owner uses the unsubscribe link (List-Unsubscribe one-click POST or the
+-- landing page); api/alerts.js then refuses new alerts for it and the cron
+-- never emails it. Removing the row (the landing page's "resubscribe") undoes it.
+--   source  'one-click' (mail client List-Unsubscribe-Post) | 'link' (landing page)
+
+CREATE TABLE IF NOT EXISTS sb_alert_suppressions (
+  email       text        PRIMARY KEY,
+  source      text        NOT NULL DEFAULT 'link',
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,24 @@
+-- 014_push_subscriptions.sql
+--
+-- Browser (Web Push) subscriptions, an alternative to email for price alerts
+-- (api/push.js, lib/webPush.js). One row per PushManager subscription:
+--   endpoint      the push service URL; unique, and secret to the browser
+--   p256dh, auth  the browser's keys the payload is encrypted to (RFC 8291)
+--   revoked_at    set when the browser unsubscribes or the push service reports
+--                 the subscription gone (404/410); its alerts are cancelled then
+--
+-- Alerts delivered by push live in sb_price_alerts like email alerts; their
+-- owner key in the email column is 'push:' || sb_push_subscriptions.id, so the
+-- signed manage links, per-owner locks and limits work unchanged. Push owners
+-- never match an email address (no '@').
+
+CREATE TABLE IF NOT EXISTS sb_push_subscriptions (
+  id          text        PRIMARY KEY,
+  endpoint    text        NOT NULL UNIQUE,
+  p256dh      text        NOT NULL,
+  auth        text        NOT NULL,
+  user_agent  text,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  revoked_at  timestamptz
+);
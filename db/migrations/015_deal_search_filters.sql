@@ -0,0 +1,22 @@
+-- 015_deal_search_filters.sql
+--
+-- Structured filters for /api/search (gender, shoe type, store, price,
+-- discount) run in SQL, so the columns they touch need indexes.
+--
+--   shoe_type  road | trail | track | xc, from the scrapers' shoeType; NULL when
+--              the scraper doesn't know ("unknown")
+--
+-- Store filters compare names the way lib/alertCriteria.js does (lowercase,
+-- letters and digits only, through the aliases in lib/canonical-stores.json);
+-- the indexed expression must match the SQL in api/search.js exactly.
+
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS shoe_type text;
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_shoe_type_idx
+  ON sb_shoe_deals (shoe_type);
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_store_key_idx
+  ON sb_shoe_deals (regexp_replace(lower(store), '[^a-z0-9]', '', 'g'));
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_sale_price_idx
+  ON sb_shoe_deals (sale_price);
@@ -0,0 +1,37 @@
+-- 016_deal_search_document.sql
+--
+-- Ranked, typo-tolerant search for /api/search, replacing the per-token
+-- LIKE '%token%' chains (and the trigram indexes on brand/model that served them).
+--
+--   search_aliases  extra words written by import-deals-to-db (lib/searchDocument.js):
+--                   brand aliases, canonical line, squashed names ("gelnimbus")
+--   search_text     everything searchable, lowercased; trigram-indexed so a
+--                   misspelled token ("clfton") still matches via word similarity
+--   search_tsv      full-text vector ('simple' config: no stemming of model
+--                   names), weighted brand/model A, aliases B, listing name C
+--
+-- Both are generated, so rows imported before this migration are searchable by
+-- brand/model/listing name at once and pick up aliases on the next import.
+-- The expressions must match the SQL in api/search.js exactly.
+
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS search_aliases text NOT NULL DEFAULT '';
+
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS search_text text
+  GENERATED ALWAYS AS (lower(brand || ' ' || model || ' ' || search_aliases || ' ' || listing_name)) STORED;
+
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple'::regconfig, brand || ' ' || model), 'A') ||
+    setweight(to_tsvector('simple'::regconfig, search_aliases), 'B') ||
+    setweight(to_tsvector('simple'::regconfig, listing_name), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_search_tsv_idx
+  ON sb_shoe_deals USING gin (search_tsv);
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_search_text_trgm_idx
+  ON sb_shoe_deals USING gin (search_text gin_trgm_ops);
+
+DROP INDEX IF EXISTS sb_shoe_deals_brand_trgm_idx;
+DROP INDEX IF EXISTS sb_shoe_deals_model_trgm_idx;
+DROP INDEX IF EXISTS sb_shoe_deals_brand_model_trgm_idx;
@@ -0,0 +1,20 @@
+-- 017_search_terms.sql
+--
+-- How often each query is searched, for ranking /api/suggest completions.
+-- api/search.js counts a first-page search under its expanded query
+-- (lib/searchSynonyms.js), so "peg 41" and "pegasus 41" are one term.
+--   term_key          the expanded query squashed to letters and digits
+--                     ("pegasus41"); completions whose name starts with it
+--                     get its searches
+--   term              the expanded query as last searched
+--   last_searched_at  terms idle for 90 days stop counting
+
+CREATE TABLE IF NOT EXISTS sb_search_terms (
+  term_key          text        PRIMARY KEY,
+  term              text        NOT NULL,
+  searches          integer     NOT NULL DEFAULT 1,
+  last_searched_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sb_search_terms_recent_idx
+  ON sb_search_terms (last_searched_at DESC);
@@ -0,0 +1,39 @@
+-- 018_deal_index_versions.sql
+--
+-- Versions for /api/search-index, so browsers can revalidate their cached index
+-- (ETag / Last-Modified) and fetch only what changed since the version they hold.
+--
+--   sb_deal_imports          one row per import; version is the index version,
+--                            imported_at its Last-Modified
+--   sb_shoe_deals.index_key  hash of the fields the index sends (lib/dealIndex.js);
+--                            same listing, same prices -> same key across imports
+--   sb_shoe_deals.index_version
+--                            import that first had this key; carried over by
+--                            import-deals-to-db while the entry stays unchanged
+--   sb_deal_index_removals   keys that left the index, by the import that dropped
+--                            them; only the last few versions are kept, older
+--                            clients get the whole index again
+--
+-- Rows imported before this migration have no key and are sent in full until the
+-- next import.
+
+CREATE TABLE IF NOT EXISTS sb_deal_imports (
+  version      bigserial   PRIMARY KEY,
+  imported_at  timestamptz NOT NULL DEFAULT now(),
+  deals        integer     NOT NULL DEFAULT 0
+);
+
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS index_key text;
+ALTER TABLE sb_shoe_deals ADD COLUMN IF NOT EXISTS index_version bigint;
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_index_key_idx
+  ON sb_shoe_deals (index_key);
+
+CREATE INDEX IF NOT EXISTS sb_shoe_deals_index_version_idx
+  ON sb_shoe_deals (index_version);
+
+CREATE TABLE IF NOT EXISTS sb_deal_index_removals (
+  version    bigint NOT NULL,
+  index_key  text   NOT NULL,
+  PRIMARY KEY (version, index_key)
+);
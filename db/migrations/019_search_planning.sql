@@ -0,0 +1,23 @@
+-- 019_search_planning.sql
+--
+-- Keep /api/search and /api/suggest in the low milliseconds.
+--
+-- Write the search GIN indexes (016) straight through instead of into a
+-- pending list. import-deals-to-db replaces every row on each run; with
+-- fastupdate the new entries waited in the pending list until autovacuum
+-- merged them, and every search in between scanned that list (~150 ms instead
+-- of a few ms on an 8k-listing catalog). The import pays once per run instead.
+--
+-- Few statistics on search_text: the planner estimates each `token <% search_text`
+-- by running word_similarity over the column's histogram, and with the default
+-- 100 entries of long text that took longer than the query itself. With 10 it
+-- falls back to a fixed estimate, which is all a typo match gets anyway.
+
+ALTER INDEX sb_shoe_deals_search_tsv_idx SET (fastupdate = off);
+ALTER INDEX sb_shoe_deals_search_text_trgm_idx SET (fastupdate = off);
+
+-- Merge what is already pending
+SELECT gin_clean_pending_list('sb_shoe_deals_search_tsv_idx'::regclass);
+SELECT gin_clean_pending_list('sb_shoe_deals_search_text_trgm_idx'::regclass);
+
+ALTER TABLE sb_shoe_deals ALTER COLUMN search_text SET STATISTICS 10;
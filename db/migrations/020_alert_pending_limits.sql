@@ -0,0 +1,14 @@
+-- 020_alert_pending_limits.sql
+--
+-- Pending (unconfirmed) alerts no longer count toward the active-alert limit,
+-- so nobody can block an address by creating alerts it never confirms. They are
+-- capped on their own instead, per owner and per creating IP; created_ip is
+-- what the per-IP cap counts. It is cleared when the alert is confirmed, and
+-- unconfirmed alerts are deleted when their link expires, so addresses are
+-- only kept for the 48h confirmation window.
+
+ALTER TABLE sb_price_alerts ADD COLUMN IF NOT EXISTS created_ip text;
+
+CREATE INDEX IF NOT EXISTS sb_price_alerts_pending_ip_idx
+  ON sb_price_alerts (created_ip, created_at)
+  WHERE confirmed_at IS NULL;
@@ -0,0 +1,155 @@
+// lib/alertCriteria.js
+//
+// Optional price-alert criteria beyond brand + model + target price, shared by
+// api/alerts.js (validation, confirmation email) and api/cron/check-alerts.js
+// (matching, match email).
+//
+//   model ""          any model of the brand (brand-only mode)
+//   brand ""          any brand; the alert then needs a shoeType or stores
+//   stores            ["Running Warehouse", ...]  only deals from these stores
+//   shoeType          "road" | "trail" | "track" | "xc"
+//   minDiscount       only deals at least this many percent off (1-95)
+//   targetPrice       maximum sale price; optional when minDiscount is set
+//
+// Store names are compared loosely (case and punctuation ignored) and through
+// the aliases in lib/canonical-stores.json, so "Running Warehouse" also matches
+// deals labelled "runningwarehouse".
+
+const storeList = require("./canonical-stores.json");
+const { shoeIdentity } = require("./shoeIdentity");
+
+const SHOE_TYPES = ["road", "trail", "track", "xc"];
+const MAX_ALERT_STORES = 10;
+
+const SHOE_TYPE_LABELS = { road: "road", trail: "trail", track: "track", xc: "cross-country" };
+
+function storeKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+let storeAliasIndex = null;
+
+/** storeKey -> every key (id, displayName, aliases) of the same canonical store. */
+function aliasIndex() {
+  if (storeAliasIndex) return storeAliasIndex;
+  storeAliasIndex = new Map();
+
+  for (const s of Array.isArray(storeList) ? storeList : []) {
+    const keys = [s.id, s.displayName, ...(Array.isArray(s.aliases) ? s.aliases : [])].map(storeKey).filter(Boolean);
+    for (const k of keys) storeAliasIndex.set(k, keys);
+  }
+  return storeAliasIndex;
+}
+
+/** Every loose key ("runningwarehouse") a store name is known by; also used by api/search.js. */
+function storeKeys(name) {
+  const key = storeKey(name);
+  if (!key) return [];
+  return aliasIndex().get(key) || [key];
+}
+
+/** "" / null -> null (any type); unknown values -> undefined (invalid). */
+function normalizeShoeType(value) {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s || s === "any") return null;
+  return SHOE_TYPES.includes(s) ? s : undefined;
+}
+
+/** Array or comma-separated string of store names -> deduped list, or null for any store. */
+function normalizeStoreList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const seen = new Set();
+  const out = [];
+
+  for (const raw of list) {
+    const name = String(raw ?? "")
+      .replace(/[<>'"]/g, "")
+      .trim()
+      .slice(0, 60);
+    const key = storeKey(name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(name);
+  }
+
+  return out.length ? out : null;
+}
+
+/** "" / null -> null; 1..95 -> integer; anything else -> undefined (invalid). */
+function normalizeMinDiscount(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const n = parseInt(String(value).replace(/%/g, ""), 10);
+  return Number.isFinite(n) && n >= 1 && n <= 95 ? n : undefined;
+}
+
+function dealDiscountPercent(deal) {
+  const pct = Number(deal?.discountPercent);
+  if (Number.isFinite(pct)) return pct;
+
+  const sale = Number(deal?.salePrice);
+  const original = Number(deal?.originalPrice);
+  if (Number.isFinite(sale) && Number.isFinite(original) && original > 0 && sale < original) {
+    return Math.round(((original - sale) / original) * 100);
+  }
+  return null;
+}
+
+function storeMatches(deal, stores) {
+  if (!Array.isArray(stores) || !stores.length) return true;
+  const key = storeKey(deal?.store);
+  return !!key && stores.some((s) => storeKeys(s).includes(key));
+}
+
+/**
+ * The shoe part of an alert: "Hoka Clifton 9" (exact version), "Hoka Clifton
+ * (any version)", "any Hoka trail shoe", "any road shoe".
+ */
+function describeShoe(alert) {
+  const brand = String(alert?.brand || "").trim();
+  const model = String(alert?.model || "").trim();
+  const type = alert?.shoeType ? SHOE_TYPE_LABELS[alert.shoeType] || alert.shoeType : "";
+
+  if (brand && model) {
+    const exact = alert.matchMode === "exact";
+    const notes = [exact ? "" : "any version", type].filter(Boolean);
+    const name = exact ? `${brand} ${model}` : `${brand} ${shoeIdentity(brand, model).line || model}`;
+    return notes.length ? `${name} (${notes.join(", ")})` : name;
+  }
+  if (brand) return `any ${brand} ${type ? `${type} ` : ""}shoe`;
+  return `any ${type ? `${type} ` : ""}shoe`;
+}
+
+function describeStores(stores) {
+  const list = Array.isArray(stores) ? stores : [];
+  if (list.length <= 3) return list.join(", ");
+  return `${list.slice(0, 3).join(", ")} +${list.length - 3} more`;
+}
+
+/**
+ * Plain-text summary used in emails and subjects, e.g.
+ *   "Hoka Clifton 9, $90 or less"
+ *   "any Hoka trail shoe at Running Warehouse, 50%+ off"
+ */
+function describeAlert(alert) {
+  let what = describeShoe(alert);
+  if (alert?.stores?.length) what += ` at ${describeStores(alert.stores)}`;
+
+  const parts = [what];
+  if (alert?.minDiscount) parts.push(`${alert.minDiscount}%+ off`);
+  if (alert?.targetPrice) parts.push(`$${Math.round(Number(alert.targetPrice))} or less`);
+  return parts.join(", ");
+}
+
+module.exports = {
+  SHOE_TYPES,
+  MAX_ALERT_STORES,
+  normalizeShoeType,
+  normalizeStoreList,
+  normalizeMinDiscount,
+  storeKeys,
+  dealDiscountPercent,
+  storeMatches,
+  describeShoe,
+  describeStores,
+  describeAlert,
+};
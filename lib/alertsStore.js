@@ -0,0 +1,730 @@
+// lib/alertsStore.js
+//
+// Postgres storage for price alerts (tables from db/migrations/005_price_alerts.sql).
+// Used by api/alerts.js, api/cron/check-alerts.js and the 006 blob import.
+//
+// Alerts are returned in the shape the old alerts.json blob used, so the manage
+// page and email templates don't change:
+//   { id, email, brand, model, gender, size, sizeSystem, width, targetPrice,
+//     setAt, cancelledAt, lastNotifiedAt, confirmedAt,
+//     stores, shoeType, minDiscount, matchMode, shoeId,
+//     lifetimeDays, expiresAt, expiryRemindedAt, channel }   (timestamps in ms, null when unset)
+//
+// stores / shoeType / minDiscount are the optional criteria from
+// 008_alert_criteria.sql; targetPrice is null for discount-only alerts.
+// matchMode ("line" | "exact") and shoeId come from 009_alert_match_mode.sql.
+//
+// Double opt-in (007_alert_confirmation.sql): new alerts are pending
+// (confirmedAt null) until the confirmation link is clicked. Pending alerts are
+// never checked by the cron and are deleted after ALERT_CONFIRM_TTL_MS. They
+// don't count toward MAX_ACTIVE_ALERTS (anyone can create them for any address);
+// 020_alert_pending_limits.sql caps them per owner and per creating IP instead.
+//
+// Lifetime (011_alert_lifetime.sql): an alert is live until expiresAt, which is
+// lifetimeDays after it was confirmed. The owner picks lifetimeDays at creation
+// (MIN_ALERT_LIFETIME_DAYS..MAX_ALERT_LIFETIME_DAYS) and can renew for one of
+// RENEW_LIFETIME_DAYS, which restarts the clock from the moment of renewal.
+// The cron emails one reminder EXPIRY_REMINDER_DAYS before expiresAt.
+//
+// sb_alert_notified_listings (010) remembers which listings each alert already
+// emailed and at what price, so the cron only sends new listings and price drops.
+//
+// Delivery preference (012_alert_email_preferences.sql) is per email, not per
+// alert: "instant" (one email per alert, the default), or a "daily" / "weekly"
+// digest that groups every alert with new matches into one email.
+//
+// Unsubscribed addresses are kept in sb_alert_suppressions (013): suppressing
+// an email cancels its alerts, listActiveAlerts() skips it and api/alerts.js
+// refuses to create new alerts for it until it resubscribes.
+//
+// Browser alerts (014_push_subscriptions.sql) belong to a Web Push subscription
+// instead of an address: their email column holds the owner key
+// "push:<subscription id>" (pushOwnerKey), and `channel` is "push" rather than
+// "email". Everything keyed by owner (manage tokens, lockEmail, the active-alert
+// limit) treats them like any other owner; revoking the subscription cancels them.
+//
+// Functions take a pg Pool or Client as `db`; withTransaction() runs a callback
+// on one client inside BEGIN/COMMIT.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_ALERT_LIFETIME_DAYS = 30;
+const MIN_ALERT_LIFETIME_DAYS = 7;
+const MAX_ALERT_LIFETIME_DAYS = 90;
+const RENEW_LIFETIME_DAYS = [30, 60, 90];
+const EXPIRY_REMINDER_DAYS = 3;
+
+// Default lifetime; manage links last as long as the longest one
+const ALERT_TTL_MS = DEFAULT_ALERT_LIFETIME_DAYS * DAY_MS;
+const MANAGE_LINK_TTL_MS = MAX_ALERT_LIFETIME_DAYS * DAY_MS;
+// Unsubscribe links must keep working long after the email was sent
+const UNSUBSCRIBE_LINK_TTL_MS = 365 * DAY_MS;
+const ALERT_CONFIRM_TTL_MS = 48 * 60 * 60 * 1000;
+const MAX_ACTIVE_ALERTS = 7;
+const MAX_PENDING_ALERTS_PER_EMAIL = 3;
+const MAX_PENDING_ALERTS_PER_IP = 10;
+
+const DIGEST_MODES = ["instant", "daily", "weekly"];
+const DEFAULT_DIGEST_MODE = "instant";
+
+const PUSH_OWNER_PREFIX = "push:";
+
+const ALERT_COLUMNS = `
+  id, email, brand, model, gender, size, size_system, width, target_price,
+  set_at, cancelled_at, last_notified_at, confirmed_at,
+  stores, shoe_type, min_discount, match_mode, shoe_id,
+  lifetime_days, expires_at, expiry_reminded_at
+`;
+
+function toMs(value) {
+  if (value == null) return null;
+  const ms = value instanceof Date ? value.getTime() : typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function rowToAlert(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    brand: row.brand,
+    model: row.model,
+    gender: row.gender,
+    size: row.size,
+    sizeSystem: row.size_system,
+    width: row.width,
+    targetPrice: row.target_price != null ? Number(row.target_price) : null,
+    setAt: toMs(row.set_at),
+    cancelledAt: toMs(row.cancelled_at),
+    lastNotifiedAt: toMs(row.last_notified_at),
+    confirmedAt: toMs(row.confirmed_at),
+    stores: Array.isArray(row.stores) && row.stores.length ? row.stores : null,
+    shoeType: row.shoe_type || null,
+    minDiscount: row.min_discount != null ? Number(row.min_discount) : null,
+    matchMode: row.match_mode || "line",
+    shoeId: row.shoe_id != null ? Number(row.shoe_id) : null,
+    lifetimeDays: row.lifetime_days != null ? Number(row.lifetime_days) : DEFAULT_ALERT_LIFETIME_DAYS,
+    expiresAt: toMs(row.expires_at),
+    expiryRemindedAt: toMs(row.expiry_reminded_at),
+    channel: isPushOwner(row.email) ? "push" : "email",
+  };
+}
+
+function rowToPushSubscription(row) {
+  return {
+    id: row.id,
+    owner: pushOwnerKey(row.id),
+    endpoint: row.endpoint,
+    keys: { p256dh: row.p256dh, auth: row.auth },
+    userAgent: row.user_agent || null,
+    createdAt: toMs(row.created_at),
+    revokedAt: toMs(row.revoked_at),
+  };
+}
+
+function newAlertId(nowMs = Date.now()) {
+  return `alert_${nowMs}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+function newPushSubscriptionId(nowMs = Date.now()) {
+  return `push_${nowMs}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/** Owner key (sb_price_alerts.email) of a push subscription's alerts. */
+function pushOwnerKey(subscriptionId) {
+  return `${PUSH_OWNER_PREFIX}${subscriptionId}`;
+}
+
+function isPushOwner(owner) {
+  return String(owner || "").startsWith(PUSH_OWNER_PREFIX);
+}
+
+/** Subscription id from an owner key; null for email owners. */
+function pushSubscriptionIdOf(owner) {
+  return isPushOwner(owner) ? String(owner).slice(PUSH_OWNER_PREFIX.length) : null;
+}
+
+function toDateOrNull(value) {
+  const ms = toMs(value);
+  return ms != null ? new Date(ms) : null;
+}
+
+/** "" / null -> default lifetime; whole days within the limits -> number; anything else -> undefined (invalid). */
+function normalizeLifetimeDays(value) {
+  if (value == null || String(value).trim() === "") return DEFAULT_ALERT_LIFETIME_DAYS;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= MIN_ALERT_LIFETIME_DAYS && n <= MAX_ALERT_LIFETIME_DAYS ? n : undefined;
+}
+
+/** "" / null -> default; known modes -> mode; anything else -> undefined (invalid). */
+function normalizeDigestMode(value) {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return DEFAULT_DIGEST_MODE;
+  return DIGEST_MODES.includes(s) ? s : undefined;
+}
+
+function alertExpiresAtMs(alert) {
+  const expiresAt = toMs(alert.expiresAt);
+  if (expiresAt != null) return expiresAt;
+  return Number(toMs(alert.setAt) || 0) + Number(alert.lifetimeDays || DEFAULT_ALERT_LIFETIME_DAYS) * DAY_MS;
+}
+
+function isAlertExpired(alert, nowMs = Date.now()) {
+  return alertExpiresAtMs(alert) <= nowMs;
+}
+
+/** Whole days until the alert expires (a part-day counts as a day), 0 once expired. */
+function alertDaysLeft(alert, nowMs = Date.now()) {
+  return Math.max(0, Math.ceil((alertExpiresAtMs(alert) - nowMs) / DAY_MS));
+}
+
+/** Live alert that expires within EXPIRY_REMINDER_DAYS and hasn't been reminded since it was set or renewed. */
+function isExpiryReminderDue(alert, nowMs = Date.now()) {
+  if (!alert.confirmedAt || alert.cancelledAt || alert.expiryRemindedAt) return false;
+  const left = alertExpiresAtMs(alert) - nowMs;
+  return left > 0 && left <= EXPIRY_REMINDER_DAYS * DAY_MS;
+}
+
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Serializes writes for one email until the transaction ends, so two concurrent
+ * creates can't both pass the active-alert limit.
+ */
+async function lockEmail(client, email) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`sb_price_alerts:${email}`]);
+}
+
+async function listAlertsByEmail(db, email) {
+  const { rows } = await db.query(
+    `SELECT ${ALERT_COLUMNS} FROM sb_price_alerts WHERE email = $1 ORDER BY set_at DESC`,
+    [email]
+  );
+  return rows.map(rowToAlert);
+}
+
+/**
+ * Same as lockEmail() for the IP creating alerts, so concurrent creates from one
+ * IP can't both pass the pending limit. Take it before the email lock.
+ */
+async function lockCreatorIp(client, ip) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`sb_price_alerts:ip:${ip}`]);
+}
+
+/** Confirmed alerts that haven't expired or been cancelled. */
+async function countActiveAlerts(db, email, nowMs = Date.now()) {
+  const { rows } = await db.query(
+    `SELECT count(*)::int AS n
+       FROM sb_price_alerts
+      WHERE email = $1
+        AND cancelled_at IS NULL
+        AND confirmed_at IS NOT NULL
+        AND expires_at > $2`,
+    [email, new Date(nowMs)]
+  );
+  return rows[0].n;
+}
+
+/** Pending alerts whose confirmation link is still valid, for one owner ({ email }) or creating IP ({ ip }). */
+async function countPendingAlerts(db, { email = null, ip = null }, nowMs = Date.now()) {
+  const { rows } = await db.query(
+    `SELECT count(*)::int AS n
+       FROM sb_price_alerts
+      WHERE ${email != null ? "email" : "created_ip"} = $1
+        AND cancelled_at IS NULL
+        AND confirmed_at IS NULL
+        AND created_at > $2`,
+    [email != null ? email : ip, new Date(nowMs - ALERT_CONFIRM_TTL_MS)]
+  );
+  return rows[0].n;
+}
+
+/** Pending alerts get expires_at from setAt as a placeholder; confirmAlert() restarts it. */
+async function insertAlert(db, alert) {
+  const setAt = toMs(alert.setAt) ?? Date.now();
+  const lifetimeDays = alert.lifetimeDays || DEFAULT_ALERT_LIFETIME_DAYS;
+
+  const { rows } = await db.query(
+    `INSERT INTO sb_price_alerts
+       (id, email, brand, model, gender, size, size_system, width, target_price,
+        set_at, cancelled_at, last_notified_at, confirmed_at,
+        stores, shoe_type, min_discount, match_mode, shoe_id,
+        lifetime_days, expires_at, created_ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+     ON CONFLICT (id) DO NOTHING
+     RETURNING ${ALERT_COLUMNS}`,
+    [
+      alert.id,
+      alert.email,
+      alert.brand || "",
+      alert.model || "",
+      alert.gender || "both",
+      alert.size || null,
+      alert.sizeSystem || null,
+      alert.width || null,
+      alert.targetPrice ?? null,
+      new Date(setAt),
+      toDateOrNull(alert.cancelledAt),
+      toDateOrNull(alert.lastNotifiedAt),
+      toDateOrNull(alert.confirmedAt),
+      Array.isArray(alert.stores) && alert.stores.length ? alert.stores : null,
+      alert.shoeType || null,
+      alert.minDiscount ?? null,
+      alert.matchMode || "line",
+      alert.shoeId ?? null,
+      lifetimeDays,
+      new Date(setAt + lifetimeDays * DAY_MS),
+      alert.confirmedAt ? null : alert.createdIp || null,
+    ]
+  );
+  return rows[0] ? rowToAlert(rows[0]) : null;
+}
+
+/** Locks and returns the alert (null when it doesn't exist or belongs to another email). */
+async function getAlertForUpdate(client, id, email) {
+  const { rows } = await client.query(
+    `SELECT ${ALERT_COLUMNS} FROM sb_price_alerts WHERE id = $1 AND email = $2 FOR UPDATE`,
+    [id, email]
+  );
+  return rows[0] ? rowToAlert(rows[0]) : null;
+}
+
+async function getAlert(db, id, email) {
+  const { rows } = await db.query(`SELECT ${ALERT_COLUMNS} FROM sb_price_alerts WHERE id = $1 AND email = $2`, [
+    id,
+    email,
+  ]);
+  return rows[0] ? rowToAlert(rows[0]) : null;
+}
+
+/**
+ * Activate a pending alert; its lifetime starts now. Returns null when the alert
+ * is unknown, cancelled, already confirmed or its confirmation window has passed.
+ */
+async function confirmAlert(db, id, email, nowMs = Date.now()) {
+  const { rows } = await db.query(
+    `UPDATE sb_price_alerts
+        SET confirmed_at = now(), set_at = now(), created_ip = NULL,
+            expires_at = now() + lifetime_days * interval '1 day', updated_at = now()
+      WHERE id = $1
+        AND email = $2
+        AND confirmed_at IS NULL
+        AND cancelled_at IS NULL
+        AND created_at > $3
+      RETURNING ${ALERT_COLUMNS}`,
+    [id, email, new Date(nowMs - ALERT_CONFIRM_TTL_MS)]
+  );
+  return rows[0] ? rowToAlert(rows[0]) : null;
+}
+
+/** Delete pending alerts whose confirmation link has expired. Returns how many. */
+async function expirePendingAlerts(db, nowMs = Date.now()) {
+  const { rowCount } = await db.query(
+    `DELETE FROM sb_price_alerts WHERE confirmed_at IS NULL AND created_at <= $1`,
+    [new Date(nowMs - ALERT_CONFIRM_TTL_MS)]
+  );
+  return rowCount;
+}
+
+async function cancelAlert(db, id) {
+  const { rows } = await db.query(
+    `UPDATE sb_price_alerts
+        SET cancelled_at = now(), updated_at = now()
+      WHERE id = $1
+      RETURNING ${ALERT_COLUMNS}`,
+    [id]
+  );
+  return rows[0] ? rowToAlert(rows[0]) : null;
+}
+
+/** New target price; restarts the alert's lifetime and the notification throttle. */
+async function updateAlertTarget(db, id, targetPrice) {
+  const { rows } = await db.query(
+    `UPDATE sb_price_alerts
+        SET target_price = $2, set_at = now(), last_notified_at = NULL,
+            expires_at = now() + lifetime_days * interval '1 day', expiry_reminded_at = NULL,
+            updated_at = now()
+      WHERE id = $1
+      RETURNING ${ALERT_COLUMNS}`,
+    [id, targetPrice]
+  );
+  return rows[0] ? rowToAlert(rows[0]) : null;
+}
+
+/**
+ * Keep an alert live for `days` more days from now (also revives an expired
+ * alert). The new lifetime sticks, and the expiry reminder can fire again.
+ */
+async function renewAlert(db, id, days) {
+  const { rows } = await db.query(
+    `UPDATE sb_price_alerts
+        SET lifetime_days = $2::int, expires_at = now() + make_interval(days => $2::int),
+            expiry_reminded_at = NULL, updated_at = now()
+      WHERE id = $1
+      RETURNING ${ALERT_COLUMNS}`,
+    [id, days]
+  );
+  return rows[0] ? rowToAlert(rows[0]) : null;
+}
+
+async function markExpiryReminded(db, id, nowMs = Date.now()) {
+  await db.query(`UPDATE sb_price_alerts SET expiry_reminded_at = $2, updated_at = now() WHERE id = $1`, [
+    id,
+    new Date(nowMs),
+  ]);
+}
+
+async function deleteAlert(db, id) {
+  const { rowCount } = await db.query(`DELETE FROM sb_price_alerts WHERE id = $1`, [id]);
+  return rowCount > 0;
+}
+
+/** Alerts the cron should check: confirmed, not cancelled, not expired and not unsubscribed. */
+async function listActiveAlerts(db, nowMs = Date.now()) {
+  const { rows } = await db.query(
+    `SELECT ${ALERT_COLUMNS}
+       FROM sb_price_alerts
+      WHERE cancelled_at IS NULL
+        AND confirmed_at IS NOT NULL
+        AND expires_at > $1
+        AND email NOT IN (SELECT email FROM sb_alert_suppressions)
+      ORDER BY set_at ASC`,
+    [new Date(nowMs)]
+  );
+  return rows.map(rowToAlert);
+}
+
+async function isEmailSuppressed(db, email) {
+  const { rows } = await db.query(`SELECT 1 FROM sb_alert_suppressions WHERE email = $1`, [email]);
+  return rows.length > 0;
+}
+
+/**
+ * Unsubscribe an email from all alert emails: add it to the suppression list
+ * and cancel its alerts. Returns how many alerts were cancelled.
+ */
+async function suppressEmail(pool, email, source = "link") {
+  return withTransaction(pool, async (client) => {
+    await client.query(
+      `INSERT INTO sb_alert_suppressions (email, source) VALUES ($1, $2) ON CONFLICT (email) DO NOTHING`,
+      [email, source]
+    );
+    const { rowCount } = await client.query(
+      `UPDATE sb_price_alerts SET cancelled_at = now(), updated_at = now() WHERE email = $1 AND cancelled_at IS NULL`,
+      [email]
+    );
+    return rowCount;
+  });
+}
+
+/** Take an email off the suppression list; its cancelled alerts stay cancelled. */
+async function unsuppressEmail(db, email) {
+  const { rowCount } = await db.query(`DELETE FROM sb_alert_suppressions WHERE email = $1`, [email]);
+  return rowCount > 0;
+}
+
+/** { digestMode, lastDigestAt } for one email; the defaults when it has never been set. */
+async function getEmailPreferences(db, email) {
+  const prefs = await getEmailPreferencesMap(db, [email]);
+  return prefs.get(email) || { digestMode: DEFAULT_DIGEST_MODE, lastDigestAt: null };
+}
+
+/** email -> { digestMode, lastDigestAt } for the emails that have a saved preference. */
+async function getEmailPreferencesMap(db, emails) {
+  const out = new Map();
+  if (!emails.length) return out;
+
+  const { rows } = await db.query(
+    `SELECT email, digest_mode, last_digest_at FROM sb_alert_email_preferences WHERE email = ANY($1::text[])`,
+    [emails]
+  );
+  for (const r of rows) {
+    out.set(r.email, { digestMode: r.digest_mode, lastDigestAt: toMs(r.last_digest_at) });
+  }
+  return out;
+}
+
+async function setDigestMode(db, email, digestMode) {
+  const { rows } = await db.query(
+    `INSERT INTO sb_alert_email_preferences (email, digest_mode)
+     VALUES ($1, $2)
+     ON CONFLICT (email) DO UPDATE SET digest_mode = excluded.digest_mode, updated_at = now()
+     RETURNING digest_mode, last_digest_at`,
+    [email, digestMode]
+  );
+  return { digestMode: rows[0].digest_mode, lastDigestAt: toMs(rows[0].last_digest_at) };
+}
+
+async function markDigestSent(db, email, nowMs = Date.now()) {
+  await db.query(
+    `UPDATE sb_alert_email_preferences SET last_digest_at = $2, updated_at = now() WHERE email = $1`,
+    [email, new Date(nowMs)]
+  );
+}
+
+/**
+ * Store a browser's subscription. `subscriptionId` is the subscription the caller
+ * proved it owns (from its manage token); only that one can be re-subscribed,
+ * which refreshes its keys and un-revokes it (same id, so its earlier alerts stay
+ * visible), or moved from `oldEndpoint` to the new endpoint (the service worker's
+ * pushsubscriptionchange), keeping its alerts live. A new endpoint gets a new
+ * subscription. Returns null when the endpoint belongs to another subscription.
+ */
+async function savePushSubscription(db, { endpoint, p256dh, auth, userAgent = null, oldEndpoint = null, subscriptionId = null }) {
+  if (subscriptionId) {
+    const { rows } = await db.query(
+      `UPDATE sb_push_subscriptions
+          SET endpoint = $2, p256dh = $3, auth = $4, user_agent = COALESCE($5, user_agent),
+              revoked_at = NULL, updated_at = now()
+        WHERE id = $6
+          AND endpoint IN ($1, $2)
+          AND NOT EXISTS (SELECT 1 FROM sb_push_subscriptions WHERE endpoint = $2 AND id <> $6)
+        RETURNING *`,
+      [oldEndpoint || endpoint, endpoint, p256dh, auth, userAgent, subscriptionId]
+    );
+    if (rows[0]) return rowToPushSubscription(rows[0]);
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO sb_push_subscriptions (id, endpoint, p256dh, auth, user_agent)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (endpoint) DO NOTHING
+     RETURNING *`,
+    [newPushSubscriptionId(), endpoint, p256dh, auth, userAgent]
+  );
+  return rows[0] ? rowToPushSubscription(rows[0]) : null;
+}
+
+/** The subscription (revoked ones too), or null. */
+async function getPushSubscription(db, id) {
+  const { rows } = await db.query(`SELECT * FROM sb_push_subscriptions WHERE id = $1`, [id]);
+  return rows[0] ? rowToPushSubscription(rows[0]) : null;
+}
+
+/** owner key -> live subscription, for the push owners among `owners`. */
+async function getPushSubscriptionsMap(db, owners) {
+  const out = new Map();
+  const ids = owners.map(pushSubscriptionIdOf).filter(Boolean);
+  if (!ids.length) return out;
+
+  const { rows } = await db.query(
+    `SELECT * FROM sb_push_subscriptions WHERE id = ANY($1::text[]) AND revoked_at IS NULL`,
+    [ids]
+  );
+  for (const r of rows) {
+    const sub = rowToPushSubscription(r);
+    out.set(sub.owner, sub);
+  }
+  return out;
+}
+
+/**
+ * The browser unsubscribed (or its push service says the subscription is gone):
+ * mark it revoked and cancel its alerts. Returns how many alerts were cancelled.
+ */
+async function revokePushSubscription(pool, id) {
+  return withTransaction(pool, async (client) => {
+    await client.query(
+      `UPDATE sb_push_subscriptions SET revoked_at = COALESCE(revoked_at, now()), updated_at = now() WHERE id = $1`,
+      [id]
+    );
+    const { rowCount } = await client.query(
+      `UPDATE sb_price_alerts SET cancelled_at = now(), updated_at = now() WHERE email = $1 AND cancelled_at IS NULL`,
+      [pushOwnerKey(id)]
+    );
+    return rowCount;
+  });
+}
+
+/** "running warehouse|https://..." - one listing at one store. */
+function listingKey(deal) {
+  const url = String(deal?.listingURL || "").trim();
+  if (!url) return "";
+  return `${String(deal?.store || "").trim().toLowerCase()}|${url}`;
+}
+
+/** alertId -> Map(listingKey -> last notified price or null) for the given alerts. */
+async function getNotifiedListings(db, alertIds) {
+  const out = new Map();
+  if (!alertIds.length) return out;
+
+  const { rows } = await db.query(
+    `SELECT alert_id, listing_key, last_price FROM sb_alert_notified_listings WHERE alert_id = ANY($1::text[])`,
+    [alertIds]
+  );
+
+  for (const r of rows) {
+    if (!out.has(r.alert_id)) out.set(r.alert_id, new Map());
+    out.get(r.alert_id).set(r.listing_key, r.last_price != null ? Number(r.last_price) : null);
+  }
+  return out;
+}
+
+/**
+ * Log a match email. A sent email also stamps last_notified_at and remembers
+ * the price of each listing in `notified` (the ones it showed; every match by
+ * default), in the same transaction so the log, the throttle and the listing
+ * memory never disagree. Matches it left out are still new next time.
+ */
+async function recordNotification(pool, { alert, status, matches = [], notified = matches, error = null, nowMs = Date.now() }) {
+  const dealUrls = matches.map((d) => String(d?.listingURL || "").trim()).filter(Boolean).slice(0, 50);
+
+  return withTransaction(pool, async (client) => {
+    await client.query(
+      `INSERT INTO sb_alert_notifications (alert_id, email, status, match_count, deal_urls, error, sent_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [alert.id, alert.email, status, matches.length, dealUrls, error ? String(error).slice(0, 500) : null, new Date(nowMs)]
+    );
+
+    if (status === "sent") {
+      await client.query(
+        `UPDATE sb_price_alerts SET last_notified_at = $2, updated_at = now() WHERE id = $1`,
+        [alert.id, new Date(nowMs)]
+      );
+
+      for (const deal of notified) {
+        const key = listingKey(deal);
+        if (!key) continue;
+
+        const price = Number(deal.salePrice);
+        await client.query(
+          `INSERT INTO sb_alert_notified_listings
+             (alert_id, listing_key, store, listing_url, last_price, first_notified_at, last_notified_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $6)
+           ON CONFLICT (alert_id, listing_key) DO UPDATE
+             SET last_price = excluded.last_price,
+                 last_notified_at = excluded.last_notified_at`,
+          [
+            alert.id,
+            key,
+            String(deal.store || "").trim() || null,
+            String(deal.listingURL).trim(),
+            Number.isFinite(price) ? price : null,
+            new Date(nowMs),
+          ]
+        );
+      }
+    }
+  });
+}
+
+/**
+ * Insert alerts from the legacy alerts.json payload. Existing ids are left
+ * untouched, so re-running is safe. Returns { inserted, skipped }.
+ *
+ * Only used by migration 006, which runs before 007-011 add columns, so this
+ * writes the 005 columns only; 007 then marks the imported (already live)
+ * alerts as confirmed.
+ */
+async function importLegacyAlerts(db, alerts) {
+  let inserted = 0;
+  let skipped = 0;
+
+  for (const a of Array.isArray(alerts) ? alerts : []) {
+    const email = String(a?.email || "").trim().toLowerCase();
+    const targetPrice = parseInt(a?.targetPrice, 10);
+
+    if (!a?.id || !email || !a.brand || !a.model || !(targetPrice > 0)) {
+      skipped++;
+      continue;
+    }
+
+    const { rowCount } = await db.query(
+      `INSERT INTO sb_price_alerts
+         (id, email, brand, model, gender, size, size_system, width, target_price,
+          set_at, cancelled_at, last_notified_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (id) DO NOTHING`,
+      [
+        String(a.id),
+        email,
+        String(a.brand),
+        String(a.model),
+        a.gender || "both",
+        a.size || null,
+        a.sizeSystem || null,
+        a.width || null,
+        targetPrice,
+        new Date(toMs(a.setAt) ?? Date.now()),
+        toDateOrNull(a.cancelledAt),
+        toDateOrNull(a.lastNotifiedAt),
+      ]
+    );
+
+    if (rowCount) inserted++;
+    else skipped++;
+  }
+
+  return { inserted, skipped };
+}
+
+module.exports = {
+  ALERT_TTL_MS,
+  MANAGE_LINK_TTL_MS,
+  UNSUBSCRIBE_LINK_TTL_MS,
+  ALERT_CONFIRM_TTL_MS,
+  MAX_ACTIVE_ALERTS,
+  MAX_PENDING_ALERTS_PER_EMAIL,
+  MAX_PENDING_ALERTS_PER_IP,
+  DEFAULT_ALERT_LIFETIME_DAYS,
+  MIN_ALERT_LIFETIME_DAYS,
+  MAX_ALERT_LIFETIME_DAYS,
+  RENEW_LIFETIME_DAYS,
+  EXPIRY_REMINDER_DAYS,
+  DIGEST_MODES,
+  DEFAULT_DIGEST_MODE,
+  newAlertId,
+  pushOwnerKey,
+  isPushOwner,
+  pushSubscriptionIdOf,
+  normalizeDigestMode,
+  normalizeLifetimeDays,
+  alertExpiresAtMs,
+  isAlertExpired,
+  alertDaysLeft,
+  isExpiryReminderDue,
+  withTransaction,
+  lockEmail,
+  lockCreatorIp,
+  listAlertsByEmail,
+  countActiveAlerts,
+  countPendingAlerts,
+  insertAlert,
+  getAlertForUpdate,
+  getAlert,
+  confirmAlert,
+  expirePendingAlerts,
+  cancelAlert,
+  updateAlertTarget,
+  renewAlert,
+  markExpiryReminded,
+  deleteAlert,
+  listActiveAlerts,
+  isEmailSuppressed,
+  suppressEmail,
+  unsuppressEmail,
+  getEmailPreferences,
+  getEmailPreferencesMap,
+  setDigestMode,
+  markDigestSent,
+  savePushSubscription,
+  getPushSubscription,
+  getPushSubscriptionsMap,
+  revokePushSubscription,
+  listingKey,
+  getNotifiedListings,
+  recordNotification,
+  importLegacyAlerts,
+};
@@ -89,6 +89,12 @@ function buildCanonicalBrandModelHelper(source = canonicalBrandModels) {
     return canonicalMap.get(canonicalBrand)?.models || [];
   }
 
+  function getBrandAliases(rawBrand) {
+    const canonicalBrand = resolveCanonicalBrand(rawBrand);
+    if (!canonicalBrand) return [];
+    return canonicalMap.get(canonicalBrand)?.aliases || [];
+  }
+
   function detectCanonicalBrandFromText(rawText) {
     const text = String(rawText || "");
     if (!text.trim()) return "";
@@ -146,6 +152,7 @@ function buildCanonicalBrandModelHelper(source = canonicalBrandModels) {
     getAliasToCanonicalMap: () => new Map(aliasToCanonical),
     resolveCanonicalBrand,
     getCanonicalModels,
+    getBrandAliases,
     detectCanonicalBrandFromText,
     parseBrandModelFromText,
   };
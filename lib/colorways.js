@@ -0,0 +1,82 @@
+// lib/colorways.js
+//
+// Groups listings that are the same shoe at the same store and differ only by
+// colorway (merge-deals keeps the stripped color tail as `colorway`).
+//
+// A group is returned as its cheapest listing plus:
+//   colorwayCount   number of listings in the group
+//   priceFrom       lowest salePrice across the group (null when none is known)
+//   colorways       [{ colorway, salePrice, originalPrice, discountPercent, listingURL, imageURL }]
+//                   cheapest first
+//
+// Input order is preserved: each group sits where its first listing was.
+
+function normalizeKeyPart(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function colorwayGroupKey(deal) {
+  return [
+    normalizeKeyPart(deal?.store),
+    normalizeKeyPart(deal?.brand),
+    normalizeKeyPart(deal?.model),
+    normalizeKeyPart(deal?.gender),
+    normalizeKeyPart(deal?.width) || "standard",
+  ].join("|");
+}
+
+function priceOf(deal) {
+  const n = Number(deal?.salePrice ?? deal?.salePriceLow);
+  return Number.isFinite(n) && n > 0 ? n : Infinity;
+}
+
+function toColorwayEntry(deal) {
+  return {
+    colorway: deal.colorway || null,
+    salePrice: deal.salePrice ?? null,
+    originalPrice: deal.originalPrice ?? null,
+    discountPercent: deal.discountPercent ?? null,
+    listingURL: deal.listingURL || "",
+    imageURL: deal.imageURL || "",
+  };
+}
+
+function groupColorways(deals) {
+  const groups = new Map();
+
+  for (const deal of Array.isArray(deals) ? deals : []) {
+    if (!deal) continue;
+
+    // Deals without a model can't be told apart from other shoes; never group them
+    const key = deal.model ? colorwayGroupKey(deal) : `__single__${groups.size}`;
+    if (!groups.has(key)) groups.set(key, { listings: [], seenUrls: new Set() });
+
+    const group = groups.get(key);
+    const url = String(deal.listingURL || "").trim();
+    if (url && group.seenUrls.has(url)) continue;
+    if (url) group.seenUrls.add(url);
+
+    group.listings.push(deal);
+  }
+
+  const out = [];
+  for (const { listings } of groups.values()) {
+    const sorted = listings.slice().sort((a, b) => priceOf(a) - priceOf(b));
+    const lead = sorted[0];
+    const from = priceOf(lead);
+
+    out.push({
+      ...lead,
+      colorwayCount: sorted.length,
+      priceFrom: Number.isFinite(from) ? from : null,
+      colorways: sorted.map(toColorwayEntry),
+    });
+  }
+
+  return out;
+}
+
+module.exports = {
+  colorwayGroupKey,
+  groupColorways,
+};
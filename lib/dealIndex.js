@@ -0,0 +1,80 @@
+// lib/dealIndex.js
+//
+// The browser's deal index (/api/search-index) in its compact, versioned form.
+//
+// Each entry has a key: a hash of exactly the fields the index sends, written to
+// sb_shoe_deals.index_key by import-deals-to-db. An unchanged listing keeps its
+// key across the daily wipe-and-import, so a client holding version N only needs
+// the entries first seen after N plus the keys removed since
+// (db/migrations/018_deal_index_versions.sql).
+//
+// Compact entries use one-letter field names and leave out empty fields:
+//   k key   b brand   m model   g gender   w width   t shoeType   s store
+//   p salePrice   o originalPrice   d discountPercent
+//   u listingURL   i imageURL   n listingName
+// public/js/search/search-index-client.js expands them; keep the two in step.
+
+const crypto = require("crypto");
+
+// Removal lists kept for this many imports; older clients re-download the index
+const DELTA_VERSIONS_KEPT = 30;
+
+const COMPACT_FIELDS = {
+  k: "key",
+  b: "brand",
+  m: "model",
+  g: "gender",
+  w: "width",
+  t: "shoeType",
+  s: "store",
+  p: "salePrice",
+  o: "originalPrice",
+  d: "discountPercent",
+  u: "listingURL",
+  i: "imageURL",
+  n: "listingName",
+};
+
+function priceText(value) {
+  if (value === null || value === undefined || value === "") return "";
+  const n = Number(value);
+  return Number.isFinite(n) ? n.toFixed(2) : "";
+}
+
+/** Index key of an sb_shoe_deals row (column names), 16 hex characters. */
+function dealIndexKey(row) {
+  const parts = [
+    row.brand,
+    row.model,
+    row.gender,
+    row.width,
+    row.shoe_type,
+    row.store,
+    priceText(row.sale_price),
+    priceText(row.original_price),
+    priceText(row.discount_percent),
+    row.listing_url,
+    row.image_url,
+    row.listing_name,
+  ].map((v) => String(v ?? "").trim());
+
+  return crypto.createHash("sha1").update(parts.join("\u001f")).digest("hex").slice(0, 16);
+}
+
+/** Compact entry for a deal as /api/search-index maps it (plus `key`). */
+function toCompactEntry(deal) {
+  const entry = {};
+  for (const [short, field] of Object.entries(COMPACT_FIELDS)) {
+    const value = deal[field];
+    if (value === null || value === undefined || value === "") continue;
+    entry[short] = value;
+  }
+  return entry;
+}
+
+module.exports = {
+  DELTA_VERSIONS_KEPT,
+  COMPACT_FIELDS,
+  dealIndexKey,
+  toCompactEntry,
+};
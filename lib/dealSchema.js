@@ -23,8 +23,25 @@ const OPTIONAL_RANGE_KEYS = [
   "discountPercentUpTo",
 ];
 
+// Added by merge-deals from sb_price_observations (all optional, null when unknown)
+const OPTIONAL_HISTORY_KEYS = [
+  "lowestPriceDays",
+  "previousPrice",
+  "priceTrend",
+];
+
+// Optional size availability (see lib/sizes.js); null/absent means unknown
+const OPTIONAL_SIZE_KEYS = [
+  "sizesAvailable",
+  "sizeSystem",
+];
+
 const ALLOWED_GENDER = new Set(["mens", "womens", "unisex", "unknown"]);
-const ALLOWED_TYPE = new Set(["road", "trail", "track", "unknown"]);
+// Same types as lib/alertCriteria SHOE_TYPES and the search filters, plus "unknown"
+const ALLOWED_TYPE = new Set(["road", "trail", "track", "xc", "unknown"]);
+const ALLOWED_PRICE_TREND = new Set(["down", "up", "flat", "new"]);
+const ALLOWED_SIZE_SYSTEM = new Set(["US", "UK", "EU"]);
+const ALLOWED_WIDTH = new Set(["standard", "wide", "extra-wide", "narrow"]);
 
 function isNumOrNull(x) {
   return x === null || (typeof x === "number" && Number.isFinite(x));
@@ -96,7 +113,16 @@ function assertDealSchema(deal) {
 
   // Shoe type validation
   if (typeof deal.shoeType !== "string" || !ALLOWED_TYPE.has(deal.shoeType)) {
-    errors.push("shoeType must be road|trail|track|unknown");
+    errors.push("shoeType must be road|trail|track|xc|unknown");
+  }
+
+  // Optional width (merge-deals always sets it; scrapers may omit it)
+  if ("width" in deal && !ALLOWED_WIDTH.has(deal.width)) {
+    errors.push("width must be standard|wide|extra-wide|narrow");
+  }
+
+  if ("colorway" in deal && !isStrOrNull(deal.colorway)) {
+    errors.push("colorway must be string|null");
   }
 
   // Optional range fields
@@ -106,11 +132,45 @@ function assertDealSchema(deal) {
     }
   }
 
+  // Optional price-history fields
+  if ("lowestPriceDays" in deal) {
+    const v = deal.lowestPriceDays;
+    if (!(v === null || (Number.isInteger(v) && v > 0))) {
+      errors.push("lowestPriceDays must be positive integer|null");
+    }
+  }
+
+  if ("previousPrice" in deal && !isNumOrNull(deal.previousPrice)) {
+    errors.push("previousPrice must be number|null");
+  }
+
+  if ("priceTrend" in deal && deal.priceTrend !== null && !ALLOWED_PRICE_TREND.has(deal.priceTrend)) {
+    errors.push("priceTrend must be down|up|flat|new|null");
+  }
+
+  // Optional size fields
+  if ("sizesAvailable" in deal && deal.sizesAvailable !== null) {
+    const v = deal.sizesAvailable;
+    if (!Array.isArray(v) || v.some((x) => typeof x !== "string" || !x)) {
+      errors.push("sizesAvailable must be string[]|null");
+    }
+  }
+
+  if ("sizeSystem" in deal && deal.sizeSystem !== null && !ALLOWED_SIZE_SYSTEM.has(deal.sizeSystem)) {
+    errors.push("sizeSystem must be US|UK|EU|null");
+  }
+
+  if (Array.isArray(deal.sizesAvailable) && !deal.sizeSystem) {
+    errors.push("sizeSystem is required when sizesAvailable is set");
+  }
+
   return errors;
 }
 
 module.exports = {
   REQUIRED_KEYS,
   OPTIONAL_RANGE_KEYS,
+  OPTIONAL_HISTORY_KEYS,
+  OPTIONAL_SIZE_KEYS,
   assertDealSchema,
 };
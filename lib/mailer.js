@@ -0,0 +1,299 @@
+// lib/mailer.js
+//
+// Outgoing email for api/alerts.js, api/cron/check-alerts.js and api/contact.js.
+// Callers pass SendGrid-shaped messages:
+//   { to, from, replyTo?, subject, html?, text?, headers? }
+// and the transport is picked by MAIL_TRANSPORT:
+//   sendgrid  (default) @sendgrid/mail with SENDGRID_API_KEY
+//   smtp      plain SMTP: SMTP_HOST, SMTP_PORT (587), SMTP_USER / SMTP_PASS (optional),
+//             SMTP_SECURE=true for implicit TLS (port 465); otherwise STARTTLS
+//             is used whenever the server offers it
+//   file      writes each message as an .eml file to MAIL_FILE_DIR
+//             (default <tmpdir>/shoebeagle-mail); nothing leaves the machine
+//
+// The smtp and file transports send/write the same MIME message
+// (buildMimeMessage), so an .eml from local development is what SMTP would deliver.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const tls = require("tls");
+
+const TRANSPORTS = ["sendgrid", "smtp", "file"];
+const SMTP_TIMEOUT_MS = 30000;
+
+function transportName() {
+  const name = String(process.env.MAIL_TRANSPORT || "").trim().toLowerCase();
+  return TRANSPORTS.includes(name) ? name : "sendgrid";
+}
+
+/** Whether the selected transport has the env it needs. */
+function isMailConfigured() {
+  const name = transportName();
+  if (name === "sendgrid") return !!process.env.SENDGRID_API_KEY;
+  if (name === "smtp") return !!process.env.SMTP_HOST;
+  return true;
+}
+
+// -----------------------------
+// MIME
+// -----------------------------
+
+/** "Name <a@b.c>" / "a@b.c" / { email, name } -> header value */
+function formatAddress(value) {
+  if (value && typeof value === "object") {
+    return value.name ? `${encodeHeader(value.name)} <${value.email}>` : String(value.email || "");
+  }
+  return String(value || "");
+}
+
+/** Bare address for the SMTP envelope. */
+function envelopeAddress(value) {
+  const s = value && typeof value === "object" ? String(value.email || "") : String(value || "");
+  const m = s.match(/<([^>]+)>/);
+  return (m ? m[1] : s).trim();
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+// RFC 2047 for subjects and names with non-ASCII (emoji subjects)
+function encodeHeader(value) {
+  const s = String(value ?? "").replace(/[\r\n]+/g, " ");
+  if (/^[\x20-\x7e]*$/.test(s)) return s;
+  return `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+}
+
+function base64Body(content) {
+  return Buffer.from(String(content), "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n")
+    .trimEnd();
+}
+
+function buildMimeMessage(msg) {
+  const domain = envelopeAddress(msg.from).split("@")[1] || "localhost";
+  const headers = [
+    `From: ${formatAddress(msg.from)}`,
+    `To: ${toList(msg.to).map(formatAddress).join(", ")}`,
+    ...(msg.replyTo ? [`Reply-To: ${formatAddress(msg.replyTo)}`] : []),
+    `Subject: ${encodeHeader(msg.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    ...Object.entries(msg.headers || {}).map(([k, v]) => `${k}: ${String(v).replace(/[\r\n]+/g, " ")}`),
+  ];
+
+  const parts = [];
+  if (msg.text) parts.push({ type: "text/plain", body: msg.text });
+  if (msg.html) parts.push({ type: "text/html", body: msg.html });
+
+  if (parts.length <= 1) {
+    const part = parts[0] || { type: "text/plain", body: "" };
+    return [
+      ...headers,
+      `Content-Type: ${part.type}; charset=UTF-8`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      base64Body(part.body),
+      "",
+    ].join("\r\n");
+  }
+
+  const boundary = `sb-${crypto.randomBytes(12).toString("hex")}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    ...parts.flatMap((p) => [
+      `--${boundary}`,
+      `Content-Type: ${p.type}; charset=UTF-8`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      base64Body(p.body),
+    ]),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+// -----------------------------
+// Transports
+// -----------------------------
+
+let sendgridClient = null;
+
+async function sendWithSendgrid(msg) {
+  if (!sendgridClient) {
+    sendgridClient = require("@sendgrid/mail");
+    sendgridClient.setApiKey(process.env.SENDGRID_API_KEY);
+  }
+  await sendgridClient.send(msg);
+  return { transport: "sendgrid" };
+}
+
+async function writeToFile(msg) {
+  const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "shoebeagle-mail");
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`);
+  await fs.promises.writeFile(file, buildMimeMessage(msg));
+  return { transport: "file", file };
+}
+
+/**
+ * Minimal SMTP client: one connection per message, replies read line by line.
+ * Errors carry the server's reply, e.g. "SMTP 550: mailbox unavailable".
+ */
+function smtpSession(socket) {
+  let buffer = "";
+  let waiting = null;
+  const lines = [];
+
+  function pump() {
+    if (!waiting) return;
+    // A reply ends at the line whose code is followed by a space
+    const end = lines.findIndex((l) => /^\d{3} /.test(l) || /^\d{3}$/.test(l));
+    if (end === -1) return;
+    const reply = lines.splice(0, end + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: Number(reply[end].slice(0, 3)), lines: reply.map((l) => l.slice(4)) });
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) !== -1) {
+      lines.push(buffer.slice(0, i));
+      buffer = buffer.slice(i + 2);
+    }
+    pump();
+  }
+
+  function onError(err) {
+    if (waiting) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(err);
+    }
+  }
+
+  function attach(s) {
+    s.on("data", onData);
+    s.on("error", onError);
+    s.on("close", () => onError(new Error("SMTP connection closed")));
+    s.setTimeout(SMTP_TIMEOUT_MS, () => s.destroy(new Error("SMTP timeout")));
+  }
+
+  attach(socket);
+
+  return {
+    get socket() {
+      return socket;
+    },
+    read(expect) {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        pump();
+      }).then((reply) => {
+        if (expect && !expect.includes(reply.code)) {
+          throw new Error(`SMTP ${reply.code}: ${reply.lines.join(" ")}`);
+        }
+        return reply;
+      });
+    },
+    async command(line, expect) {
+      socket.write(`${line}\r\n`);
+      return this.read(expect);
+    },
+    upgrade(servername) {
+      socket.removeAllListeners("data");
+      socket.removeAllListeners("error");
+      socket.removeAllListeners("close");
+      return new Promise((resolve, reject) => {
+        const secure = tls.connect({ socket, servername }, () => resolve());
+        secure.once("error", reject);
+        socket = secure;
+        attach(secure);
+      });
+    },
+  };
+}
+
+function connectSmtp(host, port, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+async function sendWithSmtp(msg) {
+  const host = process.env.SMTP_HOST;
+  const secure = String(process.env.SMTP_SECURE || "").toLowerCase() === "true";
+  const port = Number(process.env.SMTP_PORT) || (secure ? 465 : 587);
+  const user = process.env.SMTP_USER || "";
+  const pass = process.env.SMTP_PASS || "";
+  const hostname = os.hostname() || "localhost";
+
+  if (!host) throw new Error("Missing SMTP_HOST");
+
+  const smtp = smtpSession(await connectSmtp(host, port, secure));
+  try {
+    await smtp.read([220]);
+    let ehlo = await smtp.command(`EHLO ${hostname}`, [250]);
+
+    if (!secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await smtp.command("STARTTLS", [220]);
+      await smtp.upgrade(host);
+      ehlo = await smtp.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (user) {
+      const auth = ehlo.lines.find((l) => /^AUTH\b/i.test(l)) || "";
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        const token = Buffer.from(`\u0000${user}\u0000${pass}`, "utf8").toString("base64");
+        await smtp.command(`AUTH PLAIN ${token}`, [235]);
+      } else {
+        await smtp.command("AUTH LOGIN", [334]);
+        await smtp.command(Buffer.from(user, "utf8").toString("base64"), [334]);
+        await smtp.command(Buffer.from(pass, "utf8").toString("base64"), [235]);
+      }
+    }
+
+    await smtp.command(`MAIL FROM:<${envelopeAddress(msg.from)}>`, [250]);
+    for (const rcpt of toList(msg.to)) {
+      await smtp.command(`RCPT TO:<${envelopeAddress(rcpt)}>`, [250, 251]);
+    }
+
+    await smtp.command("DATA", [354]);
+    // Dot-stuffing: a line starting with "." gets another one
+    const data = buildMimeMessage(msg).replace(/(^|\r\n)\./g, "$1..");
+    await smtp.command(`${data}\r\n.`, [250]);
+    await smtp.command("QUIT", [221]).catch(() => {});
+  } finally {
+    smtp.socket.end();
+  }
+
+  return { transport: "smtp" };
+}
+
+/** Send one message through the configured transport. Returns { transport, file? }. */
+async function sendMail(msg) {
+  const name = transportName();
+  if (name === "file") return writeToFile(msg);
+  if (name === "smtp") return sendWithSmtp(msg);
+  return sendWithSendgrid(msg);
+}
+
+module.exports = {
+  TRANSPORTS,
+  transportName,
+  isMailConfigured,
+  buildMimeMessage,
+  sendMail,
+};
@@ -0,0 +1,152 @@
+// lib/migrations.js
+//
+// Versioned SQL migrations for the Postgres database (DATABASE_URL).
+//
+// Migrations are the files in db/migrations named NNN_description.sql. They are
+// applied in version order, each in its own transaction, and recorded in
+// sb_schema_migrations together with a checksum of the file. Editing a file
+// that has already been applied is an error: add a new migration instead.
+//
+// Data migrations that need more than SQL (e.g. importing a blob) can be
+// NNN_description.js instead, exporting `async up(client, { log })`. They run in
+// the same transaction wrapper as .sql files.
+//
+// Applied by:
+//   npm run db:migrate            (db/migrate.js; add --dry-run to only list pending)
+//   GET /api/migrate              (CRON_SECRET protected; ?dryRun=true)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "db", "migrations");
+const MIGRATIONS_TABLE = "sb_schema_migrations";
+
+// Serializes concurrent runners (two deploys, or the CLI and the route at once).
+const ADVISORY_LOCK_KEY = 720431;
+
+const FILE_RE = /^(\d{3,})_([a-z0-9_]+)\.(sql|js)$/;
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+/**
+ * Migration files on disk, sorted by version:
+ * [{ version, name, file, path, kind: "sql" | "js", source, checksum }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const seen = new Set();
+
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".sql") || f.endsWith(".js"))
+    .map((file) => {
+      const m = file.match(FILE_RE);
+      if (!m) throw new Error(`Bad migration file name: ${file} (expected NNN_description.sql or .js)`);
+
+      const version = m[1];
+      if (seen.has(version)) throw new Error(`Duplicate migration version ${version}`);
+      seen.add(version);
+
+      const filePath = path.join(dir, file);
+      const source = fs.readFileSync(filePath, "utf8");
+      return { version, name: m[2], file, path: filePath, kind: m[3], source, checksum: checksum(source) };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version     text        PRIMARY KEY,
+      name        text        NOT NULL,
+      checksum    text        NOT NULL,
+      applied_at  timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function loadApplied(client) {
+  const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE}`);
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+/**
+ * Apply every pending migration.
+ *
+ * `db` is a pg Pool or Client. Returns
+ *   { applied: [version_name], pending: [version_name], alreadyApplied }
+ * where `pending` is only filled on a dry run.
+ */
+async function runMigrations(db, { dryRun = false, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  const client = typeof db.connect === "function" && typeof db.release !== "function" ? await db.connect() : db;
+  const ownsClient = client !== db;
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [ADVISORY_LOCK_KEY]);
+
+    try {
+      await ensureMigrationsTable(client);
+      const applied = await loadApplied(client);
+
+      for (const m of migrations) {
+        const prev = applied.get(m.version);
+        if (prev && prev.checksum !== m.checksum) {
+          throw new Error(
+            `Migration ${m.file} was changed after it was applied on ${new Date(prev.applied_at).toISOString()}`
+          );
+        }
+      }
+
+      const pending = migrations.filter((m) => !applied.has(m.version));
+      const result = {
+        applied: [],
+        pending: dryRun ? pending.map((m) => `${m.version}_${m.name}`) : [],
+        alreadyApplied: migrations.length - pending.length,
+      };
+
+      if (dryRun) return result;
+
+      for (const m of pending) {
+        log(`[MIGRATE] Applying ${m.file}`);
+
+        await client.query("BEGIN");
+        try {
+          if (m.kind === "js") {
+            const { up } = require(m.path);
+            if (typeof up !== "function") throw new Error("missing exported up(client)");
+            await up(client, { log });
+          } else {
+            await client.query(m.source);
+          }
+          await client.query(
+            `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+            [m.version, m.name, m.checksum]
+          );
+          await client.query("COMMIT");
+        } catch (err) {
+          await client.query("ROLLBACK").catch(() => {});
+          err.message = `Migration ${m.file} failed: ${err.message}`;
+          throw err;
+        }
+
+        result.applied.push(`${m.version}_${m.name}`);
+      }
+
+      return result;
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [ADVISORY_LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    if (ownsClient) client.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE,
+  loadMigrations,
+  runMigrations,
+};
@@ -110,6 +110,68 @@ function stripShoeTypeWords(text) {
   };
 }
 
+// Deal widths: "standard" | "wide" | "extra-wide" | "narrow"
+const WIDTHS = ["standard", "wide", "extra-wide", "narrow"];
+
+/**
+ * One of WIDTHS, or null when the value isn't a width. Shared by the merge,
+ * the importer, the search width filter and alerts.
+ */
+function normalizeWidth(value) {
+  const s = normalizeWhitespace(value).toLowerCase().replace(/[\s_]+/g, "-");
+  if (!s) return null;
+  if (WIDTHS.includes(s)) return s;
+  if (s === "x-wide" || s === "xwide" || s === "xw") return "extra-wide";
+  if (s === "regular" || s === "medium") return "standard";
+  return null;
+}
+
+// Width letter codes depend on gender: men's standard is D (2E wide, 4E extra wide),
+// women's standard is B (D wide, 2E extra wide). Unknown gender reads codes as men's.
+function widthFromCode(code, gender) {
+  const c = String(code || "").toUpperCase();
+  const womens = String(gender || "").toLowerCase() === "womens";
+
+  if (c === "4E" || c === "6E" || c === "EEEE" || c === "XW") return "extra-wide";
+  if (c === "2E" || c === "EE") return womens ? "extra-wide" : "wide";
+  if (c === "W") return "wide";
+  if (c === "D") return womens ? "wide" : "standard";
+  if (c === "B") return womens ? "standard" : "narrow";
+  if (c === "N" || c === "2A" || c === "AA") return "narrow";
+  return null;
+}
+
+/**
+ * Width signalled by a listing name / model string, or null when it says nothing.
+ * Mirrors what stripWidths + stripTrailingWidthCode remove, so the information
+ * survives cleaning (a bare trailing "W" is stripped but not read as a width).
+ */
+function detectWidth(text, opts = {}) {
+  const s = normalizeWhitespace(text);
+  if (!s) return null;
+
+  if (/\b(?:extra|x)[\s-]?wide\b/i.test(s)) return "extra-wide";
+  if (/\bwide\b/i.test(s)) return "wide";
+  if (/\bnarrow\b/i.test(s)) return "narrow";
+
+  // Multi-letter codes are unambiguous anywhere as a standalone token
+  const multi = s.match(/\b(EEEE|[246]E|EE|XW)\b/i);
+  if (multi) return widthFromCode(multi[1], opts.gender);
+
+  // Single letters only count inside parens, after "width", or as the final token.
+  // A bare trailing "W" usually means women's ("Pegasus 41 W"), so W needs the
+  // parens or "width" to count as wide.
+  const single =
+    s.match(/\(\s*([BDNW]|2A|AA)\s*\)/i) ||
+    s.match(/\bwidth\s*:?\s*([BDNW]|2A|AA)\b/i) ||
+    s.match(/\s([BDN]|2A|AA)\s*$/i);
+  if (single) return widthFromCode(single[1], opts.gender);
+
+  if (/\b(?:medium|regular)\s*(?:width|\()/i.test(s)) return "standard";
+
+  return null;
+}
+
 function stripWidths(text) {
   return normalizeWhitespace(
     String(text || "")
@@ -179,15 +241,40 @@ function looksLikeColorTail(part) {
   return false;
 }
 
-function stripTrailingColorTail(text) {
+// Single words only count as a colorway when they are actual color names;
+// the 1-word tail strip below also removes things like "GTX" that are not colors.
+const COLOR_WORDS = new Set([
+  "black", "white", "grey", "gray", "blue", "navy", "red", "green", "yellow", "orange",
+  "pink", "purple", "violet", "teal", "aqua", "silver", "gold", "beige", "brown", "tan",
+  "olive", "coral", "cream", "charcoal", "lime", "mint", "multi", "multicolor", "sand",
+  "burgundy", "maroon", "turquoise", "cyan", "magenta", "lavender", "indigo", "peach",
+]);
+
+function normalizeColorway(value) {
+  const s = normalizeWhitespace(String(value || "").replace(/\s*\/\s*/g, "/"))
+    .replace(/^[-,\s]+|[-,\s]+$/g, "");
+  if (!s || s.length > 60) return null;
+
+  return s
+    .toLowerCase()
+    .replace(/(^|[\s/-])([a-z])/g, (m, sep, ch) => `${sep}${ch.toUpperCase()}`);
+}
+
+function isColorWord(word) {
+  return COLOR_WORDS.has(String(word || "").toLowerCase());
+}
+
+// Same stripping as stripTrailingColorTail, but also returns what was removed.
+function splitTrailingColorTail(text) {
   let s = normalizeWhitespace(text);
+  const removed = [];
 
   // Hyphen tail: "Model 2 - Blue/Gold"
   const hyphenParts = s.split(/\s+-\s+/);
   if (hyphenParts.length > 1) {
     const last = hyphenParts[hyphenParts.length - 1];
     if (looksLikeColorTail(last)) {
-      hyphenParts.pop();
+      removed.unshift(hyphenParts.pop());
       s = normalizeWhitespace(hyphenParts.join(" - "));
     }
   }
@@ -197,13 +284,17 @@ function stripTrailingColorTail(text) {
   if (commaParts.length > 1) {
     const last = commaParts[commaParts.length - 1];
     if (looksLikeColorTail(last)) {
-      commaParts.pop();
+      removed.unshift(commaParts.pop());
       s = normalizeWhitespace(commaParts.join(", "));
     }
   }
 
   // Final slash tail
-  s = s.replace(/\s+[A-Za-z]+(?:\/[A-Za-z]+){1,4}\s*$/g, "");
+  const slashTail = s.match(/\s+([A-Za-z]+(?:\/[A-Za-z]+){1,4})\s*$/);
+  if (slashTail) {
+    removed.unshift(slashTail[1]);
+    s = s.slice(0, slashTail.index);
+  }
 
   // Final 1-word color-like tail, only if enough model remains
   const words = s.split(/\s+/).filter(Boolean);
@@ -212,10 +303,21 @@ function stripTrailingColorTail(text) {
     if (/^[A-Za-z]+$/.test(tail) && looksLikeColorTail(tail)) {
       words.pop();
       s = words.join(" ");
+      if (isColorWord(tail)) removed.unshift(tail);
     }
   }
 
-  return normalizeWhitespace(s);
+  const colorTail = removed.join(" ");
+  return {
+    text: normalizeWhitespace(s),
+    colorway: colorTail && (removed.length > 1 || /[\/]/.test(colorTail) || colorTail.split(/\s+/).some(isColorWord))
+      ? normalizeColorway(colorTail)
+      : null,
+  };
+}
+
+function stripTrailingColorTail(text) {
+  return splitTrailingColorTail(text).text;
 }
 
 function stripTrailingWidthCode(text) {
@@ -236,9 +338,14 @@ function cleanModelName(input, opts = {}) {
       cleanedModel: "",
       modelBase: "",
       version: null,
+      width: null,
+      colorway: null,
     };
   }
 
+  // Read the width before the width strippers below throw it away
+  const width = detectWidth(s, { gender: opts.gender });
+
   s = stripPromoNoise(s);
   s = stripBrandPrefix(s, brand, brandAliases);
   s = stripGender(s);
@@ -254,8 +361,9 @@ function cleanModelName(input, opts = {}) {
   const version = versionInfo.version;
 
   // Do NOT cut at version.
-  // Just strip known junk from the tail.
-  s = stripTrailingColorTail(s);
+  // Just strip known junk from the tail (keeping the colorway it removes).
+  const colorSplit = splitTrailingColorTail(s);
+  s = colorSplit.text;
 
   // Strip trailing width codes (e.g. "Glycerin 22 2E" → "Glycerin 22")
   s = stripTrailingWidthCode(s);
@@ -266,7 +374,25 @@ function cleanModelName(input, opts = {}) {
     cleanedModel: s,
     modelBase: s,
     version,
+    width,
+    colorway: colorSplit.colorway,
   };
 }
 
-module.exports = { cleanModelName };
+/**
+ * Colorway from a full listing name ("Ghost 16 - Black/White" -> "Black/White"),
+ * or null. Runs the same pre-cleaning as cleanModelName so the tail split sees
+ * the same text.
+ */
+function extractColorway(text, opts = {}) {
+  return cleanModelName(text, opts).colorway;
+}
+
+module.exports = {
+  cleanModelName,
+  detectWidth,
+  normalizeWidth,
+  WIDTHS,
+  extractColorway,
+  normalizeColorway,
+};
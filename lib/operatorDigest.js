@@ -0,0 +1,251 @@
+// lib/operatorDigest.js
+//
+// Operator digest emailed after /api/merge-deals finishes. Lists:
+// - scrapers that failed (trigger runners' saved results + blobs merge could not load)
+// - stores excluded by the 7-day freshness policy
+// - structural-drift anomalies (lib/scraperDrift.js)
+// - the biggest exclusion reasons from finalizeExclusionTracker
+//
+// ENV VARS:
+// - OPS_DIGEST_TO                      comma-separated recipients; digest is disabled when empty
+// - OPS_DIGEST_FROM                    sender (falls back to SENDGRID_FROM_EMAIL)
+// - OPS_DIGEST_MODE                    "issues" (default: only send when something failed,
+//                                      went stale or drifted) or "always"
+// - OPS_DIGEST_TOP_REASONS             how many exclusion reasons to list (default 5)
+// - OPS_DIGEST_MIN_REASON_COUNT        hide exclusion reasons below this count (default 1)
+// - OPS_DIGEST_RUNNER_MAX_AGE_HOURS    ignore runner results older than this (default 6)
+// - MAIL_TRANSPORT and its settings, see lib/mailer.js (SENDGRID_API_KEY by default)
+
+const { isMailConfigured, sendMail } = require("./mailer");
+const { loadRunnerResults } = require("./runnerResults");
+
+function safeArray(x) {
+  return Array.isArray(x) ? x : [];
+}
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(String(process.env[name] ?? ""), 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function getDigestConfig() {
+  return {
+    to: String(process.env.OPS_DIGEST_TO || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+    from: String(process.env.OPS_DIGEST_FROM || process.env.SENDGRID_FROM_EMAIL || "").trim(),
+    mode: String(process.env.OPS_DIGEST_MODE || "issues").trim().toLowerCase() === "always" ? "always" : "issues",
+    topReasons: intFromEnv("OPS_DIGEST_TOP_REASONS", 5),
+    minReasonCount: intFromEnv("OPS_DIGEST_MIN_REASON_COUNT", 1),
+    runnerMaxAgeHours: intFromEnv("OPS_DIGEST_RUNNER_MAX_AGE_HOURS", 6),
+  };
+}
+
+/**
+ * Collect the digest sections from the merge results.
+ * perSource / storeMetadata / mergeExclusions / scraperDrift are merge-deals' own objects.
+ */
+function buildDigest({ runs, perSource, storeMetadata, sourceNames, mergeExclusions, scraperDrift, importResult }, config) {
+  const failedScrapers = [];
+
+  for (const run of safeArray(runs)) {
+    for (const r of safeArray(run.results)) {
+      if (r.ok || r.skipped) continue;
+      failedScrapers.push({
+        name: r.name,
+        where: run.runner,
+        status: r.status,
+        error: r.error || "Unknown error",
+      });
+    }
+  }
+
+  const staleStores = [];
+
+  for (const [id, status] of Object.entries(perSource || {})) {
+    const name = sourceNames?.[id] || id;
+
+    if (!status?.ok) {
+      failedScrapers.push({ name, where: "merge-deals", status: null, error: status?.error || "Unknown error" });
+      continue;
+    }
+
+    if (status.staleExcluded) {
+      staleStores.push({
+        name,
+        ageDays: status.ageDays ?? storeMetadata?.[id]?.ageDays ?? null,
+        lastUpdated: storeMetadata?.[id]?.timestamp || null,
+      });
+    }
+  }
+
+  const exclusionReasons = safeArray(mergeExclusions?.byReason)
+    .filter((r) => r.count >= config.minReasonCount)
+    .slice(0, config.topReasons)
+    .map((r) => ({ reason: r.reason, count: r.count, stores: safeArray(r.stores) }));
+
+  const drifted = safeArray(scraperDrift?.stores).map((s) => ({
+    name: s.scraper || s.storeId,
+    messages: safeArray(s.anomalies).map((a) => a.message),
+  }));
+
+  const importFailed = importResult && importResult.success === false ? importResult.error || "Unknown error" : null;
+
+  return {
+    failedScrapers,
+    staleStores,
+    drifted,
+    exclusionReasons,
+    totalExcludedDeals: mergeExclusions?.totalExcludedDeals || 0,
+    importFailed,
+    hasIssues: !!(failedScrapers.length || staleStores.length || drifted.length || importFailed),
+  };
+}
+
+function renderText(digest, { totalDeals, dayUTC }) {
+  const lines = [`ShoeBeagle merge digest for ${dayUTC}: ${totalDeals} deals.`, ""];
+
+  if (digest.importFailed) lines.push(`DB import FAILED: ${digest.importFailed}`, "");
+
+  lines.push(`Failed scrapers (${digest.failedScrapers.length}):`);
+  for (const f of digest.failedScrapers) {
+    lines.push(`  - ${f.name} [${f.where}]${f.status ? ` HTTP ${f.status}` : ""}: ${f.error}`);
+  }
+  if (!digest.failedScrapers.length) lines.push("  none");
+
+  lines.push("", `Stale stores excluded (${digest.staleStores.length}):`);
+  for (const s of digest.staleStores) {
+    lines.push(`  - ${s.name}: ${s.ageDays ?? "?"} days old (last update ${s.lastUpdated || "unknown"})`);
+  }
+  if (!digest.staleStores.length) lines.push("  none");
+
+  if (digest.drifted.length) {
+    lines.push("", `Structural drift (${digest.drifted.length}):`);
+    for (const d of digest.drifted) lines.push(`  - ${d.name}: ${d.messages.join("; ")}`);
+  }
+
+  lines.push("", `Top exclusion reasons (${digest.totalExcludedDeals} deals excluded):`);
+  for (const r of digest.exclusionReasons) {
+    lines.push(`  - ${r.count} × ${r.reason} (${r.stores.slice(0, 5).join(", ")}${r.stores.length > 5 ? ", …" : ""})`);
+  }
+  if (!digest.exclusionReasons.length) lines.push("  none");
+
+  return lines.join("\n");
+}
+
+function renderHtml(digest, { totalDeals, dayUTC }) {
+  const list = (items, render) =>
+    items.length ? `<ul>${items.map((x) => `<li>${render(x)}</li>`).join("")}</ul>` : "<p>None.</p>";
+
+  return `
+    <div style="font-family:system-ui,-apple-system,sans-serif;color:#2d2d2d;max-width:720px;">
+      <h2 style="color:#214478;margin:0 0 6px;">Merge digest — ${escapeHtml(dayUTC)}</h2>
+      <p style="margin:0 0 16px;">${Number(totalDeals) || 0} deals merged.</p>
+      ${digest.importFailed ? `<p style="color:#b42318;"><strong>DB import failed:</strong> ${escapeHtml(digest.importFailed)}</p>` : ""}
+
+      <h3 style="color:#214478;">Failed scrapers (${digest.failedScrapers.length})</h3>
+      ${list(
+        digest.failedScrapers,
+        (f) =>
+          `<strong>${escapeHtml(f.name)}</strong> <span style="color:#666;">[${escapeHtml(f.where)}]</span>` +
+          `${f.status ? ` HTTP ${escapeHtml(f.status)}` : ""}: ${escapeHtml(f.error)}`
+      )}
+
+      <h3 style="color:#214478;">Stale stores excluded (${digest.staleStores.length})</h3>
+      ${list(
+        digest.staleStores,
+        (s) =>
+          `<strong>${escapeHtml(s.name)}</strong>: ${escapeHtml(s.ageDays ?? "?")} days old ` +
+          `(last update ${escapeHtml(s.lastUpdated || "unknown")})`
+      )}
+
+      ${
+        digest.drifted.length
+          ? `<h3 style="color:#214478;">Structural drift (${digest.drifted.length})</h3>
+             ${list(digest.drifted, (d) => `<strong>${escapeHtml(d.name)}</strong>: ${d.messages.map(escapeHtml).join("; ")}`)}`
+          : ""
+      }
+
+      <h3 style="color:#214478;">Top exclusion reasons (${digest.totalExcludedDeals} deals excluded)</h3>
+      ${list(
+        digest.exclusionReasons,
+        (r) =>
+          `<strong>${r.count}</strong> × ${escapeHtml(r.reason)} ` +
+          `<span style="color:#666;">(${escapeHtml(r.stores.slice(0, 5).join(", "))}${r.stores.length > 5 ? ", …" : ""})</span>`
+      )}
+
+      <p style="color:#999;font-size:12px;margin-top:24px;">
+        Automated operator digest from /api/merge-deals. Configure with OPS_DIGEST_* env vars.
+      </p>
+    </div>
+  `;
+}
+
+/**
+ * Build and (when configured) send the operator digest.
+ * Never throws; returns { sent, reason?, summary } for the merge response.
+ */
+async function sendOperatorDigest(mergeResult) {
+  const config = getDigestConfig();
+
+  if (!config.to.length) return { sent: false, reason: "OPS_DIGEST_TO not set" };
+  if (!isMailConfigured() || !config.from) {
+    return { sent: false, reason: "Mail transport not configured or missing OPS_DIGEST_FROM/SENDGRID_FROM_EMAIL" };
+  }
+
+  try {
+    let runs = [];
+    try {
+      runs = await loadRunnerResults({ maxAgeHours: config.runnerMaxAgeHours });
+    } catch (err) {
+      console.log("[DIGEST] Could not load runner results:", err?.message || err);
+    }
+
+    const digest = buildDigest({ ...mergeResult, runs }, config);
+    const summary = {
+      failedScrapers: digest.failedScrapers.length,
+      staleStores: digest.staleStores.length,
+      drifted: digest.drifted.length,
+      runnerResultsLoaded: runs.length,
+    };
+
+    if (config.mode === "issues" && !digest.hasIssues) {
+      return { sent: false, reason: "No issues (OPS_DIGEST_MODE=issues)", summary };
+    }
+
+    const problemCount = digest.failedScrapers.length + digest.staleStores.length + digest.drifted.length;
+    const subject = digest.hasIssues
+      ? `⚠️ ShoeBeagle merge: ${problemCount} issue${problemCount === 1 ? "" : "s"} (${mergeResult.dayUTC})`
+      : `✅ ShoeBeagle merge: all scrapers OK (${mergeResult.dayUTC})`;
+
+    await sendMail({
+      to: config.to,
+      from: config.from,
+      subject,
+      text: renderText(digest, mergeResult),
+      html: renderHtml(digest, mergeResult),
+    });
+
+    return { sent: true, recipients: config.to.length, summary };
+  } catch (err) {
+    const msg = err?.response?.body?.errors?.[0]?.message || err?.message || String(err);
+    console.error("[DIGEST] Failed to send operator digest:", msg);
+    return { sent: false, reason: msg };
+  }
+}
+
+module.exports = {
+  getDigestConfig,
+  buildDigest,
+  sendOperatorDigest,
+};
@@ -0,0 +1,175 @@
+// lib/priceHistory.js
+//
+// Append-only price observations, one row per store + listingURL + day.
+//
+// sb_shoe_deals is wiped and re-imported every day, so this table is the only
+// place prices survive between imports. import-deals-to-db writes it inside the
+// same transaction as the daily import; /api/price-history reads it.
+//
+// Re-running the import on the same day overwrites that day's row for a listing
+// (last import of the day wins) instead of adding a duplicate.
+//
+// The table is created by db/migrations/002_price_observations.sql.
+
+const OBSERVATION_BATCH_SIZE = 500;
+
+const OBSERVATION_COLUMNS = [
+  "observed_on",
+  "store",
+  "listing_url",
+  "brand",
+  "model",
+  "gender",
+  "shoe_id",
+  "sale_price",
+  "original_price",
+  "discount_percent",
+  "scraped_at",
+];
+
+function toObservedOn(isoOrDate) {
+  const d = isoOrDate ? new Date(isoOrDate) : new Date();
+  if (Number.isNaN(d.getTime())) return new Date().toISOString().split("T")[0];
+  return d.toISOString().split("T")[0];
+}
+
+// Range-priced listings are recorded at their low end, matching how
+// merge-deals and the daily-deals picker treat them.
+function observationFromDealRow(row, observedOn) {
+  const salePrice = row.sale_price != null ? row.sale_price : row.sale_price_low;
+  const originalPrice = row.original_price != null ? row.original_price : row.original_price_high;
+
+  if (salePrice == null || !Number.isFinite(Number(salePrice))) return null;
+  if (!row.store || !row.listing_url) return null;
+
+  return {
+    observed_on: observedOn,
+    store: row.store,
+    listing_url: row.listing_url,
+    brand: row.brand || "",
+    model: row.model || "",
+    gender: row.gender || "unknown",
+    shoe_id: row.shoe_id ?? null,
+    sale_price: Number(salePrice),
+    original_price: originalPrice != null && Number.isFinite(Number(originalPrice)) ? Number(originalPrice) : null,
+    discount_percent: row.discount_percent ?? row.discount_percent_up_to ?? null,
+    scraped_at: row.scraped_at || null,
+  };
+}
+
+/**
+ * Upsert today's observations for the prepared sb_shoe_deals rows.
+ * Returns the number of observation rows written.
+ */
+async function recordPriceObservations(client, dealRows, observedOn) {
+  const byKey = new Map();
+
+  for (const row of dealRows || []) {
+    const obs = observationFromDealRow(row, observedOn);
+    if (!obs) continue;
+
+    // Postgres rejects an upsert batch that touches the same key twice.
+    const key = `${obs.store}|${obs.listing_url}`;
+    const prev = byKey.get(key);
+    if (!prev || obs.sale_price < prev.sale_price) byKey.set(key, obs);
+  }
+
+  const observations = Array.from(byKey.values());
+  const colCount = OBSERVATION_COLUMNS.length;
+  let written = 0;
+
+  for (let start = 0; start < observations.length; start += OBSERVATION_BATCH_SIZE) {
+    const batch = observations.slice(start, start + OBSERVATION_BATCH_SIZE);
+    const params = [];
+    const valuesClauses = [];
+
+    for (let i = 0; i < batch.length; i++) {
+      const off = i * colCount;
+      const placeholders = OBSERVATION_COLUMNS.map((_, c) => `$${off + c + 1}`).join(",");
+      valuesClauses.push(`(${placeholders})`);
+      params.push(...OBSERVATION_COLUMNS.map((col) => batch[i][col]));
+    }
+
+    await client.query(
+      `INSERT INTO sb_price_observations (${OBSERVATION_COLUMNS.join(",")})
+       VALUES ${valuesClauses.join(",")}
+       ON CONFLICT (store, listing_url, observed_on)
+       DO UPDATE SET
+         brand            = excluded.brand,
+         model            = excluded.model,
+         gender           = excluded.gender,
+         shoe_id          = excluded.shoe_id,
+         sale_price       = excluded.sale_price,
+         original_price   = excluded.original_price,
+         discount_percent = excluded.discount_percent,
+         scraped_at       = excluded.scraped_at`,
+      params
+    );
+
+    written += batch.length;
+  }
+
+  return written;
+}
+
+/**
+ * Per-listing history before `beforeDay` (YYYY-MM-DD), keyed by
+ * "store|listing_url". Today's own row is excluded so a same-day re-run of
+ * merge-deals compares against yesterday, not against itself. firstDay and
+ * lastDay are YYYY-MM-DD strings: pg would turn a DATE into local midnight.
+ */
+async function fetchListingPriceStats(client, listings, beforeDay) {
+  const stores = [];
+  const urls = [];
+
+  for (const l of listings || []) {
+    const store = String(l?.store || "").trim();
+    const url = String(l?.listingURL || "").trim();
+    if (!store || !url) continue;
+    stores.push(store);
+    urls.push(url);
+  }
+
+  const stats = new Map();
+  if (!urls.length) return stats;
+
+  const { rows } = await client.query(
+    `
+    SELECT
+      o.store,
+      o.listing_url,
+      MIN(o.observed_on)::text AS first_day,
+      MAX(o.observed_on)::text AS last_day,
+      MIN(o.sale_price) AS low_all,
+      MIN(o.sale_price) FILTER (WHERE o.observed_on >= $3::date - 30) AS low_30,
+      MIN(o.sale_price) FILTER (WHERE o.observed_on >= $3::date - 90) AS low_90,
+      (array_agg(o.sale_price ORDER BY o.observed_on DESC))[1] AS last_price
+    FROM sb_price_observations o
+    JOIN unnest($1::text[], $2::text[]) AS l(store, listing_url)
+      ON o.store = l.store AND o.listing_url = l.listing_url
+    WHERE o.observed_on < $3::date
+    GROUP BY o.store, o.listing_url
+    `,
+    [stores, urls, beforeDay]
+  );
+
+  for (const r of rows) {
+    stats.set(`${r.store}|${r.listing_url}`, {
+      firstDay: r.first_day,
+      lastDay: r.last_day,
+      lowAll: r.low_all != null ? Number(r.low_all) : null,
+      low30: r.low_30 != null ? Number(r.low_30) : null,
+      low90: r.low_90 != null ? Number(r.low_90) : null,
+      lastPrice: r.last_price != null ? Number(r.last_price) : null,
+    });
+  }
+
+  return stats;
+}
+
+module.exports = {
+  OBSERVATION_COLUMNS,
+  recordPriceObservations,
+  fetchListingPriceStats,
+  toObservedOn,
+};
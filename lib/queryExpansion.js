@@ -0,0 +1,121 @@
+// lib/queryExpansion.js
+//
+// The query expansion algorithm, one copy for the server and the browser:
+//   - Node: lib/searchSynonyms.js requires it with the dictionary it builds
+//     (/api/search, /api/suggest, alert matching)
+//   - browser: served as public/js/search/query-synonyms.js, a copy written by
+//     `npm run build:browser-js` (scripts/build-browser-js.js) because public/ is
+//     static. Loaded as a classic script; fetches the same dictionary from
+//     /api/search-synonyms and sets SB.search.expandQuery, so "peg 41" suggests
+//     what /api/search finds. Text is returned unchanged until it has loaded.
+//
+// Dictionary: { brands, synonyms, maxWords } (see lib/searchSynonyms.js).
+// An abbreviation applies when its brand is the text's brand (`contextBrand`,
+// or a brand name/alias found in the text), or when only one brand defines it.
+// Text that already spells the expansion ("gel kayano") is kept.
+(function (root, factory) {
+  const api = factory();
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  const SB = (root.SB = root.SB || {});
+  SB.search = SB.search || {};
+
+  let dictionary = null;
+  fetch("/api/search-synonyms")
+    .then((res) => (res.ok ? res.json() : null))
+    .then((data) => {
+      if (data?.synonyms && data?.brands) dictionary = data;
+    })
+    .catch(() => {});
+
+  /** `text` with brand aliases and model abbreviations replaced; unchanged when nothing applies. */
+  SB.search.expandQuery = (text) => (dictionary ? api.expandWithDictionary(text, dictionary) : String(text || ""));
+})(typeof self !== "undefined" ? self : this, function () {
+  function squash(s) {
+    return String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  }
+
+  function splitWords(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/[®™℠]/g, "")
+      .replace(/(\d)(v\d+)\b/g, "$1 $2") // "1080v14" -> "1080 v14"
+      .split(/[\s,/]+/)
+      .filter((w) => squash(w));
+  }
+
+  /** Dictionary key of a phrase: its words squashed, space-joined ("hoka one one"). */
+  function phraseKey(text) {
+    return splitWords(text).map(squash).join(" ");
+  }
+
+  /** Whether words around [start, end) already spell `expansion` ("gel kayano", "zoomx vaporfly"). */
+  function alreadySpelled(keys, start, end, expansion, maxWords) {
+    const target = squash(expansion);
+    for (let i = Math.max(0, start - maxWords); i <= start; i++) {
+      let joined = keys.slice(i, end).join("");
+      if (joined === target) return true;
+      for (let j = end; j < Math.min(keys.length, i + maxWords + 1); j++) {
+        joined += keys[j];
+        if (joined === target) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * `text` with aliases and abbreviations replaced, lowercased; `text` unchanged
+   * when nothing applies. `contextBrand` (canonical) scopes model abbreviations.
+   */
+  function expandWithDictionary(text, { brands, synonyms, maxWords }, contextBrand = "") {
+    const words = splitWords(text);
+    const keys = words.map(squash);
+
+    for (let i = 0; i < keys.length && !contextBrand; i++) {
+      for (let n = Math.min(maxWords, keys.length - i); n >= 1 && !contextBrand; n--) {
+        contextBrand = brands[keys.slice(i, i + n).join(" ")] || "";
+      }
+    }
+
+    const out = [];
+    let changed = false;
+    let i = 0;
+
+    while (i < words.length) {
+      let matched = 0;
+      for (let n = Math.min(maxWords, words.length - i); n >= 1 && !matched; n--) {
+        const candidates = synonyms[keys.slice(i, i + n).join(" ")];
+        if (!candidates) continue;
+
+        const modelBrands = new Set(candidates.filter((c) => c.brand).map((c) => c.brand));
+        const pick =
+          candidates.find((c) => !c.brand || c.brand === contextBrand) ||
+          (modelBrands.size === 1 ? candidates.find((c) => c.brand) : null);
+        if (!pick || alreadySpelled(keys, i, i + n, pick.expansion, maxWords)) continue;
+
+        out.push(pick.expansion);
+        matched = n;
+      }
+
+      if (matched) {
+        changed = true;
+        i += matched;
+      } else {
+        out.push(words[i]);
+        i += 1;
+      }
+    }
+
+    return changed ? out.join(" ") : String(text || "");
+  }
+
+  return {
+    squash,
+    phraseKey,
+    expandWithDictionary,
+  };
+});
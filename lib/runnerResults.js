@@ -0,0 +1,99 @@
+// lib/runnerResults.js
+//
+// Persists the per-endpoint results of the trigger runners
+// (cheerio_scrapers*.js, firecrawl_scrapers_*.js, apify_scrapers.js) so the
+// operator digest sent after /api/merge-deals can report which scrapers failed.
+//
+// Each runner overwrites its own blob: runner-results/<runner>.json
+// Saving is best-effort; a blob failure is logged and never fails the runner.
+
+const { put, list } = require("@vercel/blob");
+
+const RUNNER_RESULTS_PREFIX = "runner-results/";
+
+function toArrayOfResults(results) {
+  if (Array.isArray(results)) return results;
+  if (results && typeof results === "object") {
+    return Object.entries(results).map(([key, r]) => ({ key, ...(r || {}) }));
+  }
+  return [];
+}
+
+function pickError(r) {
+  const fromBody = (x) => (x && typeof x === "object" ? x.error || null : null);
+  const err = r.error || fromBody(r.json) || fromBody(r.response) || fromBody(r.body) || r.reason || null;
+  if (err) return String(err).slice(0, 500);
+  if (!r.ok && !r.skipped && r.status) return `HTTP ${r.status}`;
+  return null;
+}
+
+/**
+ * Normalize the runners' different result shapes into
+ * [{ name, path, ok, skipped, status, durationMs, error }].
+ */
+function summarizeRunnerResults(results) {
+  return toArrayOfResults(results).map((r) => ({
+    name: r.name || r.key || r.path || "unknown",
+    path: r.path || null,
+    ok: !!r.ok,
+    skipped: !!r.skipped,
+    status: r.status ?? null,
+    durationMs: r.durationMs ?? r.elapsedMs ?? null,
+    error: r.ok ? null : pickError(r),
+  }));
+}
+
+async function saveRunnerResult(runner, { startedAt, results }) {
+  const payload = {
+    runner,
+    startedAt: startedAt || null,
+    finishedAt: new Date().toISOString(),
+    results: summarizeRunnerResults(results),
+  };
+
+  try {
+    await put(`${RUNNER_RESULTS_PREFIX}${runner}.json`, JSON.stringify(payload, null, 2), {
+      access: "public",
+      addRandomSuffix: false,
+    });
+  } catch (err) {
+    console.error(`[${runner}] Could not save runner results:`, err?.message || err);
+  }
+
+  return payload;
+}
+
+/**
+ * Load every runner's latest results. Runs that finished more than maxAgeHours
+ * ago are dropped (they belong to a previous cron cycle).
+ */
+async function loadRunnerResults({ maxAgeHours = 6, nowMs = Date.now() } = {}) {
+  const { blobs } = await list({ prefix: RUNNER_RESULTS_PREFIX });
+
+  const loaded = await Promise.all(
+    (blobs || []).map(async (b) => {
+      try {
+        const resp = await fetch(`${b.url}?_=${nowMs}`);
+        if (!resp.ok) return null;
+        return await resp.json();
+      } catch {
+        return null;
+      }
+    })
+  );
+
+  return loaded
+    .filter(Boolean)
+    .filter((run) => {
+      const finishedMs = new Date(run.finishedAt).getTime();
+      return Number.isFinite(finishedMs) && nowMs - finishedMs <= maxAgeHours * 3600000;
+    })
+    .sort((a, b) => String(a.runner).localeCompare(String(b.runner)));
+}
+
+module.exports = {
+  RUNNER_RESULTS_PREFIX,
+  summarizeRunnerResults,
+  saveRunnerResult,
+  loadRunnerResults,
+};
@@ -0,0 +1,502 @@
+// lib/scraper-runtime.js
+//
+// Shared runtime for the per-store scrapers in /api/scrapers.
+//
+// A scraper declares WHAT to fetch and HOW to read one page; the runtime owns
+// everything that used to be copy-pasted into each file:
+//   - GET-only + CRON_SECRET check
+//   - timing (scrapeDurationMs) and the standard output envelope
+//   - dedupe / drop bookkeeping (dropCounts, droppedDeals)
+//   - assertDealSchema validation of every emitted deal
+//   - the put(<blobName>) write and a health record via writeScraperHealth
+//
+// USAGE (api/scrapers/<store>.js):
+//
+//   export default defineScraper({
+//     store: "Running Warehouse",
+//     via: "cheerio",
+//     blobName: "running-warehouse.json",
+//     async *fetchPages(ctx) {
+//       yield { url, html: await fetchTextWithTimeout(url, { headers: HTML_HEADERS }) };
+//     },
+//     parseListing(page, ctx) {
+//       // page.$ is a loaded cheerio doc when the page has `html`,
+//       // page.json is passed through untouched for API scrapers.
+//       return [buildDeal({ ... })];
+//     },
+//   });
+//
+// fetchPages is an async generator so pagination can stop early: after each
+// yielded page is parsed, ctx.lastPage holds { url, dealsExtracted } for it.
+//
+// The returned handler also exposes handler.scrape(), which runs fetch + parse
+// without writing blobs (used by the offline fixture harness).
+//
+// Compared with the per-file code it replaced, a scraper on this runtime:
+//   - drops deals that fail assertDealSchema instead of writing them (they
+//     show up in dropCounts.schemaInvalid and droppedDeals)
+//   - reads gender with the shared detectGender, which also takes a bare
+//     "men"/"women"; some of the old copies required "men's" or "mens"
+//   - writes health-<blobName> after its blob (healthFileName overrides it)
+// test/scrapers/run-runtime-checks.js covers all three.
+
+const cheerio = require("cheerio");
+const { put } = require("@vercel/blob");
+const { assertDealSchema } = require("./dealSchema");
+const { canonicalBrandModelHelper } = require("./canonical-brand-models");
+const { writeScraperHealth } = require("./scraperHealth");
+
+const SCHEMA_VERSION = 1;
+const MAX_DROPPED_DEALS_LOG = 200;
+
+const BROWSER_USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
+
+const HTML_HEADERS = {
+  "User-Agent": BROWSER_USER_AGENT,
+  Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.9",
+};
+
+const JSON_HEADERS = {
+  "User-Agent": BROWSER_USER_AGENT,
+  Accept: "application/json,text/plain,*/*",
+  "Accept-Language": "en-US,en;q=0.9",
+};
+
+/** ------------ Shared helpers ------------ **/
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function normalizeWhitespace(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function absolutizeUrl(u, base) {
+  let url = String(u || "").trim();
+  if (!url) return "";
+  if (/^https?:\/\//i.test(url)) return url;
+  if (url.startsWith("//")) return "https:" + url;
+  if (url.startsWith("/")) return base.replace(/\/+$/, "") + url;
+  return base.replace(/\/+$/, "") + "/" + url.replace(/^\/+/, "");
+}
+
+function pickBestImgUrl($, $img, base) {
+  if (!$img || !$img.length) return null;
+
+  const direct =
+    $img.attr("data-src") ||
+    $img.attr("data-original") ||
+    $img.attr("data-lazy") ||
+    $img.attr("src");
+
+  const srcset = $img.attr("data-srcset") || $img.attr("srcset");
+
+  let candidate = (direct || "").trim();
+
+  if (!candidate && srcset) {
+    const parts = srcset
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const last = parts[parts.length - 1] || "";
+    candidate = (last.split(" ")[0] || "").trim();
+  }
+
+  if (!candidate || candidate.startsWith("data:") || candidate === "#") return null;
+  return absolutizeUrl(candidate, base);
+}
+
+function parseBrandModelFromCanonical(listingName, rawBrandHint = "") {
+  return canonicalBrandModelHelper.parseBrandModelFromText(listingName, rawBrandHint);
+}
+
+// URL path segments win over text; pass "" as listingURL when the feed URL is
+// not trustworthy (e.g. the same tile appears in both mens and womens feeds).
+function detectGender(listingURL, listingName, extraText = "") {
+  const urlLower = (listingURL || "").toLowerCase();
+  const combined = `${urlLower} ${listingName || ""} ${extraText || ""}`.toLowerCase();
+
+  if (/\/mens?[\/-]|\/men\/|men-/.test(urlLower)) return "mens";
+  if (/\/womens?[\/-]|\/women\/|women-/.test(urlLower)) return "womens";
+
+  if (/\b(men'?s?|mens|male)\b/i.test(combined)) return "mens";
+  if (/\b(women'?s?|womens|female|ladies)\b/i.test(combined)) return "womens";
+  if (/\bunisex\b/i.test(combined)) return "unisex";
+
+  return "unknown";
+}
+
+function detectShoeType(listingName, extraText = "") {
+  const combined = `${listingName || ""} ${extraText || ""}`.toLowerCase();
+
+  if (/\b(track|spike|spikes)\b/.test(combined)) return "track";
+  if (/\b(trail|trail running|off[- ]road)\b/.test(combined)) return "trail";
+  if (/\b(road|running shoe|running shoes)\b/.test(combined)) return "road";
+
+  return "unknown";
+}
+
+function computeDiscountPercent(originalPrice, salePrice) {
+  if (!Number.isFinite(originalPrice) || !Number.isFinite(salePrice)) return null;
+  if (originalPrice <= 0 || salePrice <= 0) return null;
+  if (salePrice >= originalPrice) return 0;
+  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
+}
+
+function parseDollar(txt) {
+  const m = String(txt || "").match(/\$\s*([\d,]+(?:\.\d{1,2})?)/);
+  if (!m) return null;
+  const n = parseFloat(m[1].replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseMoneyLike(value) {
+  const n = parseFloat(String(value ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function randomDelay(min = 800, max = 1400) {
+  const wait = Math.floor(Math.random() * (max - min + 1)) + min;
+  return new Promise((resolve) => setTimeout(resolve, wait));
+}
+
+function buildDeal({
+  listingName,
+  brand,
+  model,
+  salePrice,
+  originalPrice,
+  discountPercent,
+  salePriceLow,
+  salePriceHigh,
+  originalPriceLow,
+  originalPriceHigh,
+  discountPercentUpTo,
+  store,
+  listingURL,
+  imageURL,
+  gender,
+  shoeType,
+  sizesAvailable,
+  sizeSystem,
+}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+
+    listingName: listingName || "",
+
+    brand: brand || "Unknown",
+    model: model || "",
+
+    salePrice: Number.isFinite(salePrice) ? salePrice : null,
+    originalPrice: Number.isFinite(originalPrice) ? originalPrice : null,
+    discountPercent: Number.isFinite(discountPercent) ? discountPercent : null,
+
+    // Set instead of the exact prices when a tile shows a range ("$89.95 - $119.95")
+    salePriceLow: Number.isFinite(salePriceLow) ? salePriceLow : null,
+    salePriceHigh: Number.isFinite(salePriceHigh) ? salePriceHigh : null,
+    originalPriceLow: Number.isFinite(originalPriceLow) ? originalPriceLow : null,
+    originalPriceHigh: Number.isFinite(originalPriceHigh) ? originalPriceHigh : null,
+    discountPercentUpTo: Number.isFinite(discountPercentUpTo) ? discountPercentUpTo : null,
+
+    store: store || "",
+
+    listingURL: listingURL || "",
+    imageURL: imageURL || null,
+
+    gender: gender || "unknown",
+    shoeType: shoeType || "unknown",
+
+    // Only scrapers that see variant data set these (see lib/sizes.js).
+    ...(Array.isArray(sizesAvailable) ? { sizesAvailable, sizeSystem: sizeSystem || "US" } : {}),
+  };
+}
+
+async function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const resp = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+    });
+
+    if (!resp.ok) {
+      const err = new Error(`HTTP ${resp.status} for ${url}`);
+      err.status = resp.status; // e.g. to treat 429 as "stop here" rather than a failed run
+      throw err;
+    }
+
+    return resp;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchTextWithTimeout(url, options = {}, timeoutMs = 30000) {
+  const resp = await fetchWithTimeout(url, options, timeoutMs);
+  return resp.text();
+}
+
+async function fetchJsonWithTimeout(url, options = {}, timeoutMs = 30000) {
+  const resp = await fetchWithTimeout(url, options, timeoutMs);
+  return resp.json();
+}
+
+/** ------------ Run context ------------ **/
+
+function createContext(store) {
+  const ctx = {
+    store,
+    sourceUrls: [],
+    pagesFetched: 0,
+    dealsFound: 0,
+    dropCounts: {},
+    droppedDeals: [],
+    lastPage: null,
+    state: {}, // scraper-private bookkeeping (e.g. per-seed duplicate counts)
+
+    seenUrls: new Set(),
+
+    found(n = 1) {
+      ctx.dealsFound += n;
+    },
+
+    // Returns true the first time a listing URL is seen in this run.
+    markSeen(listingURL) {
+      if (ctx.seenUrls.has(listingURL)) return false;
+      ctx.seenUrls.add(listingURL);
+      return true;
+    },
+
+    drop(reason, payload = {}) {
+      if (ctx.dropCounts[reason] == null) ctx.dropCounts[reason] = 0;
+      ctx.dropCounts[reason]++;
+      if (ctx.droppedDeals.length < MAX_DROPPED_DEALS_LOG) {
+        ctx.droppedDeals.push({ reason, ...payload });
+      }
+    },
+  };
+
+  return ctx;
+}
+
+function toParsablePage(page) {
+  if (page && typeof page.html === "string" && !page.$) {
+    return { ...page, $: cheerio.load(page.html) };
+  }
+  return page;
+}
+
+/**
+ * Runs fetchPages + parseListing and returns the deals plus run metrics.
+ * Never writes blobs.
+ */
+async function runScrape(definition) {
+  const ctx = createContext(definition.store);
+  const deals = [];
+
+  for await (const rawPage of definition.fetchPages(ctx)) {
+    if (!rawPage) continue;
+
+    if (rawPage.url && !ctx.sourceUrls.includes(rawPage.url)) ctx.sourceUrls.push(rawPage.url);
+    ctx.pagesFetched++;
+
+    const page = toParsablePage(rawPage);
+    const parsed = (await definition.parseListing(page, ctx)) || [];
+
+    let dealsExtracted = 0;
+    for (const deal of parsed) {
+      const errors = assertDealSchema(deal);
+      if (errors.length) {
+        ctx.drop("schemaInvalid", {
+          listingName: deal?.listingName || "",
+          listingURL: deal?.listingURL || "",
+          errors,
+        });
+        continue;
+      }
+      deals.push(deal);
+      dealsExtracted++;
+    }
+
+    ctx.lastPage = { url: rawPage.url || null, dealsExtracted };
+  }
+
+  return {
+    deals,
+    sourceUrls: ctx.sourceUrls,
+    pagesFetched: ctx.pagesFetched,
+    dealsFound: ctx.dealsFound,
+    dealsExtracted: deals.length,
+    dropCounts: ctx.dropCounts,
+    droppedDeals: ctx.droppedDeals,
+    droppedDealsLogged: ctx.droppedDeals.length,
+    droppedDealsLogCapped: Object.values(ctx.dropCounts).reduce((a, b) => a + b, 0) > MAX_DROPPED_DEALS_LOG,
+    extra: typeof definition.summarize === "function" ? definition.summarize(ctx) || {} : {},
+  };
+}
+
+function buildOutput(definition, { timestamp, durationMs, result, error }) {
+  const ok = !error;
+
+  return {
+    store: definition.store,
+    schemaVersion: SCHEMA_VERSION,
+
+    lastUpdated: timestamp,
+    via: definition.via,
+
+    sourceUrls: ok ? result.sourceUrls : [],
+    pagesFetched: ok ? result.pagesFetched : null,
+
+    dealsFound: ok ? result.dealsFound : null,
+    dealsExtracted: ok ? result.dealsExtracted : 0,
+
+    scrapeDurationMs: durationMs,
+
+    ok,
+    error: ok ? null : error?.message || "Unknown error",
+
+    dropCounts: ok ? result.dropCounts : null,
+    droppedDealsLogged: ok ? result.droppedDealsLogged : 0,
+    droppedDealsLogCapped: ok ? result.droppedDealsLogCapped : false,
+    droppedDeals: ok ? result.droppedDeals : [],
+
+    ...(ok ? result.extra : {}),
+
+    deals: ok ? result.deals : [],
+  };
+}
+
+async function writeHealthSafely(definition, output, blobUrl) {
+  try {
+    await writeScraperHealth({
+      healthFileName: definition.healthFileName || `health-${definition.blobName}`,
+      store: definition.store,
+      segment: definition.segment || "all",
+      ok: output.ok,
+      totalDeals: output.dealsExtracted,
+      durationMs: output.scrapeDurationMs,
+      error: output.error,
+      extra: {
+        via: output.via,
+        pagesFetched: output.pagesFetched,
+        dealsFound: output.dealsFound,
+        dropCounts: output.dropCounts,
+        blobUrl,
+      },
+    });
+  } catch (e) {
+    console.error(`[${definition.store}] health write failed:`, e?.message || e);
+  }
+}
+
+/** ------------ defineScraper ------------ **/
+
+function defineScraper(definition) {
+  for (const key of ["store", "via", "blobName"]) {
+    if (!definition?.[key]) throw new Error(`defineScraper: missing ${key}`);
+  }
+  for (const key of ["fetchPages", "parseListing"]) {
+    if (typeof definition[key] !== "function") throw new Error(`defineScraper: ${key} must be a function`);
+  }
+
+  const handler = async function scraperHandler(req, res) {
+    if (req.method !== "GET") {
+      return res.status(405).json({ success: false, error: "Method not allowed" });
+    }
+
+    // CRON_SECRET
+    const auth = req.headers.authorization;
+    if (process.env.CRON_SECRET && auth !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+
+    const start = Date.now();
+    const timestamp = nowIso();
+
+    let result = null;
+    let error = null;
+
+    try {
+      result = await runScrape(definition);
+    } catch (err) {
+      error = err || new Error("Unknown error");
+    }
+
+    const output = buildOutput(definition, {
+      timestamp,
+      durationMs: Date.now() - start,
+      result,
+      error,
+    });
+
+    let blob;
+    try {
+      blob = await put(definition.blobName, JSON.stringify(output, null, 2), {
+        access: "public",
+        addRandomSuffix: false,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        store: definition.store,
+        error: `Blob write failed: ${err?.message || "Unknown error"}`,
+      });
+    }
+
+    await writeHealthSafely(definition, output, blob.url);
+
+    if (!output.ok) {
+      return res.status(500).json({
+        success: false,
+        store: definition.store,
+        blobUrl: blob.url,
+        error: output.error,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      store: definition.store,
+      blobUrl: blob.url,
+      dealsExtracted: output.dealsExtracted,
+      dropCounts: output.dropCounts,
+      scrapeDurationMs: output.scrapeDurationMs,
+    });
+  };
+
+  handler.definition = definition;
+  handler.scrape = () => runScrape(definition);
+  return handler;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MAX_DROPPED_DEALS_LOG,
+  HTML_HEADERS,
+  JSON_HEADERS,
+
+  defineScraper,
+  runScrape,
+
+  nowIso,
+  normalizeWhitespace,
+  absolutizeUrl,
+  pickBestImgUrl,
+  parseBrandModelFromCanonical,
+  detectGender,
+  detectShoeType,
+  computeDiscountPercent,
+  parseDollar,
+  parseMoneyLike,
+  randomDelay,
+  buildDeal,
+  fetchTextWithTimeout,
+  fetchJsonWithTimeout,
+};
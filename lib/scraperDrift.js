@@ -0,0 +1,272 @@
+// lib/scraperDrift.js
+//
+// Structural-drift detection for scraper output.
+//
+// When a retailer changes its page layout, a scraper rarely fails outright: it
+// keeps "succeeding" while returning fewer deals, or deals whose image/MSRP
+// selectors no longer match. merge-deals profiles each source's raw blob output
+// every day (summarizeDealStructure) and stores the profile on that day's
+// scraper-data.json record. detectScraperDrift then compares today's profile
+// against the same store's profiles from the rolling 30-day history.
+//
+// Profiles are taken from the raw scraper output (before merge filtering), so
+// they describe what the scraper produced rather than what survived the merge.
+
+const DRIFT_THRESHOLDS = {
+  // Need this many prior successful runs before a store is judged at all.
+  minBaselineDays: 5,
+
+  // dealCount: flag when today is below this fraction of the baseline median...
+  countDropRatio: 0.5,
+  // ...but only for stores whose baseline median is big enough to be meaningful.
+  minBaselineCount: 10,
+
+  // null-rate metrics: flag when today's rate exceeds the baseline median by this much (0-1).
+  nullRateIncrease: 0.25,
+
+  // distributions: flag when total variation distance from the baseline mix reaches this (0-1).
+  distributionShift: 0.3,
+};
+
+function safeArray(x) {
+  return Array.isArray(x) ? x : [];
+}
+
+function toNumber(x) {
+  if (x == null) return null;
+  const n = typeof x === "string" ? parseFloat(String(x).replace(/,/g, "")) : x;
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(n, digits = 3) {
+  if (!Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function median(values) {
+  const nums = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!nums.length) return null;
+  const mid = Math.floor(nums.length / 2);
+  return nums.length % 2 ? nums[mid] : (nums[mid - 1] + nums[mid]) / 2;
+}
+
+function categoryKey(value) {
+  const s = String(value ?? "").trim().toLowerCase();
+  return s || "unknown";
+}
+
+function toShares(counts, total) {
+  const out = {};
+  for (const [k, n] of Object.entries(counts)) out[k] = total ? round(n / total) : 0;
+  return out;
+}
+
+/**
+ * Profile one source's raw deals.
+ * Returns { dealCount, nullImageRate, nullOriginalPriceRate, gender, shoeType }
+ * where gender/shoeType are share-of-deals maps (e.g. { mens: 0.5, womens: 0.5 }).
+ */
+function summarizeDealStructure(deals) {
+  const list = safeArray(deals).filter(Boolean);
+  const total = list.length;
+
+  let nullImage = 0;
+  let nullOriginalPrice = 0;
+  const gender = {};
+  const shoeType = {};
+
+  for (const d of list) {
+    const img = d.imageURL ?? d.imageUrl ?? d.image ?? null;
+    if (typeof img !== "string" || !img.trim() || img.includes("placehold.co")) nullImage += 1;
+
+    const original = toNumber(d.originalPrice) ?? toNumber(d.originalPriceLow);
+    if (!Number.isFinite(original) || original <= 0) nullOriginalPrice += 1;
+
+    const g = categoryKey(d.gender);
+    gender[g] = (gender[g] || 0) + 1;
+
+    const t = categoryKey(d.shoeType);
+    shoeType[t] = (shoeType[t] || 0) + 1;
+  }
+
+  return {
+    dealCount: total,
+    nullImageRate: total ? round(nullImage / total) : null,
+    nullOriginalPriceRate: total ? round(nullOriginalPrice / total) : null,
+    gender: toShares(gender, total),
+    shoeType: toShares(shoeType, total),
+  };
+}
+
+function averageShares(maps) {
+  const sums = {};
+  for (const m of maps) {
+    for (const [k, v] of Object.entries(m || {})) sums[k] = (sums[k] || 0) + (Number(v) || 0);
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(sums)) out[k] = round(v / maps.length);
+  return out;
+}
+
+// Total variation distance: half the sum of absolute share differences (0 = same mix, 1 = disjoint).
+function distributionDistance(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  let sum = 0;
+  for (const k of keys) sum += Math.abs((Number(a?.[k]) || 0) - (Number(b?.[k]) || 0));
+  return round(sum / 2);
+}
+
+function describeShares(shares) {
+  return Object.entries(shares || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([k, v]) => `${k} ${Math.round(v * 100)}%`)
+    .join(", ");
+}
+
+function pctText(rate) {
+  return Number.isFinite(rate) ? `${Math.round(rate * 100)}%` : "—";
+}
+
+function recordKey(rec) {
+  return `${rec?.storeId || ""}::${rec?.scraper || ""}`;
+}
+
+/**
+ * Build each store's baseline from prior days of scraper-data.json.
+ * Only successful runs that carry a structure profile count towards it.
+ */
+function buildBaselines(priorDays) {
+  const byKey = new Map();
+
+  for (const day of safeArray(priorDays)) {
+    for (const rec of safeArray(day?.scrapers)) {
+      if (!rec?.ok || !rec.structure || rec.structure.dealCount == null) continue;
+      const key = recordKey(rec);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(rec.structure);
+    }
+  }
+
+  const baselines = new Map();
+  for (const [key, profiles] of byKey) {
+    baselines.set(key, {
+      days: profiles.length,
+      dealCount: median(profiles.map((p) => p.dealCount)),
+      nullImageRate: median(profiles.map((p) => p.nullImageRate)),
+      nullOriginalPriceRate: median(profiles.map((p) => p.nullOriginalPriceRate)),
+      gender: averageShares(profiles.map((p) => p.gender)),
+      shoeType: averageShares(profiles.map((p) => p.shoeType)),
+    });
+  }
+
+  return baselines;
+}
+
+function compareToBaseline(today, baseline, thresholds) {
+  const anomalies = [];
+
+  if (
+    Number.isFinite(baseline.dealCount) &&
+    baseline.dealCount >= thresholds.minBaselineCount &&
+    today.dealCount < baseline.dealCount * thresholds.countDropRatio
+  ) {
+    anomalies.push({
+      metric: "dealCount",
+      today: today.dealCount,
+      baseline: baseline.dealCount,
+      message: `Deal count ${today.dealCount} vs baseline median ${baseline.dealCount}`,
+    });
+  }
+
+  // Rates and mixes are meaningless for an empty run; the count check already covers it.
+  if (!today.dealCount) return anomalies;
+
+  const rateChecks = [
+    ["nullImageRate", "Missing-image rate"],
+    ["nullOriginalPriceRate", "Missing-originalPrice rate"],
+  ];
+
+  for (const [metric, label] of rateChecks) {
+    const t = today[metric];
+    const b = baseline[metric];
+    if (!Number.isFinite(t) || !Number.isFinite(b)) continue;
+    if (t - b >= thresholds.nullRateIncrease) {
+      anomalies.push({
+        metric,
+        today: t,
+        baseline: b,
+        message: `${label} ${pctText(t)} vs baseline ${pctText(b)}`,
+      });
+    }
+  }
+
+  for (const metric of ["gender", "shoeType"]) {
+    const distance = distributionDistance(today[metric], baseline[metric]);
+    if (distance >= thresholds.distributionShift) {
+      anomalies.push({
+        metric,
+        today: today[metric],
+        baseline: baseline[metric],
+        distance,
+        message: `${metric} mix shifted by ${pctText(distance)} (today: ${describeShares(
+          today[metric]
+        )}; baseline: ${describeShares(baseline[metric])})`,
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * Compare today's scraper-data records against the rolling history.
+ *
+ * priorDays:     scraper-data.json `days` entries, excluding today
+ * todayRecords:  today's records (from buildTodayScraperRecord, with `structure`)
+ *
+ * Sets `drift` (array of anomalies, or null when there is no usable baseline)
+ * on every today record that has a structure profile, and returns a summary
+ * suitable for stats.json.
+ */
+function detectScraperDrift(priorDays, todayRecords, thresholds = DRIFT_THRESHOLDS) {
+  const baselines = buildBaselines(priorDays);
+  const stores = [];
+  let checked = 0;
+
+  for (const rec of safeArray(todayRecords)) {
+    if (!rec?.ok || !rec.structure) continue;
+
+    const baseline = baselines.get(recordKey(rec));
+    if (!baseline || baseline.days < thresholds.minBaselineDays) {
+      rec.drift = null;
+      continue;
+    }
+
+    checked += 1;
+    const anomalies = compareToBaseline(rec.structure, baseline, thresholds);
+    rec.drift = anomalies;
+
+    if (anomalies.length) {
+      stores.push({
+        storeId: rec.storeId,
+        scraper: rec.scraper,
+        baselineDays: baseline.days,
+        anomalies,
+      });
+    }
+  }
+
+  return {
+    checkedStores: checked,
+    flaggedStores: stores.length,
+    thresholds,
+    stores,
+  };
+}
+
+module.exports = {
+  DRIFT_THRESHOLDS,
+  summarizeDealStructure,
+  detectScraperDrift,
+};
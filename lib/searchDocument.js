@@ -0,0 +1,57 @@
+// lib/searchDocument.js
+//
+// Extra words stored with each deal (sb_shoe_deals.search_aliases) so /api/search
+// finds it under the names people type, not only the scraped brand/model:
+//   - the brand's aliases from lib/canonical-brands-models.json ("NB", "Hoka One One")
+//   - the canonical brand and line (lib/shoeIdentity.js) when the scraped text differs
+//   - multi-word names squashed into one word ("gelnimbus", "newbalance")
+//
+// Written by api/import-deals-to-db.js. The full-text and trigram indexes that
+// api/search.js queries are built from it plus brand, model and listing_name
+// (db/migrations/016_deal_search_document.sql).
+
+const { canonicalBrandModelHelper } = require("./canonical-brand-models");
+const { shoeIdentity } = require("./shoeIdentity");
+
+function squash(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function words(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[®™℠°]/g, "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/** Space-separated lowercase alias words for one deal; "" when there are none. */
+function searchAliases(brand, model) {
+  const identity = shoeIdentity(brand, model);
+  const known = new Set([...words(brand), ...words(model)]);
+  const out = new Set();
+
+  const add = (text) => {
+    for (const w of words(text)) {
+      if (!known.has(w)) out.add(w);
+    }
+  };
+
+  // Multi-word aliases also go in squashed, for "hokaoneone" / "onrunning"
+  for (const alias of canonicalBrandModelHelper.getBrandAliases(identity.brand || brand)) {
+    add(alias);
+    if (/\s/.test(alias.trim())) add(squash(alias));
+  }
+  add(squash(identity.brand));
+  add(identity.line);
+
+  for (const name of [model, identity.line]) {
+    if (/[\s-]/.test(String(name || "").trim())) add(squash(name));
+  }
+
+  return Array.from(out).join(" ");
+}
+
+module.exports = {
+  searchAliases,
+};
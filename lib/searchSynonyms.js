@@ -0,0 +1,65 @@
+// lib/searchSynonyms.js
+//
+// Query expansion shared by /api/search, the search box suggestions and alert
+// matching, so "peg 41", "nb 1080" or "kayano" mean the same shoe everywhere:
+//   - brand aliases from lib/canonical-brands-models.json ("NB" -> "new balance")
+//   - curated model abbreviations per brand from lib/search-abbreviations.json
+//     ("peg" -> "pegasus" for Nike, "sg" -> "speedgoat" for HOKA)
+//
+// This module builds the dictionary; the algorithm lives in
+// lib/queryExpansion.js, which the browser runs (as a copy in public/) on the
+// same dictionary from /api/search-synonyms.
+
+const abbreviations = require("./search-abbreviations.json");
+const { canonicalBrandModelHelper } = require("./canonical-brand-models");
+const { squash, phraseKey, expandWithDictionary } = require("./queryExpansion");
+
+let dictionary = null;
+
+/**
+ * { brands, synonyms, maxWords }
+ *   brands    phrase key -> canonical brand, for every brand name and alias
+ *   synonyms  phrase key -> [{ brand, expansion }]; brand is null for brand aliases
+ */
+function synonymDictionary() {
+  if (dictionary) return dictionary;
+
+  const brands = {};
+  const synonyms = {};
+  const add = (key, brand, expansion) => {
+    if (!key) return;
+    (synonyms[key] = synonyms[key] || []).push({ brand, expansion });
+  };
+
+  for (const brand of canonicalBrandModelHelper.getCanonicalBrandKeys()) {
+    for (const alias of canonicalBrandModelHelper.getBrandAliases(brand)) {
+      const key = phraseKey(alias);
+      if (key && !(key in brands)) brands[key] = brand;
+      if (squash(alias) !== squash(brand)) add(key, null, brand.toLowerCase());
+    }
+  }
+
+  for (const [brand, entries] of Object.entries(abbreviations)) {
+    for (const [abbreviation, model] of Object.entries(entries)) {
+      add(phraseKey(abbreviation), brand, model.toLowerCase());
+    }
+  }
+
+  const maxWords = Math.max(1, ...Object.keys(synonyms).map((k) => k.split(" ").length));
+  dictionary = { brands, synonyms, maxWords };
+  return dictionary;
+}
+
+/**
+ * `text` with aliases and abbreviations replaced, lowercased; `text` unchanged
+ * when nothing applies. `brand` scopes model abbreviations (a deal's brand).
+ */
+function expandQuery(text, { brand } = {}) {
+  const contextBrand = canonicalBrandModelHelper.resolveCanonicalBrand(brand) || "";
+  return expandWithDictionary(text, synonymDictionary(), contextBrand);
+}
+
+module.exports = {
+  expandQuery,
+  synonymDictionary,
+};
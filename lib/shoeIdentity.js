@@ -0,0 +1,201 @@
+// lib/shoeIdentity.js
+//
+// Canonical shoe identity for alert matching (api/alerts.js, api/cron/check-alerts.js).
+//
+// An identity is { brand, line, version, known }:
+//   brand    canonical brand (canonicalBrandModelHelper.parseBrandModelFromText)
+//   line     canonical model from lib/canonical-brands-models.json, longest match
+//            wins so "Ghost Max 2" is the Ghost Max line, not Ghost. A word right
+//            after it that isn't a version or a width/gender/GTX tag makes a
+//            different line ("Ghost Trail" is not Ghost)
+//   version  the token after the line ("2", "v3", "13"), "" when none
+//   known    false when the line isn't in the canonical list; line is then the
+//            model text without its version
+//
+// Model text is read through lib/searchSynonyms.js first, so an alert for
+// "peg 41" is the Pegasus 41 that /api/search finds for the same words.
+//
+// Alerts match in one of two modes:
+//   "line"   same brand and line, any version ("any Ghost", not Ghost Max)
+//   "exact"  same shoe: equal sb_shoe_database ids when both sides have one,
+//            otherwise same brand, line and version
+
+const { canonicalBrandModelHelper } = require("./canonical-brand-models");
+const { expandQuery } = require("./searchSynonyms");
+
+const MATCH_MODES = ["line", "exact"];
+const DEFAULT_MATCH_MODE = "line";
+
+const VERSION_RE = /^v?\d+(\.\d+)?$/i;
+
+// Words that follow a model name without changing which shoe it is
+const DESCRIPTOR_TOKENS = new Set([
+  "gtx", "goretex", "gore", "tex", "wide", "extra", "narrow", "mens", "men", "womens", "women", "s",
+  "unisex", "running", "run", "shoe", "shoes", "d", "b", "2e", "4e", "2a",
+]);
+
+// Longest canonical model names are a few words; windows never need to be wider
+const MAX_LINE_TOKENS = 5;
+
+function squash(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function tokenize(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[®™℠]/g, "")
+    .replace(/(\d)(v\d+)\b/g, "$1 $2") // "1080v13" -> "1080 v13"
+    .split(/[^a-z0-9.]+/)
+    .map((t) => t.replace(/^\.+|\.+$/g, ""))
+    .filter(Boolean);
+}
+
+function normalizeVersion(v) {
+  return squash(v).replace(/^v(?=\d)/, "");
+}
+
+function normalizeMatchMode(value) {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return DEFAULT_MATCH_MODE;
+  return MATCH_MODES.includes(s) ? s : undefined;
+}
+
+/** Longest canonical model of `brand` found as whole tokens in `tokens`. */
+function findCanonicalLine(brand, tokens) {
+  let best = null;
+
+  for (const candidate of canonicalBrandModelHelper.getCanonicalModels(brand)) {
+    const target = squash(candidate);
+    if (!target || (best && target.length <= best.key.length)) continue;
+
+    for (let i = 0; i < tokens.length; i++) {
+      let joined = "";
+      for (let j = i; j < Math.min(tokens.length, i + MAX_LINE_TOKENS); j++) {
+        joined += squash(tokens[j]);
+        if (joined === target) {
+          best = { line: candidate, key: target, start: i, end: j + 1 };
+          break;
+        }
+        if (!target.startsWith(joined)) break;
+      }
+      if (best?.key === target) break;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Identity of a brand + model pair. `version` overrides the parsed one (deals
+ * that carry a separate version field).
+ */
+function shoeIdentity(brand, model, { version } = {}) {
+  const rawBrand = String(brand || "").trim();
+  const rawModel = String(model || "").trim();
+
+  const parsed = canonicalBrandModelHelper.parseBrandModelFromText(`${rawBrand} ${rawModel}`.trim(), rawBrand);
+  const canonicalBrand = parsed.brand && parsed.brand !== "Unknown" ? parsed.brand : rawBrand;
+
+  // Model text without the brand, when a listing name was passed as the model
+  const brandKeys = new Set(
+    [canonicalBrand, rawBrand].map((b) => tokenize(b).join(" ")).filter(Boolean)
+  );
+  let tokens = tokenize(expandQuery(rawModel, { brand: canonicalBrand }));
+  for (const key of brandKeys) {
+    const brandTokens = key.split(" ");
+    if (brandTokens.every((t, i) => tokens[i] === t)) tokens = tokens.slice(brandTokens.length);
+  }
+
+  const found = canonicalBrand ? findCanonicalLine(canonicalBrand, tokens) : null;
+
+  let line;
+  let parsedVersion = "";
+  if (found) {
+    line = found.line;
+    const next = tokens[found.end] || "";
+    if (VERSION_RE.test(next)) parsedVersion = next;
+    else if (next && !DESCRIPTOR_TOKENS.has(next)) line = `${found.line} ${next}`;
+  } else {
+    // Unknown line: everything before the last version-like token
+    let k = -1;
+    tokens.forEach((t, i) => {
+      if (i > 0 && VERSION_RE.test(t)) k = i;
+    });
+    line = (k > 0 ? tokens.slice(0, k) : tokens).filter((t) => !DESCRIPTOR_TOKENS.has(t)).join(" ");
+    parsedVersion = k > 0 ? tokens[k] : "";
+  }
+
+  return {
+    brand: canonicalBrand,
+    line,
+    version: normalizeVersion(version != null && String(version).trim() ? version : parsedVersion),
+    known: !!found && line === found.line,
+  };
+}
+
+function identityKey(identity) {
+  return `${squash(identity.brand)}|${squash(identity.line)}`;
+}
+
+/**
+ * Whether a deal is the alert's shoe.
+ *   alertIdentity / dealIdentity   from shoeIdentity()
+ *   shoeIds                        { alert, deal } sb_shoe_database ids (null when unknown)
+ */
+function identityMatches(alertIdentity, dealIdentity, mode = DEFAULT_MATCH_MODE, shoeIds = {}) {
+  if (!alertIdentity.line) {
+    // Brand-only alert
+    return !alertIdentity.brand || squash(alertIdentity.brand) === squash(dealIdentity.brand);
+  }
+
+  if (mode === "exact" && shoeIds.alert != null && shoeIds.deal != null) {
+    return String(shoeIds.alert) === String(shoeIds.deal);
+  }
+
+  if (identityKey(alertIdentity) !== identityKey(dealIdentity)) return false;
+  if (mode !== "exact" || !alertIdentity.version) return true;
+  return alertIdentity.version === dealIdentity.version;
+}
+
+function dbGender(gender) {
+  const g = String(gender || "").trim().toLowerCase();
+  return g === "mens" || g === "womens" ? g : "unknown";
+}
+
+/**
+ * sb_shoe_database id for an exact-version alert ({ brand, model, gender }), or
+ * null when the shoe isn't in the database yet. Matches the shoe's brand, model
+ * and version columns loosely (case and punctuation ignored); a row for the
+ * alert's gender wins over unisex/unknown rows.
+ */
+async function resolveShoeId(db, { brand, model, gender }) {
+  const identity = shoeIdentity(brand, model);
+  if (!identity.line || !identity.version) return null;
+
+  const { rows } = await db.query(
+    `SELECT id
+       FROM sb_shoe_database
+      WHERE regexp_replace(lower(brand), '[^a-z0-9]', '', 'g') IN ($1, $2)
+        AND (
+          (regexp_replace(lower(model), '[^a-z0-9]', '', 'g') = $3
+            AND regexp_replace(lower(coalesce(version, '')), '^v|[^a-z0-9]', '', 'g') = $4)
+          OR regexp_replace(lower(model), '[^a-z0-9]', '', 'g') = $3 || $4
+        )
+        AND gender IN ($5, 'unisex', 'unknown')
+      ORDER BY (gender = $5) DESC, id
+      LIMIT 1`,
+    [squash(identity.brand), squash(brand), squash(identity.line), identity.version, dbGender(gender)]
+  );
+  return rows[0] ? Number(rows[0].id) : null;
+}
+
+module.exports = {
+  MATCH_MODES,
+  DEFAULT_MATCH_MODE,
+  normalizeMatchMode,
+  shoeIdentity,
+  identityKey,
+  identityMatches,
+  resolveShoeId,
+};
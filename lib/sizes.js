@@ -0,0 +1,120 @@
+// lib/sizes.js
+//
+// Shoe-size helpers shared by scrapers (sizesAvailable capture), merge-deals
+// (normalization) and the alerts API / check-alerts cron (size matching).
+//
+// Canonical form:
+//   sizesAvailable: ["7", "7.5", "8", ...]   strings, half sizes as ".5", sorted ascending
+//   sizeSystem:     "US" | "UK" | "EU"
+//
+// A deal with sizesAvailable null means "unknown", NOT "no sizes left".
+
+const SIZE_SYSTEMS = ["US", "UK", "EU"];
+const DEFAULT_SIZE_SYSTEM = "US";
+
+function normalizeSizeSystem(raw) {
+  const s = String(raw || "").trim().toUpperCase();
+  if (!s) return null;
+  if (/\bEU\b|\bEUR\b/.test(s)) return "EU";
+  if (/\bUK\b/.test(s)) return "UK";
+  if (/\bUS\b/.test(s)) return "US";
+  return SIZE_SYSTEMS.includes(s) ? s : null;
+}
+
+/**
+ * "9", "9.5", "9 1/2", "9½", "US 9.5", "9.5 D", "M9.5 / W11" -> "9.5"
+ * Returns null when no plausible size is found.
+ */
+function normalizeSize(raw) {
+  if (raw == null) return null;
+  const s = String(raw).replace(/½/g, ".5").replace(/\s+1\/2\b/g, ".5").trim();
+
+  const m = s.match(/(\d{1,2})(?:\.(\d))?/);
+  if (!m) return null;
+
+  const whole = parseInt(m[1], 10);
+  const tenth = m[2] ? parseInt(m[2], 10) : 0;
+  const n = whole + tenth / 10;
+  if (!Number.isFinite(n) || n <= 0 || n > 60) return null;
+
+  return Number.isInteger(n) ? String(whole) : String(n);
+}
+
+/** Deduped, sorted canonical sizes; null when nothing usable. */
+function normalizeSizeList(list) {
+  if (!Array.isArray(list)) return null;
+
+  const sizes = new Set();
+  for (const raw of list) {
+    const size = normalizeSize(raw);
+    if (size) sizes.add(size);
+  }
+
+  if (!sizes.size) return null;
+  return [...sizes].sort((a, b) => parseFloat(a) - parseFloat(b));
+}
+
+function findShopifySizeOption(product) {
+  const options = Array.isArray(product?.options) ? product.options : [];
+
+  for (let i = 0; i < options.length; i++) {
+    const opt = options[i];
+    const name = typeof opt === "string" ? opt : opt?.name;
+    if (!/size/i.test(String(name || ""))) continue;
+
+    const position = Number(opt?.position) || i + 1;
+    return { key: `option${position}`, system: normalizeSizeSystem(name) || DEFAULT_SIZE_SYSTEM };
+  }
+
+  return null;
+}
+
+function isDiscountedShopifyVariant(v) {
+  const sale = parseFloat(String(v?.price ?? "").replace(/[^0-9.]/g, ""));
+  const original = parseFloat(String(v?.compare_at_price ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(sale) && Number.isFinite(original) && sale > 0 && original > sale;
+}
+
+/**
+ * Sizes from a Shopify products.json product.
+ * Only available variants count, and by default only discounted ones
+ * (a size that is only left at full price is not part of the deal).
+ * Returns { sizesAvailable, sizeSystem }, both null when the product has no size option.
+ */
+function shopifySizes(product, { discountedOnly = true } = {}) {
+  const option = findShopifySizeOption(product);
+  if (!option) return { sizesAvailable: null, sizeSystem: null };
+
+  const variants = Array.isArray(product?.variants) ? product.variants : [];
+  const raw = variants
+    .filter((v) => v && v.available !== false)
+    .filter((v) => !discountedOnly || isDiscountedShopifyVariant(v))
+    .map((v) => v[option.key]);
+
+  const sizesAvailable = normalizeSizeList(raw) || [];
+  return { sizesAvailable, sizeSystem: option.system };
+}
+
+/**
+ * Alert size matching: the deal must carry the size in the same system.
+ * Deals without size data never match a size-specific alert.
+ */
+function dealHasSize(deal, size, sizeSystem = DEFAULT_SIZE_SYSTEM) {
+  const wanted = normalizeSize(size);
+  if (!wanted) return true;
+
+  if (!Array.isArray(deal?.sizesAvailable)) return false;
+  if ((deal.sizeSystem || DEFAULT_SIZE_SYSTEM) !== (sizeSystem || DEFAULT_SIZE_SYSTEM)) return false;
+
+  return deal.sizesAvailable.some((s) => normalizeSize(s) === wanted);
+}
+
+module.exports = {
+  SIZE_SYSTEMS,
+  DEFAULT_SIZE_SYSTEM,
+  normalizeSize,
+  normalizeSizeList,
+  normalizeSizeSystem,
+  shopifySizes,
+  dealHasSize,
+};
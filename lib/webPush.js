@@ -0,0 +1,189 @@
+// lib/webPush.js
+//
+// Web Push delivery for browser-notification alerts (api/push.js, api/alerts.js,
+// api/cron/check-alerts.js). Implements what the web-push package would:
+//   - VAPID (RFC 8292): an ES256 JWT per push service origin, signed with our key
+//   - payload encryption (RFC 8291, "aes128gcm"): the JSON payload is encrypted
+//     to the browser's p256dh key and auth secret, so push services can't read it
+//
+// Subscriptions are what PushManager.subscribe() returns (toJSON()):
+//   { endpoint, keys: { p256dh, auth } }
+//
+// ENV VARS:
+// - VAPID_PUBLIC_KEY   base64url, uncompressed P-256 point (65 bytes)
+// - VAPID_PRIVATE_KEY  base64url, P-256 private scalar (32 bytes)
+// - VAPID_SUBJECT      mailto: or https: contact for push services
+//                      (defaults to mailto:SENDGRID_ALERTS_EMAIL, then SITE_BASE_URL)
+//
+// Generate a key pair once with:
+//   node -e "console.log(require('./lib/webPush').generateVapidKeys())"
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+const PUSH_TIMEOUT_MS = 15000;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function fromB64url(str) {
+  return Buffer.from(String(str || "").replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function vapidKeys() {
+  return {
+    publicKey: String(process.env.VAPID_PUBLIC_KEY || "").trim(),
+    privateKey: String(process.env.VAPID_PRIVATE_KEY || "").trim(),
+  };
+}
+
+function isPushConfigured() {
+  const { publicKey, privateKey } = vapidKeys();
+  return fromB64url(publicKey).length === 65 && fromB64url(privateKey).length === 32;
+}
+
+/** The application server key browsers pass to PushManager.subscribe(). */
+function vapidPublicKey() {
+  return isPushConfigured() ? vapidKeys().publicKey : "";
+}
+
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+function vapidSubject() {
+  if (process.env.VAPID_SUBJECT) return process.env.VAPID_SUBJECT;
+  const email = process.env.SENDGRID_ALERTS_EMAIL || process.env.SENDGRID_FROM_EMAIL;
+  if (email) return `mailto:${email}`;
+  return (process.env.SITE_BASE_URL || "https://shoebeagle.com").replace(/\/+$/, "");
+}
+
+/** Authorization header value for one push service (RFC 8292 "vapid" scheme). */
+function vapidAuthorization(endpoint, nowMs = Date.now()) {
+  const { publicKey, privateKey } = vapidKeys();
+  const pub = fromB64url(publicKey);
+
+  const key = crypto.createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: b64url(pub.subarray(1, 33)),
+      y: b64url(pub.subarray(33, 65)),
+      d: privateKey,
+    },
+    format: "jwk",
+  });
+
+  const header = b64url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = b64url(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(nowMs / 1000) + JWT_TTL_SECONDS,
+      sub: vapidSubject(),
+    })
+  );
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${claims}`), { key, dsaEncoding: "ieee-p1363" });
+
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${publicKey}`;
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * RFC 8291 aes128gcm body for one subscription. `salt` and `localPrivateKey`
+ * are random per message; they are parameters only so the RFC's test vector
+ * can be reproduced.
+ */
+function encryptPayload(payload, keys, { salt = crypto.randomBytes(16), localPrivateKey = null } = {}) {
+  const uaPublic = fromB64url(keys?.p256dh);
+  const authSecret = fromB64url(keys?.auth);
+  if (uaPublic.length !== 65 || authSecret.length < 16) throw new Error("Invalid push subscription keys");
+
+  const ecdh = crypto.createECDH("prime256v1");
+  if (localPrivateKey) ecdh.setPrivateKey(localPrivateKey);
+  else ecdh.generateKeys();
+  const asPublic = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+
+  // HKDF with single-block expands (all outputs are <= 32 bytes)
+  const prkKey = hmac(authSecret, sharedSecret);
+  const ikm = hmac(prkKey, Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic, Buffer.from([1])]));
+  const prk = hmac(salt, ikm);
+  const cek = hmac(prk, Buffer.from("Content-Encoding: aes128gcm\0\x01")).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from("Content-Encoding: nonce\0\x01")).subarray(0, 12);
+
+  // One record; 0x02 marks it as the last
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE) throw new Error("Push payload too large");
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+/**
+ * Send one notification. `payload` is JSON-encoded for public/sw.js:
+ *   { title, body, url, tag? }
+ * Throws on failure; err.statusCode is the push service's status and err.gone is
+ * true for 404/410, meaning the subscription no longer exists.
+ */
+async function sendNotification(subscription, payload, { ttl = DEFAULT_TTL_SECONDS, urgency = "normal" } = {}) {
+  if (!isPushConfigured()) throw new Error("Missing VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY");
+
+  const endpoint = String(subscription?.endpoint || "");
+  if (!/^https:\/\//i.test(endpoint)) throw new Error("Invalid push endpoint");
+
+  const body = encryptPayload(JSON.stringify(payload), subscription.keys);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PUSH_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        Authorization: vapidAuthorization(endpoint),
+        "Content-Encoding": "aes128gcm",
+        "Content-Type": "application/octet-stream",
+        TTL: String(ttl),
+        Urgency: urgency,
+      },
+      body,
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    const err = new Error(`Push service ${res.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+    err.statusCode = res.status;
+    err.gone = res.status === 404 || res.status === 410;
+    throw err;
+  }
+
+  return { statusCode: res.status };
+}
+
+module.exports = {
+  isPushConfigured,
+  vapidPublicKey,
+  generateVapidKeys,
+  vapidAuthorization,
+  encryptPayload,
+  sendNotification,
+};
@@ -21,9 +21,26 @@
   const brandSug = document.getElementById("sbBrandSug");
   const modelSug = document.getElementById("sbModelSug");
   const genderWrap = document.getElementById("sbGender");
+  const anyBrandEl = document.getElementById("sbAnyBrand");
+  const anyModelEl = document.getElementById("sbAnyModel");
+  const versionRow = document.getElementById("sbVersionRow");
+  const versionEl = document.getElementById("sbAlertVersion");
+  const moreEl = document.getElementById("sbAlertMore");
+  const typeEl = document.getElementById("sbAlertType");
+  const discountEl = document.getElementById("sbAlertDiscount");
+  const storesEl = document.getElementById("sbAlertStores");
+  const lifetimeEl = document.getElementById("sbAlertLifetime");
+  const channelRow = document.getElementById("sbChannelRow");
+  const channelPush = document.getElementById("sbChannelPush");
+  const confirmTitle = document.getElementById("sbConfirmTitle");
+  const confirmMsg = document.getElementById("sbConfirmMsg");
+  const confirmPushMsg = document.getElementById("sbConfirmPushMsg");
+  const confirmManage = document.getElementById("sbConfirmManage");
   const btn = document.getElementById("sbSetAlertBtn");
   const status = document.getElementById("sbStatus");
   const API_ALERTS = "/api/alerts";
+  const API_STORES = "/api/canonical-stores";
+  const TYPE_LABELS = { road: "Road", trail: "Trail", track: "Track", xc: "Cross-country" };
   if (!backdrop || !closeBtn || !form || !emailEl || !brandEl || !modelEl || !priceEl || !genderWrap || !btn) return;
 
   let brandModels = {}, brands = [], BRAND_CANON = new Map(), lastFocus = null, busy = false, selectedGender = "";
@@ -42,19 +59,35 @@
   function toggleClear(input) { const w = input.closest(".sb-input-wrap"); const c = w?.querySelector(".sb-clear"); if (c) c.style.display = input.value.trim() ? "flex" : "none"; }
 
   const emailWrap = wrapOf(emailEl), brandWrap = wrapOf(brandEl), modelWrap = wrapOf(modelEl), priceWrap = priceEl.closest(".sb-price-wrap");
-  function clearNextHighlight() { [emailWrap, brandWrap, modelWrap].forEach((w) => w?.classList.remove("sb-next")); genderWrap.classList.remove("sb-next"); priceWrap?.classList.remove("sb-next"); }
-  function markNext(t) { clearNextHighlight(); if (t === "email") emailWrap?.classList.add("sb-next"); if (t === "brand") brandWrap?.classList.add("sb-next"); if (t === "model") modelWrap?.classList.add("sb-next"); if (t === "gender") genderWrap.classList.add("sb-next"); if (t === "price") priceWrap?.classList.add("sb-next"); }
+  function clearNextHighlight() { [emailWrap, brandWrap, modelWrap].forEach((w) => w?.classList.remove("sb-next")); genderWrap.classList.remove("sb-next"); priceWrap?.classList.remove("sb-next"); moreEl?.classList.remove("sb-next"); }
+  function markNext(t) { clearNextHighlight(); if (t === "email") emailWrap?.classList.add("sb-next"); if (t === "brand") brandWrap?.classList.add("sb-next"); if (t === "model") modelWrap?.classList.add("sb-next"); if (t === "gender") genderWrap.classList.add("sb-next"); if (t === "price") priceWrap?.classList.add("sb-next"); if (t === "more" && moreEl) { moreEl.classList.add("sb-next"); moreEl.open = true; } }
   function hideStatus() { status.hidden = true; status.textContent = ""; status.className = "sb-status"; }
   function showStatus(msg, ok = false) { status.hidden = false; status.className = "sb-status " + (ok ? "ok" : "err"); status.textContent = msg; }
   function setBusy(v) { busy = v; btn.disabled = v; btn.textContent = v ? "Setting..." : "Set Alert"; }
   function setEnabled(el, on) { el.disabled = !on; if (!on) { el.value = ""; toggleClear(el); } }
   function setGender(g) { selectedGender = String(g || ""); genderWrap.querySelectorAll(".sb-gender-option").forEach((o) => { const on = (o.getAttribute("data-g") || "") === selectedGender; o.classList.toggle("active", on); o.setAttribute("aria-checked", on ? "true" : "false"); }); }
 
-  const isEmailOk = () => !!(sanitize(emailEl.value).toLowerCase().includes("@"));
-  const isBrandOk = () => !!resolveBrandKey(sanitize(brandEl.value));
+  // Optional criteria: any brand / any model toggles, shoe type, minimum discount, stores
+  const isAnyBrand = () => !!anyBrandEl?.checked;
+  const isAnyModel = () => isAnyBrand() || !!anyModelEl?.checked;
+  const versionMode = () => (versionRow?.querySelector('input[name="sbVersionMode"]:checked')?.value === "exact" && !isAnyModel() ? "exact" : "line");
+  const isVersionOk = () => versionMode() !== "exact" || /^v?\d+(\.\d+)?$/i.test(sanitize(versionEl?.value));
+  const selectedType = () => String(typeEl?.value || "");
+  const selectedLifetime = () => { const d = parseInt(String(lifetimeEl?.value || ""), 10); return Number.isFinite(d) && d > 0 ? d : 30; };
+  const selectedDiscount = () => { const d = parseInt(String(discountEl?.value || ""), 10); return Number.isFinite(d) && d > 0 ? d : null; };
+  const selectedStores = () => (storesEl ? Array.from(storesEl.selectedOptions).map((o) => o.value).filter(Boolean) : []);
+  function resetCriteria() { if (anyBrandEl) anyBrandEl.checked = false; if (anyModelEl) anyModelEl.checked = false; if (typeEl) typeEl.value = ""; if (discountEl) discountEl.value = ""; if (lifetimeEl) lifetimeEl.value = "30"; if (storesEl) Array.from(storesEl.options).forEach((o) => { o.selected = false; }); if (moreEl) moreEl.open = false; versionRow?.querySelectorAll('input[name="sbVersionMode"]').forEach((r) => { r.checked = r.value === "line"; }); if (versionEl) { versionEl.value = ""; versionEl.hidden = true; } }
+
+  // "push" alerts go to this browser (web-push.js) and need no email
+  const isPush = () => channelRow?.querySelector('input[name="sbChannel"]:checked')?.value === "push";
+  function setChannel(c) { channelRow?.querySelectorAll('input[name="sbChannel"]').forEach((r) => { r.checked = r.value === c; }); if (emailWrap) emailWrap.hidden = c === "push"; }
+  const isEmailOk = () => isPush() || !!(sanitize(emailEl.value).toLowerCase().includes("@"));
+  const isBrandOk = () => isAnyBrand() || !!resolveBrandKey(sanitize(brandEl.value));
   const isGenderOk = () => selectedGender === "mens" || selectedGender === "womens";
-  const isPriceOk = () => { const p = parseInt(String(priceEl.value || ""), 10); return Number.isFinite(p) && p > 0; };
-  function isModelOk() { const bk = resolveBrandKey(sanitize(brandEl.value)); if (!bk) return false; const m = sanitize(modelEl.value).toLowerCase(); return !!m && getModelsForBrandKey(bk).some((x) => String(x).trim().toLowerCase() === m); }
+  const isPriceOk = () => { const p = parseInt(String(priceEl.value || ""), 10); return (Number.isFinite(p) && p > 0) || !!selectedDiscount(); };
+  // An any-brand alert needs something else to narrow it down
+  const isScopeOk = () => !isAnyBrand() || !!selectedType() || selectedStores().length > 0;
+  function isModelOk() { if (isAnyModel()) return isBrandOk(); const bk = resolveBrandKey(sanitize(brandEl.value)); if (!bk) return false; const m = sanitize(modelEl.value).toLowerCase(); return !!m && getModelsForBrandKey(bk).some((x) => String(x).trim().toLowerCase() === m); }
 
   function score(cand, q) { const c = String(cand || ""); const cl = c.toLowerCase(); q = String(q || "").trim().toLowerCase(); if (!q) return 0; const cs = squash(c), qs = squash(q); let s = 0; if (cl.startsWith(q)) s += 120; if (cl.includes(q)) s += 80; if (qs.length >= 3 && cs.includes(qs)) s += 110; return s - Math.min(c.length, 30) * 0.25; }
   function topMatches(list, typed, limit = 10) { const q = String(typed || "").trim(); if (!q) return []; return list.map((v) => ({ v, s: score(v, q) })).filter((x) => x.s > 0).sort((a, b) => b.s - a.s).slice(0, limit).map((x) => x.v); }
@@ -67,19 +100,23 @@
   }
 
   function syncStepUI({ focusNext = false } = {}) {
-    const emailOk = isEmailOk(), brandOk = isBrandOk(), modelOk = isModelOk(), genderOk = isGenderOk(), priceOk = isPriceOk();
-    setEnabled(brandEl, emailOk); if (!emailOk) { setEnabled(modelEl, false); setGender(""); setEnabled(priceEl, false); }
-    setEnabled(modelEl, emailOk && brandOk); const genderEnabled = emailOk && brandOk && modelOk; genderWrap.classList.toggle("sb-disabled", !genderEnabled);
+    const emailOk = isEmailOk(), brandOk = isBrandOk(), modelOk = isModelOk() && isVersionOk(), genderOk = isGenderOk(), priceOk = isPriceOk(), scopeOk = isScopeOk();
+    setEnabled(brandEl, emailOk && !isAnyBrand()); if (!emailOk) { setEnabled(modelEl, false); setGender(""); setEnabled(priceEl, false); }
+    setEnabled(modelEl, emailOk && brandOk && !isAnyModel()); const genderEnabled = emailOk && brandOk && modelOk; genderWrap.classList.toggle("sb-disabled", !genderEnabled);
+    if (anyBrandEl) { anyBrandEl.disabled = !emailOk; anyBrandEl.closest(".sb-any")?.classList.toggle("sb-disabled", !emailOk); }
+    if (anyModelEl) { const on = emailOk && brandOk && !isAnyBrand(); anyModelEl.disabled = !on; if (isAnyBrand()) anyModelEl.checked = true; anyModelEl.closest(".sb-any")?.classList.toggle("sb-disabled", !on); }
+    if (versionRow) { const on = emailOk && isModelOk() && !isAnyModel(); versionRow.classList.toggle("sb-disabled", !on); versionRow.querySelectorAll("input").forEach((i) => { i.disabled = !on; }); if (versionEl) versionEl.hidden = versionMode() !== "exact"; }
     if (!genderEnabled) { setGender(""); setEnabled(priceEl, false); }
     setEnabled(priceEl, emailOk && brandOk && modelOk && genderOk); if (!(emailOk && brandOk && modelOk && genderOk)) { priceEl.value = ""; toggleClear(priceEl); }
-    btn.disabled = busy || !(emailOk && brandOk && modelOk && genderOk && priceOk);
-    if (!emailOk) markNext("email"); else if (!brandOk) markNext("brand"); else if (!modelOk) markNext("model"); else if (!genderOk) markNext("gender"); else if (!priceOk) markNext("price"); else markNext(null);
-    if (focusNext) { if (!emailOk) emailEl.focus(); else if (!brandOk) brandEl.focus(); else if (!modelOk) modelEl.focus(); else if (!genderOk) genderWrap.querySelector(".sb-gender-option")?.focus(); else if (!priceOk) priceEl.focus(); }
+    btn.disabled = busy || !(emailOk && brandOk && modelOk && genderOk && priceOk && scopeOk);
+    if (!emailOk) markNext("email"); else if (!brandOk) markNext("brand"); else if (!modelOk) markNext("model"); else if (!genderOk) markNext("gender"); else if (!scopeOk) markNext("more"); else if (!priceOk) markNext("price"); else markNext(null);
+    if (focusNext) { if (!emailOk) emailEl.focus(); else if (!brandOk) brandEl.focus(); else if (!modelOk) modelEl.focus(); else if (!genderOk) genderWrap.querySelector(".sb-gender-option")?.focus(); else if (!scopeOk) typeEl?.focus(); else if (!priceOk) priceEl.focus(); }
   }
 
   function openModal(prefillEmail) {
     lastFocus = document.activeElement; hideStatus(); confirmBox.hidden = true; maxedBox.hidden = true; formView.hidden = false;
-    emailEl.value = prefillEmail ? String(prefillEmail).trim().toLowerCase() : ""; brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender("");
+    if (channelPush) channelPush.hidden = !SB.alerts.push?.isSupported(); setChannel("email");
+    emailEl.value = prefillEmail ? String(prefillEmail).trim().toLowerCase() : ""; brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender(""); resetCriteria();
     [emailEl, brandEl, modelEl, priceEl].forEach(toggleClear); closeSuggestions(); backdrop.classList.add("open"); backdrop.setAttribute("aria-hidden", "false");
     document.body.style.overflow = "hidden"; syncStepUI({ focusNext: true });
   }
@@ -93,6 +130,14 @@
     brandModels = (await res.json()) || {}; brands = Object.keys(brandModels).sort((a, b) => a.localeCompare(b)); BRAND_CANON = new Map();
     for (const b of brands) { BRAND_CANON.set(normKey(b), b); for (const alias of getAliasesForBrandKey(b)) BRAND_CANON.set(normKey(alias), b); }
   }
+  async function loadStores() {
+    if (!storesEl) return;
+    const res = await fetch(API_STORES, { cache: "no-store" });
+    if (!res.ok) throw new Error(`Failed to load stores: ${res.status}`);
+    const list = await res.json(); const names = [...new Set((Array.isArray(list) ? list : []).filter((s) => s && s.enabled !== false && s.displayName).map((s) => String(s.displayName)))].sort((a, b) => a.localeCompare(b));
+    storesEl.innerHTML = ""; names.forEach((n) => { const o = document.createElement("option"); o.value = n; o.textContent = n; storesEl.appendChild(o); });
+  }
+  (async () => { try { await loadStores(); } catch (e) { console.error("[Set Alert] Failed loading stores:", e?.message || String(e)); moreEl?.querySelector(".sb-more-wide")?.setAttribute("hidden", ""); } })();
   (async () => { try { await loadCanonicalBrandModels(); } catch (e) { console.error("[Set Alert] Failed loading canonical brand/models:", e?.message || String(e)); brandModels = {}; brands = []; BRAND_CANON = new Map(); } })();
 
   openers.forEach((el) => el.addEventListener("click", (e) => { e.preventDefault(); SB.alerts.openPriceAlert(); }));
@@ -102,6 +147,7 @@
 
   emailEl.addEventListener("input", () => { toggleClear(emailEl); hideStatus(); syncStepUI(); });
   emailEl.addEventListener("blur", () => syncStepUI());
+  channelRow?.addEventListener("change", () => { setChannel(isPush() ? "push" : "email"); hideStatus(); syncStepUI({ focusNext: true }); });
   brandEl.addEventListener("input", () => { toggleClear(brandEl); hideStatus(); const bk = resolveBrandKey(brandEl.value); if (!bk) { modelEl.value = ""; toggleClear(modelEl); closeSuggestions("model"); setGender(""); priceEl.value = ""; toggleClear(priceEl); }
     if (!isEmailOk()) return syncStepUI(); const t = brandEl.value.trim(); if (!t) { closeSuggestions("brand"); return syncStepUI(); }
     renderSug(brandSug, topMatches(brands, t, 12), "brand", (v) => { brandEl.value = v; toggleClear(brandEl); closeSuggestions("brand"); syncStepUI({ focusNext: true }); }); syncStepUI(); });
@@ -109,6 +155,11 @@
     const pool = getModelsForBrandKey(resolveBrandKey(brandEl.value)); const t = modelEl.value.trim(); if (!t) { closeSuggestions("model"); return syncStepUI(); }
     renderSug(modelSug, topMatches(pool, t, 6), "model", (v) => { modelEl.value = v; toggleClear(modelEl); closeSuggestions("model"); syncStepUI({ focusNext: true }); }); syncStepUI(); });
   priceEl.addEventListener("input", () => { priceEl.value = normalizeWholeDollars(priceEl.value); toggleClear(priceEl); hideStatus(); syncStepUI(); });
+  anyBrandEl?.addEventListener("change", () => { if (anyBrandEl.checked) { brandEl.value = ""; modelEl.value = ""; [brandEl, modelEl].forEach(toggleClear); closeSuggestions(); } else if (anyModelEl) anyModelEl.checked = false; hideStatus(); syncStepUI({ focusNext: true }); });
+  anyModelEl?.addEventListener("change", () => { if (anyModelEl.checked) { modelEl.value = ""; toggleClear(modelEl); closeSuggestions("model"); } hideStatus(); syncStepUI({ focusNext: true }); });
+  versionRow?.addEventListener("change", () => { hideStatus(); syncStepUI(); if (versionMode() === "exact") versionEl?.focus(); });
+  versionEl?.addEventListener("input", () => { hideStatus(); syncStepUI(); });
+  [typeEl, discountEl, storesEl].forEach((el) => el?.addEventListener("change", () => { hideStatus(); syncStepUI(); }));
   priceEl.addEventListener("keypress", (e) => { if (e.key && !/[0-9]/.test(e.key)) e.preventDefault(); });
   genderWrap.addEventListener("click", (e) => { if (genderWrap.classList.contains("sb-disabled")) return showStatus("Fill out the fields above first."); const opt = e.target.closest(".sb-gender-option"); if (!opt) return; setGender(opt.getAttribute("data-g") || ""); hideStatus(); syncStepUI({ focusNext: true }); });
   genderWrap.addEventListener("keydown", (e) => { const opt = e.target.closest(".sb-gender-option"); if (!opt) return; if (e.key === "Enter" || e.key === " ") { e.preventDefault(); setGender(opt.getAttribute("data-g") || ""); hideStatus(); syncStepUI({ focusNext: true }); } });
@@ -119,17 +170,19 @@
     if (!res.ok) { const err = new Error(data?.error ? String(data.error) : `HTTP ${res.status}: Failed to create alert`); err.code = data?.code ? String(data.code) : ""; throw err; }
     return data;
   }
-  function showSuccess(brand, model, gender, price) { confirmDetails.innerHTML = `<div><strong>Shoe:</strong> ${esc(brand)} ${esc(model)}</div><div><strong>Gender:</strong> ${esc(gender === "mens" ? "Men’s" : "Women’s")}</div><div><strong>Target Price:</strong> $${esc(String(price))} or less</div>`; hideStatus(); closeSuggestions(); formView.hidden = true; maxedBox.hidden = true; confirmBox.hidden = false; brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender(""); [brandEl, modelEl, priceEl].forEach(toggleClear); syncStepUI(); }
-  function showMaxedOut() { hideStatus(); closeSuggestions(); formView.hidden = true; confirmBox.hidden = true; maxedBox.hidden = false; brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender(""); [brandEl, modelEl, priceEl].forEach(toggleClear); syncStepUI(); }
+  function shoeLabel(p) { const type = p.shoeType ? TYPE_LABELS[p.shoeType] || p.shoeType : ""; if (p.brand && p.model) { const notes = [p.matchMode === "exact" ? "" : "any version", type].filter(Boolean); return `${p.brand} ${p.model}${notes.length ? ` (${notes.join(", ")})` : ""}`; } return `Any ${p.brand ? `${p.brand} ` : ""}${type ? `${type.toLowerCase()} ` : ""}shoe`; }
+  function showSuccess(p, manageUrl) { confirmDetails.innerHTML = `<div><strong>Shoe:</strong> ${esc(shoeLabel(p))}</div><div><strong>Gender:</strong> ${esc(p.gender === "mens" ? "Men’s" : "Women’s")}</div>${p.stores.length ? `<div><strong>Stores:</strong> ${esc(p.stores.join(", "))}</div>` : ""}${p.targetPrice ? `<div><strong>Target Price:</strong> $${esc(String(p.targetPrice))} or less</div>` : ""}${p.minDiscount ? `<div><strong>Discount:</strong> ${esc(String(p.minDiscount))}% off or more</div>` : ""}<div><strong>Duration:</strong> ${esc(String(p.lifetimeDays))} days${p.channel === "push" ? "" : " from confirmation"}</div>`; const push = p.channel === "push"; if (confirmTitle) confirmTitle.textContent = push ? "✓ Alert Set – Watch for Notifications" : "✓ Almost Done – Check Your Email"; if (confirmMsg) confirmMsg.hidden = push; if (confirmPushMsg) confirmPushMsg.hidden = !push; if (confirmManage && manageUrl) confirmManage.href = manageUrl; hideStatus(); closeSuggestions(); formView.hidden = true; maxedBox.hidden = true; confirmBox.hidden = false; brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender(""); resetCriteria(); [brandEl, modelEl, priceEl].forEach(toggleClear); syncStepUI(); }
+  function showMaxedOut() { hideStatus(); closeSuggestions(); formView.hidden = true; confirmBox.hidden = true; maxedBox.hidden = false; brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender(""); resetCriteria(); [brandEl, modelEl, priceEl].forEach(toggleClear); syncStepUI(); }
 
   form.addEventListener("submit", async (e) => {
     e.preventDefault(); if (busy) return; hideStatus(); confirmBox.hidden = true; maxedBox.hidden = true; syncStepUI();
-    if (!isEmailOk()) return showStatus("Please enter a valid email address."); if (!isBrandOk()) return showStatus("Please choose a brand from the list."); if (!isModelOk()) return showStatus("Please choose a model from the list."); if (!isGenderOk()) return showStatus("Select a gender."); if (!isPriceOk()) return showStatus("Please enter a valid target price (whole dollars).");
-    const email = sanitize(emailEl.value).toLowerCase(), brand = resolveBrandKey(sanitize(brandEl.value)) || sanitize(brandEl.value), model = sanitize(modelEl.value), targetPrice = parseInt(String(priceEl.value || ""), 10), gender = selectedGender;
+    if (!isEmailOk()) return showStatus("Please enter a valid email address."); if (!isBrandOk()) return showStatus("Please choose a brand from the list."); if (!isModelOk()) return showStatus("Please choose a model from the list."); if (!isVersionOk()) return showStatus("Enter the version number, e.g. 16, or choose Any version."); if (!isGenderOk()) return showStatus("Select a gender."); if (!isScopeOk()) return showStatus("For any brand, pick a shoe type or at least one store."); if (!isPriceOk()) return showStatus("Please enter a valid target price (whole dollars) or pick a minimum discount.");
+    const email = sanitize(emailEl.value).toLowerCase(), brand = isAnyBrand() ? "" : resolveBrandKey(sanitize(brandEl.value)) || sanitize(brandEl.value), exact = versionMode() === "exact", model = isAnyModel() ? "" : exact ? `${sanitize(modelEl.value)} ${sanitize(versionEl.value)}` : sanitize(modelEl.value), price = parseInt(String(priceEl.value || ""), 10), gender = selectedGender;
+    const payload = { ...(isPush() ? { channel: "push" } : { email }), brand, model, targetPrice: price > 0 ? price : null, gender, matchMode: exact ? "exact" : "line", shoeType: selectedType() || null, minDiscount: selectedDiscount(), stores: selectedStores(), lifetimeDays: selectedLifetime() };
     setBusy(true);
-    try { await postJson(API_ALERTS, { email, brand, model, targetPrice, gender }); showSuccess(brand, model, gender, targetPrice); }
+    try { let manageUrl = ""; if (isPush()) { const sub = await SB.alerts.push.subscribe(); payload.t = sub.token; manageUrl = sub.manageUrl; } await postJson(API_ALERTS, payload); showSuccess(payload, manageUrl); }
     catch (err) { const msg = err?.message ? String(err.message) : "Failed to set alert."; const code = err?.code ? String(err.code) : ""; const looksMax = code.toUpperCase().includes("MAX") || msg.toLowerCase().includes("max") || msg.toLowerCase().includes("limit"); if (looksMax) showMaxedOut(); else showStatus(msg); }
     finally { setBusy(false); syncStepUI(); }
   });
-  setAnother?.addEventListener("click", () => { confirmBox.hidden = true; maxedBox.hidden = true; formView.hidden = false; hideStatus(); brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender(""); [brandEl, modelEl, priceEl].forEach(toggleClear); closeSuggestions(); syncStepUI({ focusNext: true }); });
+  setAnother?.addEventListener("click", () => { confirmBox.hidden = true; maxedBox.hidden = true; formView.hidden = false; hideStatus(); brandEl.value = ""; modelEl.value = ""; priceEl.value = ""; setGender(""); resetCriteria(); [brandEl, modelEl, priceEl].forEach(toggleClear); closeSuggestions(); syncStepUI({ focusNext: true }); });
 })();
@@ -0,0 +1,43 @@
+// Browser notification alerts: registers /sw.js, subscribes with PushManager and
+// trades the subscription for a signed token at /api/push. The alert modal sends
+// that token instead of an email (price-alert-controller.js). The token is also
+// kept in Cache Storage: /api/push wants it back before it refreshes a known
+// subscription, and /sw.js sends it when the push service rotates the endpoint.
+(() => {
+  const SB = (window.SB = window.SB || {});
+  SB.alerts = SB.alerts || {};
+
+  const API_PUSH = "/api/push";
+  const TOKEN_CACHE = "sb-push"; // same names in /sw.js
+  const TOKEN_KEY = "/push-token";
+
+  function isSupported() { return window.isSecureContext && "serviceWorker" in navigator && "PushManager" in window && "Notification" in window; }
+  function keyBytes(b64url) { const b64 = (b64url + "=".repeat((4 - (b64url.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/"); return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0)); }
+  async function readJson(res) { const data = await res.json().catch(() => ({})); if (!res.ok) throw new Error(data?.error ? String(data.error) : `HTTP ${res.status}`); return data; }
+
+  async function loadToken() { try { const hit = await (await caches.open(TOKEN_CACHE)).match(TOKEN_KEY); return hit ? await hit.text() : null; } catch { return null; } }
+  async function saveToken(token) { try { await (await caches.open(TOKEN_CACHE)).put(TOKEN_KEY, new Response(token)); } catch { /* the next subscribe gets a new endpoint */ } }
+  async function postSubscription(sub) { const t = await loadToken(); return fetch(API_PUSH, { method: "POST", cache: "no-store", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ subscription: sub.toJSON(), ...(t ? { t } : {}) }) }); }
+
+  /** Asks permission, subscribes this browser and returns { token, manageUrl } for its alerts. */
+  async function subscribe() {
+    if (!isSupported()) throw new Error("This browser can’t show notifications. Please use email instead.");
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") throw new Error("Notifications are blocked for this site. Allow them in your browser settings, or use email instead.");
+    const { publicKey } = await readJson(await fetch(API_PUSH, { cache: "no-store" }));
+    const reg = await navigator.serviceWorker.register("/sw.js"); await navigator.serviceWorker.ready;
+    let sub = await reg.pushManager.getSubscription();
+    let res = sub ? await postSubscription(sub) : null;
+    // A known endpoint without its token (storage cleared, token expired): start over with a new one
+    if (!res || res.status === 401) {
+      if (sub) await sub.unsubscribe();
+      sub = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+      res = await postSubscription(sub);
+    }
+    const data = await readJson(res);
+    await saveToken(data.token);
+    return data;
+  }
+
+  SB.alerts.push = { isSupported, subscribe };
+})();
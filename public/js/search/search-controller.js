@@ -14,7 +14,15 @@
   const suggestionState = { open: false, items: [], activeIndex: -1, mode: "model" };
   let pickingSuggestion = false;
 
+  // Ranked completions come from /api/suggest; the local deals index is the fallback
+  const API_SUGGEST = "/api/suggest";
+  const SUGGEST_DELAY_MS = 120;
+  let suggestTimer = 0;
+  let suggestRequest = null;
+
   const squashStr = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  // Brands and stores share names ("Saucony"), so a suggestion is its type plus its label, like api/suggest merges them
+  const suggestionKey = (item) => `${item.type || ""}|${squashStr(item.label)}`;
   const normalizeQueryForCommand = (v) => String(v || "").trim().toLowerCase().replace(/\s+/g, " ");
 
   function updateFetchReady() {
@@ -65,27 +73,51 @@
   }
 
   function closeSuggestions() { if (!qSuggestions) return; qSuggestions.style.display = "none"; qSuggestions.innerHTML = ""; suggestionState.open = false; suggestionState.items = []; suggestionState.activeIndex = -1; suggestionState.mode = "model"; }
-  function dedupeSuggestionItems(items) { const out = [], seen = new Set(); for (const v of items || []) { const key = squashStr(String(v || "")); if (!key || seen.has(key)) continue; seen.add(key); out.push(v); } return out; }
+  function dedupeSuggestionItems(items) { const out = [], seen = new Set(); for (const item of items || []) { if (!squashStr(item?.label)) continue; const key = suggestionKey(item); if (seen.has(key)) continue; seen.add(key); out.push(item); } return out; }
   function highlightActive() { const children = Array.from(qSuggestions?.querySelectorAll(".suggestion-item") || []); children.forEach((el) => el.classList.remove("active")); if (suggestionState.activeIndex >= 0 && suggestionState.activeIndex < children.length) { const active = children[suggestionState.activeIndex]; active.classList.add("active"); const box = qSuggestions; const top = active.offsetTop; const bottom = top + active.offsetHeight; if (top < box.scrollTop) box.scrollTop = top; else if (bottom > box.scrollTop + box.clientHeight) box.scrollTop = bottom - box.clientHeight; } }
   function handleSuggestionKeys(e, onPick) { if (!suggestionState.open || !suggestionState.items.length) return; const max = suggestionState.items.length; if (e.key === "ArrowDown") { e.preventDefault(); suggestionState.activeIndex = (suggestionState.activeIndex + 1) % max; return highlightActive(); } if (e.key === "ArrowUp") { e.preventDefault(); suggestionState.activeIndex = (suggestionState.activeIndex - 1 + max) % max; return highlightActive(); } if (e.key === "Enter") { if (suggestionState.activeIndex >= 0) { e.preventDefault(); return onPick(suggestionState.items[suggestionState.activeIndex]); } closeSuggestions(); return; } if (e.key === "Escape") { e.preventDefault(); closeSuggestions(); } }
+  async function fetchSuggestions(typed) {
+    suggestRequest?.abort(); suggestRequest = new AbortController();
+    const res = await fetch(`${API_SUGGEST}?` + new URLSearchParams({ q: typed }), { signal: suggestRequest.signal });
+    if (!res.ok) throw new Error(`${API_SUGGEST} failed: ${res.status}`);
+    return (await res.json())?.suggestions || [];
+  }
+  function describeSuggestion(info) { const deals = `${info.type === "store" ? "store · " : ""}${info.dealCount} deal${info.dealCount === 1 ? "" : "s"}`; return info.lowestPrice != null ? `${deals} · from $${info.lowestPrice.toFixed(2)}` : deals; }
+
+  /** items: /api/suggest entries, or { label } for local completions */
   function renderSuggestions(items, onPick) {
     if (!qSuggestions) return; qSuggestions.innerHTML = "";
     if (!items.length) return closeSuggestions();
     suggestionState.open = true; suggestionState.items = items.slice(); suggestionState.activeIndex = -1;
     const typedQuery = String(qInput.value || "").trim();
-    items.forEach((value, idx) => {
+    items.forEach((item, idx) => {
+      const value = item.label;
       const div = document.createElement("div"); div.className = "suggestion-item";
       const isPrefix = value.toLowerCase().startsWith(typedQuery.toLowerCase());
       const strong = document.createElement("span"); strong.className = "suggestion-match"; strong.textContent = isPrefix ? value.slice(0, typedQuery.length) : value; div.appendChild(strong);
       if (isPrefix && value.slice(typedQuery.length)) { const light = document.createElement("span"); light.className = "suggestion-rest"; light.textContent = value.slice(typedQuery.length); div.appendChild(light); }
+      if (item.dealCount != null) { const meta = document.createElement("span"); meta.className = "suggestion-meta"; meta.textContent = ` ${describeSuggestion(item)}`; div.appendChild(meta); }
       div.dataset.index = String(idx);
-      const choose = (e) => { e.preventDefault(); e.stopPropagation(); pickingSuggestion = true; setTimeout(() => { pickingSuggestion = false; }, 0); onPick(value); };
+      const choose = (e) => { e.preventDefault(); e.stopPropagation(); pickingSuggestion = true; setTimeout(() => { pickingSuggestion = false; }, 0); onPick(item); };
       div.addEventListener("pointerdown", choose); div.addEventListener("click", choose); qSuggestions.appendChild(div);
     });
     qSuggestions.style.display = "block";
   }
 
-  function applySuggestionAndSearch(value) {
+  function showStoreDeals(store) {
+    qInput.value = ""; closeSuggestions(); updateFetchReady();
+    SB.favorites.exitFavoritesView();
+    app().setCurrentSearch({ brand: "", model: "" });
+    app().setLastSearchResults((app().getLastAllDeals() || []).slice());
+    applyTermFilters(""); app().setSelectedStore(store);
+    if (app().dailyDeals) app().dailyDeals.style.display = "none";
+    app().syncPanelControls();
+    app().renderFilteredResults({ resetPage: true, append: false });
+  }
+
+  function applySuggestionAndSearch(item) {
+    if (item.type === "store") return showStoreDeals(item.store);
+    const value = item.label;
     const bm = app().splitBrandModelFromPicked(value);
     qInput.value = (bm.brand && bm.model) ? `${bm.brand} ${bm.model}`.trim() : String(value || "").trim();
     closeSuggestions(); updateFetchReady(); if (fetchBtn) fetchBtn.setAttribute("aria-disabled", "false");
@@ -148,15 +180,27 @@
     app().renderFilteredResults({ resetPage: true, append: false });
   }
 
+  function renderLocalSuggestions(typed) {
+    if (!dealsSuggest()?.ready) return closeSuggestions();
+    const built = app().buildUnifiedSuggestions(SB.search.expandQuery ? SB.search.expandQuery(typed) : typed);
+    suggestionState.mode = built.mode;
+    renderSuggestions(dedupeSuggestionItems(built.items.map((label) => ({ label }))), applySuggestionAndSearch);
+  }
+
   qInput.addEventListener("input", () => {
     const typed = qInput.value.trim();
-    if (!typed || !dealsSuggest()?.ready) { closeSuggestions(); return updateFetchReady(); }
-    const built = app().buildUnifiedSuggestions(typed);
-    suggestionState.mode = built.mode;
-    renderSuggestions(dedupeSuggestionItems(built.items), (value) => applySuggestionAndSearch(value));
+    clearTimeout(suggestTimer);
     updateFetchReady();
+    if (!typed) { suggestRequest?.abort(); return closeSuggestions(); }
+    suggestTimer = setTimeout(async () => {
+      let suggestions;
+      try { suggestions = await fetchSuggestions(typed); } catch (err) { if (err?.name !== "AbortError") renderLocalSuggestions(typed); return; }
+      if (qInput.value.trim() !== typed) return;
+      suggestionState.mode = "ranked";
+      renderSuggestions(dedupeSuggestionItems(suggestions), applySuggestionAndSearch);
+    }, SUGGEST_DELAY_MS);
   });
-  qInput.addEventListener("keydown", (e) => handleSuggestionKeys(e, (value) => applySuggestionAndSearch(value)));
+  qInput.addEventListener("keydown", (e) => handleSuggestionKeys(e, applySuggestionAndSearch));
   qInput.addEventListener("blur", () => setTimeout(() => { if (!pickingSuggestion) closeSuggestions(); }, 140));
   qInput.addEventListener("click", () => qInput.select());
   document.addEventListener("click", (e) => { const inside = (qSuggestions && qSuggestions.contains(e.target)) || qInput.contains(e.target); if (!inside) closeSuggestions(); });
@@ -0,0 +1,50 @@
+// Deal index for the suggestions and the "all deals" view, from /api/search-index.
+// A copy is kept in localStorage: later visits ask only for what changed since
+// the cached version (?since=N), and the browser revalidates with the ETag, so an
+// unchanged index costs a 304. Compact entries are expanded to the full field
+// names (lib/dealIndex.js); keep FIELDS in step with it.
+// Loaded as a classic script: the inline page script calls it on load.
+(() => {
+  const SB = (window.SB = window.SB || {});
+  SB.search = SB.search || {};
+
+  const API_INDEX = "/api/search-index";
+  const STORAGE_KEY = "sb-search-index";
+  const FIELDS = { k: "key", b: "brand", m: "model", g: "gender", w: "width", t: "shoeType", s: "store", p: "salePrice", o: "originalPrice", d: "discountPercent", u: "listingURL", i: "imageURL", n: "listingName" };
+  const EMPTY_DEAL = { brand: "", model: "", gender: "", width: "standard", shoeType: "", store: "", salePrice: null, originalPrice: null, discountPercent: null, listingURL: "", imageURL: "", listingName: "" };
+
+  function readCache() { try { const c = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"); return c && Number.isInteger(c.version) && Array.isArray(c.entries) ? c : null; } catch { return null; } }
+  function writeCache(cache) { try { localStorage.setItem(STORAGE_KEY, JSON.stringify(cache)); } catch { try { localStorage.removeItem(STORAGE_KEY); } catch {} } }
+
+  function expand(entry) {
+    const deal = { ...EMPTY_DEAL };
+    for (const [short, field] of Object.entries(FIELDS)) if (entry[short] !== undefined) deal[field] = entry[short];
+    if (!deal.listingName) deal.listingName = `${deal.brand} ${deal.model}`.trim();
+    return deal;
+  }
+  const byBrandModelPrice = (a, b) => a.brand.localeCompare(b.brand) || a.model.localeCompare(b.model) || (a.salePrice ?? Infinity) - (b.salePrice ?? Infinity);
+
+  /** Every deal in the index (full field names), sorted by brand, model and price. */
+  async function loadSearchIndex() {
+    const cached = readCache();
+    const params = new URLSearchParams({ format: "compact" });
+    if (cached) params.set("since", String(cached.version));
+
+    const res = await fetch(`${API_INDEX}?${params}`, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`${API_INDEX} failed: ${res.status}`);
+    const data = await res.json();
+
+    let entries = Array.isArray(data?.deals) ? data.deals : [];
+    if (cached && !data.full) {
+      const byKey = new Map(cached.entries.map((e) => [e.k, e]));
+      (data.removed || []).forEach((k) => byKey.delete(k));
+      entries.forEach((e) => byKey.set(e.k, e));
+      entries = Array.from(byKey.values());
+    }
+    if (!cached || data.full || data.version !== cached.version) writeCache({ version: data.version, entries });
+
+    return entries.map(expand).sort(byBrandModelPrice);
+  }
+
+  SB.search.loadSearchIndex = loadSearchIndex;
+})();
@@ -0,0 +1,84 @@
+// Service worker for browser price-alert notifications (Web Push).
+// Registered by /js/alerts/web-push.js when someone picks "Notify this browser"
+// in the alert modal. Payloads come from api/cron/check-alerts.js and api/alerts.js:
+//   { title, body, url, tag? }
+// It does nothing else: no caching, no fetch handler.
+
+// The subscription's manage token, stored by /js/alerts/web-push.js
+const TOKEN_CACHE = "sb-push";
+const TOKEN_KEY = "/push-token";
+
+function keyBytes(b64url) {
+  const b64 = (b64url + "=".repeat((4 - (b64url.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data ? event.data.text() : "" };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Shoe Beagle", {
+      body: data.body || "",
+      icon: "/images/favicon.png",
+      badge: "/images/favicon.png",
+      tag: data.tag || undefined,
+      data: { url: data.url || "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || "/";
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => w.url === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
+
+// The push service rotated the subscription: hand the new one to the server so
+// the alerts stay attached to this browser
+self.addEventListener("pushsubscriptionchange", (event) => {
+  event.waitUntil(
+    (async () => {
+      const oldEndpoint = event.oldSubscription?.endpoint || null;
+      let subscription = event.newSubscription;
+
+      if (!subscription) {
+        const res = await fetch("/api/push", { cache: "no-store" });
+        const { publicKey } = await res.json();
+        subscription = await self.registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: keyBytes(publicKey),
+        });
+      }
+
+      // The server only moves the old subscription for the holder of its token
+      const cache = await caches.open(TOKEN_CACHE);
+      const stored = await cache.match(TOKEN_KEY);
+      const t = stored ? await stored.text() : null;
+
+      const res = await fetch("/api/push", {
+        method: "POST",
+        cache: "no-store",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ subscription: subscription.toJSON(), ...(t && oldEndpoint ? { oldEndpoint, t } : {}) }),
+      });
+      if (res.ok) {
+        const { token } = await res.json();
+        if (token) await cache.put(TOKEN_KEY, new Response(token));
+      }
+    })()
+  );
+});
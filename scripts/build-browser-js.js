@@ -0,0 +1,45 @@
+// scripts/build-browser-js.js
+//
+// Copies the lib/ modules the browser also runs into public/, which is served
+// as static files (there is no bundler):
+//   lib/queryExpansion.js -> public/js/search/query-synonyms.js
+//
+//   npm run build:browser-js              write the copies
+//   npm run build:browser-js -- --check   exit 1 when a copy is out of date
+//                                         (npm run test:db runs this first)
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+const COPIES = [{ from: "lib/queryExpansion.js", to: "public/js/search/query-synonyms.js" }];
+
+function browserCopy(from) {
+  const source = fs.readFileSync(path.join(ROOT, from), "utf8");
+  return `// Generated from ${from} by npm run build:browser-js. Edit that file instead.\n\n${source}`;
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  let stale = 0;
+
+  for (const { from, to } of COPIES) {
+    const target = path.join(ROOT, to);
+    const expected = browserCopy(from);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, "utf8") : null;
+    if (current === expected) continue;
+
+    if (check) {
+      stale += 1;
+      console.error(`${to} is out of date with ${from}; run npm run build:browser-js`);
+    } else {
+      fs.writeFileSync(target, expected);
+      console.log(`wrote ${to}`);
+    }
+  }
+
+  if (stale) process.exit(1);
+}
+
+main();
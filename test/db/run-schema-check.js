@@ -0,0 +1,1044 @@
+#!/usr/bin/env node
+// test/db/run-schema-check.js
+//
+// Applies db/migrations to a scratch Postgres and runs every query in the
+// codebase against the migrated schema:
+//   - import-deals-to-db run() (shoe-id lookup, bulk insert, price observations,
+//     index versions)
+//   - /api/search (filters, sorting, cursor pages, facets), /api/suggest,
+//     /api/search-index (ETag, pages, deltas), /api/price-history handlers
+//   - lib/priceHistory fetchListingPriceStats (merge-deals price annotations)
+//   - shoe_database_builder getResearchCandidates / insertShoeRecord / attachDealsToShoe
+//   - /api/alerts create/list/manage and lib/alertsStore (legacy import, notification log,
+//     criteria and exact-version alerts)
+//   - the alert emails, captured as .eml files by lib/mailer.js (MAIL_TRANSPORT=file):
+//     confirmation on create, and a match email from /api/cron/check-alerts
+//   - browser alerts: /api/push subscribe/unsubscribe, push alert create, and the
+//     cron's Web Push delivery (push service faked in-process, payloads decrypted)
+// and checks that migrations are idempotent and the search predicates can use
+// the full-text and trigram indexes.
+//
+// DATABASE
+//   TEST_DATABASE_URL=postgres://... npm run test:db
+//     Uses that database. Everything is created in a throwaway schema that is
+//     dropped afterwards (pg_trgm is created in the database if missing).
+//
+//   Without TEST_DATABASE_URL, a temporary cluster is started with initdb/pg_ctl
+//   when they are on PATH (or in /usr/lib/postgresql/*/bin). Otherwise the check
+//   prints SKIP and exits 0.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Pool } = require("pg");
+const { readEmlDir } = require("../email/eml");
+const { startTempCluster } = require("./tempCluster");
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+
+const SCHEMA = `sb_schema_check_${process.pid}`;
+
+/** Minimal Vercel-style req/res for calling handlers directly. */
+async function callHandler(handler, query, { method = "GET", body, headers: reqHeaders = {} } = {}) {
+  const req = {
+    method,
+    query,
+    body,
+    headers: { "x-forwarded-for": `10.0.0.${Math.floor(Math.random() * 250)}`, ...reqHeaders },
+  };
+
+  let statusCode = 200;
+  let payload;
+  const headers = {};
+  const res = {
+    setHeader(name, value) {
+      headers[name] = value;
+    },
+    status(code) {
+      statusCode = code;
+      return res;
+    },
+    json(data) {
+      payload = data;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+
+  await handler(req, res);
+  return { statusCode, body: payload, headers };
+}
+
+let failures = 0;
+
+function check(label, ok, detail) {
+  if (ok) {
+    console.log(`  ok    ${label}`);
+  } else {
+    failures += 1;
+    console.log(`  FAIL  ${label}${detail ? `: ${detail}` : ""}`);
+  }
+}
+
+/** Reverse of lib/webPush.js encryptPayload (RFC 8291), as the browser would do it. */
+function decryptPush(body, ua, authSecret) {
+  const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+  const salt = body.subarray(0, 16);
+  const asPublic = body.subarray(21, 21 + body[20]);
+  const ciphertext = body.subarray(21 + body[20]);
+
+  const ikm = hmac(
+    hmac(authSecret, ua.computeSecret(asPublic)),
+    Buffer.concat([Buffer.from("WebPush: info\0"), ua.getPublicKey(), asPublic, Buffer.from([1])])
+  );
+  const prk = hmac(salt, ikm);
+  const decipher = crypto.createDecipheriv(
+    "aes-128-gcm",
+    hmac(prk, Buffer.from("Content-Encoding: aes128gcm\0\x01")).subarray(0, 16),
+    hmac(prk, Buffer.from("Content-Encoding: nonce\0\x01")).subarray(0, 12)
+  );
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plain = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  return JSON.parse(plain.subarray(0, plain.lastIndexOf(2)).toString("utf8"));
+}
+
+function toDataUrl(json) {
+  return `data:application/json;base64,${Buffer.from(JSON.stringify(json)).toString("base64")}`;
+}
+
+const SAMPLE_DEALS = {
+  lastUpdated: new Date().toISOString(),
+  deals: [
+    {
+      listingName: "Nike Pegasus 41 Men's Black/White",
+      brand: "Nike",
+      model: "Pegasus 41",
+      salePrice: 99.97,
+      originalPrice: 140,
+      discountPercent: 29,
+      store: "Test Store",
+      listingURL: "https://example.com/pegasus-41-black",
+      imageURL: "https://example.com/pegasus-41-black.jpg",
+      gender: "mens",
+      width: "standard",
+      colorway: "Black/White",
+      shoeType: "road",
+    },
+    {
+      listingName: "Nike Pegasus 41 Men's Volt",
+      brand: "Nike",
+      model: "Pegasus 41",
+      salePrice: 104.97,
+      originalPrice: 140,
+      discountPercent: 25,
+      store: "Test Store",
+      listingURL: "https://example.com/pegasus-41-volt",
+      imageURL: "https://example.com/pegasus-41-volt.jpg",
+      gender: "mens",
+      width: "standard",
+      colorway: "Volt",
+      shoeType: "road",
+    },
+    {
+      listingName: "Brooks Ghost 16 Women's Wide",
+      brand: "Brooks",
+      model: "Ghost 16",
+      salePrice: 109.95,
+      originalPrice: 140,
+      discountPercent: 21,
+      store: "Other Store",
+      listingURL: "https://example.com/ghost-16-wide",
+      imageURL: "https://example.com/ghost-16-wide.jpg",
+      gender: "womens",
+      width: "wide",
+      colorway: null,
+    },
+  ],
+};
+
+async function main() {
+  let cluster = null;
+  let baseUrl = String(process.env.TEST_DATABASE_URL || "").trim();
+
+  if (!baseUrl) {
+    cluster = startTempCluster();
+    if (!cluster) {
+      console.log("SKIP  no TEST_DATABASE_URL and no initdb/pg_ctl found; schema check not run");
+      return;
+    }
+    baseUrl = cluster.url;
+  }
+
+  // The API modules create their pools from DATABASE_URL at require time; point
+  // them at the scratch schema (public stays on the path for pg_trgm).
+  const url = new URL(baseUrl);
+  url.searchParams.set("options", `-c search_path=${SCHEMA},public`);
+  process.env.DATABASE_URL = url.toString();
+  process.env.PGSSLMODE = "disable";
+  process.env.ALERTS_LINK_SECRET = process.env.ALERTS_LINK_SECRET || "schema-check-secret";
+
+  // Alert emails are written to a temp folder instead of being sent
+  const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), "sb-mail-"));
+  process.env.MAIL_TRANSPORT = "file";
+  process.env.MAIL_FILE_DIR = mailDir;
+  process.env.SENDGRID_ALERTS_EMAIL = process.env.SENDGRID_ALERTS_EMAIL || "alerts@shoebeagle.test";
+  const mailTo = (to) => readEmlDir(mailDir).filter((m) => m.headers.to === to);
+
+  // Browser alerts: a VAPID key pair, and push services answered in-process.
+  // Endpoints under /gone/ answer 410 like an expired subscription.
+  const vapid = require("../../lib/webPush").generateVapidKeys();
+  process.env.VAPID_PUBLIC_KEY = vapid.publicKey;
+  process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+  const pushRequests = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    if (!String(url).startsWith("https://push.example.test/")) return realFetch(url, init);
+    pushRequests.push({ url: String(url), headers: init.headers, body: Buffer.from(init.body) });
+    return new Response(null, { status: String(url).includes("/gone/") ? 410 : 201 });
+  };
+
+  // The cron reads deals.json from Blob storage; serve the sample deals instead
+  require("@vercel/blob").list = async () => ({
+    blobs: [{ pathname: "deals.json", url: toDataUrl(SAMPLE_DEALS) }],
+  });
+
+  const admin = new Pool({ connectionString: baseUrl, ssl: false });
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: false });
+
+  try {
+    await admin.query(`CREATE SCHEMA ${SCHEMA}`);
+
+    const { runMigrations, loadMigrations } = require("../../lib/migrations");
+    const quiet = () => {};
+
+    console.log("migrations");
+    const first = await runMigrations(pool, { log: quiet });
+    check(
+      "applies every migration on an empty schema",
+      first.applied.length === loadMigrations().length,
+      JSON.stringify(first)
+    );
+
+    const second = await runMigrations(pool, { log: quiet });
+    check("second run applies nothing", second.applied.length === 0, JSON.stringify(second));
+
+    const dry = await runMigrations(pool, { dryRun: true, log: quiet });
+    check("dry run reports nothing pending", dry.pending.length === 0, JSON.stringify(dry));
+
+    console.log("shoe_database_builder");
+    const { insertShoeRecord } = await import(path.join(REPO_ROOT, "shoe_database_builder", "insertShoeRecord.js"));
+    const { getResearchCandidates } = await import(path.join(REPO_ROOT, "shoe_database_builder", "selectCandidates.js"));
+    const { attachDealsToShoe } = await import(path.join(REPO_ROOT, "shoe_database_builder", "attachDealsToShoe.js"));
+
+    const shoeId = await insertShoeRecord(pool, {
+      display_name: "Brooks Ghost 16",
+      brand: "Brooks",
+      model: "Ghost",
+      version: "16",
+      gender: "womens",
+      aliases: ["Ghost 16"],
+      best_use: ["daily trainer"],
+      weight_oz: 9.1,
+      offset_mm: 12,
+      evidence: [],
+    });
+    check("insertShoeRecord returns an id", shoeId != null);
+
+    const again = await insertShoeRecord(pool, {
+      display_name: "Brooks Ghost 16",
+      brand: "Brooks",
+      model: "Ghost",
+      version: "16",
+      gender: "womens",
+      evidence: [],
+    });
+    check("insertShoeRecord upserts on normalized_key", String(again) === String(shoeId));
+
+    console.log("import-deals-to-db");
+    const importDeals = require("../../api/import-deals-to-db");
+    const imported = await importDeals.run({ dealsUrl: toDataUrl(SAMPLE_DEALS) });
+    check("run() succeeds", imported.success === true, imported.error);
+    check("inserts every deal", imported.inserted === SAMPLE_DEALS.deals.length, `inserted ${imported.inserted}`);
+    check(
+      "records price observations",
+      imported.priceObservations != null,
+      JSON.stringify(imported.priceObservations)
+    );
+
+    const rerun = await importDeals.run({ dealsUrl: toDataUrl(SAMPLE_DEALS) });
+    check("same-day re-import succeeds", rerun.success === true, rerun.error);
+    check(
+      "an unchanged re-import keeps every index entry",
+      rerun.indexVersion > imported.indexVersion && rerun.indexAdded === 0 && rerun.indexRemoved === 0,
+      JSON.stringify({ indexVersion: rerun.indexVersion, indexAdded: rerun.indexAdded, indexRemoved: rerun.indexRemoved })
+    );
+
+    const searchIndex = require("../../api/search-index");
+    const compactIndex = await callHandler(searchIndex, { format: "compact" });
+    const indexKeys = (compactIndex.body?.deals || []).map((d) => d.k);
+    check(
+      "/api/search-index ?format=compact sends keyed entries",
+      compactIndex.body?.version === rerun.indexVersion && indexKeys.length === 3 && new Set(indexKeys).size === 3,
+      JSON.stringify(compactIndex.body)
+    );
+    const firstIndexPage = await callHandler(searchIndex, { format: "compact", limit: "2" });
+    const secondIndexPage = await callHandler(searchIndex, {
+      format: "compact",
+      limit: "2",
+      cursor: firstIndexPage.body?.nextCursor,
+    });
+    check(
+      "/api/search-index pages cover the index once",
+      [...(firstIndexPage.body?.deals || []), ...(secondIndexPage.body?.deals || [])].map((d) => d.k).join() ===
+        [...indexKeys].sort().join() && secondIndexPage.body?.nextCursor === null,
+      JSON.stringify([firstIndexPage.body, secondIndexPage.body])
+    );
+
+    // One repriced listing: the delta is that entry plus the key it replaces
+    const ghostKey = compactIndex.body.deals.find((d) => d.m === "Ghost 16")?.k;
+    const repriced = {
+      ...SAMPLE_DEALS,
+      deals: SAMPLE_DEALS.deals.map((d) => (d.model === "Ghost 16" ? { ...d, salePrice: 99.95 } : d)),
+    };
+    const repricedRun = await importDeals.run({ dealsUrl: toDataUrl(repriced) });
+    const delta = await callHandler(searchIndex, { format: "compact", since: String(rerun.indexVersion) });
+    check(
+      "/api/search-index ?since sends only what changed",
+      repricedRun.success &&
+        delta.body?.full === false &&
+        delta.body.deals.length === 1 &&
+        delta.body.deals[0].p === 99.95 &&
+        delta.body.removed.join() === ghostKey,
+      JSON.stringify(delta.body)
+    );
+    const staleIndexPage = await callHandler(searchIndex, {
+      format: "compact",
+      limit: "2",
+      cursor: firstIndexPage.body?.nextCursor,
+    });
+    check("/api/search-index rejects a cursor from an older version", staleIndexPage.statusCode === 409);
+    await importDeals.run({ dealsUrl: toDataUrl(SAMPLE_DEALS) });
+
+    const candidates = await getResearchCandidates(pool, 10);
+    check("getResearchCandidates runs", Array.isArray(candidates));
+
+    await attachDealsToShoe(pool, { shoeId, brand: "Brooks", model: "Ghost 16", gender: "womens" });
+    const { rows: attached } = await pool.query(`SELECT count(*)::int AS n FROM sb_shoe_deals WHERE shoe_id = $1`, [
+      shoeId,
+    ]);
+    check("attachDealsToShoe links the deal", attached[0].n === 1, `linked ${attached[0].n}`);
+
+    console.log("api handlers");
+    const search = require("../../api/search");
+    const searchRes = await callHandler(search, { query: "pegasus" });
+    check("/api/search 200", searchRes.statusCode === 200, JSON.stringify(searchRes.body));
+    check(
+      "/api/search groups colorways",
+      searchRes.body?.results?.[0]?.colorwayCount === 2,
+      JSON.stringify(searchRes.body?.results)
+    );
+
+    const wideRes = await callHandler(search, { query: "ghost", width: "wide" });
+    check("/api/search ?width 200", wideRes.statusCode === 200 && wideRes.body?.results?.length === 1);
+    const xWideRes = await callHandler(search, { query: "ghost", width: "X-Wide" });
+    check("/api/search ?width takes the shared aliases", xWideRes.statusCode === 200 && xWideRes.body?.width === "extra-wide");
+    const badWidthRes = await callHandler(search, { query: "ghost", width: "roomy" });
+    check("/api/search rejects an unknown width", badWidthRes.statusCode === 400);
+
+    const { detectWidth } = require("../../lib/modelNameCleaner");
+    check(
+      "a bare trailing W is not read as wide",
+      detectWidth("Pegasus 41 W") === null && detectWidth("Pegasus 41 (W)") === "wide" && detectWidth("Ghost 16 2E") === "wide"
+    );
+
+    const firstPage = await callHandler(search, { query: "pegasus", sort: "price", group: "none", limit: "1" });
+    check(
+      "/api/search sort=price pages with a cursor",
+      firstPage.statusCode === 200 &&
+        firstPage.body.total === 2 &&
+        firstPage.body.results[0]?.salePrice === 99.97 &&
+        !!firstPage.body.nextCursor,
+      JSON.stringify(firstPage.body)
+    );
+    const secondPage = await callHandler(search, {
+      query: "pegasus",
+      sort: "price",
+      group: "none",
+      limit: "1",
+      cursor: firstPage.body?.nextCursor,
+    });
+    check(
+      "/api/search next page continues after the cursor",
+      secondPage.statusCode === 200 && secondPage.body.results[0]?.salePrice === 104.97 && secondPage.body.nextCursor === null,
+      JSON.stringify(secondPage.body)
+    );
+
+    const filtered = await callHandler(search, { query: "nike", gender: "men", shoeType: "road", minDiscount: "27" });
+    check(
+      "/api/search gender/shoeType/minDiscount filters run in SQL",
+      filtered.statusCode === 200 &&
+        filtered.body.total === 1 &&
+        filtered.body.results[0]?.shoeType === "road" &&
+        filtered.body.results[0]?.colorwayCount === 1,
+      JSON.stringify(filtered.body)
+    );
+
+    const byStore = await callHandler(search, { query: "pegasus", store: "No Such Store", maxPrice: "200" });
+    const storeFacet = byStore.body?.facets?.store || [];
+    check(
+      "/api/search store facet counts ignore the store filter",
+      byStore.statusCode === 200 &&
+        byStore.body.total === 0 &&
+        storeFacet.length === 1 &&
+        storeFacet[0].value === "Test Store" &&
+        storeFacet[0].count === 1,
+      JSON.stringify(byStore.body)
+    );
+
+    const priceFacet = (await callHandler(search, { query: "pegasus", group: "none" })).body?.facets?.price || [];
+    check(
+      "/api/search price facet buckets",
+      priceFacet.find((b) => b.value === "75-100")?.count === 1 && priceFacet.find((b) => b.value === "100-125")?.count === 1,
+      JSON.stringify(priceFacet)
+    );
+
+    const typo = await callHandler(search, { query: "pegsus" });
+    check(
+      "/api/search tolerates typos",
+      typo.statusCode === 200 && typo.body.results[0]?.model === "Pegasus 41",
+      JSON.stringify(typo.body?.results)
+    );
+
+    const squashed = await callHandler(search, { query: "ghost16" });
+    check(
+      "/api/search matches search aliases",
+      squashed.statusCode === 200 && squashed.body.results[0]?.model === "Ghost 16",
+      JSON.stringify(squashed.body?.results)
+    );
+
+    const abbreviated = await callHandler(search, { query: "peg 41" });
+    check(
+      "/api/search expands abbreviations",
+      abbreviated.statusCode === 200 &&
+        abbreviated.body.expandedQuery === "pegasus 41" &&
+        abbreviated.body.results[0]?.model === "Pegasus 41",
+      JSON.stringify(abbreviated.body)
+    );
+    const { shoeIdentity, identityMatches } = require("../../lib/shoeIdentity");
+    check(
+      "alert matching reads abbreviations the same way",
+      identityMatches(shoeIdentity("Nike", "peg 41"), shoeIdentity("Nike", abbreviated.body.results[0]?.model), "exact")
+    );
+
+    const suggest = require("../../api/suggest");
+    const suggestRes = await callHandler(suggest, { q: "peg" });
+    const pegasusSuggestion = suggestRes.body?.suggestions?.[0];
+    check(
+      "/api/suggest completes models with deal count, lowest price and searches",
+      suggestRes.statusCode === 200 &&
+        pegasusSuggestion?.type === "model" &&
+        pegasusSuggestion.label === "Nike Pegasus 41" &&
+        pegasusSuggestion.dealCount === 2 &&
+        pegasusSuggestion.lowestPrice === 99.97 &&
+        pegasusSuggestion.searches >= 1,
+      JSON.stringify(suggestRes.body)
+    );
+    const storeSuggest = await callHandler(suggest, { q: "oth" });
+    check(
+      "/api/suggest completes stores",
+      storeSuggest.body?.suggestions?.some((s) => s.type === "store" && s.store === "Other Store" && s.dealCount === 1),
+      JSON.stringify(storeSuggest.body)
+    );
+    check("/api/suggest rejects an empty q", (await callHandler(suggest, { q: " " })).statusCode === 400);
+
+    const badSort = await callHandler(search, { query: "pegasus", sort: "popular" });
+    check("/api/search rejects an unknown sort", badSort.statusCode === 400);
+
+    const indexRes = await callHandler(searchIndex, {});
+    check("/api/search-index 200", indexRes.statusCode === 200, JSON.stringify(indexRes.body));
+    check(
+      "/api/search-index sends ETag and Last-Modified",
+      /^W\/"\d+-/.test(indexRes.headers.ETag || "") && !!indexRes.headers["Last-Modified"],
+      JSON.stringify(indexRes.headers)
+    );
+    const revalidated = await callHandler(searchIndex, {}, { headers: { "if-none-match": indexRes.headers.ETag } });
+    check("/api/search-index answers 304 to its ETag", revalidated.statusCode === 304);
+
+    const historyRes = await callHandler(require("../../api/price-history"), {
+      brand: "Nike",
+      model: "Pegasus 41",
+      gender: "mens",
+    });
+    check(
+      "/api/price-history 200 with UTC days",
+      historyRes.statusCode === 200 &&
+        historyRes.body?.series?.[0]?.day === new Date(SAMPLE_DEALS.lastUpdated).toISOString().split("T")[0],
+      JSON.stringify(historyRes.body)
+    );
+
+    const historyById = await callHandler(require("../../api/price-history"), { shoe_id: String(shoeId) });
+    check("/api/price-history ?shoe_id 200", historyById.statusCode === 200, JSON.stringify(historyById.body));
+
+    const { fetchListingPriceStats } = require("../../lib/priceHistory");
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+    const stats = await fetchListingPriceStats(pool, SAMPLE_DEALS.deals, tomorrow);
+    check("fetchListingPriceStats finds today's observations", stats.size === SAMPLE_DEALS.deals.length, `${stats.size}`);
+    const today = new Date(SAMPLE_DEALS.lastUpdated).toISOString().split("T")[0];
+    check(
+      "fetchListingPriceStats returns days as UTC date strings",
+      [...stats.values()].every((st) => st.firstDay === today && st.lastDay === today),
+      JSON.stringify([...stats.values()][0])
+    );
+
+    console.log("alerts");
+    const alerts = require("../../api/alerts");
+    const alertsStore = require("../../lib/alertsStore");
+    const email = "schema-check@example.com";
+
+    const createRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email, brand: "Nike", model: "Pegasus 41", targetPrice: 110, size: "10", width: "standard" },
+    });
+    check("create alert 200", createRes.statusCode === 200, JSON.stringify(createRes.body));
+    const alertId = createRes.body?.alert?.id;
+    const confirmationMail = mailTo(email)[0];
+    check(
+      "create emails a confirmation link with List-Unsubscribe",
+      /api\/alerts\?confirm=/.test(confirmationMail?.html || "") &&
+        /unsubscribe=/.test(confirmationMail?.headers["list-unsubscribe"] || ""),
+      JSON.stringify(confirmationMail?.headers)
+    );
+
+    // Only MAX_PENDING_ALERTS_PER_EMAIL can wait for confirmation, even when the creates race
+    const racing = await Promise.all(
+      Array.from({ length: alertsStore.MAX_PENDING_ALERTS_PER_EMAIL }, (_, i) =>
+        callHandler(alerts, {}, { method: "POST", body: { email, brand: "Brooks", model: `Ghost ${i}`, targetPrice: 100 } })
+      )
+    );
+    const limited = racing.filter((r) => r.statusCode === 429).length;
+    check("concurrent creates respect the pending-alert limit", limited === 1, racing.map((r) => r.statusCode).join(","));
+    check("pending alerts don't count toward the active limit", (await alertsStore.countActiveAlerts(pool, email)) === 0);
+
+    const signLink = (payloadObj) => {
+      const payload = Buffer.from(JSON.stringify(payloadObj)).toString("base64url");
+      const sig = require("crypto")
+        .createHmac("sha256", process.env.ALERTS_LINK_SECRET)
+        .update(payload)
+        .digest("base64url");
+      return `${payload}.${sig}`;
+    };
+    const token = signLink({ email, exp: Date.now() + 60000 });
+
+    check("new alerts start pending", createRes.body?.alert?.confirmedAt === null, JSON.stringify(createRes.body?.alert));
+    check(
+      "pending alerts are not checked by the cron",
+      !(await alertsStore.listActiveAlerts(pool)).some((a) => a.id === alertId)
+    );
+
+    const confirmToken = signLink({ email, exp: Date.now() + 60000, purpose: "confirm", alertId });
+    const manageWithConfirm = await callHandler(alerts, { t: confirmToken });
+    check("confirmation tokens can't list alerts", manageWithConfirm.statusCode === 401);
+
+    const confirmRes = await callHandler(alerts, { confirm: confirmToken });
+    check("confirm link redirects", confirmRes.statusCode === 302);
+    const confirmed = await alertsStore.getAlert(pool, alertId, email);
+    check("confirm link activates the alert", confirmed?.confirmedAt != null);
+    const confirmAgain = await alertsStore.confirmAlert(pool, alertId, email);
+    check("confirming twice is a no-op", confirmAgain === null);
+
+    const listRes = await callHandler(alerts, { t: token });
+    check(
+      "list alerts returns the blob-compatible shape",
+      listRes.statusCode === 200 &&
+        listRes.body?.count === alertsStore.MAX_PENDING_ALERTS_PER_EMAIL &&
+        typeof listRes.body.alerts[0].setAt === "number",
+      JSON.stringify(listRes.body)
+    );
+
+    const active = await alertsStore.listActiveAlerts(pool);
+    const liveAlert = active.find((a) => a.id === alertId);
+    check("listActiveAlerts returns confirmed alerts only", !!liveAlert && active.every((a) => a.confirmedAt != null));
+
+    await alertsStore.recordNotification(pool, { alert: liveAlert, status: "sent", matches: SAMPLE_DEALS.deals });
+    const { rows: logged } = await pool.query(
+      `SELECT n.match_count, a.last_notified_at
+         FROM sb_alert_notifications n JOIN sb_price_alerts a ON a.id = n.alert_id
+        WHERE n.alert_id = $1`,
+      [alertId]
+    );
+    check(
+      "recordNotification logs and stamps last_notified_at",
+      logged.length === 1 && logged[0].match_count === SAMPLE_DEALS.deals.length && logged[0].last_notified_at != null
+    );
+
+    const cheaper = SAMPLE_DEALS.deals.map((d, i) => (i === 0 ? { ...d, salePrice: d.salePrice - 10 } : d));
+    await alertsStore.recordNotification(pool, { alert: liveAlert, status: "sent", matches: cheaper });
+    const notified = (await alertsStore.getNotifiedListings(pool, [alertId])).get(alertId);
+    check(
+      "sent listings are remembered with their latest price",
+      notified?.size === SAMPLE_DEALS.deals.length &&
+        notified.get(alertsStore.listingKey(cheaper[0])) === Math.round(cheaper[0].salePrice * 100) / 100,
+      JSON.stringify(notified && [...notified])
+    );
+
+    const updateRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { action: "update", alertId, targetPrice: 95, t: token },
+    });
+    check("update alert 200", updateRes.statusCode === 200 && updateRes.body?.alert?.targetPrice === 95);
+
+    const cancelRes = await callHandler(alerts, {}, { method: "POST", body: { action: "cancel", alertId, t: token } });
+    check("cancel alert 200", cancelRes.statusCode === 200, JSON.stringify(cancelRes.body));
+
+    const removeRes = await callHandler(alerts, {}, { method: "POST", body: { action: "remove", alertId, t: token } });
+    check("remove cancelled alert 200", removeRes.statusCode === 200, JSON.stringify(removeRes.body));
+
+    const expired = await alertsStore.expirePendingAlerts(pool, Date.now() + alertsStore.ALERT_CONFIRM_TTL_MS + 60000);
+    check(
+      "unconfirmed alerts expire",
+      expired === alertsStore.MAX_PENDING_ALERTS_PER_EMAIL - 1 && (await alertsStore.listAlertsByEmail(pool, email)).length === 0,
+      `expired ${expired}`
+    );
+
+    const ipHeaders = { "x-forwarded-for": "10.9.9.9" };
+    const fromOneIp = [];
+    for (let i = 0; i <= alertsStore.MAX_PENDING_ALERTS_PER_IP; i++) {
+      fromOneIp.push(
+        await callHandler(alerts, {}, {
+          method: "POST",
+          headers: ipHeaders,
+          body: { email: `ip-limit-${i}@example.com`, brand: "Hoka", model: "Clifton 9", targetPrice: 100 },
+        })
+      );
+    }
+    check(
+      "pending alerts are limited per client IP",
+      fromOneIp.slice(0, -1).every((r) => r.statusCode === 200) && fromOneIp[fromOneIp.length - 1].statusCode === 429,
+      fromOneIp.map((r) => r.statusCode).join(",")
+    );
+    const { rows: ipRows } = await pool.query(
+      "SELECT count(*)::int AS n FROM sb_price_alerts WHERE created_ip IS NOT NULL AND confirmed_at IS NOT NULL"
+    );
+    check("confirmed alerts don't keep the creating IP", ipRows[0].n === 0, `${ipRows[0].n}`);
+
+    // A full set of confirmed alerts blocks creates and confirming another one
+    const fullEmail = "full@example.com";
+    for (let i = 0; i < alertsStore.MAX_ACTIVE_ALERTS; i++) {
+      await alertsStore.insertAlert(pool, {
+        id: alertsStore.newAlertId(), email: fullEmail, brand: "Asics", model: `Novablast ${i}`, targetPrice: 100,
+        setAt: Date.now(), confirmedAt: Date.now(),
+      });
+    }
+    const pendingAtLimit = await alertsStore.insertAlert(pool, {
+      id: alertsStore.newAlertId(), email: fullEmail, brand: "Asics", model: "Superblast", targetPrice: 150, setAt: Date.now(),
+    });
+    const overLimitRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: fullEmail, brand: "Asics", model: "Gel-Kayano 31", targetPrice: 120 },
+    });
+    check("creates over the active-alert limit get 429", overLimitRes.statusCode === 429, JSON.stringify(overLimitRes.body));
+    const confirmAtLimit = await callHandler(alerts, {
+      confirm: signLink({ email: fullEmail, exp: Date.now() + 60000, purpose: "confirm", alertId: pendingAtLimit.id }),
+    });
+    check(
+      "confirming over the active-alert limit leaves the alert pending",
+      /confirm=limit/.test(confirmAtLimit.headers.Location || "") &&
+        (await alertsStore.getAlert(pool, pendingAtLimit.id, fullEmail))?.confirmedAt === null,
+      confirmAtLimit.headers.Location
+    );
+    await pool.query("DELETE FROM sb_price_alerts WHERE email = $1 OR email LIKE 'ip-limit-%'", [fullEmail]);
+
+    const criteriaEmail = "criteria@example.com";
+    const criteriaRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: criteriaEmail, brand: "", model: "", stores: ["Running Warehouse"], minDiscount: "50", gender: "mens" },
+    });
+    check("any-brand discount alert 200", criteriaRes.statusCode === 200, JSON.stringify(criteriaRes.body));
+    const criteriaAlert = criteriaRes.body?.alert || {};
+    check(
+      "criteria round-trip",
+      criteriaAlert.targetPrice === null &&
+        criteriaAlert.minDiscount === 50 &&
+        criteriaAlert.stores?.[0] === "Running Warehouse" &&
+        criteriaAlert.model === "",
+      JSON.stringify(criteriaAlert)
+    );
+    const unscoped = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: criteriaEmail, brand: "", minDiscount: 50 },
+    });
+    check("any-brand alert without store or type is rejected", unscoped.statusCode === 400);
+    const noTarget = await callHandler(alerts, {}, { method: "POST", body: { email: criteriaEmail, brand: "Hoka" } });
+    check("alert without price or discount is rejected", noTarget.statusCode === 400);
+
+    const exactRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: criteriaEmail, brand: "Brooks", model: "Ghost 16", gender: "womens", targetPrice: 120, matchMode: "exact" },
+    });
+    check(
+      "exact-version alert is pinned to its shoe_id",
+      exactRes.body?.alert?.matchMode === "exact" && String(exactRes.body.alert.shoeId) === String(shoeId),
+      JSON.stringify(exactRes.body)
+    );
+    const exactNoVersion = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: criteriaEmail, brand: "Brooks", model: "Ghost", targetPrice: 120, matchMode: "exact" },
+    });
+    check("exact-version alert without a version is rejected", exactNoVersion.statusCode === 400);
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const tooLong = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: criteriaEmail, brand: "Hoka", model: "Mach 6", targetPrice: 100, lifetimeDays: 365 },
+    });
+    check("alert lifetime over the limit is rejected", tooLong.statusCode === 400);
+    const lifetimeRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: criteriaEmail, brand: "Hoka", model: "Mach 6", targetPrice: 100, lifetimeDays: 60 },
+    });
+    const lifetimeId = lifetimeRes.body?.alert?.id;
+    const lifetimeAlert = await alertsStore.confirmAlert(pool, lifetimeId, criteriaEmail);
+    check(
+      "confirmed alert lives for its chosen lifetime",
+      lifetimeAlert?.lifetimeDays === 60 && alertsStore.alertDaysLeft(lifetimeAlert) === 60,
+      JSON.stringify(lifetimeAlert)
+    );
+    check(
+      "expiry reminder is due only shortly before expiry",
+      !alertsStore.isExpiryReminderDue(lifetimeAlert) &&
+        alertsStore.isExpiryReminderDue(lifetimeAlert, Date.now() + 58 * DAY_MS) &&
+        !alertsStore.isExpiryReminderDue(lifetimeAlert, Date.now() + 61 * DAY_MS)
+    );
+    await alertsStore.markExpiryReminded(pool, lifetimeId);
+
+    const criteriaToken = signLink({ email: criteriaEmail, exp: Date.now() + 60000 });
+    const badRenew = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { action: "renew", alertId: lifetimeId, days: 45, t: criteriaToken },
+    });
+    check("renew with an unlisted period is rejected", badRenew.statusCode === 400);
+    const renewRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { action: "renew", alertId: lifetimeId, days: 90, t: criteriaToken },
+    });
+    check(
+      "renew restarts the lifetime and the reminder",
+      renewRes.statusCode === 200 &&
+        renewRes.body?.alert?.lifetimeDays === 90 &&
+        alertsStore.alertDaysLeft(renewRes.body.alert) === 90 &&
+        renewRes.body.alert.expiryRemindedAt === null,
+      JSON.stringify(renewRes.body)
+    );
+
+    await pool.query(`UPDATE sb_price_alerts SET expires_at = now() - interval '1 day' WHERE id = $1`, [lifetimeId]);
+    const renewToken = signLink({ email: criteriaEmail, exp: Date.now() + 60000, purpose: "renew", alertId: lifetimeId, days: 30 });
+    const renewLink = await callHandler(alerts, { renew: renewToken });
+    const revived = await alertsStore.getAlert(pool, lifetimeId, criteriaEmail);
+    check(
+      "renew link revives an expired alert",
+      renewLink.statusCode === 302 && /renew=renewed/.test(renewLink.headers?.Location || "") && !alertsStore.isAlertExpired(revived),
+      JSON.stringify(renewLink.headers)
+    );
+    const renewAsManage = await callHandler(alerts, { t: renewToken });
+    check("renew tokens can't list alerts", renewAsManage.statusCode === 401);
+
+    const badDigest = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { action: "preferences", digestMode: "hourly", t: criteriaToken },
+    });
+    check("unknown digest mode is rejected", badDigest.statusCode === 400);
+    const digestRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { action: "preferences", digestMode: "weekly", t: criteriaToken },
+    });
+    const listWithPrefs = await callHandler(alerts, { t: criteriaToken });
+    check(
+      "digest preference is saved per email",
+      digestRes.statusCode === 200 &&
+        listWithPrefs.body?.preferences?.digestMode === "weekly" &&
+        (await alertsStore.getEmailPreferences(pool, email)).digestMode === "instant",
+      JSON.stringify(listWithPrefs.body?.preferences)
+    );
+
+    const unsubEmail = "unsubscribe@example.com";
+    const unsubAlert = { email: unsubEmail, brand: "Saucony", model: "Endorphin Speed 4", targetPrice: 120 };
+    await callHandler(alerts, {}, { method: "POST", body: unsubAlert });
+    const unsubToken = signLink({ email: unsubEmail, exp: Date.now() + 60000, purpose: "unsubscribe" });
+    const landing = await callHandler(alerts, { unsubscribe: unsubToken });
+    check(
+      "unsubscribe GET only redirects to the landing page",
+      landing.statusCode === 302 &&
+        /unsubscribe\.html\?u=/.test(landing.headers?.Location || "") &&
+        !(await alertsStore.isEmailSuppressed(pool, unsubEmail))
+    );
+    const oneClick = await callHandler(alerts, { unsubscribe: unsubToken }, {
+      method: "POST",
+      body: { "List-Unsubscribe": "One-Click" },
+    });
+    check(
+      "one-click unsubscribe suppresses and cancels alerts",
+      oneClick.statusCode === 200 &&
+        oneClick.body?.alertsCancelled === 1 &&
+        (await alertsStore.listAlertsByEmail(pool, unsubEmail)).every((a) => a.cancelledAt != null),
+      JSON.stringify(oneClick.body)
+    );
+    const suppressedCreate = await callHandler(alerts, {}, { method: "POST", body: unsubAlert });
+    check("suppressed email can't create alerts", suppressedCreate.statusCode === 403);
+    await callHandler(alerts, { unsubscribe: unsubToken }, { method: "POST", body: { resubscribe: true } });
+    const resubscribedCreate = await callHandler(alerts, {}, { method: "POST", body: unsubAlert });
+    check("resubscribed email can create alerts again", resubscribedCreate.statusCode === 200);
+
+    console.log("check-alerts cron");
+    const cronEmail = "cron@example.com";
+    const cronRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: cronEmail, brand: "Brooks", model: "Ghost", gender: "womens", targetPrice: 120 },
+    });
+    await alertsStore.confirmAlert(pool, cronRes.body?.alert?.id, cronEmail);
+    const checkAlerts = require("../../api/cron/check-alerts");
+    const cronRun = await callHandler(checkAlerts, {});
+    check("cron run 200", cronRun.statusCode === 200, JSON.stringify(cronRun.body));
+    const matchMail = mailTo(cronEmail).find((m) => !/confirm/i.test(m.headers.subject));
+    check(
+      "matching deal is emailed with List-Unsubscribe",
+      (matchMail?.html || "").includes("https://example.com/ghost-16-wide") &&
+        matchMail.headers["list-unsubscribe-post"] === "List-Unsubscribe=One-Click",
+      JSON.stringify(matchMail?.headers)
+    );
+    await callHandler(checkAlerts, {});
+    check(
+      "a second run doesn't email the same deal again",
+      mailTo(cronEmail).filter((m) => !/confirm/i.test(m.headers.subject)).length === 1
+    );
+
+    // Listings cut from a long email aren't remembered as sent; the next email has them
+    const manyEmail = "many@example.com";
+    const manyDeals = Array.from({ length: 14 }, (_, i) => ({
+      ...SAMPLE_DEALS.deals[0],
+      listingName: `Saucony Ride ${i} Men's`,
+      brand: "Saucony",
+      model: `Ride ${i}`,
+      salePrice: 80 + i,
+      listingURL: `https://example.com/ride-${i}`,
+    }));
+    const manyRes = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { email: manyEmail, brand: "Saucony", model: "", targetPrice: 150 },
+    });
+    const manyId = manyRes.body?.alert?.id;
+    await alertsStore.confirmAlert(pool, manyId, manyEmail);
+    SAMPLE_DEALS.deals.push(...manyDeals);
+    try {
+      await callHandler(checkAlerts, {});
+      const firstNotified = (await alertsStore.getNotifiedListings(pool, [manyId])).get(manyId);
+      await pool.query("UPDATE sb_price_alerts SET last_notified_at = now() - interval '25 hours' WHERE id = $1", [manyId]);
+      await callHandler(checkAlerts, {});
+      const manyMails = mailTo(manyEmail).filter((m) => !/confirm/i.test(m.headers.subject));
+      check(
+        "only the listings an email showed count as sent",
+        firstNotified?.size === 12 &&
+          !firstNotified.has(alertsStore.listingKey(manyDeals[13])) &&
+          manyMails.length === 2 &&
+          manyMails.filter((m) => m.html.includes("https://example.com/ride-13")).length === 1 &&
+          manyMails.filter((m) => m.html.includes("https://example.com/ride-0\"")).length === 1,
+        `${firstNotified?.size} remembered, ${manyMails.length} emails`
+      );
+    } finally {
+      SAMPLE_DEALS.deals.splice(-manyDeals.length);
+    }
+
+    console.log("push alerts");
+    const push = require("../../api/push");
+    const browser = crypto.createECDH("prime256v1");
+    browser.generateKeys();
+    const browserAuth = crypto.randomBytes(16);
+    const subscription = (endpoint) => ({
+      endpoint,
+      keys: { p256dh: browser.getPublicKey().toString("base64url"), auth: browserAuth.toString("base64url") },
+    });
+    const pushedTo = (endpoint) =>
+      pushRequests.filter((r) => r.url === endpoint).map((r) => decryptPush(r.body, browser, browserAuth));
+
+    const badSub = await callHandler(push, {}, { method: "POST", body: { subscription: { endpoint: "http://insecure.test/x" } } });
+    check("malformed push subscription is rejected", badSub.statusCode === 400);
+
+    const endpoint = "https://push.example.test/send/1";
+    const subRes = await callHandler(push, {}, { method: "POST", body: { subscription: subscription(endpoint) } });
+    const pushToken = subRes.body?.token;
+    const resub = await callHandler(push, {}, {
+      method: "POST",
+      body: { subscription: subscription(endpoint), t: pushToken },
+    });
+    check(
+      "subscribing returns a manage token, once per endpoint",
+      subRes.statusCode === 200 && !!pushToken && resub.body?.subscriptionId === subRes.body.subscriptionId,
+      JSON.stringify(subRes.body)
+    );
+
+    const resubNoToken = await callHandler(push, {}, { method: "POST", body: { subscription: subscription(endpoint) } });
+    check("a known endpoint needs its manage token", resubNoToken.statusCode === 401 && !resubNoToken.body?.token);
+
+    const otherSub = await callHandler(push, {}, {
+      method: "POST",
+      body: { subscription: subscription("https://push.example.test/other/3") },
+    });
+    const stealNoToken = await callHandler(push, {}, {
+      method: "POST",
+      body: { subscription: subscription("https://push.example.test/steal/4"), oldEndpoint: endpoint },
+    });
+    const stealOtherToken = await callHandler(push, {}, {
+      method: "POST",
+      body: { subscription: subscription("https://push.example.test/steal/5"), oldEndpoint: endpoint, t: otherSub.body?.token },
+    });
+    check(
+      "only the subscription's own token can move it",
+      stealNoToken.statusCode === 401 &&
+        stealOtherToken.body?.subscriptionId !== subRes.body?.subscriptionId &&
+        (await alertsStore.getPushSubscription(pool, subRes.body?.subscriptionId))?.endpoint === endpoint,
+      JSON.stringify(stealOtherToken.body)
+    );
+
+    const movedEndpoint = "https://push.example.test/moved/6";
+    const moved = await callHandler(push, {}, {
+      method: "POST",
+      body: { subscription: subscription(movedEndpoint), oldEndpoint: "https://push.example.test/other/3", t: otherSub.body?.token },
+    });
+    check(
+      "pushsubscriptionchange moves the subscription with its token",
+      moved.body?.subscriptionId === otherSub.body?.subscriptionId &&
+        (await alertsStore.getPushSubscription(pool, moved.body.subscriptionId))?.endpoint === movedEndpoint,
+      JSON.stringify(moved.body)
+    );
+
+    const burstHeaders = { "x-forwarded-for": "10.8.8.8" };
+    const burst = [];
+    for (let i = 0; i < 12; i++) {
+      burst.push(
+        await callHandler(push, {}, {
+          method: "POST",
+          headers: burstHeaders,
+          body: { subscription: subscription(`https://push.example.test/burst/${i}`) },
+        })
+      );
+    }
+    check("subscribing is rate limited per IP", burst.some((r) => r.statusCode === 429), burst.map((r) => r.statusCode).join(","));
+
+    const pushAlertBody = { channel: "push", brand: "Nike", model: "Pegasus", gender: "mens", targetPrice: 105 };
+    const pushWithEmailToken = await callHandler(alerts, {}, { method: "POST", body: { ...pushAlertBody, t: token } });
+    check("push alerts need a push subscription token", pushWithEmailToken.statusCode === 401);
+
+    const pushCreate = await callHandler(alerts, {}, { method: "POST", body: { ...pushAlertBody, t: pushToken } });
+    check(
+      "push alert is live at once and the browser is told",
+      pushCreate.statusCode === 200 &&
+        pushCreate.body.alert?.channel === "push" &&
+        pushCreate.body.alert.confirmedAt != null &&
+        /alert set/i.test(pushedTo(endpoint)[0]?.title || ""),
+      JSON.stringify(pushCreate.body)
+    );
+    check(
+      "push requests carry VAPID auth",
+      /^vapid t=[\w-]+\.[\w-]+\.[\w-]+, k=/.test(pushRequests[0]?.headers?.Authorization || "") &&
+        pushRequests[0].headers["Content-Encoding"] === "aes128gcm"
+    );
+
+    const pushList = await callHandler(alerts, { t: pushToken });
+    check(
+      "push token lists the browser's alerts",
+      pushList.body?.channel === "push" && pushList.body.alerts.length === 1,
+      JSON.stringify(pushList.body)
+    );
+    const pushPrefs = await callHandler(alerts, {}, {
+      method: "POST",
+      body: { action: "preferences", digestMode: "daily", t: pushToken },
+    });
+    check("browser owners have no email preferences", pushPrefs.statusCode === 400);
+
+    const pushCron = await callHandler(checkAlerts, {});
+    const dealPush = pushedTo(endpoint)[1];
+    check(
+      "cron notifies the browser with the cheapest new deal",
+      pushCron.body?.pushSent === 1 && dealPush?.url === "https://example.com/pegasus-41-black" && /\$99\.97/.test(dealPush.body),
+      JSON.stringify({ result: pushCron.body, dealPush })
+    );
+
+    const goneEndpoint = "https://push.example.test/gone/2";
+    const goneSub = await callHandler(push, {}, { method: "POST", body: { subscription: subscription(goneEndpoint) } });
+    const goneCreate = await callHandler(alerts, {}, { method: "POST", body: { ...pushAlertBody, t: goneSub.body?.token } });
+    check("push alert is kept when the first notification fails", goneCreate.statusCode === 200);
+    await callHandler(checkAlerts, {});
+    const goneOwner = alertsStore.pushOwnerKey(goneSub.body?.subscriptionId);
+    check(
+      "a gone subscription is revoked and its alerts cancelled",
+      (await alertsStore.getPushSubscription(pool, goneSub.body?.subscriptionId))?.revokedAt != null &&
+        (await alertsStore.listAlertsByEmail(pool, goneOwner)).every((a) => a.cancelledAt != null)
+    );
+
+    const pushOff = await callHandler(push, {}, { method: "POST", body: { action: "unsubscribe", t: pushToken } });
+    const afterOff = await callHandler(alerts, {}, { method: "POST", body: { ...pushAlertBody, t: pushToken } });
+    check(
+      "turning notifications off cancels the browser's alerts",
+      pushOff.body?.alertsCancelled === 1 && afterOff.statusCode === 401,
+      JSON.stringify(pushOff.body)
+    );
+
+    const legacy = [
+      { id: "alert_1_legacy", email: "Legacy@Example.com", brand: "Hoka", model: "Clifton 9", targetPrice: 99, setAt: Date.now() },
+      { id: "alert_2_legacy", email: "legacy@example.com", brand: "Hoka", model: "Mach 6", targetPrice: "90", setAt: new Date().toISOString(), lastNotifiedAt: Date.now() - 3600000 },
+      { id: "alert_3_broken", email: "", brand: "Hoka", model: "Bondi", targetPrice: 80 },
+    ];
+    const imported1 = await alertsStore.importLegacyAlerts(pool, legacy);
+    const imported2 = await alertsStore.importLegacyAlerts(pool, legacy);
+    check("legacy import inserts valid alerts", imported1.inserted === 2 && imported1.skipped === 1, JSON.stringify(imported1));
+    check("legacy import is idempotent", imported2.inserted === 0, JSON.stringify(imported2));
+    check(
+      "legacy import lowercases emails",
+      (await alertsStore.listAlertsByEmail(pool, "legacy@example.com")).length === 2
+    );
+
+    console.log("indexes");
+    const client = await pool.connect();
+    try {
+      // The WHERE /api/search sends, so a clause the indexes can't serve shows up here
+      const where = require("../../api/search").buildWhere(["pegasus"], "", {
+        gender: null,
+        shoeType: null,
+        stores: null,
+        minPrice: null,
+        maxPrice: null,
+        minDiscount: null,
+      });
+      await client.query("SET enable_seqscan = off");
+      const { rows: plan } = await client.query(`EXPLAIN SELECT 1 FROM sb_shoe_deals WHERE ${where.all}`, where.params);
+      const text = plan.map((r) => r["QUERY PLAN"]).join("\n");
+      check("token match can use the full-text index", /sb_shoe_deals_search_tsv_idx/.test(text), text);
+      check("typo match can use the trigram index", /sb_shoe_deals_search_text_trgm_idx/.test(text), text);
+    } finally {
+      client.release();
+    }
+
+    console.log(`\n${failures ? `${failures} check(s) failed` : "all checks passed"}`);
+  } finally {
+    await admin.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`).catch(() => {});
+    await pool.end().catch(() => {});
+    await admin.end().catch(() => {});
+    if (cluster) cluster.stop();
+    fs.rmSync(mailDir, { recursive: true, force: true });
+    global.fetch = realFetch;
+  }
+
+  if (failures) process.exitCode = 1;
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    // The API modules keep their own pools open; don't wait for them to idle out.
+    setTimeout(() => process.exit(process.exitCode || 0), 100).unref();
+  });
@@ -0,0 +1,70 @@
+// test/db/tempCluster.js
+//
+// Throwaway Postgres for the database harnesses (run-schema-check.js,
+// test/search/run-search-bench.js): initdb + pg_ctl into a temp folder, on a
+// unix socket only. Binaries are looked up on PATH, then /usr/lib/postgresql/*/bin.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+function findPgBin(name) {
+  const dirs = String(process.env.PATH || "").split(path.delimiter);
+
+  const versioned = "/usr/lib/postgresql";
+  if (fs.existsSync(versioned)) {
+    for (const v of fs.readdirSync(versioned).sort().reverse()) dirs.push(path.join(versioned, v, "bin"));
+  }
+
+  for (const dir of dirs) {
+    const p = path.join(dir, name);
+    if (dir && fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+function run(cmd, args) {
+  const r = spawnSync(cmd, args, { encoding: "utf8", timeout: 60000 });
+  if (r.status !== 0) {
+    throw new Error(`${path.basename(cmd)} failed: ${(r.stderr || r.stdout || r.error?.message || "").trim()}`);
+  }
+}
+
+/** Start a throwaway cluster; returns { url, stop } or null when Postgres is not installed. */
+function startTempCluster() {
+  const initdb = findPgBin("initdb");
+  const pgCtl = findPgBin("pg_ctl");
+  if (!initdb || !pgCtl) return null;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sb-pg-"));
+  const dataDir = path.join(dir, "data");
+  const port = String(54000 + (process.pid % 1000));
+
+  run(initdb, ["-D", dataDir, "-U", "postgres", "--auth=trust", "--no-sync"]);
+  run(pgCtl, [
+    "-D", dataDir,
+    "-l", path.join(dir, "postgres.log"),
+    "-o", `-p ${port} -k ${dir} -c listen_addresses=''`,
+    "-w", "start",
+  ]);
+
+  return {
+    url: `postgres://postgres@localhost/postgres?host=${encodeURIComponent(dir)}&port=${port}`,
+    stop() {
+      // The API modules' own pools still hold idle connections, which error out
+      // once the server is gone; that is expected at this point, not a failure.
+      process.on("uncaughtException", (err) => {
+        if (/Connection terminated/.test(err?.message || "")) return;
+        console.error(err);
+        process.exit(1);
+      });
+      spawnSync(pgCtl, ["-D", dataDir, "-m", "immediate", "stop"], { timeout: 30000 });
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  startTempCluster,
+};
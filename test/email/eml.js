@@ -0,0 +1,64 @@
+// test/email/eml.js
+//
+// Reads back the MIME messages lib/mailer.js writes (file transport) or sends
+// (smtp transport): headers with RFC 2047 subjects decoded, and the text/html
+// parts base64-decoded. Only handles what buildMimeMessage produces.
+
+const fs = require("fs");
+const path = require("path");
+
+function decodeHeader(value) {
+  return String(value || "").replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b64) => Buffer.from(b64, "base64").toString("utf8"));
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r\n[ \t]+/g, " ").split("\r\n")) {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).toLowerCase()] = decodeHeader(line.slice(i + 1).trim());
+  }
+  return headers;
+}
+
+function decodeBody(headers, body) {
+  if (/base64/i.test(headers["content-transfer-encoding"] || "")) {
+    return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+  }
+  return body;
+}
+
+/** { headers, text, html } from a MIME message written by lib/mailer.js */
+function parseEml(raw) {
+  const split = raw.indexOf("\r\n\r\n");
+  const headers = parseHeaders(raw.slice(0, split));
+  const body = raw.slice(split + 4);
+  const out = { headers, text: "", html: "" };
+
+  const boundary = (headers["content-type"] || "").match(/boundary="([^"]+)"/);
+  const parts = boundary
+    ? body.split(`--${boundary[1]}`).slice(1, -1).map((p) => {
+        const s = p.replace(/^\r\n/, "");
+        const i = s.indexOf("\r\n\r\n");
+        return { headers: parseHeaders(s.slice(0, i)), body: s.slice(i + 4) };
+      })
+    : [{ headers, body }];
+
+  for (const p of parts) {
+    const content = decodeBody(p.headers, p.body);
+    if (/text\/html/i.test(p.headers["content-type"] || "")) out.html = content;
+    else out.text = content;
+  }
+  return out;
+}
+
+/** Every .eml in `dir`, parsed, oldest first. */
+function readEmlDir(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".eml"))
+    .sort()
+    .map((f) => parseEml(fs.readFileSync(path.join(dir, f), "utf8")));
+}
+
+module.exports = { parseEml, readEmlDir };
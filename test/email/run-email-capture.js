@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+// test/email/run-email-capture.js
+//
+// Renders the site's emails and captures them through lib/mailer.js instead of
+// SendGrid, then reads the captured MIME back and checks what a recipient gets:
+//   - contact form: POST /api/contact end-to-end (file transport)
+//   - alert confirmation email (api/alerts.js generateConfirmationEmail)
+//   - alert match email (api/cron/check-alerts.js generateMatchEmail)
+//   - the smtp transport, against a throwaway in-process SMTP server
+//
+// Fully offline; no database needed. The alert create -> confirmation email and
+// cron -> match email paths through the real handlers are covered by
+// test/db/run-schema-check.js, which has a database.
+//
+// USAGE
+//   npm run test:email
+//   KEEP_MAIL=1 npm run test:email     # keep the .eml files and print their folder
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "sb-mail-"));
+
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_FILE_DIR = MAIL_DIR;
+process.env.ALERTS_LINK_SECRET = process.env.ALERTS_LINK_SECRET || "email-capture-secret";
+process.env.CONTACT_EMAIL = "owner@shoebeagle.test";
+process.env.SENDGRID_ALERTS_EMAIL = "alerts@shoebeagle.test";
+process.env.SITE_BASE_URL = "https://shoebeagle.test";
+// api modules build pg pools at require time; nothing here connects
+process.env.DATABASE_URL = process.env.DATABASE_URL || "postgres://localhost/unused";
+
+const mailer = require("../../lib/mailer");
+const { parseEml } = require("./eml");
+
+let failures = 0;
+
+function check(label, ok, detail) {
+  if (ok) {
+    console.log(`  ok    ${label}`);
+  } else {
+    failures += 1;
+    console.log(`  FAIL  ${label}${detail ? `: ${detail}` : ""}`);
+  }
+}
+
+/** Minimal Vercel-style req/res for calling handlers directly. */
+async function callHandler(handler, { method = "POST", body } = {}) {
+  const req = { method, query: {}, body, headers: {} };
+  let statusCode = 200;
+  let payload;
+  const res = {
+    setHeader() {},
+    status(code) {
+      statusCode = code;
+      return res;
+    },
+    json(data) {
+      payload = data;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  await handler(req, res);
+  return { statusCode, body: payload };
+}
+
+async function captureOne(send) {
+  const before = new Set(fs.readdirSync(MAIL_DIR));
+  await send();
+  const added = fs.readdirSync(MAIL_DIR).filter((f) => !before.has(f));
+  if (added.length !== 1) throw new Error(`expected one captured email, got ${added.length}`);
+  return parseEml(fs.readFileSync(path.join(MAIL_DIR, added[0]), "utf8"));
+}
+
+// -----------------------------
+// Throwaway SMTP server
+// -----------------------------
+
+/** Accepts one message over plain SMTP; resolves { server, port, received }. */
+function startSmtpServer() {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let data = "";
+    const envelope = { from: "", to: [] };
+    socket.write("220 capture ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            received.push({ ...envelope, data: data.replace(/(^|\r\n)\.\./g, "$1.") });
+            socket.write("250 queued\r\n");
+          } else {
+            data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === "EHLO") socket.write("250-capture\r\n250 AUTH PLAIN LOGIN\r\n");
+        else if (cmd === "AUTH") socket.write("235 ok\r\n");
+        else if (cmd === "MAIL") (envelope.from = line), socket.write("250 ok\r\n");
+        else if (cmd === "RCPT") envelope.to.push(line), socket.write("250 ok\r\n");
+        else if (cmd === "DATA") (inData = true), socket.write("354 go ahead\r\n");
+        else if (cmd === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("500 unknown\r\n");
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+// -----------------------------
+// Cases
+// -----------------------------
+
+const SAMPLE_ALERT = {
+  id: "alert_1_capture",
+  email: "runner@example.com",
+  brand: "Nike",
+  model: "Pegasus 41",
+  gender: "mens",
+  size: "10",
+  sizeSystem: "US",
+  targetPrice: 110,
+  matchMode: "line",
+  lifetimeDays: 60,
+  setAt: Date.now(),
+  expiresAt: Date.now() + 60 * 24 * 60 * 60 * 1000,
+  confirmedAt: null,
+};
+
+const SAMPLE_MATCHES = [
+  {
+    brand: "Nike",
+    model: "Pegasus 41",
+    salePrice: 99.97,
+    originalPrice: 140,
+    store: "Test Store",
+    listingURL: "https://example.com/pegasus-41-black",
+    imageURL: "https://example.com/pegasus-41-black.jpg",
+  },
+  {
+    brand: "Nike",
+    model: "Pegasus 41",
+    salePrice: 89.97,
+    originalPrice: 140,
+    previousPrice: 104.97,
+    store: "Other Store",
+    listingURL: "https://example.com/pegasus-41-volt",
+  },
+];
+
+async function main() {
+  try {
+    console.log("contact form");
+    const contact = require("../../api/contact");
+    const contactMail = await captureOne(async () => {
+      const r = await callHandler(contact, {
+        body: { name: "Pat Runner", email: "pat@example.com", message: "Do you track trail shoes too?" },
+      });
+      check("POST /api/contact 200", r.statusCode === 200, JSON.stringify(r.body));
+    });
+    check(
+      "goes to CONTACT_EMAIL with the visitor as Reply-To",
+      contactMail.headers.to === process.env.CONTACT_EMAIL && contactMail.headers["reply-to"] === "pat@example.com",
+      JSON.stringify(contactMail.headers)
+    );
+    check("subject names the visitor", contactMail.headers.subject === "New contact from Pat Runner via Shoe Beagle");
+    check(
+      "text and html parts carry the message",
+      contactMail.text.includes("Do you track trail shoes too?") && contactMail.html.includes("Do you track trail shoes too?")
+    );
+
+    console.log("alert confirmation");
+    const { generateConfirmationEmail } = require("../../api/alerts");
+    const confirmUrl = "https://shoebeagle.test/api/alerts?confirm=abc";
+    const unsubscribeUrl = "https://shoebeagle.test/api/alerts?unsubscribe=xyz";
+    const confirmation = await captureOne(() =>
+      mailer.sendMail({
+        to: SAMPLE_ALERT.email,
+        from: process.env.SENDGRID_ALERTS_EMAIL,
+        subject: "📩 Confirm your alert: Nike Pegasus (any version)",
+        html: generateConfirmationEmail(SAMPLE_ALERT, [SAMPLE_ALERT], "https://shoebeagle.test/manage", confirmUrl, unsubscribeUrl),
+        headers: { "List-Unsubscribe": `<${unsubscribeUrl}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+      })
+    );
+    check("emoji subject survives encoding", confirmation.headers.subject === "📩 Confirm your alert: Nike Pegasus (any version)");
+    check(
+      "List-Unsubscribe headers are kept",
+      confirmation.headers["list-unsubscribe"] === `<${unsubscribeUrl}>` &&
+        confirmation.headers["list-unsubscribe-post"] === "List-Unsubscribe=One-Click"
+    );
+    check(
+      "body has the confirm and unsubscribe links and the chosen lifetime",
+      confirmation.html.includes(confirmUrl) &&
+        confirmation.html.includes(unsubscribeUrl) &&
+        confirmation.html.includes("60 days from confirmation")
+    );
+    check(
+      "footer states the active alert limit",
+      confirmation.html.includes(`up to ${require("../../lib/alertsStore").MAX_ACTIVE_ALERTS} active alerts`)
+    );
+
+    console.log("alert match");
+    const { generateMatchEmail } = require("../../api/cron/check-alerts");
+    const match = await captureOne(() =>
+      mailer.sendMail({
+        to: SAMPLE_ALERT.email,
+        from: process.env.SENDGRID_ALERTS_EMAIL,
+        subject: "🎉 2 Deals Found: Nike Pegasus (any version), $110 or less",
+        html: generateMatchEmail({ ...SAMPLE_ALERT, confirmedAt: Date.now() }, SAMPLE_MATCHES, 12, unsubscribeUrl),
+      })
+    );
+    check(
+      "lists every deal, cheapest first",
+      match.html.indexOf("$89.97") !== -1 && match.html.indexOf("$89.97") < match.html.indexOf("$99.97")
+    );
+    check("shows price drops", match.html.includes("Price dropped from $104.97"));
+    check("shows days left and the manage link", match.html.includes("for the next 12 days") && match.html.includes("cancel_alert.html?t="));
+
+    console.log("smtp transport");
+    const smtp = await startSmtpServer();
+    try {
+      process.env.MAIL_TRANSPORT = "smtp";
+      process.env.SMTP_HOST = "127.0.0.1";
+      process.env.SMTP_PORT = String(smtp.port);
+      process.env.SMTP_USER = "user";
+      process.env.SMTP_PASS = "pass";
+
+      await mailer.sendMail({
+        to: "runner@example.com",
+        from: "Shoe Beagle <alerts@shoebeagle.test>",
+        subject: "SMTP check",
+        text: "line one\n.leading dot\n",
+      });
+      const got = smtp.received[0];
+      const parsed = got && parseEml(got.data);
+      check(
+        "delivers envelope and message",
+        got?.from === "MAIL FROM:<alerts@shoebeagle.test>" &&
+          got.to[0] === "RCPT TO:<runner@example.com>" &&
+          parsed.headers.subject === "SMTP check" &&
+          parsed.text.includes(".leading dot"),
+        JSON.stringify(got)
+      );
+    } finally {
+      process.env.MAIL_TRANSPORT = "file";
+      smtp.server.close();
+    }
+
+    console.log(`\n${failures ? `${failures} check(s) failed` : "all checks passed"}`);
+  } finally {
+    if (process.env.KEEP_MAIL) console.log(`captured emails: ${MAIL_DIR}`);
+    else fs.rmSync(MAIL_DIR, { recursive: true, force: true });
+  }
+
+  if (failures) process.exitCode = 1;
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    // The API modules keep their own pools open; don't wait for them to idle out.
+    setTimeout(() => process.exit(process.exitCode || 0), 100).unref();
+  });
@@ -0,0 +1,465 @@
+// test/scrapers/replay.js
+//
+// Offline replay for scraper handlers.
+//
+// Each scraper's own Vercel handler is run unchanged against saved responses:
+//   - global fetch, axios and the Firecrawl SDK are answered from fixture files
+//   - @vercel/blob put() is captured in memory (nothing is ever uploaded)
+//   - short sleeps (politeness delays, retries) resolve immediately
+//
+// Scrapers are a mix of CommonJS and ESM syntax (Vercel transpiles both), so
+// files are loaded through a small ESM -> CJS rewrite instead of plain require.
+//
+// Fixture case layout (test/scrapers/fixtures/<name>/case.json):
+//
+//   {
+//     "scraper": "api/scrapers/on-algolia.js",
+//     "blob": "on-last-season-shoes.json",
+//     "env": { "SOME_TOKEN": "x" },
+//     "responses": [
+//       { "url": "algolia.on.com", "method": "POST", "file": "page-0.json" },
+//       { "url": "api.firecrawl.dev", "bodyIncludes": "nike.com/w/", "file": "sale.html", "firecrawl": true },
+//       { "url": "holabirdsports.com", "file": "empty.html", "repeat": true }
+//     ]
+//   }
+//
+// Responses are matched in order: `url` is a substring of the request URL,
+// `method` defaults to any, `bodyIncludes` is a substring of the request body.
+// Each entry answers one request unless "repeat": true. Unmatched requests get
+// a 404 and are reported. "firecrawl": true wraps the file in a Firecrawl
+// scrape envelope ({ success, data: { html, rawHtml, markdown } }).
+
+const fs = require("fs");
+const path = require("path");
+const Module = require("module");
+
+const REPO_ROOT = path.resolve(__dirname, "..", "..");
+
+// Delays shorter than this are treated as politeness sleeps and skipped;
+// longer ones are request timeouts and are left alone (but unref'd).
+const SKIP_DELAY_BELOW_MS = 10000;
+
+/** ------------ Response lookup ------------ **/
+
+function contentTypeFor(file) {
+  if (/\.json$/i.test(file)) return "application/json";
+  if (/\.md$/i.test(file)) return "text/markdown";
+  return "text/html; charset=utf-8";
+}
+
+function createResponder(caseDir, caseDef) {
+  const entries = (caseDef.responses || []).map((e) => ({ ...e, used: 0 }));
+  const requests = [];
+  const unmatched = [];
+  const recorded = [];
+
+  function findEntry(req) {
+    for (const e of entries) {
+      if (!e.repeat && e.used > 0) continue;
+      if (e.url && !req.url.includes(e.url)) continue;
+      if (e.method && e.method.toUpperCase() !== req.method) continue;
+      if (e.bodyIncludes && !String(req.body || "").includes(e.bodyIncludes)) continue;
+      return e;
+    }
+    return null;
+  }
+
+  function readEntry(e) {
+    const raw = fs.readFileSync(path.join(caseDir, e.file), "utf8");
+    if (!e.firecrawl) {
+      return { status: e.status || 200, contentType: e.contentType || contentTypeFor(e.file), body: raw };
+    }
+    const envelope = {
+      success: true,
+      data: {
+        html: raw,
+        rawHtml: raw,
+        markdown: raw,
+        metadata: { statusCode: 200 },
+      },
+    };
+    return { status: e.status || 200, contentType: "application/json", body: JSON.stringify(envelope) };
+  }
+
+  // Returns { status, contentType, body } for a request.
+  function respond(req) {
+    requests.push({ method: req.method, url: req.url });
+
+    const e = findEntry(req);
+    if (!e) {
+      unmatched.push(`${req.method} ${req.url}`);
+      return { status: 404, contentType: "text/plain", body: "offline fixture: no response recorded" };
+    }
+
+    e.used++;
+    return readEntry(e);
+  }
+
+  // Record mode: remember a live response so it can be written as a fixture.
+  function remember(req, res) {
+    const n = recorded.length + 1;
+    const ext = /json/i.test(res.contentType || "") ? "json" : "html";
+    const file = `response-${String(n).padStart(2, "0")}.${ext}`;
+    recorded.push({
+      entry: { url: req.url, method: req.method, file, ...(res.status !== 200 ? { status: res.status } : {}) },
+      file,
+      body: res.body,
+    });
+  }
+
+  return { respond, remember, requests, unmatched, recorded };
+}
+
+/** ------------ Network stubs ------------ **/
+
+function requestUrl(input) {
+  if (typeof input === "string") return input;
+  if (input instanceof URL) return input.toString();
+  return String(input?.url || "");
+}
+
+function requestBody(body) {
+  if (body == null) return "";
+  if (typeof body === "string") return body;
+  if (body instanceof URLSearchParams) return body.toString();
+  try {
+    return JSON.stringify(body);
+  } catch {
+    return String(body);
+  }
+}
+
+function makeFetch(responder, { record, realFetch }) {
+  return async function offlineFetch(input, init = {}) {
+    const req = {
+      url: requestUrl(input),
+      method: String(init.method || input?.method || "GET").toUpperCase(),
+      body: requestBody(init.body),
+    };
+
+    if (record) {
+      const live = await realFetch(input, init);
+      const body = await live.text();
+      const res = { status: live.status, contentType: live.headers.get("content-type") || "", body };
+      responder.requests.push({ method: req.method, url: req.url });
+      responder.remember(req, res);
+      return new Response(body, { status: res.status, headers: { "content-type": res.contentType } });
+    }
+
+    const res = responder.respond(req);
+    return new Response(res.body, { status: res.status, headers: { "content-type": res.contentType } });
+  };
+}
+
+function makeAxios(fetchImpl) {
+  async function request(config = {}) {
+    const method = String(config.method || "GET").toUpperCase();
+    let url = config.url || "";
+    if (config.params) {
+      const u = new URL(url);
+      for (const [k, v] of Object.entries(config.params)) u.searchParams.set(k, String(v));
+      url = u.toString();
+    }
+
+    const resp = await fetchImpl(url, {
+      method,
+      headers: config.headers,
+      body: config.data != null ? requestBody(config.data) : undefined,
+    });
+
+    const text = await resp.text();
+    let data = text;
+    if (/json/i.test(resp.headers.get("content-type") || "") || config.responseType === "json") {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = text;
+      }
+    }
+
+    const response = { status: resp.status, statusText: resp.statusText, headers: {}, data, config };
+    const validateStatus = config.validateStatus || ((s) => s >= 200 && s < 300);
+    if (!validateStatus(resp.status)) {
+      const err = new Error(`Request failed with status code ${resp.status}`);
+      err.response = response;
+      err.isAxiosError = true;
+      throw err;
+    }
+    return response;
+  }
+
+  const axios = (urlOrConfig, config) =>
+    typeof urlOrConfig === "string" ? request({ ...config, url: urlOrConfig }) : request(urlOrConfig);
+
+  axios.request = request;
+  axios.get = (url, config) => request({ ...config, url, method: "GET" });
+  axios.delete = (url, config) => request({ ...config, url, method: "DELETE" });
+  axios.post = (url, data, config) => request({ ...config, url, data, method: "POST" });
+  axios.put = (url, data, config) => request({ ...config, url, data, method: "PUT" });
+  axios.create = () => axios;
+  axios.isAxiosError = (e) => !!e?.isAxiosError;
+  axios.default = axios;
+  return axios;
+}
+
+// Minimal FirecrawlApp: goes through the same REST endpoint the fetch-based
+// scrapers use, so fixtures (and record mode) work the same way for both.
+function makeFirecrawlSdk(fetchImpl) {
+  class FirecrawlApp {
+    constructor({ apiKey } = {}) {
+      this.apiKey = apiKey;
+    }
+
+    async scrapeUrl(url, options = {}) {
+      const resp = await fetchImpl("https://api.firecrawl.dev/v1/scrape", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${this.apiKey}` },
+        body: JSON.stringify({ url, ...options }),
+      });
+      const json = await resp.json().catch(() => null);
+      if (!resp.ok || !json?.success) {
+        return { success: false, error: json?.error || `Firecrawl HTTP ${resp.status}` };
+      }
+      return { success: true, ...json.data };
+    }
+  }
+
+  return { __esModule: true, default: FirecrawlApp, FirecrawlApp };
+}
+
+function makeBlob(getPuts) {
+  return {
+    async put(pathname, body, options = {}) {
+      getPuts().push({ pathname, body: typeof body === "string" ? body : String(body), options });
+      return { url: `https://blob.offline.test/${pathname}`, pathname };
+    },
+    async list() {
+      return { blobs: [], hasMore: false, cursor: null };
+    },
+    async head() {
+      return null;
+    },
+    async del() {},
+  };
+}
+
+/** ------------ Environment ------------ **/
+
+// Per-case state. The stub modules below are created once (scraper-runtime and
+// friends are cached by require) and always delegate to the current case.
+let active = null;
+let stubModules = null;
+
+function installStubs() {
+  if (stubModules) return;
+
+  const currentFetch = (...args) => active.fetch(...args);
+
+  // axios also goes through fetch, so record mode captures its traffic too.
+  stubModules = {
+    "@vercel/blob": makeBlob(() => active.puts),
+    axios: makeAxios(currentFetch),
+    "@mendable/firecrawl-js": makeFirecrawlSdk(currentFetch),
+  };
+
+  const originalLoad = Module._load;
+  Module._load = function loadWithStubs(request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(stubModules, request)) {
+      return stubModules[request];
+    }
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  const originalSetTimeout = global.setTimeout;
+  global.setTimeout = function offlineSetTimeout(fn, ms, ...args) {
+    if (active && Number(ms) < SKIP_DELAY_BELOW_MS) {
+      return originalSetTimeout(fn, 0, ...args);
+    }
+    const t = originalSetTimeout(fn, ms, ...args);
+    if (active && t && typeof t.unref === "function") t.unref();
+    return t;
+  };
+}
+
+/** ------------ Module loading ------------ **/
+
+function importBindings(spec) {
+  return spec
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => s.replace(/\s+as\s+/, ": "))
+    .join(", ");
+}
+
+// Just enough of ESM for the scrapers in this repo: static imports and
+// `export` on declarations / default.
+function esmToCommonJs(src) {
+  const exported = [];
+
+  let out = src
+    .replace(/^import\s+\*\s+as\s+(\w+)\s+from\s+(["'][^"']+["']);?/gm, "const $1 = require($2);")
+    .replace(
+      /^import\s+(\w+)\s*,\s*\{([\s\S]*?)\}\s*from\s+(["'][^"']+["']);?/gm,
+      (_, def, named, mod) => `const ${def} = __esDefault(require(${mod})); const { ${importBindings(named)} } = require(${mod});`
+    )
+    .replace(
+      /^import\s+\{([\s\S]*?)\}\s*from\s+(["'][^"']+["']);?/gm,
+      (_, named, mod) => `const { ${importBindings(named)} } = require(${mod});`
+    )
+    .replace(/^import\s+(\w+)\s+from\s+(["'][^"']+["']);?/gm, "const $1 = __esDefault(require($2));")
+    .replace(/^import\s+(["'][^"']+["']);?/gm, "require($1);")
+    .replace(/^export\s+default\s+/gm, "module.exports.default = ")
+    .replace(/^export\s+(const|let|var)\s+(\w+)/gm, (_, kind, name) => {
+      exported.push(name);
+      return `${kind} ${name}`;
+    })
+    .replace(/^export\s+(async\s+)?function\s+(\w+)/gm, (_, asyncKw, name) => {
+      exported.push(name);
+      return `${asyncKw || ""}function ${name}`;
+    });
+
+  // Prepended on line 1 so stack traces keep the original line numbers.
+  const prelude = "const __esDefault = (m) => (m && m.__esModule && 'default' in m ? m.default : m);";
+  const tail = exported.map((n) => `module.exports.${n} = ${n};`).join("\n");
+  return `${prelude}${out}\n${tail}\n`;
+}
+
+function loadHandler(scraperPath) {
+  const abs = path.resolve(REPO_ROOT, scraperPath);
+  const src = fs.readFileSync(abs, "utf8");
+
+  const m = new Module(abs, module);
+  m.filename = abs;
+  m.paths = Module._nodeModulePaths(path.dirname(abs));
+  m._compile(esmToCommonJs(src), abs);
+
+  const exp = m.exports;
+  const handler = typeof exp === "function" ? exp : exp?.default || exp?.handler;
+  if (typeof handler !== "function") {
+    throw new Error(`${scraperPath} does not export a handler`);
+  }
+  return handler;
+}
+
+/** ------------ Fake req/res ------------ **/
+
+function invokeHandler(handler, { query = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      body: undefined,
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      setHeader(k, v) {
+        res.headers[String(k).toLowerCase()] = v;
+        return res;
+      },
+      json(body) {
+        res.body = body;
+        resolve(res);
+        return res;
+      },
+      send(body) {
+        res.body = body;
+        resolve(res);
+        return res;
+      },
+      end(body) {
+        if (body !== undefined) res.body = body;
+        resolve(res);
+        return res;
+      },
+    };
+
+    const req = { method: "GET", headers: {}, query, url: "/" };
+
+    Promise.resolve()
+      .then(() => handler(req, res))
+      .then(() => resolve(res), reject);
+  });
+}
+
+/** ------------ Run one case ------------ **/
+
+const DEFAULT_ENV = {
+  BLOB_READ_WRITE_TOKEN: "offline-blob-token",
+  FIRECRAWL_API_KEY: "offline-firecrawl-key",
+};
+
+async function replayCase(caseDir, { record = false } = {}) {
+  const caseDef = JSON.parse(fs.readFileSync(path.join(caseDir, "case.json"), "utf8"));
+
+  installStubs();
+
+  const responder = createResponder(caseDir, caseDef);
+  const puts = [];
+  const realFetch = global.fetch;
+  const fetchImpl = makeFetch(responder, { record, realFetch });
+
+  const envBefore = { ...process.env };
+  Object.assign(process.env, DEFAULT_ENV, caseDef.env || {});
+  delete process.env.CRON_SECRET;
+  delete process.env.DATABASE_URL;
+
+  active = { fetch: fetchImpl, puts };
+  global.fetch = fetchImpl;
+
+  // Quiet the scrapers' own progress logging; keep it for failures.
+  const logs = [];
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = (...a) => logs.push(a.join(" "));
+  console.error = (...a) => logs.push(a.join(" "));
+  console.warn = (...a) => logs.push(a.join(" "));
+
+  let res = null;
+  let thrown = null;
+
+  try {
+    const handler = loadHandler(caseDef.scraper);
+    res = await invokeHandler(handler, { query: caseDef.query });
+  } catch (err) {
+    thrown = err;
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+    global.fetch = realFetch;
+    active = null;
+    for (const k of Object.keys(process.env)) if (!(k in envBefore)) delete process.env[k];
+    Object.assign(process.env, envBefore);
+  }
+
+  const put = puts.find((p) => p.pathname === caseDef.blob) || null;
+  let payload = null;
+  if (put) {
+    try {
+      payload = JSON.parse(put.body);
+    } catch {
+      payload = null;
+    }
+  }
+
+  return {
+    caseDef,
+    response: res ? { status: res.statusCode, body: res.body } : null,
+    thrown,
+    puts: puts.map((p) => p.pathname),
+    payload,
+    requests: responder.requests,
+    unmatched: responder.unmatched,
+    recorded: responder.recorded,
+    logs,
+  };
+}
+
+module.exports = {
+  REPO_ROOT,
+  esmToCommonJs,
+  replayCase,
+};
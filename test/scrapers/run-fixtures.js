@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// test/scrapers/run-fixtures.js
+//
+// Replays every fixture case in test/scrapers/fixtures through its scraper
+// (fully offline, see replay.js) and checks that:
+//   - the handler wrote its blob and did not report ok:false
+//   - at least one deal was extracted
+//   - every deal passes assertDealSchema
+//   - the deals match the case's golden.json snapshot
+//
+// Every scraper needs a fixture case or an entry in NO_FIXTURE saying why it
+// has none; the run fails otherwise, so a new scraper can't go untested silently.
+//
+// USAGE
+//   node test/scrapers/run-fixtures.js                 # run all cases
+//   node test/scrapers/run-fixtures.js holabird on     # run selected cases
+//   node test/scrapers/run-fixtures.js --update        # rewrite golden.json files
+//   node test/scrapers/run-fixtures.js --coverage      # list scrapers with no case, and why
+//
+//   # Capture a new case from the live site (needs network + any API keys):
+//   node test/scrapers/run-fixtures.js --record api/scrapers/gazelle-sports.js gazelle-sports gazelle-sports.json
+//
+// Recorded cases replay requests in the order they were made; review and trim
+// the saved responses before committing them.
+
+const fs = require("fs");
+const path = require("path");
+const { REPO_ROOT, replayCase } = require("./replay");
+const { assertDealSchema } = require("../../lib/dealSchema");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// Trigger runners that call other scraper endpoints; they have no parser.
+const RUNNER_FILES = new Set([
+  "apify_scrapers.js",
+  "cheerio_scrapers.js",
+  "cheerio_scrapers_2.js",
+  "cheerio_scrapers_3.js",
+  "cheerio_scrapers_4.js",
+  "firecrawl_scrapers_1.js",
+  "firecrawl_scrapers_2.js",
+]);
+
+// Scrapers without a fixture case, and why. Remove an entry when its case lands
+// (hand-written or --record); --coverage prints this list.
+const NOT_RECORDED = "no fixture recorded yet";
+const NO_FIXTURE = {
+  // Listing page, then one product page per tile: dozens of requests per case
+  "bloomingdales-sale.js": "crawls one product page per listing; needs a trimmed multi-page recording",
+  // Writes shoe-database.json (specs), not deals, so assertDealSchema doesn't apply
+  "runrepeat-full-database.js": "builds the shoe database, not deals",
+
+  // Firecrawl markdown (nike-firecrawl is the covered example)
+  "adidas-firecrawl.js": NOT_RECORDED,
+  "asics-firecrawl.js": NOT_RECORDED,
+  "backcountry-firecrawl.js": NOT_RECORDED,
+  "big-peach-running-co-firecrawl.js": NOT_RECORDED,
+  "dicks-sporting-goods-firecrawl.js": NOT_RECORDED,
+  "dsw-firecrawl.js": NOT_RECORDED,
+  "finishline-firecrawl.js": NOT_RECORDED,
+  "hibbett-firecrawl.js": NOT_RECORDED,
+  "hoka-firecrawl.js": NOT_RECORDED,
+  "kohls-firecrawl.js": NOT_RECORDED,
+  "macys-firecrawl.js": NOT_RECORDED,
+  "publiclands-firecrawl.js": NOT_RECORDED,
+  "sierra-firecrawl.js": NOT_RECORDED,
+
+  // Shopify collection JSON (lukes-locker is the covered example)
+  "commonwealth-running-co.js": NOT_RECORDED,
+  "confluence-running.js": NOT_RECORDED,
+  "front-runners-la.js": NOT_RECORDED,
+  "gazelle-sports.js": NOT_RECORDED,
+  "performance-running-outfitters.js": NOT_RECORDED,
+  "prrunandwalk.js": NOT_RECORDED,
+  "runnersplus.js": NOT_RECORDED,
+  "super-runners-shop.js": NOT_RECORDED,
+  "tc-running-co.js": NOT_RECORDED,
+  "therunningwellstore.js": NOT_RECORDED,
+  "tyr-runners-sale.js": NOT_RECORDED,
+
+  // Algolia (on-algolia is the covered example)
+  "jdsports-algolia.js": NOT_RECORDED,
+  "shoe-carnival.js": NOT_RECORDED,
+  "sportsbasement.js": NOT_RECORDED,
+  "tradehome-sale.js": NOT_RECORDED,
+
+  // Other JSON APIs
+  "6pm-running.js": NOT_RECORDED,
+  "footprintusa.js": NOT_RECORDED,
+  "going-going-gone.js": NOT_RECORDED,
+  "running-center.js": NOT_RECORDED,
+  "running-company.js": NOT_RECORDED,
+  "shoebacca-clearance.js": NOT_RECORDED,
+  "topo-athletic-sale.js": NOT_RECORDED,
+};
+
+function listCases() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((name) => fs.existsSync(path.join(FIXTURES_DIR, name, "case.json")))
+    .sort();
+}
+
+function goldenOf(payload) {
+  return {
+    dealsExtracted: Array.isArray(payload?.deals) ? payload.deals.length : 0,
+    deals: Array.isArray(payload?.deals) ? payload.deals : [],
+  };
+}
+
+function firstDifference(expected, actual) {
+  const n = Math.max(expected.deals.length, actual.deals.length);
+  for (let i = 0; i < n; i++) {
+    const a = JSON.stringify(expected.deals[i] ?? null);
+    const b = JSON.stringify(actual.deals[i] ?? null);
+    if (a !== b) return `deal[${i}]\n      expected ${a}\n      actual   ${b}`;
+  }
+  return `dealsExtracted ${expected.dealsExtracted} != ${actual.dealsExtracted}`;
+}
+
+async function runCase(name, { update }) {
+  const caseDir = path.join(FIXTURES_DIR, name);
+  const result = await replayCase(caseDir);
+  const failures = [];
+
+  if (result.thrown) failures.push(`handler threw: ${result.thrown.stack || result.thrown}`);
+
+  const payload = result.payload;
+  if (!payload) {
+    failures.push(`no blob written to ${result.caseDef.blob} (puts: ${result.puts.join(", ") || "none"})`);
+  } else {
+    if (payload.ok === false) failures.push(`blob reports ok:false: ${payload.error}`);
+
+    const deals = Array.isArray(payload.deals) ? payload.deals : [];
+    if (!deals.length) failures.push("no deals extracted");
+
+    deals.forEach((deal, i) => {
+      const errors = assertDealSchema(deal);
+      if (errors.length) failures.push(`deal[${i}] (${deal?.listingURL || "?"}) schema: ${errors.join("; ")}`);
+    });
+
+    const goldenPath = path.join(caseDir, "golden.json");
+    const actual = goldenOf(payload);
+
+    if (update) {
+      fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 2) + "\n");
+    } else if (!fs.existsSync(goldenPath)) {
+      failures.push("missing golden.json (run with --update)");
+    } else {
+      const expected = JSON.parse(fs.readFileSync(goldenPath, "utf8"));
+      if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+        failures.push(`golden mismatch at ${firstDifference(expected, actual)}`);
+      }
+    }
+  }
+
+  return { name, result, failures };
+}
+
+function printCase({ name, result, failures }) {
+  const count = Array.isArray(result.payload?.deals) ? result.payload.deals.length : 0;
+  const status = failures.length ? "FAIL" : "ok  ";
+  console.log(`${status} ${name}  (${count} deals, ${result.requests.length} requests)`);
+
+  for (const u of result.unmatched) console.log(`       no fixture: ${u}`);
+  for (const f of failures) console.log(`       ${f}`);
+
+  if (failures.length && result.logs.length) {
+    console.log("       scraper log:");
+    for (const line of result.logs.slice(-20)) console.log(`         ${line}`);
+  }
+}
+
+/** Scraper files by coverage: with a case, listed in NO_FIXTURE, neither, or both. */
+function coverageOf(cases) {
+  const covered = new Set();
+  for (const name of cases) {
+    const def = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name, "case.json"), "utf8"));
+    covered.add(path.basename(def.scraper));
+  }
+
+  const scraperDir = path.join(REPO_ROOT, "api", "scrapers");
+  const files = fs
+    .readdirSync(scraperDir)
+    .filter((f) => f.endsWith(".js") && !RUNNER_FILES.has(f))
+    .sort();
+
+  return {
+    covered,
+    excluded: files.filter((f) => !covered.has(f) && f in NO_FIXTURE),
+    unaccounted: files.filter((f) => !covered.has(f) && !(f in NO_FIXTURE)),
+    stale: files.filter((f) => covered.has(f) && f in NO_FIXTURE),
+  };
+}
+
+function printCoverage({ covered, excluded }) {
+  console.log(`\n${covered.size} scrapers have fixtures; ${excluded.length} do not:`);
+  for (const f of excluded) console.log(`  - api/scrapers/${f}: ${NO_FIXTURE[f]}`);
+}
+
+async function record(scraperPath, name, blob) {
+  if (!scraperPath || !name || !blob) {
+    throw new Error("usage: --record <api/scrapers/file.js> <case-name> <blob-name.json>");
+  }
+
+  const caseDir = path.join(FIXTURES_DIR, name);
+  fs.mkdirSync(caseDir, { recursive: true });
+  fs.writeFileSync(path.join(caseDir, "case.json"), JSON.stringify({ scraper: scraperPath, blob, responses: [] }, null, 2) + "\n");
+
+  const result = await replayCase(caseDir, { record: true });
+  for (const r of result.recorded) fs.writeFileSync(path.join(caseDir, r.file), r.body);
+
+  const caseDef = { scraper: scraperPath, blob, responses: result.recorded.map((r) => r.entry) };
+  fs.writeFileSync(path.join(caseDir, "case.json"), JSON.stringify(caseDef, null, 2) + "\n");
+
+  if (result.payload) {
+    fs.writeFileSync(path.join(caseDir, "golden.json"), JSON.stringify(goldenOf(result.payload), null, 2) + "\n");
+  }
+
+  console.log(`recorded ${result.recorded.length} responses into ${path.relative(REPO_ROOT, caseDir)}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "--record") {
+    await record(args[1], args[2], args[3]);
+    return;
+  }
+
+  const update = args.includes("--update");
+  const coverage = args.includes("--coverage");
+  const only = args.filter((a) => !a.startsWith("--"));
+
+  const all = listCases();
+  const cases = only.length ? all.filter((c) => only.includes(c)) : all;
+
+  const unknown = only.filter((c) => !all.includes(c));
+  if (unknown.length) throw new Error(`unknown fixture case(s): ${unknown.join(", ")}`);
+
+  let failed = 0;
+  for (const name of cases) {
+    const outcome = await runCase(name, { update });
+    printCase(outcome);
+    if (outcome.failures.length) failed++;
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} fixture cases passed${update ? " (goldens updated)" : ""}`);
+
+  const covering = coverageOf(all);
+  if (coverage) printCoverage(covering);
+  for (const f of covering.unaccounted) console.log(`FAIL api/scrapers/${f} has no fixture case and no NO_FIXTURE entry`);
+  for (const f of covering.stale) console.log(`FAIL api/scrapers/${f} has a fixture case; remove its NO_FIXTURE entry`);
+
+  process.exitCode = failed || covering.unaccounted.length || covering.stale.length ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err?.stack || err);
+  process.exitCode = 1;
+});
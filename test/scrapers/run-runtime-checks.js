@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// test/scrapers/run-runtime-checks.js
+//
+// Checks the parts of lib/scraper-runtime.js that behave differently from the
+// per-file scraper code it replaced (see the runtime's header):
+//   - deals failing assertDealSchema are dropped and counted, not written
+//   - every shoe type alerts and search accept ("xc" too) passes assertDealSchema
+//   - detectGender's word matching
+//   - the handler writes health-<blobName> after its blob
+//
+// Fully offline: @vercel/blob put() is captured in memory, nothing is fetched.
+//
+// USAGE
+//   node test/scrapers/run-runtime-checks.js    (also run by npm run test:scrapers)
+
+const puts = [];
+
+// Captured before the runtime (and lib/scraperHealth.js) require the real module.
+const blobPath = require.resolve("@vercel/blob");
+require.cache[blobPath] = {
+  id: blobPath,
+  filename: blobPath,
+  loaded: true,
+  exports: {
+    async put(pathname, body) {
+      puts.push({ pathname, body: JSON.parse(body) });
+      return { url: `https://blob.offline.test/${pathname}`, pathname };
+    },
+  },
+};
+
+const { defineScraper, buildDeal, detectGender } = require("../../lib/scraper-runtime");
+const { assertDealSchema } = require("../../lib/dealSchema");
+const { SHOE_TYPES } = require("../../lib/alertCriteria");
+
+let failures = 0;
+
+function check(label, ok, detail) {
+  if (ok) {
+    console.log(`  ok    ${label}`);
+  } else {
+    failures += 1;
+    console.log(`  FAIL  ${label}${detail ? `: ${detail}` : ""}`);
+  }
+}
+
+function testDeal(overrides = {}) {
+  return {
+    ...buildDeal({
+      listingName: "Brooks Ghost 16",
+      brand: "Brooks",
+      model: "Ghost 16",
+      salePrice: 99.95,
+      originalPrice: 140,
+      discountPercent: 29,
+      store: "Runtime Test",
+      listingURL: "https://shop.test/products/ghost-16",
+      imageURL: null,
+      gender: "mens",
+      shoeType: "road",
+    }),
+    ...overrides,
+  };
+}
+
+// One page with a valid deal and one the schema rejects (gender "boys").
+const handler = defineScraper({
+  store: "Runtime Test",
+  via: "test",
+  blobName: "runtime-test.json",
+  async *fetchPages() {
+    yield { url: "https://shop.test/sale", json: {} };
+  },
+  parseListing() {
+    return [testDeal(), testDeal({ listingURL: "https://shop.test/products/ghost-16-kids", gender: "boys" })];
+  },
+});
+
+/** Minimal Vercel-style req/res for calling the handler directly. */
+async function callHandler() {
+  const req = { method: "GET", headers: {}, query: {} };
+  let statusCode = 200;
+  let payload;
+  const res = {
+    status(code) {
+      statusCode = code;
+      return res;
+    },
+    json(data) {
+      payload = data;
+      return res;
+    },
+  };
+  await handler(req, res);
+  return { statusCode, body: payload };
+}
+
+async function main() {
+  delete process.env.CRON_SECRET;
+
+  console.log("schema validation");
+  const result = await handler.scrape();
+  check("valid deal is kept", result.deals.length === 1 && result.deals[0].gender === "mens");
+  check("schema-invalid deal is dropped", result.dealsExtracted === 1, `dealsExtracted ${result.dealsExtracted}`);
+  check(
+    "drop is counted as schemaInvalid with its errors",
+    result.dropCounts.schemaInvalid === 1 &&
+      result.droppedDeals[0]?.listingURL === "https://shop.test/products/ghost-16-kids" &&
+      result.droppedDeals[0]?.errors.some((e) => e.startsWith("gender")),
+    JSON.stringify(result.droppedDeals)
+  );
+  for (const shoeType of SHOE_TYPES) {
+    const errors = assertDealSchema(testDeal({ shoeType }));
+    check(`shoeType ${shoeType} passes the schema`, errors.length === 0, errors.join("; "));
+  }
+
+  console.log("detectGender");
+  const genders = [
+    ["", "Men's Ghost 16", "", "mens"],
+    ["", "Mens Ghost 16", "", "mens"],
+    ["", "Ghost 16", "Men", "mens"],
+    ["", "Womens Ghost 16", "", "womens"],
+    ["", "Ghost 16", "Women", "womens"],
+    ["", "Ghost 16 Ladies", "", "womens"],
+    ["", "Ghost 16", "Unisex", "unisex"],
+    ["", "Ghost 16", "", "unknown"],
+    ["", "Clementine Trail", "", "unknown"],
+    ["https://shop.test/womens/ghost-16", "Men's Ghost 16", "", "womens"],
+    ["https://shop.test/products/mens-ghost-16", "Ghost 16", "", "mens"],
+  ];
+  for (const [url, name, extra, expected] of genders) {
+    const got = detectGender(url, name, extra);
+    check(`${JSON.stringify([url, name, extra].filter(Boolean).join(" | "))} -> ${expected}`, got === expected, got);
+  }
+
+  console.log("handler writes");
+  const response = await callHandler();
+  check("handler responds 200", response.statusCode === 200, JSON.stringify(response.body));
+  check(
+    "blob, then health-<blobName>",
+    puts.map((p) => p.pathname).join(",") === "runtime-test.json,health-runtime-test.json",
+    puts.map((p) => p.pathname).join(",")
+  );
+  const health = puts.find((p) => p.pathname === "health-runtime-test.json")?.body;
+  check(
+    "health record carries the run's totals",
+    health?.ok === true && health.totalDeals === 1 && health.segment === "all" && health.dropCounts?.schemaInvalid === 1,
+    JSON.stringify(health)
+  );
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : "all checks passed"}`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err?.stack || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+// test/search/run-search-bench.js
+//
+// Latency and recall of /api/search on a fixed query set (queries.json):
+// exact names, typos ("clfton") and aliases ("nb 1080"). Compares:
+//   like     the old backend: one LIKE '%token%' chain per token over brand/model,
+//            500 rows re-scored in JS with scoreDeal (without the brand/model
+//            trigram indexes, which migration 016 drops)
+//   search   the api/search.js handler (full-text + trigram, ranked in SQL)
+//
+// A synthetic catalog is imported through api/import-deals-to-db run(): every
+// brand and model in lib/canonical-brands-models.json, two versions, both
+// genders, two stores, two colorways (~8k listings).
+//
+// recall@10 is the share of the top 10 that is the expected shoe (brand + line,
+// and version when the query names one), or of all of them when fewer exist.
+// The search timings include everything the handler does per request: facet
+// counts, the page and the search-term count.
+//
+// Exits non-zero when search ranks an exact query worse than the baseline did.
+//
+// DATABASE
+//   Same as test/db/run-schema-check.js: TEST_DATABASE_URL, or a temporary
+//   cluster when initdb/pg_ctl are installed; otherwise prints SKIP.
+//
+// USAGE
+//   npm run bench:search
+//   BENCH_RUNS=20 npm run bench:search     # timed runs per query (default 5)
+
+const { Pool } = require("pg");
+const { startTempCluster } = require("../db/tempCluster");
+
+const SCHEMA = `sb_search_bench_${process.pid}`;
+const QUERIES = require("./queries.json");
+const TOP_K = 10;
+const RUNS = Math.max(1, parseInt(process.env.BENCH_RUNS || "5", 10) || 5);
+
+const VERSIONS = ["4", "5"];
+const GENDERS = [
+  { value: "mens", label: "Men's" },
+  { value: "womens", label: "Women's" },
+];
+const STORES = ["Bench Running Co", "Bench Outlet"];
+const COLORWAYS = ["Black/White", "Blue/Orange"];
+
+function toDataUrl(json) {
+  return `data:application/json;base64,${Buffer.from(JSON.stringify(json)).toString("base64")}`;
+}
+
+function buildCatalog() {
+  const source = require("../../lib/canonical-brands-models.json");
+  const deals = [];
+
+  for (const [brand, entry] of Object.entries(source)) {
+    const models = Array.isArray(entry) ? entry : entry.models || [];
+    for (const line of models) {
+      for (const version of VERSIONS) {
+        for (const gender of GENDERS) {
+          for (const store of STORES) {
+            COLORWAYS.forEach((colorway, c) => {
+              const model = `${line} ${version}`;
+              const slug = `${brand}-${model}-${gender.value}-${store}-${c}`.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+              deals.push({
+                listingName: `${brand} ${model} ${gender.label} ${colorway}`,
+                brand,
+                model,
+                salePrice: 80 + ((deals.length * 7) % 90),
+                originalPrice: 180,
+                store,
+                listingURL: `https://bench.example/${slug}`,
+                gender: gender.value,
+                colorway,
+              });
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return { lastUpdated: new Date().toISOString(), deals };
+}
+
+function isExpected(deal, q) {
+  if (deal.brand !== q.brand) return false;
+  if (q.version) return deal.model === `${q.line} ${q.version}`;
+  return VERSIONS.some((v) => deal.model === `${q.line} ${v}`);
+}
+
+/** The pre-full-text /api/search query and ranking, kept here as the baseline. */
+async function likeSearch(pool, scoreDeal, query) {
+  const tokens = query.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const params = tokens.map((t) => `%${t}%`);
+  const where = tokens.map(
+    (_, i) => `(LOWER(COALESCE(brand, '')) LIKE LOWER($${i + 1})
+      OR LOWER(COALESCE(model, '')) LIKE LOWER($${i + 1})
+      OR LOWER(COALESCE(brand, '') || ' ' || COALESCE(model, '')) LIKE LOWER($${i + 1}))`
+  );
+
+  const { rows } = await pool.query(
+    `SELECT brand, model, gender, listing_name, listing_url FROM sb_shoe_deals WHERE ${where.join(" AND ")} LIMIT 500`,
+    params
+  );
+
+  return rows
+    .map((r) => ({ brand: r.brand, model: r.model, gender: r.gender, listingName: r.listing_name, listingURL: r.listing_url }))
+    .map((deal) => ({ deal, score: scoreDeal(deal, query) }))
+    .filter((d) => d.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TOP_K)
+    .map((d) => d.deal);
+}
+
+let requestCount = 0;
+
+async function handlerSearch(search, query) {
+  let payload;
+  let statusCode = 200;
+  const res = {
+    setHeader() {},
+    status(code) {
+      statusCode = code;
+      return res;
+    },
+    json(data) {
+      payload = data;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+
+  // A fresh address per call keeps the handler's rate limit out of the timings
+  requestCount += 1;
+  const ip = `10.${(requestCount >> 16) & 255}.${(requestCount >> 8) & 255}.${requestCount & 255}`;
+  await search({ method: "GET", query: { query, group: "none", limit: String(TOP_K) }, headers: { "x-forwarded-for": ip } }, res);
+
+  if (statusCode !== 200) throw new Error(`/api/search ${statusCode} for "${query}": ${JSON.stringify(payload)}`);
+  return payload.results;
+}
+
+function percentile(values, p) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+async function measure(fn) {
+  await fn(); // warm-up (plan cache, index pages)
+  const times = [];
+  let results;
+  for (let i = 0; i < RUNS; i += 1) {
+    const start = process.hrtime.bigint();
+    results = await fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return { results, times };
+}
+
+function recallAt(results, q, relevantCount) {
+  const hits = results.slice(0, TOP_K).filter((d) => isExpected(d, q)).length;
+  return relevantCount ? hits / Math.min(relevantCount, TOP_K) : 0;
+}
+
+async function main() {
+  let cluster = null;
+  let baseUrl = String(process.env.TEST_DATABASE_URL || "").trim();
+
+  if (!baseUrl) {
+    cluster = startTempCluster();
+    if (!cluster) {
+      console.log("SKIP  no TEST_DATABASE_URL and no initdb/pg_ctl found; benchmark not run");
+      return;
+    }
+    baseUrl = cluster.url;
+  }
+
+  const url = new URL(baseUrl);
+  url.searchParams.set("options", `-c search_path=${SCHEMA},public`);
+  process.env.DATABASE_URL = url.toString();
+  process.env.PGSSLMODE = "disable";
+
+  const admin = new Pool({ connectionString: baseUrl, ssl: false });
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: false });
+
+  try {
+    await admin.query(`CREATE SCHEMA ${SCHEMA}`);
+    await require("../../lib/migrations").runMigrations(pool, { log: () => {} });
+
+    const catalog = buildCatalog();
+    const imported = await require("../../api/import-deals-to-db").run({ dealsUrl: toDataUrl(catalog) });
+    if (!imported.success) throw new Error(`import failed: ${imported.error}`);
+    await pool.query("ANALYZE sb_shoe_deals");
+    console.log(`catalog: ${imported.inserted} listings, ${QUERIES.length} queries, ${RUNS} timed runs each\n`);
+
+    const search = require("../../api/search");
+    const { scoreDeal } = search;
+
+    const rows = [];
+    const totals = { like: { times: [], recall: [] }, search: { times: [], recall: [] } };
+
+    for (const q of QUERIES) {
+      const relevantCount = catalog.deals.filter((d) => isExpected(d, q)).length;
+      const like = await measure(() => likeSearch(pool, scoreDeal, q.query));
+      const ranked = await measure(() => handlerSearch(search, q.query));
+
+      const row = {
+        query: q.query,
+        kind: q.kind,
+        likeRecall: recallAt(like.results, q, relevantCount),
+        searchRecall: recallAt(ranked.results, q, relevantCount),
+        likeMs: percentile(like.times, 50),
+        searchMs: percentile(ranked.times, 50),
+      };
+      rows.push(row);
+
+      totals.like.times.push(...like.times);
+      totals.like.recall.push(row.likeRecall);
+      totals.search.times.push(...ranked.times);
+      totals.search.recall.push(row.searchRecall);
+    }
+
+    const pad = (s, n) => String(s).padEnd(n);
+    const num = (n, d = 2) => n.toFixed(d).padStart(8);
+    console.log(`${pad("query", 26)}${pad("kind", 7)}  recall like / search   p50 ms like / search`);
+    for (const r of rows) {
+      console.log(
+        `${pad(r.query, 26)}${pad(r.kind, 7)}  ${num(r.likeRecall)} ${num(r.searchRecall)}     ${num(r.likeMs, 1)} ${num(r.searchMs, 1)}`
+      );
+    }
+
+    const mean = (xs) => xs.reduce((a, b) => a + b, 0) / (xs.length || 1);
+    console.log("");
+    for (const [name, t] of Object.entries(totals)) {
+      console.log(
+        `${pad(name, 7)} recall@${TOP_K} ${mean(t.recall).toFixed(3)}   p50 ${percentile(t.times, 50).toFixed(1)} ms   p95 ${percentile(t.times, 95).toFixed(1)} ms`
+      );
+    }
+
+    const regressions = rows.filter((r) => r.kind === "exact" && r.searchRecall < r.likeRecall);
+    if (regressions.length) {
+      console.log(`\nFAIL  search ranks worse than like on: ${regressions.map((r) => r.query).join(", ")}`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await admin.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`).catch(() => {});
+    await pool.end().catch(() => {});
+    await admin.end().catch(() => {});
+    if (cluster) cluster.stop();
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    // The API modules keep their own pools open; don't wait for them to idle out.
+    setTimeout(() => process.exit(process.exitCode || 0), 100).unref();
+  });